@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import App from './App.vue'
+import { trackRouteStatus } from './router/routeStatus.js'
+import { useI18n } from './composables/useI18n.js'
+
+// Create a router for testing with titled routes and a page that fails to load
+const createTestRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' }, meta: { title: 'titles.home' } },
+      { path: '/students', component: { template: '<div>Students</div>' }, meta: { title: 'titles.students' } },
+      {
+        path: '/students/print',
+        component: () => Promise.reject(new TypeError('Failed to fetch dynamically imported module: /assets/StudentRosterPage.js'))
+      },
+      { path: '/untitled', component: { template: '<div>Untitled</div>' } }
+    ]
+  })
+}
+
+describe('App', () => {
+  it('titles the document after the route in the chosen language', async () => {
+    const router = createTestRouter()
+    await router.push('/students')
+    mount(App, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    expect(document.title).toBe('Students · Student Info App')
+
+    const { locale } = useI18n()
+    locale.value = 'fil'
+    await router.push('/')
+    expect(document.title).toBe('Tahanan · Student Info App')
+    locale.value = 'en'
+
+    await router.push('/untitled')
+    expect(document.title).toBe('Student Info App')
+  })
+
+  it('offers to retry a page that failed to load', async () => {
+    const router = createTestRouter()
+    // Reloaded once already, so the failure is reported
+    trackRouteStatus(router, { storage: null })
+    await router.push('/')
+    const wrapper = mount(App, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await router.push('/students/print').catch(() => {})
+    await wrapper.vm.$nextTick()
+
+    const banner = wrapper.find('.route-error')
+    expect(banner.attributes('role')).toBe('alert')
+    expect(banner.text()).toContain('This page could not be loaded.')
+
+    await banner.find('.route-retry').trigger('click')
+    await flushPromises()
+    expect(router.currentRoute.value.path).toBe('/')
+    expect(wrapper.find('.route-error').exists()).toBe(true)
+  })
+})
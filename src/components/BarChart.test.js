@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import BarChart from './BarChart.vue'
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } }
+    ]
+  })
+}
+
+const items = [
+  { key: '1', label: 'Year 1', value: 40, valueText: '40', description: 'Year 1: 40 students', to: { path: '/students', query: { year: '1' } } },
+  { key: '2', label: 'Year 2', value: 10, valueText: '10', description: 'Year 2: 10 students', to: { path: '/students', query: { year: '2' } } },
+  { key: '3', label: 'Bachelor of Science in Hospitality Management', value: 0, valueText: '0', description: 'No students', to: { path: '/students', query: { course: 'BSHM' } } }
+]
+
+const mountChart = async (props = {}) => {
+  const router = createMockRouter()
+  await router.push('/')
+  const wrapper = mount(BarChart, {
+    props: { title: 'Students per year level', items, emptyText: 'No students yet.', ...props },
+    global: {
+      plugins: [router]
+    }
+  })
+  return { router, wrapper }
+}
+
+describe('BarChart', () => {
+  it('names the chart by its caption and each bar by its description', async () => {
+    const { wrapper } = await mountChart({ description: 'Current school year' })
+
+    const svg = wrapper.find('svg')
+    const caption = wrapper.find('figcaption')
+    expect(svg.attributes('role')).toBe('group')
+    expect(svg.attributes('aria-labelledby')).toBe(caption.attributes('id'))
+    expect(caption.text()).toContain('Students per year level')
+    expect(caption.find('.chart-description').text()).toBe('Current school year')
+
+    const bars = wrapper.findAll('a.bar')
+    expect(bars.map(bar => bar.attributes('aria-label'))).toEqual([
+      'Year 1: 40 students',
+      'Year 2: 10 students',
+      'No students'
+    ])
+    expect(bars[1].find('title').text()).toBe('Year 2: 10 students')
+    expect(bars[1].attributes('href')).toBe('/students?year=2')
+  })
+
+  it('scales bars to the largest value and shortens long labels', async () => {
+    const { wrapper } = await mountChart()
+
+    const widths = wrapper.findAll('.bar-fill').map(bar => Number(bar.attributes('width')))
+    expect(widths[0]).toBe(widths[1] * 4)
+    expect(widths[2]).toBe(0)
+    expect(wrapper.findAll('.bar-label')[2].text()).toBe('Bachelor of Science in Ho…')
+    expect(wrapper.findAll('.bar-value').map(value => value.text())).toEqual(['40', '10', '0'])
+  })
+
+  it('navigates to the bar\'s link on a plain click only', async () => {
+    const { router, wrapper } = await mountChart()
+
+    await wrapper.findAll('a.bar')[0].trigger('click', { ctrlKey: true })
+    await flushPromises()
+    expect(router.currentRoute.value.path).toBe('/')
+
+    await wrapper.findAll('a.bar')[0].trigger('click')
+    await flushPromises()
+    expect(router.currentRoute.value.fullPath).toBe('/students?year=1')
+  })
+
+  it('shows the empty text without items', async () => {
+    const { wrapper } = await mountChart({ items: [] })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.find('.chart-empty').text()).toBe('No students yet.')
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { nextTick } from 'vue'
+import ConfirmDialog from './ConfirmDialog.vue'
+
+const props = {
+  title: 'Delete student?',
+  message: 'Maria Santos will be permanently removed from the directory.',
+  confirmLabel: 'Delete'
+}
+
+describe('ConfirmDialog', () => {
+  it('renders nothing while closed', () => {
+    const wrapper = mount(ConfirmDialog, { props: { ...props, open: false } })
+
+    expect(wrapper.find('[role="alertdialog"]').exists()).toBe(false)
+  })
+
+  it('shows the title, message and confirm label when open', () => {
+    const wrapper = mount(ConfirmDialog, { props: { ...props, open: true } })
+
+    const dialog = wrapper.find('[role="alertdialog"]')
+    expect(dialog.exists()).toBe(true)
+    expect(dialog.find('h3').text()).toBe('Delete student?')
+    expect(dialog.text()).toContain('Maria Santos will be permanently removed')
+    expect(wrapper.find('.confirm-button').text()).toBe('Delete')
+  })
+
+  it('focuses the confirm button when opened', async () => {
+    const wrapper = mount(ConfirmDialog, { props: { ...props, open: false }, attachTo: document.body })
+
+    await wrapper.setProps({ open: true })
+    await nextTick()
+
+    expect(document.activeElement).toBe(wrapper.find('.confirm-button').element)
+    wrapper.unmount()
+  })
+
+  it('emits confirm and cancel', async () => {
+    const wrapper = mount(ConfirmDialog, { props: { ...props, open: true } })
+
+    await wrapper.find('.confirm-button').trigger('click')
+    await wrapper.find('.cancel-button').trigger('click')
+    await wrapper.find('[role="alertdialog"]').trigger('keydown', { key: 'Escape' })
+    await wrapper.find('.dialog-backdrop').trigger('click')
+
+    expect(wrapper.emitted('confirm').length).toBe(1)
+    expect(wrapper.emitted('cancel').length).toBe(3)
+  })
+})
@@ -1,14 +1,17 @@
 import { describe, it, expect } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import { createRouter, createMemoryHistory } from 'vue-router'
 import HeaderComponent from './HeaderComponent.vue'
+import { authService } from '../services/authService.js'
+import { preferenceUser } from '../services/preferences.js'
 
 // Create a mock router for testing
 const router = createRouter({
   history: createMemoryHistory(),
   routes: [
     { path: '/', component: { template: '<div>Home</div>' } },
-    { path: '/students', component: { template: '<div>Students</div>' } }
+    { path: '/students', component: { template: '<div>Students</div>' } },
+    { path: '/courses', component: { template: '<div>Courses</div>' } }
   ]
 })
 
@@ -38,14 +41,54 @@ describe('HeaderComponent', () => {
     
     // Check that navigation links exist (router-link renders as <a> tags)
     const links = nav.findAll('a')
-    expect(links.length).toBe(2)
+    expect(links.length).toBe(3)
     
     // Check link text
     expect(links[0].text()).toBe('Home')
     expect(links[1].text()).toBe('Students')
+    expect(links[2].text()).toBe('Courses')
     
     // Check link destinations (router-link uses 'to' prop but renders as href)
     expect(links[0].attributes('href')).toBe('/')
     expect(links[1].attributes('href')).toBe('/students')
+    expect(links[2].attributes('href')).toBe('/courses')
+  })
+
+  it('switches the theme from the header', async () => {
+    localStorage.clear()
+    const wrapper = mount(HeaderComponent, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    const select = wrapper.find('.theme-picker select')
+    expect(select.findAll('option').map(option => option.text())).toEqual(['System', 'Light', 'Dark', 'High contrast'])
+    expect(select.element.value).toBe('system')
+
+    await select.setValue('dark')
+    expect(document.documentElement.dataset.theme).toBe('dark')
+    expect(localStorage.getItem('student-info-app:theme')).toBe('dark')
+  })
+
+  it('shows the signed-in user and signs them out', async () => {
+    await authService.logout()
+    const wrapper = mount(HeaderComponent, {
+      global: {
+        plugins: [router]
+      }
+    })
+    expect(wrapper.find('.header-account').exists()).toBe(false)
+
+    await authService.login('faculty', 'password')
+    await flushPromises()
+    expect(wrapper.find('.signed-in-user').text()).toBe('Ana Cruz (Faculty)')
+    expect(preferenceUser()).toBe('u-faculty')
+
+    await wrapper.find('.sign-out').trigger('click')
+    await flushPromises()
+    expect(authService.session()).toBeNull()
+    expect(preferenceUser()).toBe('anonymous')
+    expect(wrapper.find('.header-account').exists()).toBe(false)
   })
 })
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PaginationControls from './PaginationControls.vue'
+
+const mountPager = (props = {}) => mount(PaginationControls, {
+  props: {
+    page: 1,
+    pageCount: 1,
+    limit: 25,
+    pageSizes: [10, 25, 50, 100, 0],
+    total: 0,
+    start: 0,
+    end: 0,
+    ...props
+  }
+})
+
+describe('PaginationControls', () => {
+  it('shows the visible range and total', () => {
+    const wrapper = mountPager({ page: 2, pageCount: 4, total: 90, start: 26, end: 50 })
+
+    expect(wrapper.find('.range').text()).toBe('Showing 26–50 of 90')
+    expect(wrapper.find('[aria-current="page"]').text()).toBe('2')
+  })
+
+  it('collapses distant pages into gaps', () => {
+    const wrapper = mountPager({ page: 10, pageCount: 20, total: 200 })
+
+    const labels = wrapper.findAll('.pages li').map(item => item.text())
+    expect(labels).toEqual(['‹', '1', '…', '8', '9', '10', '11', '12', '…', '20', '›'])
+  })
+
+  it('emits page changes and disables buttons at the ends', async () => {
+    const wrapper = mountPager({ page: 1, pageCount: 3, total: 60 })
+
+    expect(wrapper.find('button[aria-label="Previous page"]').attributes('disabled')).toBeDefined()
+
+    await wrapper.find('button[aria-label="Next page"]').trigger('click')
+    await wrapper.find('button[aria-label="Page 3"]').trigger('click')
+    await wrapper.find('button[aria-label="Page 1"]').trigger('click')
+
+    // Clicking the current page does nothing
+    expect(wrapper.emitted('update:page')).toEqual([[2], [3]])
+  })
+
+  it('emits the selected page size as a number', async () => {
+    const wrapper = mountPager()
+
+    await wrapper.find('select').setValue('50')
+
+    expect(wrapper.emitted('update:limit')[0]).toEqual([50])
+  })
+
+  it('labels the all-rows page size', () => {
+    const wrapper = mountPager()
+
+    const options = wrapper.findAll('option').map(option => option.text())
+    expect(options).toEqual(['10', '25', '50', '100', 'All'])
+  })
+})
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PrintHeader from './PrintHeader.vue'
+import { formatDate } from '../i18n/index.js'
+
+describe('PrintHeader', () => {
+  it('shows the school, title, subtitle and generated date', () => {
+    const generated = new Date(2026, 9, 19, 16, 30)
+    const wrapper = mount(PrintHeader, {
+      props: { title: 'Class Roster', subtitle: 'BS Nursing · 2 students', generated, school: 'Pamantasan ng Lungsod ng Maynila' }
+    })
+
+    expect(wrapper.find('.print-school').text()).toBe('Pamantasan ng Lungsod ng Maynila')
+    expect(wrapper.find('.print-title').text()).toBe('Class Roster')
+    expect(wrapper.find('.print-subtitle').text()).toBe('BS Nursing · 2 students')
+    expect(wrapper.find('time').attributes('datetime')).toBe(generated.toISOString())
+    expect(wrapper.find('time').text()).toBe(formatDate('en', generated, { dateStyle: 'long', timeStyle: 'short' }))
+  })
+
+  it('uses the configured school name and makes the title a heading only when asked', () => {
+    const generated = new Date()
+    const plain = mount(PrintHeader, { props: { title: 'Student Profile', generated } })
+    const heading = mount(PrintHeader, { props: { title: 'Class Roster', generated, heading: true } })
+
+    expect(plain.find('.print-school').text()).toBe('Student Info App')
+    expect(plain.find('h2').exists()).toBe(false)
+    expect(plain.find('.print-subtitle').exists()).toBe(false)
+    expect(heading.find('h2').text()).toBe('Class Roster')
+  })
+})
@@ -146,4 +146,24 @@ describe('StudentComponent', () => {
     expect(wrapper.text()).toContain('Phone:')
     expect(wrapper.text()).toContain('Website:')
   })
+
+  it('marks records with validation issues for review', () => {
+    const props = {
+      name: 'Leanne Graham',
+      course: 'BS Computer Science',
+      year: '1',
+      email: 'leanne.graham@student.edu.ph',
+      phone: '+63 177 073 6803',
+      website: 'leanne-graham.edu.ph'
+    }
+
+    expect(mount(StudentComponent, { props }).find('.review-badge').exists()).toBe(false)
+
+    const wrapper = mount(StudentComponent, {
+      props: { ...props, issues: ['Phone must be a Philippine mobile number (e.g. 0917 123 4567)'] }
+    })
+    const badge = wrapper.find('.review-badge')
+    expect(badge.text()).toBe('Needs review')
+    expect(badge.attributes('title')).toContain('Phone must be a Philippine mobile number')
+  })
 })
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import StudentExport from './StudentExport.vue'
+
+describe('StudentExport', () => {
+  it('offers every Student field as a column, all ticked', () => {
+    const wrapper = mount(StudentExport, { props: { count: 3 } })
+
+    const labels = wrapper.findAll('.export-column').map(label => label.text())
+    expect(labels).toEqual(['Student ID', 'Student number', 'Name', 'Course', 'Year level', 'Email', 'Phone', 'Website'])
+    expect(wrapper.findAll('input[type="checkbox"]').every(input => input.element.checked)).toBe(true)
+    expect(wrapper.find('.export-summary').text()).toBe('3 rows, 8 columns')
+  })
+
+  /**
+   * Unit Test: Column Chooser
+   *
+   * This test verifies that the export event carries the chosen format and
+   * the ticked columns in model order.
+   */
+  it('emits the format and the chosen columns in model order', async () => {
+    const wrapper = mount(StudentExport, { props: { count: 2 } })
+    const boxes = wrapper.findAll('input[type="checkbox"]')
+
+    await boxes[0].setValue(false)
+    await boxes[1].setValue(false)
+    await boxes[7].setValue(false)
+    await boxes[0].setValue(true)
+    await wrapper.find('.export-xlsx').trigger('click')
+
+    expect(wrapper.emitted('export')[0][0]).toEqual({
+      format: 'xlsx',
+      fields: ['id', 'name', 'course', 'year', 'email', 'phone']
+    })
+  })
+
+  it('disables the downloads without rows or columns', async () => {
+    const wrapper = mount(StudentExport, { props: { count: 0 } })
+    expect(wrapper.find('.export-csv').attributes('disabled')).toBeDefined()
+
+    await wrapper.setProps({ count: 1 })
+    expect(wrapper.find('.export-csv').attributes('disabled')).toBeUndefined()
+
+    for (const box of wrapper.findAll('input[type="checkbox"]')) {
+      await box.setValue(false)
+    }
+    expect(wrapper.find('.export-csv').attributes('disabled')).toBeDefined()
+    expect(wrapper.find('.export-summary').text()).toBe('1 row, 0 columns')
+  })
+})
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import StudentFilters from './StudentFilters.vue'
+
+const facets = {
+  course: [
+    { value: 'BS Computer Science', count: 3 },
+    { value: 'BS Nursing', count: 0 }
+  ],
+  year: [
+    { value: '1', count: 2 },
+    { value: '2', count: 1 }
+  ]
+}
+
+const mountFilters = (modelValue = { q: '', course: [], year: [] }) => mount(StudentFilters, {
+  props: { modelValue, facets }
+})
+
+describe('StudentFilters', () => {
+  it('renders a search box and facet options with counts', () => {
+    const wrapper = mountFilters()
+
+    expect(wrapper.find('input[type="search"]').exists()).toBe(true)
+
+    const options = wrapper.findAll('.facet-option')
+    expect(options.length).toBe(4)
+    expect(options[0].text()).toContain('BS Computer Science')
+    expect(options[0].find('.facet-count').text()).toBe('3')
+    expect(options[1].classes()).toContain('empty')
+    expect(options[2].text()).toContain('Year 1')
+  })
+
+  it('emits the new search text', async () => {
+    const wrapper = mountFilters()
+
+    await wrapper.find('input[type="search"]').setValue('cruz')
+
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual({ q: 'cruz', course: [], year: [] })
+  })
+
+  it('toggles facet values on and off', async () => {
+    const wrapper = mountFilters({ q: '', course: ['BS Nursing'], year: [] })
+    const checkboxes = wrapper.findAll('input[type="checkbox"]')
+
+    // Selected values render checked
+    expect(checkboxes[1].element.checked).toBe(true)
+
+    await checkboxes[0].trigger('change')
+    await checkboxes[1].trigger('change')
+
+    const events = wrapper.emitted('update:modelValue')
+    expect(events[0][0].course).toEqual(['BS Nursing', 'BS Computer Science'])
+    expect(events[1][0].course).toEqual([])
+  })
+
+  it('shows a clear button only while filters are active', async () => {
+    expect(mountFilters().find('.clear-button').exists()).toBe(false)
+
+    const wrapper = mountFilters({ q: 'ana', course: [], year: ['2'] })
+    await wrapper.find('.clear-button').trigger('click')
+
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual({ q: '', course: [], year: [] })
+  })
+})
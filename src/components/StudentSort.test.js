@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import StudentSort from './StudentSort.vue'
+
+describe('StudentSort', () => {
+  it('renders a primary and a secondary sort level', () => {
+    const wrapper = mount(StudentSort, { props: { modelValue: [] } })
+
+    const selects = wrapper.findAll('select')
+    expect(selects.length).toBe(2)
+    expect(selects[0].element.value).toBe('')
+
+    // Secondary level and direction buttons stay disabled until a primary key is chosen
+    expect(selects[1].attributes('disabled')).toBeDefined()
+    expect(wrapper.findAll('.sort-direction').every(button => button.attributes('disabled') !== undefined)).toBe(true)
+  })
+
+  it('emits the chosen sort fields', async () => {
+    const wrapper = mount(StudentSort, { props: { modelValue: [] } })
+
+    await wrapper.findAll('select')[0].setValue('course')
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual([{ field: 'course', direction: 'asc' }])
+
+    await wrapper.setProps({ modelValue: [{ field: 'course', direction: 'asc' }] })
+    await wrapper.findAll('select')[1].setValue('name')
+    expect(wrapper.emitted('update:modelValue')[1][0]).toEqual([
+      { field: 'course', direction: 'asc' },
+      { field: 'name', direction: 'asc' }
+    ])
+  })
+
+  it('reverses the direction of a level', async () => {
+    const wrapper = mount(StudentSort, {
+      props: { modelValue: [{ field: 'course', direction: 'asc' }, { field: 'name', direction: 'asc' }] }
+    })
+
+    await wrapper.findAll('.sort-direction')[1].trigger('click')
+
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual([
+      { field: 'course', direction: 'asc' },
+      { field: 'name', direction: 'desc' }
+    ])
+  })
+
+  it('clearing the primary level clears the secondary too', async () => {
+    const wrapper = mount(StudentSort, {
+      props: { modelValue: [{ field: 'course', direction: 'asc' }, { field: 'name', direction: 'desc' }] }
+    })
+
+    await wrapper.findAll('select')[0].setValue('')
+
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual([])
+  })
+
+  it('disables fields already used by the other level', () => {
+    const wrapper = mount(StudentSort, {
+      props: { modelValue: [{ field: 'course', direction: 'asc' }] }
+    })
+
+    const secondaryCourse = wrapper.findAll('select')[1].find('option[value="course"]')
+    expect(secondaryCourse.attributes('disabled')).toBeDefined()
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import StudentTable from './StudentTable.vue'
+import { DEFAULT_TABLE_LAYOUT, normalizeTableLayout } from '../utils/studentTable.js'
+
+const createMockRouter = () => createRouter({
+  history: createMemoryHistory(),
+  routes: [{ path: '/:pathMatch(.*)*', component: { template: '<div />' } }]
+})
+
+const students = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '+63 917 123 4567', website: '' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria@example.com', phone: '', website: '', validationErrors: { email: { code: 'schoolEmail', field: 'email', domains: '@edu.ph' } } }
+]
+
+const mountTable = (props = {}, slots = {}) => mount(StudentTable, {
+  props: { students, layout: DEFAULT_TABLE_LAYOUT, ...props },
+  slots,
+  global: { plugins: [createMockRouter()] }
+})
+
+describe('StudentTable', () => {
+  it('shows the visible columns in order inside a scrolling container', () => {
+    const layout = normalizeTableLayout({ order: ['name', 'email'], hidden: ['id', 'studentNumber', 'course', 'year', 'website'] })
+    const wrapper = mountTable({ layout })
+
+    expect(wrapper.find('.table-scroll > table').exists()).toBe(true)
+    expect(wrapper.findAll('thead .column-label').map(label => label.text())).toEqual(['Name', 'Email', 'Phone'])
+    expect(wrapper.findAll('tbody tr')[0].findAll('td').map(cell => cell.text()))
+      .toEqual(['José Peña', 'jose.pena@student.edu.ph', '+63 917 123 4567'])
+    expect(wrapper.find('.student-name-link').attributes('href')).toBe('/students/1')
+    expect(wrapper.findAll('col').map(col => col.attributes('style'))).toEqual(['width: 200px;', 'width: 250px;', 'width: 150px;'])
+  })
+
+  it('marks students that need review', () => {
+    const wrapper = mountTable()
+    const rows = wrapper.findAll('tbody tr')
+
+    expect(rows[0].classes()).not.toContain('needs-review')
+    expect(rows[1].classes()).toContain('needs-review')
+    expect(rows[1].find('.review-marker').text()).toContain('Email must use a school domain (@edu.ph)')
+  })
+
+  /**
+   * Unit Test: Reordering
+   *
+   * This test verifies that dropping a column heading on another moves the
+   * column to that position.
+   */
+  it('moves a column dropped on another heading', async () => {
+    const wrapper = mountTable()
+    const headings = wrapper.findAll('thead th')
+
+    await headings[5].find('.column-label').trigger('dragstart')
+    await headings[1].trigger('dragover')
+    expect(headings[1].classes()).toContain('drop-target')
+    await headings[1].trigger('drop')
+
+    expect(wrapper.emitted('update:layout')[0][0].order)
+      .toEqual(['id', 'email', 'studentNumber', 'name', 'course', 'year', 'phone', 'website'])
+    expect(headings[1].classes()).not.toContain('drop-target')
+  })
+
+  it('resizes columns with the keyboard and by dragging the edge', async () => {
+    const wrapper = mountTable()
+    const resizer = wrapper.findAll('.column-resizer')[2]
+    expect(resizer.attributes('aria-valuenow')).toBe('200')
+
+    await resizer.trigger('keydown', { key: 'ArrowRight' })
+    expect(wrapper.emitted('update:layout')[0][0].widths.name).toBe(210)
+
+    // jsdom has no PointerEvent; a MouseEvent carries the same coordinates
+    resizer.element.dispatchEvent(new MouseEvent('pointerdown', { clientX: 100, cancelable: true }))
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: 160 }))
+    await wrapper.vm.$nextTick()
+    expect(resizer.attributes('aria-valuenow')).toBe('260')
+    expect(wrapper.emitted('update:layout')).toHaveLength(1)
+
+    window.dispatchEvent(new MouseEvent('pointerup'))
+    expect(wrapper.emitted('update:layout')[1][0].widths.name).toBe(260)
+  })
+
+  it('renders row actions from a slot', () => {
+    const wrapper = mountTable({}, {
+      actions: ({ student }) => `Edit ${student.id}`
+    })
+
+    expect(wrapper.find('.actions-heading').exists()).toBe(true)
+    expect(wrapper.findAll('.cell-actions').map(cell => cell.text())).toEqual(['Edit 1', 'Edit 2'])
+    expect(mountTable().find('.actions-heading').exists()).toBe(false)
+  })
+})
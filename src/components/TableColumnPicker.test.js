@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import TableColumnPicker from './TableColumnPicker.vue'
+import { DEFAULT_TABLE_LAYOUT, moveColumn } from '../utils/studentTable.js'
+
+describe('TableColumnPicker', () => {
+  it('lists every column in order with its visibility', () => {
+    const wrapper = mount(TableColumnPicker, { props: { layout: moveColumn(DEFAULT_TABLE_LAYOUT, 'email', 0) } })
+
+    expect(wrapper.findAll('.column-option label').map(label => label.text()))
+      .toEqual(['Email', 'Student ID', 'Student number', 'Name', 'Course', 'Year level', 'Phone', 'Website'])
+    expect(wrapper.findAll('input').map(input => input.element.checked)).toEqual([true, true, true, true, true, true, true, false])
+    expect(wrapper.findAll('input')[3].attributes('disabled')).toBeDefined()
+    expect(wrapper.find('.move-up').attributes('disabled')).toBeDefined()
+  })
+
+  /**
+   * Unit Test: Column Changes
+   *
+   * This test verifies that showing, hiding, moving and resetting columns
+   * each emit the updated layout.
+   */
+  it('emits the layout after each change', async () => {
+    const wrapper = mount(TableColumnPicker, { props: { layout: DEFAULT_TABLE_LAYOUT } })
+
+    await wrapper.findAll('input')[7].setValue(true)
+    expect(wrapper.emitted('update:layout')[0][0].hidden).toEqual([])
+
+    await wrapper.find('[aria-label="Move Name left"]').trigger('click')
+    expect(wrapper.emitted('update:layout')[1][0].order.slice(1, 3)).toEqual(['name', 'studentNumber'])
+
+    await wrapper.find('[aria-label="Move Name right"]').trigger('click')
+    expect(wrapper.emitted('update:layout')[2][0].order.slice(2, 4)).toEqual(['course', 'name'])
+
+    await wrapper.find('.reset-columns').trigger('click')
+    expect(wrapper.emitted('update:layout')[3][0]).toEqual(DEFAULT_TABLE_LAYOUT)
+  })
+})
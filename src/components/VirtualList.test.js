@@ -0,0 +1,110 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { nextTick } from 'vue'
+import VirtualList from './VirtualList.vue'
+
+const makeItems = (count) => Array.from({ length: count }, (_, index) => ({ id: index + 1, label: `Item ${index + 1}` }))
+
+const mountList = (items, props = {}) => mount(VirtualList, {
+  props: { items, estimatedItemHeight: 100, gap: 0, overscan: 2, ...props },
+  slots: {
+    default: `<template #default="{ item }"><a :href="'#' + item.id" class="item-link">{{ item.label }}</a></template>`
+  },
+  attachTo: document.body
+})
+
+const renderedLabels = (wrapper) => wrapper.findAll('.item-link').map(link => link.text())
+
+describe('VirtualList', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  it('renders every item when the list is below the threshold', () => {
+    wrapper = mountList(makeItems(20))
+
+    expect(renderedLabels(wrapper).length).toBe(20)
+    expect(wrapper.classes()).not.toContain('virtualized')
+    expect(wrapper.attributes('style')).toBeUndefined()
+  })
+
+  /**
+   * Unit Test: Windowed Rendering
+   * 
+   * This test verifies that long lists render only the items in the viewport
+   * plus the overscan, while the container keeps the full list height.
+   */
+  it('renders only the visible window of a long list', () => {
+    wrapper = mountList(makeItems(20000))
+
+    // jsdom viewport is 768px tall: items 1-8 are visible, plus 2 overscan
+    const labels = renderedLabels(wrapper)
+    expect(labels.length).toBe(10)
+    expect(labels[0]).toBe('Item 1')
+    expect(wrapper.classes()).toContain('virtualized')
+    expect(wrapper.attributes('style')).toContain('height: 2000000px')
+
+    // Screen readers still hear the full list size and each item's position
+    const items = wrapper.findAll('[role="listitem"]')
+    expect(items[0].attributes('aria-setsize')).toBe('20000')
+    expect(items[3].attributes('aria-posinset')).toBe('4')
+  })
+
+  it('moves the window as the page scrolls', async () => {
+    wrapper = mountList(makeItems(20000))
+
+    wrapper.element.getBoundingClientRect = () => ({ top: -500000 })
+    window.dispatchEvent(new Event('scroll'))
+    await nextTick()
+
+    const labels = renderedLabels(wrapper)
+    expect(labels[0]).toBe('Item 4999')
+    expect(labels).toContain('Item 5001')
+    expect(labels).not.toContain('Item 1')
+
+    const first = wrapper.find('[data-index="4998"]')
+    expect(first.attributes('style')).toContain('translateY(499800px)')
+  })
+
+  /**
+   * Unit Test: Keyboard Focus
+   * 
+   * This test verifies that keyboard navigation can reach items that were not
+   * rendered and that the focused item stays rendered after scrolling away.
+   */
+  it('moves focus with the keyboard to items outside the window', async () => {
+    wrapper = mountList(makeItems(20000))
+
+    const firstLink = wrapper.find('.item-link')
+    firstLink.element.focus()
+    await firstLink.trigger('keydown', { key: 'End' })
+    await nextTick()
+
+    expect(document.activeElement.textContent).toBe('Item 20000')
+    expect(renderedLabels(wrapper)).toContain('Item 20000')
+
+    await wrapper.find('[data-index="19999"] .item-link').trigger('keydown', { key: 'ArrowUp' })
+    await nextTick()
+    expect(document.activeElement.textContent).toBe('Item 19999')
+
+    await wrapper.find('[data-index="19998"] .item-link').trigger('keydown', { key: 'Home' })
+    await nextTick()
+    expect(document.activeElement.textContent).toBe('Item 1')
+  })
+
+  it('uses measured heights for item positions', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight')
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', { configurable: true, get: () => 150 })
+
+    try {
+      wrapper = mountList(makeItems(500))
+      await nextTick()
+
+      expect(wrapper.find('[data-index="2"]').attributes('style')).toContain('translateY(300px)')
+    } finally {
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', descriptor)
+    }
+  })
+})
@@ -0,0 +1,48 @@
+import { computed, effectScope, shallowRef } from 'vue'
+import { authService, hasRole, PERMISSIONS } from '../services/authService.js'
+import { setPreferenceUser } from '../services/preferences.js'
+import { resetStudents } from './useStudents.js'
+
+// Created on first use and kept for the lifetime of the app
+let shared = null
+
+/**
+ * Returns the shared sign-in state. Preferences follow the signed-in user,
+ * and the student list and selection loaded for one user are dropped when
+ * they sign out or another user signs in, so the next person at the
+ * computer does not see them; the API service clears its cache and offline
+ * data at the same time, see apiService.clear.
+ * @returns {{
+ *   session: import('vue').ShallowRef<Object|null>,
+ *   user: import('vue').ComputedRef<Object|null>,
+ *   can: (permission: string) => boolean,
+ *   login: (username: string, password: string) => Promise<Object>,
+ *   logout: () => Promise<void>
+ * }} can checks one of the PERMISSIONS in authService.js
+ */
+export function useAuth() {
+  if (!shared) {
+    shared = effectScope(true).run(() => {
+      const session = shallowRef(authService.session())
+      setPreferenceUser(session.value?.user.id ?? null)
+
+      authService.onSessionChange((next) => {
+        const previousUser = session.value?.user.id ?? null
+        session.value = next
+        setPreferenceUser(next?.user.id ?? null)
+        if (previousUser !== (next?.user.id ?? null)) {
+          resetStudents()
+        }
+      })
+
+      return {
+        session,
+        user: computed(() => session.value?.user ?? null),
+        can: (permission) => permission in PERMISSIONS && hasRole(session.value, PERMISSIONS[permission]),
+        login: (username, password) => authService.login(username, password),
+        logout: () => authService.logout()
+      }
+    })
+  }
+  return shared
+}
@@ -0,0 +1,47 @@
+import { effectScope, watchEffect } from 'vue'
+import { usePreference } from './usePreference.js'
+import { detectLocale, isLocale, translate, translateError, translateIssue, formatNumber, formatDate, pageNumberContent } from '../i18n/index.js'
+
+// Created on first use and kept for the lifetime of the app
+let shared = null
+
+/**
+ * Returns the shared language state and translation helpers. The language
+ * is a user preference, starting from the browser's language, and is set
+ * as the lang attribute of <html> and used for the page numbers of printouts.
+ * @returns {{
+ *   locale: import('vue').Ref<string>,
+ *   t: (key: string, params?: Object) => string,
+ *   n: (value: number, options?: Intl.NumberFormatOptions) => string,
+ *   d: (date: Date, options?: Intl.DateTimeFormatOptions) => string,
+ *   errorText: (error: Object|null) => string,
+ *   issueText: (issue: Object|string) => string
+ * }} locale can be set to switch language; see i18n/index.js for the helpers
+ */
+export function useI18n() {
+  if (!shared) {
+    shared = effectScope(true).run(() => {
+      const locale = usePreference('locale', detectLocale(), saved => (isLocale(saved) ? saved : detectLocale()))
+
+      // Holds the page numbers of printed pages (see @page in style.css)
+      const printStyle = typeof document === 'undefined' ? null : document.head.appendChild(document.createElement('style'))
+
+      watchEffect(() => {
+        if (printStyle) {
+          document.documentElement.lang = locale.value
+          printStyle.textContent = `@page { @bottom-right { content: ${pageNumberContent(locale.value)}; } }`
+        }
+      })
+
+      return {
+        locale,
+        t: (key, params) => translate(locale.value, key, params),
+        n: (value, options) => formatNumber(locale.value, value, options),
+        d: (date, options) => formatDate(locale.value, date, options),
+        errorText: (error) => translateError(locale.value, error),
+        issueText: (issue) => translateIssue(locale.value, issue)
+      }
+    })
+  }
+  return shared
+}
@@ -0,0 +1,27 @@
+import { ref, watch, getCurrentScope, onScopeDispose } from 'vue'
+import { readPreference, writePreference, onPreferenceUserChange } from '../services/preferences.js'
+
+/**
+ * Returns a ref holding a saved user preference. Changes to the ref are
+ * saved, and the ref is reloaded when another user signs in.
+ * @param {string} key - Preference name, see services/preferences.js
+ * @param {*} defaultValue - Value until the user picks one
+ * @param {(saved: *) => *} [normalize] - Turns a saved value into a valid one, e.g. after the app changed;
+ *   receives defaultValue when nothing is saved
+ * @returns {import('vue').Ref}
+ */
+export function usePreference(key, defaultValue, normalize = (saved) => saved) {
+  const load = () => normalize(readPreference(key, defaultValue))
+  const value = ref(load())
+
+  watch(value, (current) => writePreference(key, current), { deep: true })
+
+  const stop = onPreferenceUserChange(() => {
+    value.value = load()
+  })
+  if (getCurrentScope()) {
+    onScopeDispose(stop)
+  }
+
+  return value
+}
@@ -0,0 +1,359 @@
+import { ref, reactive, computed, readonly, getCurrentScope, onScopeDispose, toRaw } from 'vue'
+import { apiService } from '../services/apiService.js'
+import { config } from '../config.js'
+import { nextStudentNumber, parseStudentNumber } from '../models/studentNumber.js'
+import { schoolYearOf } from '../utils/studentAnalytics.js'
+
+const sameId = (a, b) => String(a) === String(b)
+
+// Matches a student by ID or, for values shaped like one, by student number
+const matchesKey = (student, key) => {
+  const number = parseStudentNumber(key)?.number
+  return number ? student.studentNumber === number : sameId(student.id, key)
+}
+
+/**
+ * Creates a student store: the student list shared by every view, its
+ * loading and error state, the selected students, and mutations that keep
+ * the list in step with the backend. Views get the shared store through
+ * useStudents rather than calling this directly.
+ * @param {Object} [service] - API service, see createApiService
+ * @param {{campus?: string, sequenceDigits?: number, now?: () => Date}} [options] - Format of the
+ *   student numbers given to new students, see formatStudentNumber, and the clock deciding their entry year
+ * @returns {Object} Student store
+ */
+export function createStudentStore(service = apiService, {
+  campus = config.campusCode,
+  sequenceDigits = config.studentNumberDigits,
+  now = () => new Date()
+} = {}) {
+  const students = ref([])
+  // True while the first load runs; later loads set refreshing instead
+  const loading = ref(false)
+  const refreshing = ref(false)
+  // Error object of a load that failed before any students were shown;
+  // views translate it when they show it, see useI18n().errorText
+  const error = ref(null)
+  const lastUpdated = ref(null)
+  // Connection state and changes waiting to be sent, see apiService.syncStatus;
+  // read when the first view starts using the store
+  const sync = ref({ online: true, savedAt: null, pending: 0, failed: [] })
+  // IDs of selected students, as strings
+  const selection = reactive(new Set())
+
+  // Load in flight, shared by concurrent callers: { promise, controller }
+  let inflight = null
+  // Views using the store; loads are cancelled when the last one goes away
+  let consumers = 0
+  let stopSyncUpdates = null
+
+  const selectedStudents = computed(() => students.value.filter(student => selection.has(String(student.id))))
+
+  const findIndex = (id) => students.value.findIndex(student => sameId(student.id, id))
+
+  const setStudents = (result) => {
+    students.value = result
+    lastUpdated.value = service.lastUpdated('students') ?? new Date()
+
+    // Students that are gone can no longer be selected
+    const ids = new Set(result.map(student => String(student.id)))
+    Array.from(selection).filter(id => !ids.has(id)).forEach(id => selection.delete(id))
+  }
+
+  /**
+   * Loads the student list. Concurrent calls share one request. Cached
+   * students are shown at once and replaced when the background refresh
+   * arrives; once students are shown, a failed reload keeps them.
+   * @param {{force?: boolean}} [options] - force reloads from the backend
+   * @returns {Promise<Array<Object>|{error: boolean, code: string, message: string, cancelled?: boolean}>} The students or the error object
+   */
+  const load = ({ force = false } = {}) => {
+    if (inflight) {
+      return inflight.promise
+    }
+
+    const hasStudents = lastUpdated.value !== null
+    const controller = new AbortController()
+    loading.value = !hasStudents
+    refreshing.value = hasStudents
+    error.value = null
+
+    const promise = service.fetchStudents({ force, onRevalidate: setStudents, signal: controller.signal })
+      .catch(() => ({ error: true, code: 'unexpected', message: 'An unexpected error occurred' }))
+      .then(result => {
+        if (!result.error) {
+          setStudents(result)
+        } else if (!result.cancelled && !hasStudents) {
+          error.value = result
+        }
+        return result
+      })
+      .finally(() => {
+        inflight = null
+        loading.value = false
+        refreshing.value = false
+      })
+
+    inflight = { promise, controller }
+    return promise
+  }
+
+  // Reload once the connection comes back or queued changes have been sent,
+  // unless nothing was loaded yet or a load is already under way
+  const handleSyncStatus = (status) => {
+    const previous = sync.value
+    sync.value = status
+
+    const reconnected = !previous.online && status.online
+    const synced = status.pending < previous.pending
+    if ((reconnected || synced) && lastUpdated.value !== null && !inflight) {
+      load({ force: true })
+    }
+  }
+
+  /**
+   * Returns a student from the loaded list
+   * @param {number|string} id - Student ID or student number
+   * @returns {Object|undefined}
+   */
+  const findStudent = (id) => students.value.find(student => matchesKey(student, id))
+
+  // Puts a fetched or saved student in the list in place of the old copy
+  const replaceStudent = (student) => {
+    const index = findIndex(student.id)
+    if (index !== -1) {
+      students.value = students.value.map((item, position) => (position === index ? student : item))
+    }
+  }
+
+  /**
+   * Fetches one student and refreshes its entry in the list. The backend
+   * knows students by ID, so a student number is looked up in the list first.
+   * @param {number|string} id - Student ID or student number
+   * @param {{force?: boolean, signal?: AbortSignal}} [options] - See apiService.fetchStudent
+   * @returns {Promise<Object>} The student or the error object
+   */
+  const fetchStudent = async (id, options = {}) => {
+    let key = id
+    if (parseStudentNumber(id)) {
+      if (!findStudent(id)) {
+        const loaded = await load()
+        if (loaded.error) {
+          return loaded
+        }
+      }
+      const student = findStudent(id)
+      if (!student) {
+        return { error: true, code: 'notFound', notFound: true, message: 'Student not found' }
+      }
+      key = student.id
+    }
+
+    const result = await service.fetchStudent(key, options)
+    if (!result.error) {
+      replaceStudent(result)
+    }
+    return result
+  }
+
+  /**
+   * Fetches one page of students straight from the backend, for views that
+   * show a page before the whole list has loaded. The list is left as it is.
+   * @param {{page: number, limit: number, signal?: AbortSignal}} options - See apiService.fetchStudentsPage
+   * @returns {Promise<Object>} The page or the error object
+   */
+  const fetchStudentsPage = (options) => service.fetchStudentsPage(options)
+
+  /**
+   * Creates a student and adds it to the loaded list once the backend has
+   * saved it. Unlike edits and deletes, creates are not shown ahead of the
+   * backend: a new student has no ID to link to until the backend assigns
+   * one. A student without a student number is given the next one of this
+   * school year's intake, after the highest in the list, which is loaded
+   * first if need be.
+   * @param {Object} fields - Student fields without an ID
+   * @returns {Promise<Object>} The created student or the error object
+   */
+  const createStudent = async (fields) => {
+    let student = fields
+    if (!fields.studentNumber) {
+      if (lastUpdated.value === null) {
+        const loaded = await load()
+        if (loaded.error) {
+          return loaded
+        }
+      }
+      const numbers = students.value.map(item => item.studentNumber)
+      student = { ...fields, studentNumber: nextStudentNumber(schoolYearOf(now()), numbers, { campus, sequenceDigits }) }
+    }
+
+    const result = await service.createStudent(student)
+    if (!result.error && lastUpdated.value !== null) {
+      students.value = [...students.value, result]
+    }
+    return result
+  }
+
+  // A list entry with fields written over it. Review flags on the changed
+  // fields are cleared, since the form validated them.
+  const editedEntry = (current, fields, changes, partial) => {
+    const { validationErrors, ...previous } = current
+    const remaining = Object.fromEntries(
+      Object.entries(validationErrors ?? {}).filter(([field]) => !(field in changes))
+    )
+    const edited = partial ? { ...previous, ...fields, id: current.id } : { ...fields, id: current.id }
+    return Object.keys(remaining).length > 0 ? { ...edited, validationErrors: remaining } : edited
+  }
+
+  /**
+   * Applies an edit to the student's list entry right away and saves it on
+   * the backend, putting the old entry back if the backend refuses. Once
+   * saved, the entry takes the fields the backend returned.
+   * @param {number|string} id - Student ID
+   * @param {Object} changes - Student fields to save
+   * @param {{partial?: boolean}} [options] - See apiService.updateStudent
+   * @returns {Promise<Object>} The saved fields or the error object
+   */
+  const updateStudent = async (id, changes, options = {}) => {
+    const current = findStudent(id)
+    const edited = current ? editedEntry(current, changes, changes, options.partial) : null
+    if (edited) {
+      replaceStudent(edited)
+    }
+
+    let result
+    try {
+      result = await service.updateStudent(id, changes, options)
+    } catch (err) {
+      result = { error: true, code: 'unexpected', message: 'An unexpected error occurred' }
+    }
+
+    const latest = findStudent(id)
+    if (result.error) {
+      // Unless a reload has replaced the entry in the meantime
+      if (edited && toRaw(latest) === edited) {
+        replaceStudent(current)
+      }
+    } else if (latest) {
+      replaceStudent(editedEntry(latest, result, changes, options.partial))
+    }
+    return result
+  }
+
+  /**
+   * Removes a student from the list right away and deletes it on the
+   * backend, putting it back in its place if the backend refuses
+   * @param {number|string} id - Student ID
+   * @returns {Promise<{deleted: boolean, id: number|string}|{error: boolean, code: string, message: string}>}
+   */
+  const deleteStudent = async (id) => {
+    const index = findIndex(id)
+    const student = students.value[index]
+    if (student) {
+      students.value = students.value.filter((_, position) => position !== index)
+    }
+
+    let result
+    try {
+      result = await service.deleteStudent(id)
+    } catch (err) {
+      result = { error: true, code: 'unexpected', message: 'An unexpected error occurred' }
+    }
+
+    if (result.error && student) {
+      const restored = [...students.value]
+      restored.splice(Math.min(index, restored.length), 0, student)
+      students.value = restored
+    } else if (!result.error) {
+      selection.delete(String(id))
+    }
+    return result
+  }
+
+  const isSelected = (id) => selection.has(String(id))
+
+  const toggleSelected = (id) => {
+    if (isSelected(id)) {
+      selection.delete(String(id))
+    } else {
+      selection.add(String(id))
+    }
+  }
+
+  const clearSelection = () => selection.clear()
+
+  /**
+   * Registers a view using the store. The first one starts listening for
+   * sync status changes.
+   */
+  const retain = () => {
+    consumers++
+    if (consumers === 1) {
+      sync.value = service.syncStatus()
+      stopSyncUpdates = service.onSyncStatusChange(handleSyncStatus)
+    }
+  }
+
+  /**
+   * Unregisters a view. When the last one goes away, sync updates stop and
+   * a load still in flight is cancelled; the loaded students are kept.
+   */
+  const release = () => {
+    consumers = Math.max(0, consumers - 1)
+    if (consumers === 0) {
+      stopSyncUpdates?.()
+      stopSyncUpdates = null
+      inflight?.controller.abort()
+    }
+  }
+
+  return {
+    students: readonly(students),
+    loading: readonly(loading),
+    refreshing: readonly(refreshing),
+    error: readonly(error),
+    lastUpdated: readonly(lastUpdated),
+    sync: readonly(sync),
+    selectedStudents,
+    load,
+    findStudent,
+    fetchStudent,
+    fetchStudentsPage,
+    createStudent,
+    updateStudent,
+    deleteStudent,
+    isSelected,
+    toggleSelected,
+    clearSelection,
+    retain,
+    release
+  }
+}
+
+let sharedStore = null
+
+/**
+ * Returns the student store shared by every view. Called in a component's
+ * setup, it registers the component so loads stop when no view needs them.
+ * @returns {ReturnType<typeof createStudentStore>}
+ */
+export function useStudents() {
+  if (!sharedStore) {
+    sharedStore = createStudentStore()
+  }
+
+  const store = sharedStore
+  if (getCurrentScope()) {
+    store.retain()
+    onScopeDispose(store.release)
+  }
+  return store
+}
+
+/**
+ * Discards the shared store, so the next useStudents call starts empty, for
+ * example after signing out
+ */
+export function resetStudents() {
+  sharedStore = null
+}
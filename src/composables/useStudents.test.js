@@ -0,0 +1,322 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { effectScope } from 'vue'
+import { createStudentStore, useStudents, resetStudents } from './useStudents.js'
+import { apiService } from '../services/apiService.js'
+import { authService } from '../services/authService.js'
+import { useAuth } from './useAuth.js'
+
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+const directory = [
+  { id: 1, name: 'Maria Santos', course: 'BS Nursing', year: '1' },
+  { id: 2, name: 'Juan Dela Cruz', course: 'BS Accountancy', year: '6', validationErrors: { year: 'Year level must be between 1 and 4' } },
+  { id: 3, name: 'Ana Reyes', course: 'BS Architecture', year: '5' }
+]
+
+// API service double with the methods the store calls
+const createService = (overrides = {}) => ({
+  fetchStudents: vi.fn().mockResolvedValue(directory),
+  fetchStudent: vi.fn(),
+  createStudent: vi.fn(),
+  updateStudent: vi.fn(),
+  deleteStudent: vi.fn().mockResolvedValue({ deleted: true }),
+  lastUpdated: vi.fn(() => new Date('2026-10-19T08:30:00')),
+  syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+  onSyncStatusChange: vi.fn(() => () => {}),
+  ...overrides
+})
+
+const names = (students) => students.map(student => student.name)
+
+describe('useStudents', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resetStudents()
+  })
+
+  /**
+   * Unit Test: Shared Loads
+   *
+   * This test verifies that concurrent loads share one request and that the
+   * loaded students, load state and time are kept on the store.
+   */
+  it('shares one request between concurrent loads', async () => {
+    const service = createService()
+    const store = createStudentStore(service)
+
+    const first = store.load()
+    const second = store.load()
+    expect(store.loading.value).toBe(true)
+
+    expect(await first).toBe(await second)
+    expect(service.fetchStudents).toHaveBeenCalledTimes(1)
+    expect(store.loading.value).toBe(false)
+    expect(names(store.students.value)).toEqual(['Maria Santos', 'Juan Dela Cruz', 'Ana Reyes'])
+    expect(store.lastUpdated.value).toEqual(new Date('2026-10-19T08:30:00'))
+
+    await store.load({ force: true })
+    expect(service.fetchStudents).toHaveBeenLastCalledWith(expect.objectContaining({ force: true }))
+  })
+
+  it('reports a failed first load and keeps shown students when a reload fails', async () => {
+    const service = createService()
+    service.fetchStudents.mockResolvedValueOnce({ error: true, message: 'Server error: 500' })
+    const store = createStudentStore(service)
+
+    await store.load()
+    expect(store.error.value).toEqual({ error: true, message: 'Server error: 500' })
+
+    await store.load()
+    service.fetchStudents.mockResolvedValueOnce({ error: true, message: 'Server error: 503' })
+    const result = await store.load({ force: true })
+
+    expect(result).toEqual({ error: true, message: 'Server error: 503' })
+    expect(store.error.value).toBeNull()
+    expect(store.students.value).toHaveLength(3)
+  })
+
+  /**
+   * Unit Test: Mutations
+   *
+   * This test verifies that creates, updates and deletes keep the shared list
+   * in step with the backend, and that a refused delete is rolled back.
+   */
+  it('keeps the list in step with creates, updates and deletes', async () => {
+    const service = createService({
+      createStudent: vi.fn().mockResolvedValue({ id: 4, name: 'Jose Rizal', course: 'BS Nursing', year: '2' }),
+      updateStudent: vi.fn().mockResolvedValue({ id: 2, year: '3' })
+    })
+    const store = createStudentStore(service)
+    await store.load()
+
+    await store.createStudent({ name: 'Jose Rizal', course: 'BS Nursing', year: '2' })
+    await store.updateStudent(2, { year: '3' }, { partial: true })
+
+    expect(names(store.students.value)).toEqual(['Maria Santos', 'Juan Dela Cruz', 'Ana Reyes', 'Jose Rizal'])
+    expect(store.findStudent(2)).toEqual({ id: 2, name: 'Juan Dela Cruz', course: 'BS Accountancy', year: '3' })
+
+    let refuse
+    service.deleteStudent.mockReturnValueOnce(new Promise(resolve => { refuse = resolve }))
+    const deleting = store.deleteStudent(1)
+    expect(names(store.students.value)).toEqual(['Juan Dela Cruz', 'Ana Reyes', 'Jose Rizal'])
+
+    refuse({ error: true, message: 'Server error: 500' })
+    expect(await deleting).toEqual({ error: true, message: 'Server error: 500' })
+    expect(names(store.students.value)).toEqual(['Maria Santos', 'Juan Dela Cruz', 'Ana Reyes', 'Jose Rizal'])
+  })
+
+  /**
+   * Unit Test: Optimistic Edits
+   *
+   * This test verifies that an edit shows in the list while it is saved and
+   * is rolled back if the backend refuses it, unless a reload replaced the
+   * entry in the meantime, while a create reaches the list only once the
+   * backend has saved it.
+   */
+  it('shows edits right away and rolls them back when refused, but waits for creates', async () => {
+    const refused = { error: true, code: 'server', status: 500, message: 'Server error: 500' }
+    let answerCreate
+    let answerUpdate
+    const service = createService({
+      createStudent: vi.fn(() => new Promise(resolve => { answerCreate = resolve })),
+      updateStudent: vi.fn(() => new Promise(resolve => { answerUpdate = resolve }))
+    })
+    const store = createStudentStore(service)
+    await store.load()
+
+    const creating = store.createStudent({ name: 'Jose Rizal', course: 'BS Nursing', year: '2' })
+    const updating = store.updateStudent(2, { year: '3' }, { partial: true })
+    await vi.waitFor(() => expect(service.createStudent).toHaveBeenCalled())
+    expect(names(store.students.value)).toEqual(['Maria Santos', 'Juan Dela Cruz', 'Ana Reyes'])
+    expect(store.findStudent(2)).toEqual({ id: 2, name: 'Juan Dela Cruz', course: 'BS Accountancy', year: '3' })
+
+    answerCreate(refused)
+    answerUpdate(refused)
+    expect(await creating).toEqual(refused)
+    expect(await updating).toEqual(refused)
+
+    expect(names(store.students.value)).toEqual(['Maria Santos', 'Juan Dela Cruz', 'Ana Reyes'])
+    expect(store.findStudent(2)).toEqual(directory[1])
+
+    // A refused edit does not undo a reload that arrived while it was saved
+    const saving = store.updateStudent(3, { year: '4' }, { partial: true })
+    expect(store.findStudent(3).year).toBe('4')
+    service.fetchStudents.mockResolvedValueOnce([...directory.slice(0, 2), { ...directory[2], name: 'Ana Reyes-Cruz' }])
+    await store.load({ force: true })
+    answerUpdate(refused)
+    await saving
+
+    expect(store.findStudent(3)).toEqual({ ...directory[2], name: 'Ana Reyes-Cruz' })
+  })
+
+  it('refreshes a list entry when one student is fetched', async () => {
+    const service = createService({
+      fetchStudent: vi.fn().mockResolvedValue({ ...directory[2], year: '4' })
+    })
+    const store = createStudentStore(service)
+    await store.load()
+
+    await store.fetchStudent(3)
+
+    expect(store.findStudent('3').year).toBe('4')
+  })
+
+  /**
+   * Unit Test: Student Numbers
+   *
+   * This test verifies that new students are given the next number of this
+   * school year's intake, loading the list first if need be, that a number
+   * already given is kept, and that a load error stops the create.
+   */
+  it('gives new students the next student number of the intake', async () => {
+    const service = createService({
+      fetchStudents: vi.fn().mockResolvedValue([
+        { ...directory[0], studentNumber: '2024-00001-MN-2' },
+        { ...directory[1], studentNumber: '2023-00042-MN-7' }
+      ]),
+      createStudent: vi.fn(async fields => ({ id: 4, ...fields }))
+    })
+    const store = createStudentStore(service, { campus: 'MN', sequenceDigits: 5, now: () => new Date(2024, 8, 2) })
+
+    await store.createStudent({ name: 'Jose Rizal' })
+    expect(service.fetchStudents).toHaveBeenCalledTimes(1)
+    expect(service.createStudent).toHaveBeenLastCalledWith({ name: 'Jose Rizal', studentNumber: '2024-00002-MN-0' })
+
+    await store.createStudent({ name: 'Ana Abad' })
+    expect(service.createStudent).toHaveBeenLastCalledWith({ name: 'Ana Abad', studentNumber: '2024-00003-MN-8' })
+
+    await store.createStudent({ name: 'Paolo Garcia', studentNumber: '2022-00003-MN-0' })
+    expect(service.createStudent).toHaveBeenLastCalledWith({ name: 'Paolo Garcia', studentNumber: '2022-00003-MN-0' })
+
+    const offline = createStudentStore(createService({
+      fetchStudents: vi.fn().mockResolvedValue({ error: true, code: 'network', message: 'Network error' })
+    }))
+    expect(await offline.createStudent({ name: 'Jose Rizal' })).toEqual({ error: true, code: 'network', message: 'Network error' })
+  })
+
+  it('finds and fetches students by student number', async () => {
+    const numbered = { ...directory[2], studentNumber: '2023-00042-MN-7' }
+    const service = createService({
+      fetchStudents: vi.fn().mockResolvedValue([directory[0], numbered]),
+      fetchStudent: vi.fn().mockResolvedValue({ ...numbered, year: '4' })
+    })
+    const store = createStudentStore(service)
+
+    expect(await store.fetchStudent(' 2023-00042-mn-7')).toEqual({ ...numbered, year: '4' })
+    expect(service.fetchStudents).toHaveBeenCalledTimes(1)
+    expect(service.fetchStudent).toHaveBeenCalledWith(3, {})
+    expect(store.findStudent('2023-00042-MN-7').year).toBe('4')
+    expect(store.findStudent(1).name).toBe('Maria Santos')
+
+    expect(await store.fetchStudent('2024-00001-MN-2')).toEqual({
+      error: true,
+      code: 'notFound',
+      notFound: true,
+      message: 'Student not found'
+    })
+    expect(service.fetchStudent).toHaveBeenCalledTimes(1)
+  })
+
+  it('tracks selected students and drops ones that are gone', async () => {
+    const service = createService()
+    const store = createStudentStore(service)
+    await store.load()
+
+    store.toggleSelected(1)
+    store.toggleSelected('3')
+    expect(store.isSelected('1')).toBe(true)
+    expect(names(store.selectedStudents.value)).toEqual(['Maria Santos', 'Ana Reyes'])
+
+    await store.deleteStudent(3)
+    expect(names(store.selectedStudents.value)).toEqual(['Maria Santos'])
+
+    service.fetchStudents.mockResolvedValueOnce(directory.slice(1))
+    await store.load({ force: true })
+    expect(store.selectedStudents.value).toEqual([])
+
+    store.toggleSelected(2)
+    store.clearSelection()
+    expect(store.isSelected(2)).toBe(false)
+  })
+
+  /**
+   * Unit Test: Shared Store
+   *
+   * This test verifies that every view gets the same store, that a load is
+   * cancelled once no view uses the store, and that sync status changes
+   * reload the list.
+   */
+  it('is shared between views and cancels loads when the last view goes away', async () => {
+    let notify
+    let signal
+    apiService.fetchStudents.mockImplementation(options => {
+      signal = options.signal
+      return Promise.resolve(directory)
+    })
+    apiService.onSyncStatusChange.mockImplementation(listener => {
+      notify = listener
+      return () => {}
+    })
+
+    const list = effectScope()
+    const detail = effectScope()
+    const store = list.run(() => useStudents())
+    expect(detail.run(() => useStudents())).toBe(store)
+    expect(apiService.onSyncStatusChange).toHaveBeenCalledTimes(1)
+
+    await store.load()
+    notify({ online: false, savedAt: null, pending: 1, failed: [] })
+    notify({ online: true, savedAt: null, pending: 0, failed: [] })
+    // The reload is in flight, so this load waits for it
+    await store.load()
+    expect(apiService.fetchStudents).toHaveBeenCalledTimes(2)
+    expect(store.sync.value.online).toBe(true)
+
+    apiService.fetchStudents.mockImplementation(options => {
+      signal = options.signal
+      return new Promise(() => {})
+    })
+    store.load({ force: true })
+    await Promise.resolve()
+    list.stop()
+    expect(signal.aborted).toBe(false)
+    detail.stop()
+    expect(signal.aborted).toBe(true)
+
+    resetStudents()
+    expect(useStudents()).not.toBe(store)
+  })
+
+  /**
+   * Unit Test: Account Switch
+   *
+   * This test verifies that the shared list and selection of one user are
+   * dropped when another user signs in without signing out first.
+   */
+  it('drops the shared students when another user signs in', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+    await authService.login('admin', 'password')
+    useAuth()
+    const store = useStudents()
+    await store.load()
+    store.toggleSelected(1)
+
+    try {
+      await authService.login('registrar', 'password')
+
+      const next = useStudents()
+      expect(next).not.toBe(store)
+      expect(next.students.value).toEqual([])
+      expect(next.selectedStudents.value).toEqual([])
+    } finally {
+      await authService.logout()
+    }
+  })
+})
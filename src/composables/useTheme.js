@@ -0,0 +1,90 @@
+import { ref, computed, effectScope, watchEffect } from 'vue'
+import { usePreference } from './usePreference.js'
+
+/**
+ * Colour themes
+ *
+ * The theme is a user preference; "system" follows the light or dark
+ * setting of the operating system. The applied theme is set as the
+ * data-theme attribute of <html>, which picks the colour tokens in
+ * style.css. The choice is also kept for the device, outside the per-user
+ * preferences, so the inline script in index.html can apply it before the
+ * app loads and the page never flashes in the wrong theme.
+ */
+
+/**
+ * Theme choices; label is a message key, see i18n/index.js
+ */
+export const THEMES = [
+  { value: 'system', label: 'theme.system' },
+  { value: 'light', label: 'theme.light' },
+  { value: 'dark', label: 'theme.dark' },
+  { value: 'high-contrast', label: 'theme.highContrast' }
+]
+
+/**
+ * localStorage key read by the inline script in index.html
+ */
+export const THEME_STORAGE_KEY = 'student-info-app:theme'
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+
+const isTheme = (value) => THEMES.some(theme => theme.value === value)
+
+/**
+ * Works out the theme to show for a choice
+ * @param {string} choice - One of THEMES
+ * @param {boolean} prefersDark - Whether the system asks for a dark theme
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+export function resolveTheme(choice, prefersDark) {
+  if (!isTheme(choice) || choice === 'system') {
+    return prefersDark ? 'dark' : 'light'
+  }
+  return choice
+}
+
+/**
+ * Shows a theme and remembers the choice for the next page load
+ * @param {string} choice - One of THEMES
+ * @param {boolean} prefersDark - Whether the system asks for a dark theme
+ * @param {HTMLElement} [root] - Element given the data-theme attribute
+ */
+export function applyTheme(choice, prefersDark, root = document.documentElement) {
+  root.dataset.theme = resolveTheme(choice, prefersDark)
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, choice)
+  } catch (error) {
+    // Full or disabled storage: the next load starts from the system theme
+  }
+}
+
+// Created on first use and kept for the lifetime of the app
+let shared = null
+
+/**
+ * Returns the shared theme state and applies it to the page
+ * @returns {{theme: import('vue').Ref<string>, appliedTheme: import('vue').ComputedRef<string>}}
+ *   theme is the user's choice and can be set; appliedTheme is the theme shown
+ */
+export function useTheme() {
+  if (!shared) {
+    shared = effectScope(true).run(() => {
+      const theme = usePreference('theme', 'system', saved => (isTheme(saved) ? saved : 'system'))
+
+      const query = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(DARK_QUERY) : null
+      const prefersDark = ref(query?.matches ?? false)
+      query?.addEventListener('change', (event) => {
+        prefersDark.value = event.matches
+      })
+
+      watchEffect(() => applyTheme(theme.value, prefersDark.value))
+
+      return {
+        theme,
+        appliedTheme: computed(() => resolveTheme(theme.value, prefersDark.value))
+      }
+    })
+  }
+  return shared
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { nextTick } from 'vue'
+import indexHtml from '../../index.html?raw'
+import { THEME_STORAGE_KEY, resolveTheme, applyTheme, useTheme } from './useTheme.js'
+import { readPreference, setPreferenceUser, writePreference } from '../services/preferences.js'
+
+// A matchMedia result whose system setting the test can change
+const createMediaQuery = (matches) => {
+  const listeners = []
+  return {
+    matches,
+    addEventListener: (type, listener) => listeners.push(listener),
+    change(dark) {
+      this.matches = dark
+      listeners.forEach(listener => listener({ matches: dark }))
+    }
+  }
+}
+
+describe('useTheme', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    delete document.documentElement.dataset.theme
+  })
+
+  afterEach(() => {
+    delete window.matchMedia
+  })
+
+  it('resolves the system choice from the colour scheme preference', () => {
+    expect(resolveTheme('system', false)).toBe('light')
+    expect(resolveTheme('system', true)).toBe('dark')
+    expect(resolveTheme('high-contrast', true)).toBe('high-contrast')
+    expect(resolveTheme('sepia', true)).toBe('dark')
+  })
+
+  it('applies a theme and keeps the choice for the next page load', () => {
+    applyTheme('system', true)
+    expect(document.documentElement.dataset.theme).toBe('dark')
+    expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe('system')
+  })
+
+  /**
+   * Unit Test: First Paint
+   *
+   * This test verifies that the inline script in index.html applies the
+   * saved theme, or the system one, before the app is loaded.
+   */
+  it('applies the saved theme from index.html before the app loads', () => {
+    const script = indexHtml.match(/<script>([\s\S]*?)<\/script>/)[1]
+    const run = () => new Function(script)()
+
+    window.matchMedia = vi.fn(() => createMediaQuery(true))
+    run()
+    expect(document.documentElement.dataset.theme).toBe('dark')
+
+    localStorage.setItem(THEME_STORAGE_KEY, 'high-contrast')
+    run()
+    expect(document.documentElement.dataset.theme).toBe('high-contrast')
+
+    localStorage.setItem(THEME_STORAGE_KEY, 'system')
+    window.matchMedia = vi.fn(() => createMediaQuery(false))
+    run()
+    expect(document.documentElement.dataset.theme).toBe('light')
+  })
+
+  it('follows the system setting until a theme is chosen, and saves the choice per user', async () => {
+    const media = createMediaQuery(false)
+    window.matchMedia = vi.fn(() => media)
+    writePreference('theme', 'sepia')
+
+    const { theme, appliedTheme } = useTheme()
+    expect(theme.value).toBe('system')
+    expect(document.documentElement.dataset.theme).toBe('light')
+
+    media.change(true)
+    await nextTick()
+    expect(appliedTheme.value).toBe('dark')
+    expect(document.documentElement.dataset.theme).toBe('dark')
+
+    theme.value = 'high-contrast'
+    await nextTick()
+    expect(document.documentElement.dataset.theme).toBe('high-contrast')
+    expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe('high-contrast')
+    expect(readPreference('theme')).toBe('high-contrast')
+
+    // Another user gets their own choice
+    setPreferenceUser('registrar')
+    await nextTick()
+    expect(theme.value).toBe('system')
+    expect(document.documentElement.dataset.theme).toBe('dark')
+    setPreferenceUser(null)
+  })
+})
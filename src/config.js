@@ -0,0 +1,69 @@
+/**
+ * Application configuration
+ *
+ * Read from Vite env variables (see .env.example) so each environment can
+ * point the app at its own backend without code changes.
+ */
+
+/**
+ * Data sources the API service can read students from
+ */
+export const DATA_SOURCES = ['rest', 'local', 'memory']
+
+/**
+ * Auth providers users can sign in through: the school's identity service
+ * or the demo accounts of the mock provider
+ */
+export const AUTH_PROVIDERS = ['rest', 'mock']
+
+const DEFAULTS = {
+  dataSource: 'rest',
+  apiBaseUrl: 'https://jsonplaceholder.typicode.com',
+  studentsPath: '/users',
+  apiTimeout: 10000,
+  apiRetries: 3,
+  sessionMinutes: 60,
+  schoolName: 'Student Info App',
+  campusCode: 'MN',
+  studentNumberDigits: 5
+}
+
+/**
+ * Builds the configuration from Vite env variables, falling back to defaults
+ * for anything unset or invalid
+ * @param {Object<string, string>} env - Env variables, normally import.meta.env
+ * @returns {{dataSource: string, apiBaseUrl: string, studentsPath: string, apiTimeout: number, apiRetries: number, sessionMinutes: number, authProvider: string, schoolName: string, campusCode: string, studentNumberDigits: number}}
+ */
+export function loadConfig(env = {}) {
+  const dataSource = String(env.VITE_DATA_SOURCE || '').trim().toLowerCase()
+  const timeout = Number.parseInt(env.VITE_API_TIMEOUT, 10)
+  const retries = Number.parseInt(env.VITE_API_RETRIES, 10)
+  const sessionMinutes = Number.parseInt(env.VITE_SESSION_MINUTES, 10)
+  const authProvider = String(env.VITE_AUTH_PROVIDER || '').trim().toLowerCase()
+  const campusCode = String(env.VITE_CAMPUS_CODE || '').trim().toUpperCase()
+  const studentNumberDigits = Number.parseInt(env.VITE_STUDENT_NUMBER_DIGITS, 10)
+
+  return {
+    dataSource: DATA_SOURCES.includes(dataSource) ? dataSource : DEFAULTS.dataSource,
+    // Trailing slashes are dropped so paths can always start with one
+    apiBaseUrl: String(env.VITE_API_BASE_URL || DEFAULTS.apiBaseUrl).trim().replace(/\/+$/, ''),
+    studentsPath: `/${String(env.VITE_API_STUDENTS_PATH || DEFAULTS.studentsPath).trim().replace(/^\/+|\/+$/g, '')}`,
+    apiTimeout: timeout > 0 ? timeout : DEFAULTS.apiTimeout,
+    // 0 turns retries off
+    apiRetries: retries >= 0 ? retries : DEFAULTS.apiRetries,
+    // How long a sign-in lasts before the user must sign in again
+    sessionMinutes: sessionMinutes > 0 ? sessionMinutes : DEFAULTS.sessionMinutes,
+    // The demo accounts of the mock provider are only offered by default in development
+    authProvider: AUTH_PROVIDERS.includes(authProvider) ? authProvider : (env.PROD ? 'rest' : 'mock'),
+    // Printed at the top of rosters and profiles
+    schoolName: String(env.VITE_SCHOOL_NAME || '').trim() || DEFAULTS.schoolName,
+    // Campus code and sequence length of new student numbers, e.g. 2024-00123-MN-4
+    campusCode: /^[A-Z]{1,4}$/.test(campusCode) ? campusCode : DEFAULTS.campusCode,
+    studentNumberDigits: studentNumberDigits >= 3 && studentNumberDigits <= 8 ? studentNumberDigits : DEFAULTS.studentNumberDigits
+  }
+}
+
+/**
+ * Configuration for the current build
+ */
+export const config = loadConfig(import.meta.env)
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { loadConfig } from './config.js'
+
+describe('loadConfig', () => {
+  it('defaults to the JSONPlaceholder REST backend', () => {
+    expect(loadConfig({})).toEqual({
+      dataSource: 'rest',
+      apiBaseUrl: 'https://jsonplaceholder.typicode.com',
+      studentsPath: '/users',
+      apiTimeout: 10000,
+      apiRetries: 3,
+      sessionMinutes: 60,
+      authProvider: 'mock',
+      schoolName: 'Student Info App',
+      campusCode: 'MN',
+      studentNumberDigits: 5
+    })
+  })
+
+  /**
+   * Unit Test: Env Configuration
+   *
+   * This test verifies that VITE_ env variables select the data source,
+   * backend URL, students path, timeout, retries, session length, auth provider, school name and student number format, and that
+   * paths are normalized.
+   */
+  it('reads the backend settings from VITE_ env variables', () => {
+    expect(loadConfig({
+      VITE_DATA_SOURCE: 'Local',
+      VITE_API_BASE_URL: 'https://sis.school.edu.ph/api/',
+      VITE_API_STUDENTS_PATH: 'v1/students/',
+      VITE_API_TIMEOUT: '5000',
+      VITE_API_RETRIES: '0',
+      VITE_SESSION_MINUTES: '15',
+      VITE_AUTH_PROVIDER: 'REST',
+      VITE_SCHOOL_NAME: ' Pamantasan ng Lungsod ng Maynila ',
+      VITE_CAMPUS_CODE: 'qc',
+      VITE_STUDENT_NUMBER_DIGITS: '6'
+    })).toEqual({
+      dataSource: 'local',
+      apiBaseUrl: 'https://sis.school.edu.ph/api',
+      studentsPath: '/v1/students',
+      apiTimeout: 5000,
+      apiRetries: 0,
+      sessionMinutes: 15,
+      authProvider: 'rest',
+      schoolName: 'Pamantasan ng Lungsod ng Maynila',
+      campusCode: 'QC',
+      studentNumberDigits: 6
+    })
+  })
+
+  it('falls back to defaults for invalid values', () => {
+    const config = loadConfig({ VITE_DATA_SOURCE: 'graphql', VITE_API_TIMEOUT: 'soon', VITE_API_RETRIES: '-1', VITE_SESSION_MINUTES: '0', VITE_AUTH_PROVIDER: 'ldap', VITE_CAMPUS_CODE: 'Main 1', VITE_STUDENT_NUMBER_DIGITS: '12' })
+
+    expect(config.dataSource).toBe('rest')
+    expect(config.apiTimeout).toBe(10000)
+    expect(config.apiRetries).toBe(3)
+    expect(config.sessionMinutes).toBe(60)
+    expect(config.authProvider).toBe('mock')
+    expect(config.campusCode).toBe('MN')
+    expect(config.studentNumberDigits).toBe(5)
+  })
+
+  it('signs in through the identity service in production builds unless the mock provider is chosen', () => {
+    expect(loadConfig({ PROD: true }).authProvider).toBe('rest')
+    expect(loadConfig({ PROD: true, VITE_AUTH_PROVIDER: 'ldap' }).authProvider).toBe('rest')
+    expect(loadConfig({ PROD: true, VITE_AUTH_PROVIDER: 'mock' }).authProvider).toBe('mock')
+  })
+})
@@ -0,0 +1,36 @@
+/**
+ * Philippine courses offered to students. The title is what a student's
+ * `course` holds; the code names the course in addresses such as /courses/BSCS.
+ * @type {Array<{code: string, title: string, college: string, years: number}>}
+ */
+export const COURSE_CATALOG = [
+  { code: 'BSCS', title: 'BS Computer Science', college: 'College of Computer Studies', years: 4 },
+  { code: 'BSIT', title: 'BS Information Technology', college: 'College of Computer Studies', years: 4 },
+  { code: 'BSBA', title: 'BS Business Administration', college: 'College of Business and Accountancy', years: 4 },
+  { code: 'BSA', title: 'BS Accountancy', college: 'College of Business and Accountancy', years: 4 },
+  { code: 'BSN', title: 'BS Nursing', college: 'College of Nursing', years: 4 },
+  { code: 'BSPSY', title: 'BS Psychology', college: 'College of Arts and Sciences', years: 4 },
+  { code: 'BSCE', title: 'BS Civil Engineering', college: 'College of Engineering and Architecture', years: 5 },
+  { code: 'BSEE', title: 'BS Electrical Engineering', college: 'College of Engineering and Architecture', years: 5 },
+  { code: 'BSARCH', title: 'BS Architecture', college: 'College of Engineering and Architecture', years: 5 },
+  { code: 'ABCOMM', title: 'AB Communication', college: 'College of Arts and Sciences', years: 4 }
+]
+
+/**
+ * Philippine course names offered to students
+ */
+export const COURSES = COURSE_CATALOG.map(course => course.title)
+
+/**
+ * Courses that take five years to complete instead of four
+ */
+export const FIVE_YEAR_COURSES = COURSE_CATALOG.filter(course => course.years === 5).map(course => course.title)
+
+/**
+ * Returns the number of year levels in a course
+ * @param {string} course - Course name
+ * @returns {number} The course's years; 4 for courses not in the catalog
+ */
+export function courseYears(course) {
+  return COURSE_CATALOG.find(entry => entry.title === course)?.years ?? 4
+}
@@ -0,0 +1,328 @@
+/**
+ * English messages; the fallback for every other locale
+ */
+export default {
+  app: {
+    title: 'Student Info App'
+  },
+  nav: {
+    home: 'Home',
+    students: 'Students',
+    courses: 'Courses'
+  },
+  titles: {
+    home: 'Home',
+    login: 'Sign in',
+    students: 'Students',
+    studentCreate: 'Add Student',
+    studentImport: 'Import Students',
+    studentRoster: 'Class Roster',
+    studentDetail: 'Student Profile',
+    studentEdit: 'Edit Student',
+    courses: 'Courses',
+    courseDetail: 'Course',
+    notFound: 'Page not found'
+  },
+  route: {
+    loading: 'Loading page...',
+    loadFailed: 'This page could not be loaded. Check your connection and try again.',
+    retry: 'Try again'
+  },
+  notFound: {
+    title: 'Page not found',
+    text: 'There is no page at {path}. It may have moved, or the address may be mistyped.',
+    home: 'Go to Home',
+    students: 'Go to Students'
+  },
+  theme: {
+    label: 'Theme',
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+    highContrast: 'High contrast'
+  },
+  language: {
+    label: 'Language'
+  },
+  auth: {
+    title: 'Sign in',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Sign in',
+    signingIn: 'Signing in...',
+    signOut: 'Sign out',
+    signedInAs: 'Signed in as {name}',
+    expired: 'Your session has expired. Please sign in again.',
+    unauthorized: 'Your session is no longer valid. Please sign in again.',
+    denied: 'Your account cannot open that page. Sign in with an account that can.',
+    roles: {
+      admin: 'Administrator',
+      registrar: 'Registrar',
+      faculty: 'Faculty',
+      viewer: 'Viewer'
+    }
+  },
+  fields: {
+    id: 'Student ID',
+    studentNumber: 'Student number',
+    name: 'Name',
+    course: 'Course',
+    year: 'Year level',
+    email: 'Email',
+    phone: 'Phone',
+    website: 'Website'
+  },
+  common: {
+    year: 'Year {year}',
+    yearLevel: 'Year Level',
+    edit: 'Edit',
+    delete: 'Delete',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    select: 'Select',
+    print: 'Print',
+    downloadPdf: 'Download PDF',
+    needsReview: 'Needs review',
+    backToStudents: 'Back to Students',
+    loadingStudents: 'Loading students...',
+    loadingStudent: 'Loading student...',
+    deleteTitle: 'Delete student?',
+    deleteMessage: '{name} will be permanently removed from the directory.'
+  },
+  home: {
+    title: 'Enrollment Dashboard',
+    welcome: 'Welcome to the Student Info App!',
+    signInPrompt: 'Sign in to see enrollment figures.',
+    signIn: 'Sign in',
+    summary: 'Enrollment summary',
+    totalStudents: 'Total students',
+    courses: 'Courses',
+    newStudents: 'New this school year',
+    needsReview: 'Records needing review',
+    changeFromLastYear: '{change} from last year',
+    byCourse: 'Students per course',
+    byYear: 'Students per year level',
+    byEntryYear: 'Students by entry year',
+    entryYearNote: 'Worked out from each student\'s year level in {schoolYear}.',
+    schoolYear: 'SY {start}–{end}',
+    studentCount: {
+      one: '{label}: {count} student',
+      other: '{label}: {count} students'
+    },
+    empty: 'No students yet.'
+  },
+  students: {
+    title: 'Students Directory',
+    found: {
+      one: '{count} student found',
+      other: '{count} students found'
+    },
+    lastUpdated: 'Last updated',
+    refresh: 'Refresh',
+    refreshing: 'Refreshing...',
+    importCsv: 'Import CSV',
+    add: '+ Add Student',
+    offline: 'You are offline.',
+    savedAt: 'Showing students saved {date}; they may be out of date.',
+    pending: {
+      one: '{count} change is waiting to be sent.',
+      other: '{count} changes are waiting to be sent.'
+    },
+    failedWrites: 'Some changes made offline could not be saved:',
+    selected: {
+      one: '{count} student selected',
+      other: '{count} students selected'
+    },
+    clearSelection: 'Clear selection',
+    selectStudent: 'Select {name}',
+    deleteFailed: 'Could not delete {name}: {reason}',
+    refreshFailed: 'Could not refresh students: {reason}',
+    view: 'View',
+    cards: 'Cards',
+    table: 'Table',
+    empty: 'No students found'
+  },
+  filters: {
+    label: 'Filter students',
+    search: 'Search students',
+    placeholder: 'Search by name, student number, email or phone',
+    clear: 'Clear filters'
+  },
+  sort: {
+    sortBy: 'Sort by',
+    thenBy: 'then by',
+    defaultOrder: 'Default order',
+    none: 'None',
+    surname: 'Surname',
+    ascending: 'Ascending, click to reverse',
+    descending: 'Descending, click to reverse'
+  },
+  pagination: {
+    label: 'Pagination',
+    range: 'Showing {start}–{end} of {total}',
+    previous: 'Previous page',
+    next: 'Next page',
+    page: 'Page {page}',
+    perPage: 'Per page',
+    all: 'All'
+  },
+  export: {
+    label: 'Export',
+    columns: 'Columns',
+    rows: {
+      one: '{count} row',
+      other: '{count} rows'
+    },
+    columnCount: {
+      one: '{count} column',
+      other: '{count} columns'
+    },
+    csv: 'Download CSV',
+    excel: 'Download Excel'
+  },
+  table: {
+    columns: 'Columns',
+    actions: 'Actions',
+    dragColumn: 'Drag to move the {column} column',
+    resizeColumn: 'Resize {column} column',
+    moveLeft: 'Move {column} left',
+    moveRight: 'Move {column} right',
+    reset: 'Reset columns',
+    needsReview: 'Needs review: {issues}'
+  },
+  detail: {
+    notFoundTitle: 'Student not found',
+    notFoundText: 'No student matches ID "{id}". The record may have been removed or the link is incorrect.',
+    deletedTitle: 'Student deleted',
+    deletedText: '{name} has been removed from the directory.',
+    profileTitle: 'Student Profile',
+    reviewNotice: 'This record needs review:',
+    deleteFailed: 'Could not delete student: {reason}'
+  },
+  courses: {
+    title: 'Courses',
+    intro: 'Courses offered and the students enrolled in each.',
+    code: 'Code',
+    course: 'Course',
+    college: 'College',
+    years: 'Years',
+    students: 'Students',
+    yearCount: {
+      one: '{count} year',
+      other: '{count} years'
+    },
+    studentCount: {
+      one: '{count} student',
+      other: '{count} students'
+    },
+    backToCourses: 'Back to Courses',
+    perYear: 'Students per year level',
+    viewInList: 'Open in the student list',
+    noStudents: 'No students at this year level.',
+    extraLevel: 'Not a year level of this course',
+    notFoundTitle: 'Course not found',
+    notFoundText: 'No course has the code "{code}". Check the link or choose a course from the list.'
+  },
+  form: {
+    backToStudent: 'Back to Student',
+    addTitle: 'Add Student',
+    editTitle: 'Edit Student',
+    fullName: 'Full Name',
+    selectCourse: 'Select a course',
+    saving: 'Saving...',
+    save: 'Save Changes',
+    add: 'Add Student'
+  },
+  import: {
+    title: 'Import Students',
+    subtitle: 'Upload a CSV file with a heading row. Students that already exist are matched by Student ID, student number or email.',
+    finished: 'Import finished',
+    created: '{count} created',
+    updated: '{count} updated',
+    skipped: '{count} skipped',
+    invalid: '{count} not imported because of errors',
+    failed: {
+      one: '{count} row could not be saved:',
+      other: '{count} rows could not be saved:'
+    },
+    failedRow: 'Row {row}: {reason}',
+    another: 'Import another file',
+    viewStudents: 'View students',
+    file: 'CSV file',
+    noRows: '{file} has no student rows below the heading row',
+    unreadable: 'Could not read {file}',
+    columns: 'Columns',
+    column: 'Column in file',
+    firstValue: 'First value',
+    field: 'Student field',
+    fieldFor: 'Field for column {column}',
+    skipColumn: 'Do not import',
+    noMatchColumn: 'Map a Student ID, Student number or Email column to find students that already exist; otherwise every row is added as a new student.',
+    preview: 'Preview',
+    previewCounts: '{create} new, {update} to update, {unchanged} unchanged, {invalid} with errors',
+    conflicts: 'When a student already exists',
+    updateExisting: 'Update the existing student',
+    keepExisting: 'Keep the existing student',
+    row: 'Row',
+    status: 'Status',
+    newStudent: 'New student',
+    unchanged: 'Matches {name}, no changes',
+    changes: 'Matches {name}; changes {fields}',
+    actionFor: 'Action for row {row}',
+    update: 'Update',
+    skip: 'Skip',
+    progress: 'Importing {done} of {total}...',
+    submit: {
+      one: 'Import {count} student',
+      other: 'Import {count} students'
+    }
+  },
+  roster: {
+    title: 'Class Roster',
+    number: 'No.',
+    count: {
+      one: '{count} student',
+      other: '{count} students'
+    },
+    empty: 'No students match these filters.',
+    allStudents: 'All students',
+    searchFilter: 'Search: “{q}”',
+    yearColumn: 'Year'
+  },
+  print: {
+    generated: 'Generated',
+    pageOf: 'Page {page} of {pages}'
+  },
+  validation: {
+    required: '{field} is required',
+    tooLong: '{field} must be at most {max} characters',
+    unknownCourse: '{field} must be one of the offered courses',
+    yearRange: '{field} must be from 1 to {max}',
+    invalidEmail: '{field} must be a valid email address',
+    schoolEmail: '{field} must use a school domain ({domains})',
+    invalidPhone: '{field} must be a Philippine mobile or landline number (e.g. 0917 123 4567 or (02) 8123 4567)',
+    studentNumberFormat: '{field} must look like 2024-00123-MN-4',
+    checkDigit: '{field} has a wrong check digit',
+    invalidWebsite: '{field} must be a valid web address',
+    matchConflict: '{field} {value} belongs to {name}, but {otherField} {otherValue} belongs to {otherName}',
+    duplicateRow: 'Same student as row {row}'
+  },
+  errors: {
+    timeout: 'Request timeout - please try again',
+    server: 'Server error: {status}',
+    network: 'Network error - please check your connection',
+    cancelled: 'Request cancelled',
+    notFound: 'Student not found',
+    invalidRecord: 'Invalid student record',
+    fetchStudentsFailed: 'Failed to fetch students',
+    fetchStudentFailed: 'Failed to fetch student',
+    createFailed: 'Failed to create student',
+    updateFailed: 'Failed to update student',
+    deleteFailed: 'Failed to delete student',
+    courseNotFound: 'Course not found',
+    unexpected: 'An unexpected error occurred',
+    invalidCredentials: 'Incorrect username or password',
+    loginFailed: 'Could not sign in - please try again',
+    credentialsRequired: 'Enter your username and password.'
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * Filipino messages. Nouns do not change with the count in Filipino, so
+ * counted messages only need the "other" form.
+ */
+export default {
+  app: {
+    title: 'Student Info App'
+  },
+  nav: {
+    home: 'Tahanan',
+    students: 'Mga Estudyante',
+    courses: 'Mga Kurso'
+  },
+  titles: {
+    home: 'Tahanan',
+    login: 'Mag-sign in',
+    students: 'Mga Estudyante',
+    studentCreate: 'Magdagdag ng Estudyante',
+    studentImport: 'Mag-import ng mga Estudyante',
+    studentRoster: 'Listahan ng Klase',
+    studentDetail: 'Profile ng Estudyante',
+    studentEdit: 'I-edit ang Estudyante',
+    courses: 'Mga Kurso',
+    courseDetail: 'Kurso',
+    notFound: 'Hindi nahanap ang pahina'
+  },
+  route: {
+    loading: 'Kinukuha ang pahina...',
+    loadFailed: 'Hindi makuha ang pahinang ito. Tingnan ang iyong koneksyon at subukang muli.',
+    retry: 'Subukang muli'
+  },
+  notFound: {
+    title: 'Hindi nahanap ang pahina',
+    text: 'Walang pahina sa {path}. Maaaring inilipat na ito o mali ang pagkaka-type ng address.',
+    home: 'Pumunta sa Tahanan',
+    students: 'Pumunta sa Mga Estudyante'
+  },
+  theme: {
+    label: 'Tema',
+    system: 'Sistema',
+    light: 'Maliwanag',
+    dark: 'Madilim',
+    highContrast: 'Mataas na contrast'
+  },
+  language: {
+    label: 'Wika'
+  },
+  auth: {
+    title: 'Mag-sign in',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Mag-sign in',
+    signingIn: 'Nagsa-sign in...',
+    signOut: 'Mag-sign out',
+    signedInAs: 'Naka-sign in bilang {name}',
+    expired: 'Nag-expire na ang iyong session. Pakisign in muli.',
+    unauthorized: 'Hindi na tinatanggap ang iyong session. Pakisign in muli.',
+    denied: 'Hindi mabubuksan ng iyong account ang pahinang iyon. Mag-sign in gamit ang account na may pahintulot.',
+    roles: {
+      admin: 'Administrator',
+      registrar: 'Registrar',
+      faculty: 'Guro',
+      viewer: 'Tagatingin'
+    }
+  },
+  fields: {
+    id: 'Student ID',
+    studentNumber: 'Student number',
+    name: 'Pangalan',
+    course: 'Kurso',
+    year: 'Antas ng taon',
+    email: 'Email',
+    phone: 'Telepono',
+    website: 'Website'
+  },
+  common: {
+    year: 'Taon {year}',
+    yearLevel: 'Antas ng Taon',
+    edit: 'I-edit',
+    delete: 'Burahin',
+    cancel: 'Kanselahin',
+    confirm: 'Kumpirmahin',
+    select: 'Piliin',
+    print: 'I-print',
+    downloadPdf: 'I-download ang PDF',
+    needsReview: 'Kailangang suriin',
+    backToStudents: 'Bumalik sa mga Estudyante',
+    loadingStudents: 'Kinukuha ang mga estudyante...',
+    loadingStudent: 'Kinukuha ang estudyante...',
+    deleteTitle: 'Burahin ang estudyante?',
+    deleteMessage: 'Permanenteng aalisin si {name} sa direktoryo.'
+  },
+  home: {
+    title: 'Dashboard ng Enrollment',
+    welcome: 'Maligayang pagdating sa Student Info App!',
+    signInPrompt: 'Mag-sign in para makita ang mga bilang ng enrollment.',
+    signIn: 'Mag-sign in',
+    summary: 'Buod ng enrollment',
+    totalStudents: 'Kabuuang estudyante',
+    courses: 'Mga kurso',
+    newStudents: 'Bago ngayong taong-aralan',
+    needsReview: 'Mga rekord na kailangang suriin',
+    changeFromLastYear: '{change} mula noong nakaraang taon',
+    byCourse: 'Mga estudyante bawat kurso',
+    byYear: 'Mga estudyante bawat antas ng taon',
+    byEntryYear: 'Mga estudyante ayon sa taon ng pagpasok',
+    entryYearNote: 'Batay sa antas ng taon ng bawat estudyante sa {schoolYear}.',
+    schoolYear: 'SY {start}–{end}',
+    studentCount: {
+      other: '{label}: {count} estudyante'
+    },
+    empty: 'Wala pang estudyante.'
+  },
+  students: {
+    title: 'Direktoryo ng mga Estudyante',
+    found: {
+      other: '{count} estudyante ang nahanap'
+    },
+    lastUpdated: 'Huling na-update',
+    refresh: 'I-refresh',
+    refreshing: 'Nire-refresh...',
+    importCsv: 'Mag-import ng CSV',
+    add: '+ Magdagdag ng Estudyante',
+    offline: 'Offline ka.',
+    savedAt: 'Ipinapakita ang mga estudyanteng na-save noong {date}; maaaring luma na ang mga ito.',
+    pending: {
+      other: '{count} pagbabago ang naghihintay na maipadala.'
+    },
+    failedWrites: 'Hindi na-save ang ilang pagbabagong ginawa habang offline:',
+    selected: {
+      other: '{count} estudyante ang napili'
+    },
+    clearSelection: 'Alisin ang pagpili',
+    selectStudent: 'Piliin si {name}',
+    deleteFailed: 'Hindi mabura si {name}: {reason}',
+    refreshFailed: 'Hindi ma-refresh ang mga estudyante: {reason}',
+    view: 'Ayos ng listahan',
+    cards: 'Mga card',
+    table: 'Talahanayan',
+    empty: 'Walang nahanap na estudyante'
+  },
+  filters: {
+    label: 'Salain ang mga estudyante',
+    search: 'Maghanap ng estudyante',
+    placeholder: 'Maghanap ayon sa pangalan, student number, email o telepono',
+    clear: 'Alisin ang mga filter'
+  },
+  sort: {
+    sortBy: 'Ayusin ayon sa',
+    thenBy: 'saka ayon sa',
+    defaultOrder: 'Karaniwang ayos',
+    none: 'Wala',
+    surname: 'Apelyido',
+    ascending: 'Pataas, i-click para baligtarin',
+    descending: 'Pababa, i-click para baligtarin'
+  },
+  pagination: {
+    label: 'Mga pahina',
+    range: 'Ipinapakita ang {start}–{end} sa {total}',
+    previous: 'Nakaraang pahina',
+    next: 'Susunod na pahina',
+    page: 'Pahina {page}',
+    perPage: 'Bawat pahina',
+    all: 'Lahat'
+  },
+  export: {
+    label: 'I-export',
+    columns: 'Mga hanay',
+    rows: {
+      other: '{count} hilera'
+    },
+    columnCount: {
+      other: '{count} hanay'
+    },
+    csv: 'I-download ang CSV',
+    excel: 'I-download ang Excel'
+  },
+  table: {
+    columns: 'Mga hanay',
+    actions: 'Mga aksyon',
+    dragColumn: 'I-drag para ilipat ang hanay na {column}',
+    resizeColumn: 'Baguhin ang lapad ng hanay na {column}',
+    moveLeft: 'Ilipat pakaliwa ang {column}',
+    moveRight: 'Ilipat pakanan ang {column}',
+    reset: 'Ibalik ang mga hanay',
+    needsReview: 'Kailangang suriin: {issues}'
+  },
+  detail: {
+    notFoundTitle: 'Hindi nahanap ang estudyante',
+    notFoundText: 'Walang estudyanteng may ID na "{id}". Maaaring inalis na ang rekord o mali ang link.',
+    deletedTitle: 'Nabura ang estudyante',
+    deletedText: 'Inalis na si {name} sa direktoryo.',
+    profileTitle: 'Profile ng Estudyante',
+    reviewNotice: 'Kailangang suriin ang rekord na ito:',
+    deleteFailed: 'Hindi mabura ang estudyante: {reason}'
+  },
+  courses: {
+    title: 'Mga Kurso',
+    intro: 'Ang mga kursong iniaalok at ang mga estudyanteng naka-enroll sa bawat isa.',
+    code: 'Code',
+    course: 'Kurso',
+    college: 'Kolehiyo',
+    years: 'Mga Taon',
+    students: 'Mga Estudyante',
+    yearCount: {
+      other: '{count} taon'
+    },
+    studentCount: {
+      other: '{count} estudyante'
+    },
+    backToCourses: 'Bumalik sa mga Kurso',
+    perYear: 'Mga estudyante bawat antas ng taon',
+    viewInList: 'Buksan sa listahan ng mga estudyante',
+    noStudents: 'Walang estudyante sa antas na ito.',
+    extraLevel: 'Hindi antas ng taon ng kursong ito',
+    notFoundTitle: 'Hindi nahanap ang kurso',
+    notFoundText: 'Walang kursong may code na "{code}". Tingnan ang link o pumili ng kurso sa listahan.'
+  },
+  form: {
+    backToStudent: 'Bumalik sa Estudyante',
+    addTitle: 'Magdagdag ng Estudyante',
+    editTitle: 'I-edit ang Estudyante',
+    fullName: 'Buong Pangalan',
+    selectCourse: 'Pumili ng kurso',
+    saving: 'Sine-save...',
+    save: 'I-save ang mga Pagbabago',
+    add: 'Idagdag ang Estudyante'
+  },
+  import: {
+    title: 'Mag-import ng mga Estudyante',
+    subtitle: 'Mag-upload ng CSV file na may hilera ng heading. Ang mga estudyanteng nasa direktoryo na ay itinutugma ayon sa Student ID, student number o email.',
+    finished: 'Tapos na ang pag-import',
+    created: '{count} ang naidagdag',
+    updated: '{count} ang na-update',
+    skipped: '{count} ang nilaktawan',
+    invalid: '{count} ang hindi na-import dahil sa mga error',
+    failed: {
+      other: '{count} hilera ang hindi ma-save:'
+    },
+    failedRow: 'Hilera {row}: {reason}',
+    another: 'Mag-import ng ibang file',
+    viewStudents: 'Tingnan ang mga estudyante',
+    file: 'CSV file',
+    noRows: 'Walang hilera ng estudyante sa ilalim ng heading ang {file}',
+    unreadable: 'Hindi mabasa ang {file}',
+    columns: 'Mga Hanay',
+    column: 'Hanay sa file',
+    firstValue: 'Unang halaga',
+    field: 'Field ng estudyante',
+    fieldFor: 'Field para sa hanay na {column}',
+    skipColumn: 'Huwag i-import',
+    noMatchColumn: 'Pumili ng hanay para sa Student ID, Student number o Email upang mahanap ang mga estudyanteng nasa direktoryo na; kung wala, idadagdag ang bawat hilera bilang bagong estudyante.',
+    preview: 'Silip',
+    previewCounts: '{create} bago, {update} ia-update, {unchanged} walang pagbabago, {invalid} may error',
+    conflicts: 'Kapag nasa direktoryo na ang estudyante',
+    updateExisting: 'I-update ang kasalukuyang estudyante',
+    keepExisting: 'Panatilihin ang kasalukuyang estudyante',
+    row: 'Hilera',
+    status: 'Katayuan',
+    newStudent: 'Bagong estudyante',
+    unchanged: 'Tugma kay {name}, walang pagbabago',
+    changes: 'Tugma kay {name}; babaguhin ang {fields}',
+    actionFor: 'Aksyon para sa hilera {row}',
+    update: 'I-update',
+    skip: 'Laktawan',
+    progress: 'Ini-import ang {done} sa {total}...',
+    submit: {
+      other: 'I-import ang {count} estudyante'
+    }
+  },
+  roster: {
+    title: 'Listahan ng Klase',
+    number: 'Blg.',
+    count: {
+      other: '{count} estudyante'
+    },
+    empty: 'Walang estudyanteng tumutugma sa mga filter na ito.',
+    allStudents: 'Lahat ng estudyante',
+    searchFilter: 'Hanap: “{q}”',
+    yearColumn: 'Taon'
+  },
+  print: {
+    generated: 'Ginawa noong',
+    pageOf: 'Pahina {page} ng {pages}'
+  },
+  validation: {
+    required: 'Kailangan ang {field}',
+    tooLong: 'Hanggang {max} character lang ang {field}',
+    unknownCourse: 'Dapat isa sa mga iniaalok na kurso ang {field}',
+    yearRange: 'Dapat mula 1 hanggang {max} ang {field}',
+    invalidEmail: 'Dapat wastong email address ang {field}',
+    schoolEmail: 'Dapat gumamit ng domain ng paaralan ang {field} ({domains})',
+    invalidPhone: 'Dapat numero ng mobile o landline sa Pilipinas ang {field} (hal. 0917 123 4567 o (02) 8123 4567)',
+    studentNumberFormat: 'Dapat kahawig ng 2024-00123-MN-4 ang {field}',
+    checkDigit: 'Mali ang check digit ng {field}',
+    invalidWebsite: 'Dapat wastong web address ang {field}',
+    matchConflict: 'Kay {name} ang {field} {value}, pero kay {otherName} ang {otherField} {otherValue}',
+    duplicateRow: 'Parehong estudyante ng hilera {row}'
+  },
+  errors: {
+    timeout: 'Nag-time out ang kahilingan - pakisubukang muli',
+    server: 'Error sa server: {status}',
+    network: 'Error sa network - pakitingnan ang iyong koneksyon',
+    cancelled: 'Kinansela ang kahilingan',
+    notFound: 'Hindi nahanap ang estudyante',
+    invalidRecord: 'Hindi wastong rekord ng estudyante',
+    fetchStudentsFailed: 'Hindi makuha ang mga estudyante',
+    fetchStudentFailed: 'Hindi makuha ang estudyante',
+    createFailed: 'Hindi maidagdag ang estudyante',
+    updateFailed: 'Hindi ma-update ang estudyante',
+    deleteFailed: 'Hindi mabura ang estudyante',
+    courseNotFound: 'Hindi nahanap ang kurso',
+    unexpected: 'Nagkaroon ng hindi inaasahang error',
+    invalidCredentials: 'Mali ang username o password',
+    loginFailed: 'Hindi makapag-sign in - pakisubukang muli',
+    credentialsRequired: 'Ilagay ang iyong username at password.'
+  }
+}
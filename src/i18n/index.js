@@ -0,0 +1,153 @@
+import en from './en.js'
+import fil from './fil.js'
+
+/**
+ * Translations
+ *
+ * Messages are looked up by dotted key, e.g. "students.title", and may hold
+ * {name} placeholders. A message that depends on a number is an object
+ * keyed by plural category ("one", "other", ...), picked with
+ * Intl.PluralRules from the count parameter. Keys a locale lacks fall back
+ * to English.
+ */
+
+/**
+ * Supported locales; tag is the BCP 47 tag used for number and date formats
+ */
+export const LOCALES = [
+  { value: 'en', label: 'English', tag: 'en-PH' },
+  { value: 'fil', label: 'Filipino', tag: 'fil-PH' }
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const MESSAGES = { en, fil }
+
+/**
+ * Checks whether a value is a supported locale
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLocale(value) {
+  return LOCALES.some(locale => locale.value === value)
+}
+
+const localeTag = (locale) => (LOCALES.find(item => item.value === locale) ?? LOCALES[0]).tag
+
+/**
+ * Picks the locale from the browser's preferred languages; Tagalog counts as Filipino
+ * @param {Array<string>} [languages] - Defaults to navigator.languages
+ * @returns {string}
+ */
+export function detectLocale(languages = typeof navigator === 'undefined' ? [] : navigator.languages ?? []) {
+  for (const language of languages) {
+    const base = String(language).toLowerCase().split('-')[0]
+    if (base === 'fil' || base === 'tl') {
+      return 'fil'
+    }
+    if (base === 'en') {
+      return 'en'
+    }
+  }
+  return DEFAULT_LOCALE
+}
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages)
+
+/**
+ * Formats a number for a locale
+ * @param {string} locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(locale, value, options) {
+  return new Intl.NumberFormat(localeTag(locale), options).format(value)
+}
+
+/**
+ * Formats a date for a locale
+ * @param {string} locale
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} [options] - Defaults to a medium date and short time
+ * @returns {string}
+ */
+export function formatDate(locale, date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Intl.DateTimeFormat(localeTag(locale), options).format(date)
+}
+
+/**
+ * Returns a translated message
+ * @param {string} locale
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values; count also picks the plural form and is formatted as a number
+ * @returns {string} The message, or the key when no locale has it
+ */
+export function translate(locale, key, params = {}) {
+  let message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key)
+  if (message === undefined) {
+    return key
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(localeTag(locale)).select(params.count ?? 0)
+    message = message[category] ?? message.other
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) {
+      return placeholder
+    }
+    return name === 'count' ? formatNumber(locale, params.count) : String(params[name])
+  })
+}
+
+/**
+ * Builds the CSS content of the printed page numbers, which style.css
+ * cannot translate itself
+ * @param {string} locale
+ * @returns {string} e.g. '"Page " counter(page) " of " counter(pages)'
+ */
+export function pageNumberContent(locale) {
+  return translate(locale, 'print.pageOf')
+    .split(/(\{pages?\})/)
+    .filter(part => part !== '')
+    .map(part => (part === '{page}' ? 'counter(page)' : part === '{pages}' ? 'counter(pages)' : JSON.stringify(part)))
+    .join(' ')
+}
+
+/**
+ * Returns the message for an error object from the API service. The
+ * service's code is translated; errors without a known code keep their own
+ * message.
+ * @param {string} locale
+ * @param {{code?: string, status?: number, message?: string}|null} error
+ * @returns {string}
+ */
+export function translateError(locale, error) {
+  if (error?.code && lookup(MESSAGES[DEFAULT_LOCALE], `errors.${error.code}`) !== undefined) {
+    return translate(locale, `errors.${error.code}`, { status: error.status })
+  }
+  return error?.message ?? translate(locale, 'errors.unexpected')
+}
+
+/**
+ * Returns the message for a validation issue from the Student model or the
+ * importer. The issue's code is translated, with the fields it names shown
+ * by their translated labels; issues given as plain text are shown as they
+ * are.
+ * @param {string} locale
+ * @param {{code: string, field?: string, otherField?: string}|string|null} issue
+ * @returns {string}
+ */
+export function translateIssue(locale, issue) {
+  if (issue?.code && lookup(MESSAGES[DEFAULT_LOCALE], `validation.${issue.code}`) !== undefined) {
+    const label = (field) => (field ? translate(locale, `fields.${field}`) : field)
+    return translate(locale, `validation.${issue.code}`, {
+      ...issue,
+      field: label(issue.field),
+      otherField: label(issue.otherField)
+    })
+  }
+  return issue?.message ?? String(issue ?? '')
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import en from './en.js'
+import fil from './fil.js'
+import { LOCALES, detectLocale, translate, translateError, translateIssue, formatNumber, formatDate, pageNumberContent } from './index.js'
+
+// Dotted keys of every message in a catalog, with plural forms as one entry
+const messageKeys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key
+  return typeof value === 'object' && !('other' in value) ? messageKeys(value, path) : [path]
+})
+
+const placeholders = (message) => {
+  const text = typeof message === 'object' ? Object.values(message).join(' ') : message
+  return [...new Set(text.match(/\{\w+\}/g) ?? [])].sort()
+}
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages)
+
+describe('i18n', () => {
+  it('fills placeholders and leaves unknown ones as written', () => {
+    expect(translate('en', 'common.year', { year: '2' })).toBe('Year 2')
+    expect(translate('fil', 'common.year', { year: '2' })).toBe('Taon 2')
+    expect(translate('en', 'common.year')).toBe('Year {year}')
+  })
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('xx', 'nav.students')).toBe('Students')
+    expect(translate('fil', 'missing.key')).toBe('missing.key')
+  })
+
+  /**
+   * Unit Test: Pluralization
+   *
+   * This test verifies that counted messages pick the plural form of the
+   * locale and format the count.
+   */
+  it('picks the plural form and formats the count', () => {
+    expect(translate('en', 'students.found', { count: 1 })).toBe('1 student found')
+    expect(translate('en', 'students.found', { count: 0 })).toBe('0 students found')
+    expect(translate('en', 'students.found', { count: 1234 })).toBe('1,234 students found')
+    expect(translate('fil', 'students.found', { count: 1 })).toBe('1 estudyante ang nahanap')
+    expect(translate('fil', 'students.found', { count: 25 })).toBe('25 estudyante ang nahanap')
+  })
+
+  it('formats numbers and dates for the locale', () => {
+    const date = new Date(2026, 9, 19, 16, 30)
+
+    expect(formatNumber('en', 12345.5)).toBe('12,345.5')
+    expect(formatDate('en', date, { month: 'long' })).toBe('October')
+    expect(formatDate('fil', date, { month: 'long' })).toBe('Oktubre')
+  })
+
+  it('detects Filipino and Tagalog from the browser languages', () => {
+    expect(detectLocale(['fil-PH', 'en'])).toBe('fil')
+    expect(detectLocale(['tl'])).toBe('fil')
+    expect(detectLocale(['en-US', 'fil'])).toBe('en')
+    expect(detectLocale(['ja-JP'])).toBe('en')
+    expect(detectLocale([])).toBe('en')
+  })
+
+  /**
+   * Unit Test: Service Errors
+   *
+   * This test verifies that error objects from the API service are shown
+   * from their code in the chosen language, and that errors without a known
+   * code keep their own message.
+   */
+  it('translates service error codes', () => {
+    expect(translateError('en', { code: 'server', status: 503, message: 'Server error: 503' })).toBe('Server error: 503')
+    expect(translateError('fil', { code: 'server', status: 503, message: 'Server error: 503' })).toBe('Error sa server: 503')
+    expect(translateError('fil', { code: 'network' })).toBe('Error sa network - pakitingnan ang iyong koneksyon')
+    expect(translateError('fil', { code: 'backendRule', message: 'Email already exists' })).toBe('Email already exists')
+    expect(translateError('fil', { message: 'Invalid year level' })).toBe('Invalid year level')
+    expect(translateError('en', null)).toBe('An unexpected error occurred')
+  })
+
+  /**
+   * Unit Test: Validation Issues
+   *
+   * This test verifies that issues from the Student model and the importer
+   * are shown from their code with the translated field labels, and that
+   * issues given as plain text are shown as they are.
+   */
+  it('translates validation issue codes', () => {
+    expect(translateIssue('en', { code: 'yearRange', field: 'year', max: 4 })).toBe('Year level must be from 1 to 4')
+    expect(translateIssue('fil', { code: 'yearRange', field: 'year', max: 4 })).toBe('Dapat mula 1 hanggang 4 ang Antas ng taon')
+    expect(translateIssue('fil', { code: 'required', field: 'name' })).toBe('Kailangan ang Pangalan')
+    expect(translateIssue('en', {
+      code: 'matchConflict',
+      field: 'id',
+      value: '1',
+      name: 'José Peña',
+      otherField: 'email',
+      otherValue: 'maria@student.edu.ph',
+      otherName: 'Maria Santos'
+    })).toBe('Student ID 1 belongs to José Peña, but Email maria@student.edu.ph belongs to Maria Santos')
+    expect(translateIssue('fil', { code: 'duplicateRow', row: 3 })).toBe('Parehong estudyante ng hilera 3')
+    expect(translateIssue('fil', 'Invalid email')).toBe('Invalid email')
+  })
+
+  it('writes the printed page numbers as CSS content', () => {
+    expect(pageNumberContent('en')).toBe('"Page " counter(page) " of " counter(pages)')
+    expect(pageNumberContent('fil')).toBe('"Pahina " counter(page) " ng " counter(pages)')
+  })
+
+  it('has every English message in each locale, with the same placeholders', () => {
+    const keys = messageKeys(en)
+
+    LOCALES.forEach(({ value }) => {
+      const messages = { en, fil }[value]
+      expect(messageKeys(messages).sort()).toEqual([...keys].sort())
+      keys.forEach(key => {
+        expect(placeholders(lookup(messages, key)), `${value}: ${key}`).toEqual(placeholders(lookup(en, key)))
+      })
+    })
+  })
+
+  /**
+   * Property 19: Counted Messages
+   *
+   * **Feature: student-info-app, Property 19: Counted messages show the formatted count in the right form**
+   *
+   * This property test verifies that for any count, every locale shows the
+   * count formatted for that locale, and English uses the singular only for
+   * exactly one.
+   */
+  it('Property 19: counted messages show the formatted count in the right form', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 10_000_000 }), (count) => {
+        LOCALES.forEach(({ value }) => {
+          expect(translate(value, 'students.found', { count })).toContain(formatNumber(value, count))
+        })
+        expect(translate('en', 'students.found', { count }).endsWith(count === 1 ? ' student found' : ' students found')).toBe(true)
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -2,6 +2,14 @@ import { createApp } from 'vue'
 import './style.css'
 import App from './App.vue'
 import router from './router'
+import { useTheme } from './composables/useTheme.js'
+import { useAuth } from './composables/useAuth.js'
+
+// Restore the signed-in session first so preferences load for that user
+useAuth()
+
+// Keep the page theme in step with the user's choice and the system setting
+useTheme()
 
 const app = createApp(App)
 app.use(router)
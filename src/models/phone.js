@@ -0,0 +1,117 @@
+/**
+ * Phone numbers
+ *
+ * Philippine mobile and landline numbers as people write them: local
+ * (0917 123 4567, (02) 8123 4567), international (+63 917 123 4567),
+ * without the plus (63 917 123 4567) or, for mobiles, without any prefix
+ * (917 123 4567), with spaces, dashes, dots or brackets, and landlines
+ * with a local extension. Numbers are stored in E.164 form (+639171234567),
+ * with an extension kept as in tel: addresses (+63281234567;ext=123), and
+ * shown with spaces (+63 2 8123 4567 loc. 123).
+ */
+
+/**
+ * Provincial area codes, dialled after 0 and followed by a seven-digit
+ * subscriber number. Metro Manila (2) has eight-digit subscriber numbers.
+ */
+export const AREA_CODES = [
+  '32', '33', '34', '35', '36', '38', '42', '43', '44', '45', '46', '47', '48', '49',
+  '52', '53', '54', '55', '56', '62', '63', '64', '65', '68', '72', '74', '75', '77',
+  '78', '82', '83', '84', '85', '86', '87', '88'
+]
+
+// Extension at the end of a landline: "loc. 123", "local 123", "ext 123", "x123", "#123" or ";ext=123"
+const EXTENSION_PATTERN = /\s*(?:;\s*ext=|(?:loc(?:al)?|ext(?:ension)?|x)\.?\s*|#\s*)(\d{1,6})$/i
+
+// Characters allowed between the digits of a written number
+const WRITTEN_PATTERN = /^\+?[\d\s\-.()]+$/
+
+/**
+ * Reads a Philippine phone number
+ * @param {string} value - Number as written
+ * @returns {{type: string, areaCode: string|null, subscriber: string, extension: string|null, e164: string}|null}
+ *   type is 'mobile' or 'landline'; subscriber is the number after the mobile
+ *   prefix 9 or the area code; null when the value is not a Philippine number
+ */
+export function parsePhone(value) {
+  let written = String(value ?? '').trim()
+  const extensionMatch = EXTENSION_PATTERN.exec(written)
+  const extension = extensionMatch ? extensionMatch[1] : null
+  if (extensionMatch) {
+    written = written.slice(0, extensionMatch.index)
+  }
+  if (!WRITTEN_PATTERN.test(written)) {
+    return null
+  }
+
+  // The digits after the country code 63 or the trunk prefix 0
+  const digits = written.replace(/\D/g, '')
+  let national = null
+  if (written.startsWith('+') || digits.startsWith('63')) {
+    national = digits.startsWith('63') ? digits.slice(2) : null
+  } else if (digits.startsWith('0')) {
+    national = digits.slice(1)
+  } else if (/^9\d{9}$/.test(digits)) {
+    national = digits
+  }
+  if (national === null) {
+    return null
+  }
+
+  const e164 = `+63${national}`
+  if (/^9\d{9}$/.test(national)) {
+    // Extensions belong to landlines
+    return extension ? null : { type: 'mobile', areaCode: null, subscriber: national.slice(1), extension, e164 }
+  }
+  if (/^2\d{8}$/.test(national)) {
+    return { type: 'landline', areaCode: '2', subscriber: national.slice(1), extension, e164 }
+  }
+  const areaCode = national.slice(0, 2)
+  if (national.length === 9 && AREA_CODES.includes(areaCode)) {
+    return { type: 'landline', areaCode, subscriber: national.slice(2), extension, e164 }
+  }
+  return null
+}
+
+/**
+ * Checks whether a value is a Philippine mobile or landline number
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidPhone(value) {
+  return parsePhone(value) !== null
+}
+
+/**
+ * Writes a phone number the way it is stored
+ * @param {string} value - Number as written
+ * @returns {string|null} E.164 number, e.g. '+639171234567' or '+63281234567;ext=123';
+ *   null when the value is not a Philippine number
+ */
+export function normalizePhone(value) {
+  const phone = parsePhone(value)
+  if (!phone) {
+    return null
+  }
+  return phone.extension ? `${phone.e164};ext=${phone.extension}` : phone.e164
+}
+
+/**
+ * Writes a phone number for display, e.g. '+63 917 123 4567',
+ * '+63 2 8123 4567' or '+63 32 234 5678 loc. 12'
+ * @param {string} value - Number as stored or written
+ * @returns {string} The formatted number, or the value as given when it is not a Philippine number
+ */
+export function formatPhone(value) {
+  const phone = parsePhone(value)
+  if (!phone) {
+    return String(value ?? '')
+  }
+
+  const { type, areaCode, subscriber, extension } = phone
+  const split = subscriber.length - 4
+  const number = type === 'mobile'
+    ? `+63 9${subscriber.slice(0, 2)} ${subscriber.slice(2, 5)} ${subscriber.slice(5)}`
+    : `+63 ${areaCode} ${subscriber.slice(0, split)} ${subscriber.slice(split)}`
+  return extension ? `${number} loc. ${extension}` : number
+}
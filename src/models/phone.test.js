@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import { AREA_CODES, parsePhone, isValidPhone, normalizePhone, formatPhone } from './phone.js'
+
+describe('phone', () => {
+  /**
+   * Unit Test: Written Forms
+   *
+   * This test verifies that mobile numbers written locally, with the
+   * country code or without any prefix, and with any separators, are all
+   * stored as the same E.164 number.
+   */
+  it('reads mobile numbers however they are written', () => {
+    ;['09171234567', '0917 123 4567', '0917-123-4567', '(0917) 123.4567', '+63 917 123 4567', '+639171234567', '63 917 123 4567', '917-123-4567']
+      .forEach(written => {
+        expect(normalizePhone(written)).toBe('+639171234567')
+      })
+
+    expect(parsePhone('0917 123 4567')).toEqual({
+      type: 'mobile',
+      areaCode: null,
+      subscriber: '171234567',
+      extension: null,
+      e164: '+639171234567'
+    })
+  })
+
+  it('reads landlines with their area code and extension', () => {
+    expect(parsePhone('(02) 8123-4567 loc. 123')).toEqual({
+      type: 'landline',
+      areaCode: '2',
+      subscriber: '81234567',
+      extension: '123',
+      e164: '+63281234567'
+    })
+    expect(normalizePhone('+63 2 8123 4567')).toBe('+63281234567')
+    expect(normalizePhone('(032) 234-5678')).toBe('+63322345678')
+    ;['local 12', 'ext. 12', 'x12', '#12'].forEach(extension => {
+      expect(normalizePhone(`(032) 234-5678 ${extension}`)).toBe('+63322345678;ext=12')
+    })
+    expect(normalizePhone('+63322345678;ext=12')).toBe('+63322345678;ext=12')
+  })
+
+  /**
+   * Unit Test: Invalid Numbers
+   *
+   * This test verifies that numbers from other countries, numbers of the
+   * wrong length, unknown area codes, mobiles with extensions and text are
+   * rejected rather than cut down to something that looks like a number.
+   */
+  it('rejects numbers that are not Philippine numbers', () => {
+    ;[
+      '1-770-736-8031 x56442',
+      '010-692-6593 x09125',
+      '+1 770 736 8031',
+      '+63 177 073 6803',
+      '0920777888',
+      '092077788889',
+      '(02) 123 4567',
+      '(099) 234 5678',
+      '0917 123 4567 loc. 2',
+      'call 0917 123 4567',
+      '',
+      null
+    ].forEach(written => {
+      expect(parsePhone(written)).toBeNull()
+      expect(isValidPhone(written)).toBe(false)
+      expect(normalizePhone(written)).toBeNull()
+    })
+  })
+
+  it('formats numbers for display and leaves unreadable ones as they are', () => {
+    expect(formatPhone('+639171234567')).toBe('+63 917 123 4567')
+    expect(formatPhone('0917-123-4567')).toBe('+63 917 123 4567')
+    expect(formatPhone('+63281234567;ext=123')).toBe('+63 2 8123 4567 loc. 123')
+    expect(formatPhone('+63322345678')).toBe('+63 32 234 5678')
+    expect(formatPhone('1-770-736-8031 x56442')).toBe('1-770-736-8031 x56442')
+    expect(formatPhone(undefined)).toBe('')
+  })
+
+  /**
+   * Property 22: Phone Numbers Round-Trip
+   *
+   * **Feature: student-info-app, Property 22: Stored and displayed phone numbers read back as the same number**
+   *
+   * This property test verifies that for any Philippine mobile or landline
+   * number, written in any of the accepted styles, the stored E.164 form and
+   * the displayed form both read back as the same stored number.
+   */
+  it('Property 22: stored and displayed numbers read back as the same number', () => {
+    const mobile = fc.stringMatching(/^9\d{9}$/)
+    const manila = fc.stringMatching(/^\d{8}$/).map(subscriber => `2${subscriber}`)
+    const provincial = fc.tuple(fc.constantFrom(...AREA_CODES), fc.stringMatching(/^\d{7}$/))
+      .map(([areaCode, subscriber]) => `${areaCode}${subscriber}`)
+    const written = fc.tuple(
+      fc.oneof(mobile, manila, provincial),
+      fc.constantFrom('0', '+63', '+63 ', '63', '(0'),
+      fc.constantFrom('', ' ', '-', '.')
+    ).map(([national, prefix, separator]) => {
+      const spaced = `${national.slice(0, 3)}${separator}${national.slice(3, 6)}${separator}${national.slice(6)}`
+      return {
+        number: prefix === '(0' ? `(0${national.slice(0, 3)}) ${national.slice(3)}` : `${prefix}${spaced}`,
+        // No area code starts with 9
+        mobile: national.startsWith('9')
+      }
+    })
+
+    fc.assert(
+      fc.property(written, fc.option(fc.stringMatching(/^\d{1,4}$/), { nil: null }), ({ number, mobile }, extension) => {
+        // Only landlines have extensions
+        const value = extension && !mobile ? `${number} loc. ${extension}` : number
+
+        const stored = normalizePhone(value)
+        expect(stored).toMatch(/^\+63\d{9,10}(;ext=\d+)?$/)
+        expect(normalizePhone(stored)).toBe(stored)
+        expect(normalizePhone(formatPhone(value))).toBe(stored)
+        expect(formatPhone(stored)).toBe(formatPhone(value))
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,166 @@
+import { COURSES, courseYears } from '../data/courses.js'
+import { parseStudentNumber } from './studentNumber.js'
+import { isValidPhone, formatPhone } from './phone.js'
+
+/**
+ * Student model
+ *
+ * Schema and validation shared by the student forms, importers and the
+ * API service, so every entry point accepts the same records.
+ */
+
+/**
+ * Fields of the Student model, in display order
+ */
+export const STUDENT_FIELDS = ['id', 'studentNumber', 'name', 'course', 'year', 'email', 'phone', 'website']
+
+/**
+ * Fields every student must have a value for
+ */
+export const REQUIRED_FIELDS = ['name', 'course', 'year', 'email', 'phone']
+
+/**
+ * School email domains accepted by default; subdomains such as
+ * student.edu.ph or up.edu.ph match too
+ */
+export const DEFAULT_EMAIL_DOMAINS = ['edu.ph']
+
+/**
+ * Display labels of the Student fields
+ */
+export const FIELD_LABELS = {
+  id: 'Student ID',
+  studentNumber: 'Student number',
+  name: 'Name',
+  course: 'Course',
+  year: 'Year level',
+  email: 'Email',
+  phone: 'Phone',
+  website: 'Website'
+}
+
+const MAX_NAME_LENGTH = 100
+
+const EMAIL_PATTERN = /^[^\s@]+@([a-z0-9-]+\.)+[a-z]{2,}$/i
+
+const WEBSITE_PATTERN = /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(\/\S*)?$/i
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+
+/**
+ * Checks whether a host name is one of the allowed domains or a subdomain of one
+ * @param {string} host
+ * @param {Array<string>} [domains] - Allowed domains, defaults to DEFAULT_EMAIL_DOMAINS
+ * @returns {boolean}
+ */
+export function isSchoolDomain(host, domains = DEFAULT_EMAIL_DOMAINS) {
+  const domain = String(host).trim().toLowerCase()
+  return domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`))
+}
+
+/**
+ * Checks whether an email address is well-formed and uses a school domain
+ * @param {string} email
+ * @param {Array<string>} [domains] - Allowed domains, defaults to DEFAULT_EMAIL_DOMAINS
+ * @returns {boolean}
+ */
+export function isSchoolEmail(email, domains = DEFAULT_EMAIL_DOMAINS) {
+  const address = String(email ?? '').trim()
+  return EMAIL_PATTERN.test(address) && isSchoolDomain(address.slice(address.lastIndexOf('@') + 1), domains)
+}
+
+/**
+ * Returns a student field as shown to people: phone numbers are stored in
+ * E.164 form and shown with spaces, other fields as they are
+ * @param {Object} student
+ * @param {string} field - One of STUDENT_FIELDS
+ * @returns {string} The text, '' for a missing value
+ */
+export function fieldText(student, field) {
+  const value = student[field]
+  if (value === null || value === undefined) {
+    return ''
+  }
+  return field === 'phone' ? formatPhone(value) : String(value)
+}
+
+/**
+ * A problem with one field. The code names the rule that failed and the
+ * other properties fill in the message, which is translated where it is
+ * shown (see translateIssue in i18n/index.js).
+ * @typedef {{code: string, field: string}} FieldIssue
+ */
+
+const issue = (code, field, params = {}) => ({ code, field, ...params })
+
+/**
+ * Validates a student record against the Student schema
+ * @param {Object} student - Record with Student fields
+ * @param {{requireId?: boolean, emailDomains?: Array<string>}} [options]
+ *   requireId - Records from the backend must carry an ID; new records do not
+ *   emailDomains - Allowed email domains, defaults to DEFAULT_EMAIL_DOMAINS
+ * @returns {{valid: boolean, errors: Object<string, FieldIssue>}} Issue per invalid field
+ */
+export function validateStudent(student, { requireId = false, emailDomains = DEFAULT_EMAIL_DOMAINS } = {}) {
+  const errors = {}
+  const record = student || {}
+
+  if (requireId && isBlank(record.id)) {
+    errors.id = issue('required', 'id')
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (isBlank(record[field])) {
+      errors[field] = issue('required', field)
+    }
+  })
+
+  if (!errors.name && String(record.name).trim().length > MAX_NAME_LENGTH) {
+    errors.name = issue('tooLong', 'name', { max: MAX_NAME_LENGTH })
+  }
+
+  if (!errors.course && !COURSES.includes(record.course)) {
+    errors.course = issue('unknownCourse', 'course')
+  }
+
+  if (!errors.year) {
+    // Five-year courses allow year 5; when the course is unknown, allow the widest range
+    const maxYear = errors.course ? 5 : courseYears(record.course)
+    const year = String(record.year).trim()
+    if (!/^\d+$/.test(year) || Number(year) < 1 || Number(year) > maxYear) {
+      errors.year = issue('yearRange', 'year', { max: maxYear })
+    }
+  }
+
+  if (!errors.email) {
+    const email = String(record.email).trim()
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.email = issue('invalidEmail', 'email')
+    } else if (!isSchoolEmail(email, emailDomains)) {
+      errors.email = issue('schoolEmail', 'email', { domains: emailDomains.map(domain => `@${domain}`).join(', ') })
+    }
+  }
+
+  if (!errors.phone && !isValidPhone(record.phone)) {
+    errors.phone = issue('invalidPhone', 'phone')
+  }
+
+  // Optional, since new students are given a number when they are saved
+  if (!isBlank(record.studentNumber)) {
+    const parsed = parseStudentNumber(record.studentNumber)
+    if (!parsed) {
+      errors.studentNumber = issue('studentNumberFormat', 'studentNumber')
+    } else if (!parsed.valid) {
+      errors.studentNumber = issue('checkDigit', 'studentNumber')
+    }
+  }
+
+  if (!isBlank(record.website) && !WEBSITE_PATTERN.test(String(record.website).trim())) {
+    errors.website = issue('invalidWebsite', 'website')
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  }
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import { validateStudent, REQUIRED_FIELDS } from './student.js'
+import { COURSES, FIVE_YEAR_COURSES, courseYears } from '../data/courses.js'
+
+const student = {
+  id: 3,
+  name: 'Juan Dela Cruz',
+  course: 'BS Nursing',
+  year: '2',
+  email: 'juan.cruz@student.edu.ph',
+  phone: '+63 920 777 8888',
+  website: 'juan-cruz.edu.ph'
+}
+
+describe('validateStudent', () => {
+  it('accepts a complete student', () => {
+    expect(validateStudent(student)).toEqual({ valid: true, errors: {} })
+  })
+
+  /**
+   * Unit Test: Required Fields
+   *
+   * This test verifies that blank required fields are reported per field
+   * with the code of the rule they fail, while the website and ID are optional unless an ID is required.
+   */
+  it('reports each missing required field', () => {
+    const { valid, errors } = validateStudent({ name: '  ', website: '' })
+
+    expect(valid).toBe(false)
+    expect(Object.keys(errors).sort()).toEqual([...REQUIRED_FIELDS].sort())
+    expect(errors.name).toEqual({ code: 'required', field: 'name' })
+    expect(validateStudent({ ...student, id: undefined }).valid).toBe(true)
+    expect(validateStudent({ ...student, id: undefined }, { requireId: true }).errors.id).toEqual({ code: 'required', field: 'id' })
+  })
+
+  it('allows a fifth year only in five-year courses', () => {
+    expect(validateStudent({ ...student, year: '5' }).errors.year).toEqual({ code: 'yearRange', field: 'year', max: 4 })
+    expect(validateStudent({ ...student, course: 'BS Architecture', year: '5' }).valid).toBe(true)
+    expect(validateStudent({ ...student, year: '0' }).errors.year).toBeDefined()
+    expect(validateStudent({ ...student, year: '2.5' }).errors.year).toBeDefined()
+    expect(courseYears('BS Civil Engineering')).toBe(5)
+    expect(courseYears('BS Nursing')).toBe(4)
+  })
+
+  it('rejects courses that are not offered', () => {
+    expect(validateStudent({ ...student, course: 'BS Astrology' }).errors.course)
+      .toEqual({ code: 'unknownCourse', field: 'course' })
+  })
+
+  /**
+   * Unit Test: School Email Domains
+   *
+   * This test verifies that only school addresses are accepted, including
+   * subdomains of an allowed domain, and that the domains are configurable.
+   */
+  it('requires a school email domain', () => {
+    expect(validateStudent({ ...student, email: 'juan@up.edu.ph' }).valid).toBe(true)
+    expect(validateStudent({ ...student, email: 'juan@gmail.com' }).errors.email)
+      .toEqual({ code: 'schoolEmail', field: 'email', domains: '@edu.ph' })
+    expect(validateStudent({ ...student, email: 'juan@notedu.ph' }).errors.email).toBeDefined()
+    expect(validateStudent({ ...student, email: 'juan.cruz' }).errors.email)
+      .toEqual({ code: 'invalidEmail', field: 'email' })
+    expect(validateStudent({ ...student, email: 'juan@gmail.com' }, { emailDomains: ['gmail.com'] }).valid).toBe(true)
+  })
+
+  it('requires a Philippine mobile or landline number', () => {
+    ['09207778888', '0920-777-8888', '+639207778888', '63 920 777 8888', '(02) 8123 4567', '+63322345678;ext=12'].forEach(phone => {
+      expect(validateStudent({ ...student, phone }).valid).toBe(true)
+    })
+    ;['+63 177 073 6803', '0920777888', '1-770-736-8031', '1-770-736-8031 x56442'].forEach(phone => {
+      expect(validateStudent({ ...student, phone }).errors.phone)
+        .toEqual({ code: 'invalidPhone', field: 'phone' })
+    })
+  })
+
+  it('checks the student number only when one is given', () => {
+    expect(validateStudent({ ...student, studentNumber: '2023-00042-MN-7' }).valid).toBe(true)
+    expect(validateStudent({ ...student, studentNumber: '' }).valid).toBe(true)
+    expect(validateStudent({ ...student, studentNumber: '2023-00042-MN-1' }).errors.studentNumber)
+      .toEqual({ code: 'checkDigit', field: 'studentNumber' })
+    expect(validateStudent({ ...student, studentNumber: '42' }).errors.studentNumber)
+      .toEqual({ code: 'studentNumberFormat', field: 'studentNumber' })
+  })
+
+  it('checks the website only when one is given', () => {
+    expect(validateStudent({ ...student, website: 'https://juan.dev/about' }).valid).toBe(true)
+    expect(validateStudent({ ...student, website: 'not a site' }).errors.website)
+      .toEqual({ code: 'invalidWebsite', field: 'website' })
+  })
+
+  /**
+   * Property 14: Valid Students Pass Validation
+   *
+   * **Feature: student-info-app, Property 14: Well-formed students are accepted and year levels follow the course**
+   *
+   * This property test verifies that any student built from offered courses,
+   * school emails and Philippine mobile numbers is valid, and that a year
+   * level is accepted exactly when the course has that many years.
+   */
+  it('Property 14: well-formed students are valid and year levels follow the course', () => {
+    fc.assert(
+      fc.property(
+        fc.string({ minLength: 1, maxLength: 100 }).filter(s => s.trim().length > 0),
+        fc.constantFrom(...COURSES),
+        fc.integer({ min: 1, max: 6 }),
+        fc.stringMatching(/^[a-z][a-z0-9.]{0,20}$/),
+        fc.stringMatching(/^9\d{9}$/),
+        fc.constantFrom('0', '+63', '+63 '),
+        (name, course, year, local, digits, prefix) => {
+          const { errors } = validateStudent({
+            name,
+            course,
+            year: String(year),
+            email: `${local}@student.edu.ph`,
+            phone: `${prefix}${digits}`
+          })
+
+          const maxYear = FIVE_YEAR_COURSES.includes(course) ? 5 : 4
+          expect(Object.keys(errors)).toEqual(year <= maxYear ? [] : ['year'])
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Student numbers
+ *
+ * Institutional student numbers such as 2024-00123-MN-4: the school year the
+ * student entered, their place in that year's intake, the campus code and a
+ * check digit that catches mistyped numbers. Numbers from any campus and
+ * with any sequence length are accepted; the format options only decide how
+ * new numbers are written.
+ */
+
+/**
+ * How new student numbers are written unless configured otherwise
+ */
+export const DEFAULT_STUDENT_NUMBER_FORMAT = {
+  campus: 'MN',
+  sequenceDigits: 5
+}
+
+const STUDENT_NUMBER_PATTERN = /^(\d{4})-(\d{3,8})-([A-Z]{1,4})-(\d)$/
+
+/**
+ * Works out the check digit of a student number with the Luhn algorithm.
+ * Letters of the campus code count as the two digits of 10 (A) to 35 (Z).
+ * @param {string} entryYear - Four-digit entry year as written
+ * @param {string} sequence - Sequence as written, with its leading zeros
+ * @param {string} campus - Campus code in capitals
+ * @returns {number}
+ */
+export function studentNumberCheckDigit(entryYear, sequence, campus) {
+  const digits = [...`${entryYear}${sequence}${campus}`]
+    .map(char => (/\d/.test(char) ? char : String(char.charCodeAt(0) - 55)))
+    .join('')
+
+  // Double every second digit from the right, counting the check digit as the first
+  const sum = [...digits].reverse().reduce((total, digit, index) => {
+    const value = index % 2 === 0 ? Number(digit) * 2 : Number(digit)
+    return total + (value > 9 ? value - 9 : value)
+  }, 0)
+
+  return (10 - (sum % 10)) % 10
+}
+
+/**
+ * Reads a student number, ignoring surrounding spaces and letter case
+ * @param {string} value
+ * @returns {{number: string, entryYear: number, sequence: number, campus: string, valid: boolean}|null}
+ *   number is the student number as stored, in capitals; valid is false when
+ *   the check digit is wrong; null when the value is not shaped like a student number
+ */
+export function parseStudentNumber(value) {
+  const number = String(value ?? '').trim().toUpperCase()
+  const match = STUDENT_NUMBER_PATTERN.exec(number)
+  if (!match) {
+    return null
+  }
+
+  const [, entryYear, sequence, campus, checkDigit] = match
+  return {
+    number,
+    entryYear: Number(entryYear),
+    sequence: Number(sequence),
+    campus,
+    valid: studentNumberCheckDigit(entryYear, sequence, campus) === Number(checkDigit)
+  }
+}
+
+/**
+ * Checks whether a value is a student number with the right check digit
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidStudentNumber(value) {
+  return parseStudentNumber(value)?.valid === true
+}
+
+/**
+ * Writes a student number with its check digit
+ * @param {{entryYear: number, sequence: number}} parts
+ * @param {{campus?: string, sequenceDigits?: number}} [format] - Defaults to DEFAULT_STUDENT_NUMBER_FORMAT
+ * @returns {string} e.g. '2024-00123-MN-4'
+ */
+export function formatStudentNumber({ entryYear, sequence }, { campus, sequenceDigits } = {}) {
+  const code = String(campus ?? DEFAULT_STUDENT_NUMBER_FORMAT.campus).toUpperCase()
+  const year = String(entryYear)
+  const padded = String(sequence).padStart(sequenceDigits ?? DEFAULT_STUDENT_NUMBER_FORMAT.sequenceDigits, '0')
+  return `${year}-${padded}-${code}-${studentNumberCheckDigit(year, padded, code)}`
+}
+
+/**
+ * Gives the next student number of an intake: one past the highest
+ * sequence already used in that entry year at the campus
+ * @param {number} entryYear
+ * @param {Array<string>} existing - Student numbers in use; malformed ones are ignored
+ * @param {{campus?: string, sequenceDigits?: number}} [format] - Defaults to DEFAULT_STUDENT_NUMBER_FORMAT
+ * @returns {string}
+ */
+export function nextStudentNumber(entryYear, existing, format = {}) {
+  const campus = String(format.campus ?? DEFAULT_STUDENT_NUMBER_FORMAT.campus).toUpperCase()
+  const last = existing
+    .map(parseStudentNumber)
+    .filter(parsed => parsed && parsed.entryYear === entryYear && parsed.campus === campus)
+    .reduce((highest, parsed) => Math.max(highest, parsed.sequence), 0)
+
+  return formatStudentNumber({ entryYear, sequence: last + 1 }, { ...format, campus })
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import {
+  studentNumberCheckDigit,
+  parseStudentNumber,
+  isValidStudentNumber,
+  formatStudentNumber,
+  nextStudentNumber
+} from './studentNumber.js'
+
+describe('studentNumber', () => {
+  it('writes numbers with the entry year, padded sequence, campus and check digit', () => {
+    expect(formatStudentNumber({ entryYear: 2024, sequence: 123 })).toBe('2024-00123-MN-4')
+    expect(formatStudentNumber({ entryYear: 2023, sequence: 42 }, { campus: 'mn', sequenceDigits: 5 })).toBe('2023-00042-MN-7')
+    expect(formatStudentNumber({ entryYear: 2024, sequence: 7 }, { campus: 'QC', sequenceDigits: 4 })).toMatch(/^2024-0007-QC-\d$/)
+    expect(studentNumberCheckDigit('2024', '00001', 'MN')).toBe(2)
+  })
+
+  /**
+   * Unit Test: Reading Student Numbers
+   *
+   * This test verifies that student numbers are read without regard to
+   * spaces or letter case, that a wrong check digit is reported, and that
+   * values not shaped like a student number are not read at all.
+   */
+  it('reads student numbers and checks their check digit', () => {
+    expect(parseStudentNumber(' 2024-00123-mn-4 ')).toEqual({
+      number: '2024-00123-MN-4',
+      entryYear: 2024,
+      sequence: 123,
+      campus: 'MN',
+      valid: true
+    })
+    expect(parseStudentNumber('2024-00123-MN-0').valid).toBe(false)
+    expect(isValidStudentNumber('2024-00123-MN-0')).toBe(false)
+    expect(isValidStudentNumber('2023-00042-MN-7')).toBe(true)
+
+    ;['', '7', '2024-00123-MN', '24-00123-MN-4', '2024-00123-M1-4', '2024_00123_MN_4', null].forEach(value => {
+      expect(parseStudentNumber(value)).toBeNull()
+    })
+  })
+
+  it('continues the intake after the highest number of the entry year and campus', () => {
+    const existing = ['2024-00002-MN-0', '2024-00001-MN-2', '2023-00042-MN-7', 'not a number', undefined]
+
+    expect(nextStudentNumber(2024, existing)).toBe('2024-00003-MN-8')
+    expect(nextStudentNumber(2023, existing)).toBe(formatStudentNumber({ entryYear: 2023, sequence: 43 }))
+    expect(nextStudentNumber(2025, existing)).toBe(formatStudentNumber({ entryYear: 2025, sequence: 1 }))
+    expect(nextStudentNumber(2024, existing, { campus: 'QC' })).toBe(formatStudentNumber({ entryYear: 2024, sequence: 1 }, { campus: 'QC' }))
+  })
+
+  /**
+   * Property 21: Check Digits Catch Mistyped Numbers
+   *
+   * **Feature: student-info-app, Property 21: A written student number is valid and any single changed digit makes it invalid**
+   *
+   * This property test verifies that for any entry year, sequence and
+   * campus code, the written number reads back with the same parts and a
+   * valid check digit, and that changing any one of its digits to another
+   * digit is caught.
+   */
+  it('Property 21: written numbers read back valid and single-digit typos are caught', () => {
+    const parts = fc.record({
+      entryYear: fc.integer({ min: 1990, max: 2099 }),
+      sequence: fc.integer({ min: 1, max: 99999 }),
+      campus: fc.stringMatching(/^[A-Z]{1,4}$/)
+    })
+
+    fc.assert(
+      fc.property(parts, fc.nat(), fc.integer({ min: 1, max: 9 }), ({ entryYear, sequence, campus }, position, shift) => {
+        const number = formatStudentNumber({ entryYear, sequence }, { campus, sequenceDigits: 5 })
+        expect(parseStudentNumber(number)).toEqual({ number, entryYear, sequence, campus, valid: true })
+
+        const digitPositions = [...number].flatMap((char, index) => (/\d/.test(char) ? [index] : []))
+        const index = digitPositions[position % digitPositions.length]
+        const typo = number.slice(0, index) + ((Number(number[index]) + shift) % 10) + number.slice(index + 1)
+        expect(isValidStudentNumber(typo)).toBe(false)
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises, enableAutoUnmount } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import CourseDetailPage from './CourseDetailPage.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/students/:id', component: { template: '<div>Student</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/courses/:code', component: CourseDetailPage, props: true }
+    ]
+  })
+}
+
+const directory = [
+  { id: 1, name: 'José Peña', course: 'BS Architecture', year: '1' },
+  { id: 2, name: 'Maria Santos', course: 'BS Architecture', year: '5' },
+  { id: 3, name: 'Ana Abad', course: 'BS Architecture', year: '1' },
+  { id: 4, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '1' }
+]
+
+const mountPage = (code) => mount(CourseDetailPage, {
+  props: { code },
+  global: {
+    plugins: [createMockRouter()]
+  }
+})
+
+describe('CourseDetailPage', () => {
+  enableAutoUnmount(afterEach)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resetStudents()
+    apiService.fetchStudents.mockResolvedValue(directory)
+  })
+
+  /**
+   * Unit Test: Students per Year Level
+   *
+   * This test verifies that a course page shows the course and lists its
+   * students under each of its year levels, with links to the students
+   * and to the filtered student list.
+   */
+  it('shows the course and its students per year level', async () => {
+    const wrapper = mountPage('bsarch')
+    await flushPromises()
+
+    expect(wrapper.find('a.back-link').attributes('href')).toBe('/courses')
+    expect(wrapper.find('h2').text()).toBe('BS Architecture')
+    const facts = wrapper.find('.course-facts').text()
+    expect(facts).toContain('BSARCH')
+    expect(facts).toContain('College of Engineering and Architecture')
+    expect(facts).toContain('5 years')
+    expect(wrapper.find('a.course-students').text()).toBe('3 students')
+
+    const levels = wrapper.findAll('.year-level')
+    expect(levels.map(level => level.find('h4').text())).toEqual(['Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5'])
+    expect(levels[0].findAll('li a').map(link => link.text())).toEqual(['Ana Abad', 'José Peña'])
+    expect(levels[0].find('li a').attributes('href')).toBe('/students/3')
+    expect(levels[0].find('a.year-level-link').attributes('href')).toBe('/students?course=BS+Architecture&year=1')
+    expect(levels[1].find('.no-students').text()).toBe('No students at this year level.')
+    expect(levels[4].find('a.year-level-link').text()).toBe('1 student')
+  })
+
+  it('explains when no course has the code', async () => {
+    const wrapper = mountPage('BSXX')
+    await flushPromises()
+
+    expect(wrapper.find('.not-found h2').text()).toBe('Course not found')
+    expect(wrapper.find('.not-found p').text()).toContain('"BSXX"')
+    expect(wrapper.find('.year-level').exists()).toBe(false)
+  })
+
+  it('shows the course for a new code', async () => {
+    const wrapper = mountPage('BSARCH')
+    await flushPromises()
+
+    await wrapper.setProps({ code: 'BSN' })
+    await flushPromises()
+
+    expect(wrapper.find('h2').text()).toBe('BS Nursing')
+    expect(wrapper.findAll('.year-level')).toHaveLength(4)
+    expect(wrapper.find('a.course-students').text()).toBe('1 student')
+  })
+})
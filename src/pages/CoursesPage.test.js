@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises, enableAutoUnmount } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import CoursesPage from './CoursesPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { COURSE_CATALOG } from '../data/courses.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: CoursesPage },
+      { path: '/courses/:code', component: { template: '<div>Course</div>' } }
+    ]
+  })
+}
+
+const directory = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1' },
+  { id: 2, name: 'Maria Santos', course: 'BS Architecture', year: '5' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '2' }
+]
+
+const mountPage = () => mount(CoursesPage, {
+  global: {
+    plugins: [createMockRouter()]
+  }
+})
+
+describe('CoursesPage', () => {
+  enableAutoUnmount(afterEach)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resetStudents()
+  })
+
+  /**
+   * Unit Test: Course Listing
+   *
+   * This test verifies that every catalog course is listed with its code,
+   * college and years, links to its course page, and shows how many
+   * students it has, linking to them in the student list.
+   */
+  it('lists every course with its students', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const wrapper = mountPage()
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('.loading').exists()).toBe(true)
+    await flushPromises()
+
+    const rows = wrapper.findAll('tbody tr')
+    expect(rows).toHaveLength(COURSE_CATALOG.length)
+
+    const architecture = rows.find(row => row.find('.course-code').text() === 'BSARCH')
+    const cells = architecture.findAll('th, td').map(cell => cell.text())
+    expect(cells).toEqual(['BSARCH', 'BS Architecture', 'College of Engineering and Architecture', '5', '1'])
+    expect(architecture.find('.course-title a').attributes('href')).toBe('/courses/BSARCH')
+
+    const nursing = rows.find(row => row.find('.course-code').text() === 'BSN').find('a.course-students')
+    expect(nursing.text()).toBe('2')
+    expect(nursing.attributes('href')).toBe('/students?course=BS+Nursing')
+    expect(nursing.attributes('aria-label')).toBe('BS Nursing: 2 students')
+  })
+
+  it('shows the student load error', async () => {
+    apiService.fetchStudents.mockResolvedValue({ error: true, code: 'network', message: 'Network error' })
+
+    const wrapper = mountPage()
+    await flushPromises()
+
+    expect(wrapper.find('.error').text()).toBe('Network error - please check your connection')
+    expect(wrapper.find('table').exists()).toBe(false)
+  })
+})
@@ -1,9 +1,22 @@
-import { describe, it, expect } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises, enableAutoUnmount } from '@vue/test-utils'
 import { createRouter, createMemoryHistory } from 'vue-router'
-import * as fc from 'fast-check'
 import HomePage from './HomePage.vue'
 import HeaderComponent from '../components/HeaderComponent.vue'
+import BarChart from '../components/BarChart.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { authService } from '../services/authService.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
 
 // Create a mock router for testing
 const createMockRouter = () => {
@@ -11,140 +24,132 @@ const createMockRouter = () => {
     history: createMemoryHistory(),
     routes: [
       { path: '/', component: { template: '<div>Home</div>' } },
-      { path: '/students', component: { template: '<div>Students</div>' } }
+      { path: '/login', component: { template: '<div>Sign in</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } }
     ]
   })
 }
 
+const directory = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '2', email: 'juan.cruz@student.edu.ph' },
+  { id: 4, name: 'Ana Reyes', course: 'BS Nursing', year: '3', email: 'ana.reyes@student.edu.ph', validationErrors: { email: 'Invalid email' } }
+]
+
+const mountPage = async () => {
+  const router = createMockRouter()
+  await router.push('/')
+  const wrapper = mount(HomePage, {
+    global: {
+      plugins: [router]
+    }
+  })
+  await flushPromises()
+  return { router, wrapper }
+}
+
 describe('HomePage', () => {
-  it('renders with HeaderComponent', () => {
-    const router = createMockRouter()
-    const wrapper = mount(HomePage, {
-      global: {
-        plugins: [router]
-      }
-    })
-    
-    // Check that HeaderComponent is rendered
-    const header = wrapper.findComponent(HeaderComponent)
-    expect(header.exists()).toBe(true)
+  enableAutoUnmount(afterEach)
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    resetStudents()
+    localStorage.clear()
+    // September 2024 falls in SY 2024–2025
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date(2024, 8, 2))
+    apiService.fetchStudents.mockResolvedValue(directory)
+    await authService.login('admin', 'password')
   })
 
-  it('displays welcome message', () => {
-    const router = createMockRouter()
-    const wrapper = mount(HomePage, {
-      global: {
-        plugins: [router]
-      }
-    })
-    
-    // Check that the welcome message is displayed
-    expect(wrapper.text()).toContain('Welcome to the Student Info App!')
-    expect(wrapper.find('h2').text()).toBe('Welcome to the Student Info App!')
+  afterEach(async () => {
+    await authService.logout()
+    vi.useRealTimers()
   })
 
-  it('has a button', () => {
-    const router = createMockRouter()
-    const wrapper = mount(HomePage, {
-      global: {
-        plugins: [router]
-      }
-    })
-    
-    // Check that the button exists
-    const button = wrapper.find('button')
-    expect(button.exists()).toBe(true)
-    expect(button.text()).toBe('Click Me!')
+  it('renders with HeaderComponent', async () => {
+    const { wrapper } = await mountPage()
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('h2').text()).toBe('Enrollment Dashboard')
+    expect(wrapper.find('.welcome').text()).toBe('Welcome to the Student Info App!')
+  })
+
+  it('asks signed-out visitors to sign in instead of loading students', async () => {
+    await authService.logout()
+    const { wrapper } = await mountPage()
+
+    expect(apiService.fetchStudents).not.toHaveBeenCalled()
+    expect(wrapper.find('.sign-in-prompt').exists()).toBe(true)
+    expect(wrapper.find('a.sign-in-link').attributes('href')).toBe('/login?redirect=/')
+    expect(wrapper.findComponent(BarChart).exists()).toBe(false)
   })
 
-  it('initial state has buttonClicked as false', () => {
-    const router = createMockRouter()
-    const wrapper = mount(HomePage, {
-      global: {
-        plugins: [router]
-      }
-    })
-    
-    // Check that the conditional message is not displayed initially
-    const clickedMessage = wrapper.find('.clicked-message')
-    expect(clickedMessage.exists()).toBe(false)
+  it('summarises the students', async () => {
+    const { wrapper } = await mountPage()
+
+    const cards = wrapper.findAll('.summary-card').map(card => card.text())
+    expect(cards[0]).toBe('Total students4')
+    expect(cards[1]).toBe('Courses2')
+    // One first year this school year against two the year before
+    expect(cards[2]).toContain('New this school year1')
+    expect(wrapper.find('.summary-change').text()).toBe('-50% from last year')
+    expect(cards[3]).toBe('Records needing review1')
+    expect(wrapper.find('a.summary-new').attributes('href')).toBe('/students?year=1')
   })
 
-  it('updates state when button is clicked', async () => {
-    const router = createMockRouter()
-    const wrapper = mount(HomePage, {
-      global: {
-        plugins: [router]
-      }
-    })
-    
-    // Initially, the clicked message should not be visible
-    expect(wrapper.find('.clicked-message').exists()).toBe(false)
-    
-    // Click the button
-    const button = wrapper.find('button')
-    await button.trigger('click')
-    
-    // After clicking, the message should be visible
-    const clickedMessage = wrapper.find('.clicked-message')
-    expect(clickedMessage.exists()).toBe(true)
-    expect(clickedMessage.text()).toBe('Button was clicked!')
+  it('charts students per course, year level and entry year', async () => {
+    const { wrapper } = await mountPage()
+
+    const courseBars = wrapper.find('.course-chart').findAll('a.bar')
+    expect(courseBars.map(bar => bar.attributes('aria-label'))).toEqual([
+      'BS Nursing: 3 students',
+      'BS Computer Science: 1 student'
+    ])
+
+    const yearBars = wrapper.find('.year-chart').findAll('a.bar')
+    expect(yearBars.map(bar => bar.attributes('aria-label'))).toEqual([
+      'Year 1: 1 student',
+      'Year 2: 2 students',
+      'Year 3: 1 student'
+    ])
+
+    const entryChart = wrapper.find('.entry-year-chart')
+    expect(entryChart.find('.chart-description').text()).toContain('SY 2024–2025')
+    expect(entryChart.findAll('a.bar').map(bar => bar.attributes('aria-label'))).toEqual([
+      'SY 2022–2023: 1 student',
+      'SY 2023–2024: 2 students, +100% from last year',
+      'SY 2024–2025: 1 student, -50% from last year'
+    ])
+    expect(entryChart.findAll('a.bar')[0].attributes('href')).toBe('/students?year=3')
   })
 
   /**
-   * Property 2: Button Interaction Updates State
-   * 
-   * **Validates: Requirements 3.2, 3.3**
-   * 
-   * **Feature: student-info-app, Property 2: Button clicks update state**
-   * 
-   * This property test verifies that for any button with a click handler,
-   * when the button is clicked, the associated state is updated and reflected in the UI.
-   * 
-   * The test verifies:
-   * 1. The button exists and can be found
-   * 2. Before clicking, the conditional message is not visible
-   * 3. After clicking, the state updates (buttonClicked becomes true)
-   * 4. The conditional message appears in the UI after the click
+   * Unit Test: Chart Drill-Down
+   *
+   * This test verifies that clicking a chart bar opens the Students page
+   * filtered to the students that bar counts.
    */
-  it('Property 2: button interaction updates state for any number of clicks', async () => {
-    await fc.assert(
-      fc.asyncProperty(
-        // Generate a random number of clicks (1 to 10)
-        fc.integer({ min: 1, max: 10 }),
-        async (numClicks) => {
-          const router = createMockRouter()
-          // Mount the HomePage component
-          const wrapper = mount(HomePage, {
-            global: {
-              plugins: [router]
-            }
-          })
-          
-          // Find the button element
-          const button = wrapper.find('button')
-          
-          // Verify button exists
-          expect(button.exists()).toBe(true)
-          
-          // Initially, the conditional message should not be visible
-          expect(wrapper.find('.clicked-message').exists()).toBe(false)
-          
-          // Click the button the specified number of times
-          for (let i = 0; i < numClicks; i++) {
-            await button.trigger('click')
-          }
-          
-          // After clicking, verify state has updated and message appears
-          const clickedMessage = wrapper.find('.clicked-message')
-          expect(clickedMessage.exists()).toBe(true)
-          expect(clickedMessage.text()).toBe('Button was clicked!')
-          
-          // Verify the message is visible in the rendered output
-          expect(wrapper.text()).toContain('Button was clicked!')
-        }
-      ),
-      { numRuns: 100 } // Run 100 iterations as per design document
-    )
+  it('opens the students in a slice when its bar is clicked', async () => {
+    const { router, wrapper } = await mountPage()
+
+    const bar = wrapper.find('.course-chart').findAll('a.bar')[1]
+    expect(bar.attributes('href')).toBe('/students?course=BS+Computer+Science')
+
+    await bar.trigger('click')
+    await flushPromises()
+
+    expect(router.currentRoute.value.path).toBe('/students')
+    expect(router.currentRoute.value.query).toEqual({ course: 'BS Computer Science' })
+  })
+
+  it('shows the load error', async () => {
+    apiService.fetchStudents.mockResolvedValue({ error: true, code: 'network', message: 'Network error' })
+    const { wrapper } = await mountPage()
+
+    expect(wrapper.find('.error').exists()).toBe(true)
+    expect(wrapper.findComponent(BarChart).exists()).toBe(false)
   })
 })
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import LoginPage from './LoginPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+import { authService } from '../services/authService.js'
+import { preferenceUser } from '../services/preferences.js'
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/login', name: 'Login', component: LoginPage },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/students/:id', component: { template: '<div>Student</div>' } }
+    ]
+  })
+}
+
+const mountAt = async (url) => {
+  const router = createMockRouter()
+  await router.push(url)
+  const wrapper = mount(LoginPage, {
+    global: {
+      plugins: [router]
+    }
+  })
+  return { router, wrapper }
+}
+
+const signIn = async (wrapper, username, password) => {
+  await wrapper.find('#login-username').setValue(username)
+  await wrapper.find('#login-password').setValue(password)
+  await wrapper.find('form').trigger('submit')
+  // The mock provider is imported on the first sign-in
+  await vi.dynamicImportSettled()
+  await flushPromises()
+}
+
+describe('LoginPage', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await authService.logout()
+  })
+
+  it('renders a sign-in form with HeaderComponent', async () => {
+    const { wrapper } = await mountAt('/login')
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('h2').text()).toBe('Sign in')
+    expect(wrapper.find('#login-username').attributes('autocomplete')).toBe('username')
+    expect(wrapper.find('#login-password').attributes('type')).toBe('password')
+  })
+
+  it('signs in and returns to the page that asked for it', async () => {
+    const { router, wrapper } = await mountAt('/login?redirect=/students/3')
+
+    await signIn(wrapper, 'registrar', 'password')
+
+    expect(authService.session().user.role).toBe('registrar')
+    expect(preferenceUser()).toBe('u-registrar')
+    expect(router.currentRoute.value.fullPath).toBe('/students/3')
+  })
+
+  it('goes to the students list when the redirect is missing or leaves the app', async () => {
+    const { router, wrapper } = await mountAt('/login?redirect=//evil.example.com')
+
+    await signIn(wrapper, 'admin', 'password')
+
+    expect(router.currentRoute.value.fullPath).toBe('/students')
+  })
+
+  it('shows an error for wrong or missing credentials', async () => {
+    const { router, wrapper } = await mountAt('/login')
+
+    await wrapper.find('form').trigger('submit')
+    expect(wrapper.find('.error').text()).toBe('Enter your username and password.')
+
+    await signIn(wrapper, 'admin', 'wrong')
+    expect(wrapper.find('.error').text()).toBe('Incorrect username or password')
+    expect(wrapper.find('#login-password').element.value).toBe('')
+    expect(authService.session()).toBeNull()
+    expect(router.currentRoute.value.path).toBe('/login')
+  })
+
+  it('explains why the user was sent to sign in', async () => {
+    const { wrapper } = await mountAt('/login?redirect=/students&reason=expired')
+    expect(wrapper.find('.notice').text()).toBe('Your session has expired. Please sign in again.')
+
+    await authService.login('viewer', 'password')
+    const denied = (await mountAt('/login?redirect=/students/new&reason=denied')).wrapper
+    expect(denied.find('.notice').text()).toContain('Your account cannot open that page')
+    expect(denied.find('.signed-in').text()).toBe('Signed in as Paolo Garcia (Viewer)')
+  })
+})
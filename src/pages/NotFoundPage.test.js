@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import NotFoundPage from './NotFoundPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/:pathMatch(.*)*', component: NotFoundPage }
+    ]
+  })
+}
+
+describe('NotFoundPage', () => {
+  it('names the missing address and links back into the app', async () => {
+    const router = createMockRouter()
+    await router.push('/studnets?course=BS%20Nursing')
+    const wrapper = mount(NotFoundPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('h2').text()).toBe('Page not found')
+    expect(wrapper.find('main p').text()).toContain('There is no page at /studnets?course=BS%20Nursing.')
+    expect(wrapper.find('a.home-link').attributes('href')).toBe('/')
+    expect(wrapper.find('a.students-link').attributes('href')).toBe('/students')
+  })
+})
@@ -0,0 +1,476 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import StudentDetailPage from './StudentDetailPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { downloadFile } from '../utils/studentExport.js'
+import { authService } from '../services/authService.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    fetchStudent: vi.fn(),
+    lastUpdated: vi.fn(),
+    deleteStudent: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Keep the real file builders but capture downloads
+vi.mock('../utils/studentExport.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  downloadFile: vi.fn()
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/courses/:code', component: { template: '<div>Course</div>' } },
+      { path: '/students/:id', component: StudentDetailPage, props: true },
+      { path: '/students/:id/edit', component: { template: '<div>Edit Student</div>' } }
+    ]
+  })
+}
+
+const student = {
+  id: 1,
+  studentNumber: '2024-00001-MN-2',
+  name: 'Leanne Graham',
+  course: 'BS Computer Science',
+  year: '1',
+  email: 'leanne.graham@student.edu.ph',
+  phone: '+63 177 073 6803',
+  website: 'leanne-graham.edu.ph'
+}
+
+describe('StudentDetailPage', () => {
+  beforeEach(async () => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
+    // Signed in as an administrator, who may edit and delete
+    await authService.login('admin', 'password')
+  })
+
+  it('renders with HeaderComponent and a link back to the list', () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('a.back-link').attributes('href')).toBe('/students')
+  })
+
+  /**
+   * Unit Test: Profile Display
+   * 
+   * This test verifies that the page fetches the student for the route ID
+   * and renders every field of the profile.
+   */
+  it('loads and displays the full student profile', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    // Loading indicator while the request is pending
+    expect(wrapper.find('.loading').exists()).toBe(true)
+
+    await flushPromises()
+
+    expect(apiService.fetchStudent).toHaveBeenCalledWith('1', { signal: expect.any(AbortSignal) })
+    expect(wrapper.find('.loading').exists()).toBe(false)
+    expect(wrapper.find('h2').text()).toBe('Leanne Graham')
+
+    const text = wrapper.find('.profile').text()
+    expect(text).toContain('BS Computer Science')
+    expect(wrapper.find('.student-number').text()).toBe('2024-00001-MN-2')
+    expect(text).toContain('Year 1')
+    expect(text).toContain('leanne.graham@student.edu.ph')
+    // A number that could not be read is shown as it is, without a call link
+    expect(text).toContain('+63 177 073 6803')
+    expect(wrapper.find('a.phone-link').exists()).toBe(false)
+    expect(text).toContain('leanne-graham.edu.ph')
+  })
+
+  it('links the course to its course page when it is in the catalog', async () => {
+    apiService.fetchStudent.mockResolvedValueOnce(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+
+    expect(wrapper.find('a.course-link').attributes('href')).toBe('/courses/BSCS')
+
+    apiService.fetchStudent.mockResolvedValueOnce({ ...student, id: 2, course: 'BS Astrology' })
+    await wrapper.setProps({ id: '2' })
+    await flushPromises()
+
+    expect(wrapper.find('a.course-link').exists()).toBe(false)
+    expect(wrapper.find('.profile').text()).toContain('BS Astrology')
+  })
+
+  it('lists the validation issues of a flagged record', async () => {
+    apiService.fetchStudent.mockResolvedValue({
+      ...student,
+      validationErrors: { phone: { code: 'invalidPhone', field: 'phone' } }
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const items = wrapper.findAll('.review-notice li')
+    expect(items.map(item => item.text())).toEqual(['Phone must be a Philippine mobile or landline number (e.g. 0917 123 4567 or (02) 8123 4567)'])
+  })
+
+  /**
+   * Unit Test: Unknown ID
+   * 
+   * This test verifies that an unknown ID shows the not-found state
+   * instead of the generic error message.
+   */
+  it('shows a not-found state for an unknown ID', async () => {
+    apiService.fetchStudent.mockResolvedValue({
+      error: true,
+      notFound: true,
+      message: 'Student not found'
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '999' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('.not-found').exists()).toBe(true)
+    expect(wrapper.find('.not-found').text()).toContain('999')
+    expect(wrapper.find('.error').exists()).toBe(false)
+    expect(wrapper.find('.profile').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Student Number Address
+   *
+   * This test verifies that a student can be opened by student number as
+   * well as by ID, and that an unknown number shows the not-found state.
+   */
+  it('opens a student by student number', async () => {
+    apiService.fetchStudents.mockResolvedValue([student])
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '2024-00001-mn-2' },
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+
+    expect(apiService.fetchStudent).toHaveBeenCalledWith(1, { signal: expect.any(AbortSignal) })
+    expect(wrapper.find('h2').text()).toBe('Leanne Graham')
+    expect(wrapper.find('a.edit-link').attributes('href')).toBe('/students/1/edit')
+
+    await wrapper.setProps({ id: '2024-00002-MN-0' })
+    await flushPromises()
+
+    expect(wrapper.find('.not-found').text()).toContain('2024-00002-MN-0')
+    expect(apiService.fetchStudent).toHaveBeenCalledTimes(1)
+  })
+
+  it('leaves out the student number row until a number is assigned', async () => {
+    const { studentNumber, ...unnumbered } = student
+    apiService.fetchStudent.mockResolvedValue(unnumbered)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+
+    expect(wrapper.find('h2').text()).toBe('Leanne Graham')
+    expect(wrapper.find('.student-number').exists()).toBe(false)
+  })
+
+  it('shows a readable phone number as a call link', async () => {
+    apiService.fetchStudent.mockResolvedValue({ ...student, phone: '+63281234567;ext=12' })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+
+    const link = wrapper.find('a.phone-link')
+    expect(link.text()).toBe('+63 2 8123 4567 loc. 12')
+    expect(link.attributes('href')).toBe('tel:+63281234567;ext=12')
+  })
+
+  it('displays error message when fetch fails', async () => {
+    apiService.fetchStudent.mockResolvedValue({
+      error: true,
+      message: 'Network error - please check your connection'
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('.error').text()).toBe('Network error - please check your connection')
+    expect(wrapper.find('.not-found').exists()).toBe(false)
+  })
+
+  it('reloads when the route ID changes', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    apiService.fetchStudent.mockResolvedValue({ ...student, id: 2, name: 'Ervin Howell' })
+    await wrapper.setProps({ id: '2' })
+    await flushPromises()
+
+    expect(apiService.fetchStudent).toHaveBeenLastCalledWith('2', { signal: expect.any(AbortSignal) })
+    expect(wrapper.find('h2').text()).toBe('Ervin Howell')
+  })
+
+  /**
+   * Unit Test: Cancelled Loads
+   *
+   * This test verifies that a load still in flight is cancelled when the
+   * route ID changes or the page is left, and that its result is ignored.
+   */
+  it('cancels the previous load when the ID changes and on unmount', async () => {
+    const signals = []
+    apiService.fetchStudent.mockImplementation((id, { signal }) => {
+      signals.push(signal)
+      return id === '1'
+        ? new Promise(resolve => signal.addEventListener('abort', () => resolve({ error: true, cancelled: true, message: 'Request cancelled' })))
+        : new Promise(() => {})
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await wrapper.setProps({ id: '2' })
+    await flushPromises()
+
+    expect(signals[0].aborted).toBe(true)
+    expect(signals[1].aborted).toBe(false)
+    expect(wrapper.find('.error').exists()).toBe(false)
+    expect(wrapper.find('.loading').exists()).toBe(true)
+
+    wrapper.unmount()
+    expect(signals[1].aborted).toBe(true)
+  })
+
+  it('links to the edit form', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('a.edit-link').attributes('href')).toBe('/students/1/edit')
+  })
+
+  it('hides the edit and delete controls from roles that cannot change students', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    await authService.login('faculty', 'password')
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('.print-button').exists()).toBe(true)
+    expect(wrapper.find('a.edit-link').exists()).toBe(false)
+    expect(wrapper.find('.delete-button').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Optimistic Delete
+   * 
+   * This test verifies that a confirmed delete shows the student as removed
+   * before the server answers.
+   */
+  it('shows the student as deleted as soon as the delete is confirmed', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    let resolveDelete
+    apiService.deleteStudent.mockImplementation(() => new Promise(resolve => { resolveDelete = resolve }))
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await wrapper.find('.delete-button').trigger('click')
+    expect(wrapper.find('[role="alertdialog"]').exists()).toBe(true)
+
+    await wrapper.find('.confirm-button').trigger('click')
+
+    expect(apiService.deleteStudent).toHaveBeenCalledWith(1)
+    expect(wrapper.find('.deleted-notice').exists()).toBe(true)
+    expect(wrapper.find('.profile').exists()).toBe(false)
+
+    resolveDelete({ deleted: true, id: 1 })
+    await flushPromises()
+    expect(wrapper.find('.deleted-notice').exists()).toBe(true)
+  })
+
+  /**
+   * Unit Test: Delete Rollback
+   * 
+   * This test verifies that the profile comes back with an error message
+   * when the server rejects the delete.
+   */
+  it('restores the profile when the server rejects the delete', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    apiService.deleteStudent.mockResolvedValue({ error: true, message: 'Server error: 403' })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await wrapper.find('.delete-button').trigger('click')
+    await wrapper.find('.confirm-button').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.find('.deleted-notice').exists()).toBe(false)
+    expect(wrapper.find('.profile h2').text()).toBe('Leanne Graham')
+    expect(wrapper.find('.profile .error').text()).toBe('Could not delete student: Server error: 403')
+  })
+
+  it('keeps the student when the delete is cancelled', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await wrapper.find('.delete-button').trigger('click')
+    await wrapper.find('.cancel-button').trigger('click')
+
+    expect(apiService.deleteStudent).not.toHaveBeenCalled()
+    expect(wrapper.find('[role="alertdialog"]').exists()).toBe(false)
+    expect(wrapper.find('.profile').exists()).toBe(true)
+  })
+
+  /**
+   * Unit Test: Print Profile
+   *
+   * This test verifies that the profile carries a print-only header and can
+   * be printed or downloaded as a PDF.
+   */
+  it('prints the profile and downloads it as a PDF', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    const print = vi.spyOn(window, 'print').mockImplementation(() => {})
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentDetailPage, {
+      props: { id: '1' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    expect(wrapper.find('.print-header').classes()).toContain('print-only')
+    expect(wrapper.find('.print-title').text()).toBe('Student Profile')
+
+    await wrapper.find('.print-button').trigger('click')
+    expect(print).toHaveBeenCalledTimes(1)
+
+    await wrapper.find('.pdf-button').trigger('click')
+    expect(downloadFile).toHaveBeenCalledWith(expect.anything(), 'student-1.pdf', 'application/pdf')
+    expect(new TextDecoder().decode(downloadFile.mock.calls[0][0])).toContain('(Leanne Graham)')
+
+    print.mockRestore()
+  })
+})
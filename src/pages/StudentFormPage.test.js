@@ -0,0 +1,268 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import StudentFormPage from './StudentFormPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    fetchStudent: vi.fn(),
+    lastUpdated: vi.fn(),
+    createStudent: vi.fn(),
+    updateStudent: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/students/new', component: StudentFormPage },
+      { path: '/students/:id', component: { template: '<div>Student</div>' } },
+      { path: '/students/:id/edit', component: StudentFormPage, props: true }
+    ]
+  })
+}
+
+const student = {
+  id: 3,
+  name: 'Juan Dela Cruz',
+  course: 'BS Nursing',
+  year: '2',
+  email: 'juan.cruz@student.edu.ph',
+  phone: '+639207778888',
+  website: 'juan-cruz.edu.ph'
+}
+
+const fillForm = async (wrapper, values) => {
+  for (const [field, value] of Object.entries(values)) {
+    await wrapper.find(`#student-${field}`).setValue(value)
+  }
+}
+
+describe('StudentFormPage', () => {
+  beforeEach(() => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
+    // New students are numbered in school year 2024
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date(2024, 8, 2))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('renders an empty add form with HeaderComponent', () => {
+    const router = createMockRouter()
+    const wrapper = mount(StudentFormPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('h2').text()).toBe('Add Student')
+    expect(wrapper.find('#student-name').element.value).toBe('')
+    expect(wrapper.findAll('#student-course option').length).toBe(11)
+    expect(apiService.fetchStudent).not.toHaveBeenCalled()
+  })
+
+  /**
+   * Unit Test: Create Student
+   * 
+   * This test verifies that submitting the add form creates the student
+   * with the next student number of this year's intake and its phone number
+   * in E.164 form, and opens the new student's detail page.
+   */
+  it('creates a student and navigates to it', async () => {
+    apiService.fetchStudents.mockResolvedValue([{ ...student, studentNumber: '2024-00001-MN-2' }])
+    apiService.createStudent.mockResolvedValue({ ...student, id: 11 })
+
+    const router = createMockRouter()
+    await router.push('/students/new')
+    const wrapper = mount(StudentFormPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await fillForm(wrapper, {
+      name: 'Juan Dela Cruz',
+      course: 'BS Nursing',
+      year: '2',
+      email: 'juan.cruz@student.edu.ph',
+      phone: '0920-777-8888',
+      website: 'juan-cruz.edu.ph'
+    })
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+
+    const { id, ...fields } = student
+    expect(apiService.createStudent).toHaveBeenCalledWith({ ...fields, studentNumber: '2024-00002-MN-0' })
+    expect(router.currentRoute.value.path).toBe('/students/11')
+  })
+
+  /**
+   * Unit Test: Edit Student
+   * 
+   * This test verifies that the edit form loads the student, shows the
+   * phone number formatted, and saves only the changed fields as a partial update.
+   */
+  it('loads a student and saves the changed fields', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    apiService.updateStudent.mockResolvedValue({ ...student, year: '3' })
+
+    const router = createMockRouter()
+    await router.push('/students/3/edit')
+    const wrapper = mount(StudentFormPage, {
+      props: { id: '3' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('h2').text()).toBe('Edit Student')
+    expect(wrapper.find('#student-name').element.value).toBe('Juan Dela Cruz')
+    expect(wrapper.find('#student-course').element.value).toBe('BS Nursing')
+    expect(wrapper.find('#student-phone').element.value).toBe('+63 920 777 8888')
+
+    await fillForm(wrapper, { year: '3' })
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+
+    expect(apiService.updateStudent).toHaveBeenCalledWith(3, { year: '3' }, { partial: true })
+    expect(router.currentRoute.value.path).toBe('/students/3')
+  })
+
+  it('saves a student opened by student number under its ID', async () => {
+    const numbered = { ...student, studentNumber: '2024-00001-MN-2' }
+    apiService.fetchStudents.mockResolvedValue([numbered])
+    apiService.fetchStudent.mockResolvedValue(numbered)
+    apiService.updateStudent.mockResolvedValue({ year: '3' })
+
+    const router = createMockRouter()
+    await router.push('/students/2024-00001-MN-2/edit')
+    const wrapper = mount(StudentFormPage, {
+      props: { id: '2024-00001-MN-2' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await fillForm(wrapper, { year: '3' })
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+
+    expect(apiService.fetchStudent).toHaveBeenCalledWith(3, expect.anything())
+    expect(apiService.updateStudent).toHaveBeenCalledWith(3, { year: '3' }, { partial: true })
+    expect(router.currentRoute.value.path).toBe('/students/3')
+  })
+
+  /**
+   * Unit Test: Field Validation
+   * 
+   * This test verifies that an invalid form is not submitted, that each
+   * invalid field shows its own message and that focus moves to the first one.
+   */
+  it('shows field errors and does not save an invalid student', async () => {
+    const router = createMockRouter()
+    await router.push('/students/new')
+    const wrapper = mount(StudentFormPage, {
+      attachTo: document.body,
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await fillForm(wrapper, {
+      course: 'BS Nursing',
+      email: 'juan@gmail.com',
+      phone: '12345'
+    })
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+
+    expect(apiService.createStudent).not.toHaveBeenCalled()
+    expect(wrapper.find('#student-name-error').text()).toBe('Name is required')
+    expect(wrapper.find('#student-email-error').text()).toBe('Email must use a school domain (@edu.ph)')
+    expect(wrapper.find('#student-phone-error').exists()).toBe(true)
+    expect(wrapper.find('#student-course-error').exists()).toBe(false)
+    expect(wrapper.find('#student-email').attributes('aria-invalid')).toBe('true')
+    expect(wrapper.find('#student-email').attributes('aria-describedby')).toBe('student-email-error')
+    expect(document.activeElement).toBe(wrapper.find('#student-name').element)
+
+    wrapper.unmount()
+  })
+
+  it('offers a fifth year level only for five-year courses', async () => {
+    const router = createMockRouter()
+    const wrapper = mount(StudentFormPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await fillForm(wrapper, { course: 'BS Architecture', year: '5' })
+    expect(wrapper.findAll('#student-year option').length).toBe(5)
+
+    await fillForm(wrapper, { course: 'BS Nursing' })
+    expect(wrapper.findAll('#student-year option').length).toBe(4)
+    expect(wrapper.find('#student-year').element.value).toBe('4')
+  })
+
+  it('keeps the form and shows the error when the server rejects the change', async () => {
+    apiService.fetchStudent.mockResolvedValue(student)
+    apiService.updateStudent.mockResolvedValue({ error: true, message: 'Server error: 422' })
+
+    const router = createMockRouter()
+    await router.push('/students/3/edit')
+    const wrapper = mount(StudentFormPage, {
+      props: { id: '3' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await fillForm(wrapper, { name: 'Juan D. Cruz' })
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+
+    expect(wrapper.find('.error').text()).toBe('Server error: 422')
+    expect(wrapper.find('#student-name').element.value).toBe('Juan D. Cruz')
+    expect(router.currentRoute.value.path).toBe('/students/3/edit')
+  })
+
+  it('shows an error when the student to edit cannot be loaded', async () => {
+    apiService.fetchStudent.mockResolvedValue({ error: true, notFound: true, message: 'Student not found' })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentFormPage, {
+      props: { id: '999' },
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('.error').text()).toBe('Student not found')
+    expect(wrapper.find('form').exists()).toBe(false)
+  })
+})
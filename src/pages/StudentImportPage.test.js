@@ -0,0 +1,225 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import StudentImportPage from './StudentImportPage.vue'
+import HeaderComponent from '../components/HeaderComponent.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { useI18n } from '../composables/useI18n.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    createStudent: vi.fn(),
+    updateStudent: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/students/import', component: StudentImportPage }
+    ]
+  })
+}
+
+const directory = [
+  { id: 1, studentNumber: '2024-00001-MN-2', name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '09171234567', website: '' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '09185550101', website: '' }
+]
+
+const csv = [
+  'Full Name,Program,Year Level,Email Address,Mobile Number',
+  'Ana Reyes,bs nursing,Year 1,ana.reyes@student.edu.ph,0917 000 1111',
+  ',,2,jose.pena@student.edu.ph,',
+  'Ben Cruz,BS Magic,1,ben@gmail.com,12345'
+].join('\r\n')
+
+const mountPage = async () => {
+  const router = createMockRouter()
+  await router.push('/students/import')
+  const wrapper = mount(StudentImportPage, {
+    global: {
+      plugins: [router]
+    }
+  })
+  await flushPromises()
+  return wrapper
+}
+
+// Chooses a file in the file input and waits for it to be read
+const chooseFile = async (wrapper, text, name = 'students.csv') => {
+  const input = wrapper.find('#import-file')
+  Object.defineProperty(input.element, 'files', {
+    value: [new File([text], name, { type: 'text/csv' })],
+    configurable: true
+  })
+  await input.trigger('change')
+  await vi.waitFor(() => {
+    expect(wrapper.find('.import-preview').exists() || wrapper.find('.error').exists()).toBe(true)
+  })
+}
+
+describe('StudentImportPage', () => {
+  beforeEach(() => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
+    apiService.fetchStudents.mockResolvedValue(directory)
+    // New students are numbered in school year 2024
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date(2024, 8, 2))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('loads the current students and asks for a file', async () => {
+    const wrapper = await mountPage()
+
+    expect(wrapper.findComponent(HeaderComponent).exists()).toBe(true)
+    expect(wrapper.find('h2').text()).toBe('Import Students')
+    expect(apiService.fetchStudents).toHaveBeenCalledWith(expect.objectContaining({ force: true }))
+    expect(wrapper.find('#import-file').exists()).toBe(true)
+    expect(wrapper.find('.import-preview').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Import Preview
+   *
+   * This test verifies that a chosen file has its columns mapped from the
+   * headings and every row previewed with its status: new, matched to an
+   * existing student, or rejected with its validation errors.
+   */
+  it('maps columns and previews each row with its status', async () => {
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, csv)
+
+    const selects = wrapper.findAll('.import-mapping select')
+    expect(selects.map(select => select.element.value)).toEqual(['name', 'course', 'year', 'email', 'phone'])
+    expect(wrapper.find('.preview-counts').text()).toContain('1 new, 1 to update, 0 unchanged, 1 with errors')
+
+    const rows = wrapper.findAll('.preview-row')
+    expect(rows).toHaveLength(3)
+    expect(rows[0].text()).toContain('BS Nursing')
+    expect(rows[0].find('.row-status').text()).toBe('New student')
+    expect(rows[1].find('.row-status').text()).toContain('Matches José Peña; changes year level')
+    expect(rows[2].classes()).toContain('preview-invalid')
+    expect(rows[2].findAll('.row-errors li')).toHaveLength(3)
+    expect(wrapper.find('.import-button').text()).toBe('Import 2 students')
+  })
+
+  it('moves a field when it is chosen for another column', async () => {
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, csv)
+
+    await wrapper.findAll('.import-mapping select')[0].setValue('email')
+
+    const selects = wrapper.findAll('.import-mapping select')
+    expect(selects.map(select => select.element.value)).toEqual(['email', 'course', 'year', '', 'phone'])
+  })
+
+  it('warns when no column can match existing students', async () => {
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, csv)
+    expect(wrapper.find('.import-warning').exists()).toBe(false)
+
+    await wrapper.findAll('.import-mapping select')[3].setValue('')
+    expect(wrapper.find('.import-warning').text()).toContain('Student ID, Student number or Email')
+
+    await wrapper.findAll('.import-mapping select')[0].setValue('studentNumber')
+    expect(wrapper.find('.import-warning').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Import Students
+   *
+   * This test verifies that importing creates new students, leaves matched
+   * students alone when their row is set to skip, and reports the outcome.
+   */
+  it('imports the accepted rows and shows a summary', async () => {
+    apiService.createStudent.mockResolvedValue({ id: 3 })
+
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, csv)
+    await wrapper.find('select[aria-label="Action for row 3"]').setValue('skip')
+    expect(wrapper.find('.import-button').text()).toBe('Import 1 student')
+
+    await wrapper.find('.import-button').trigger('click')
+    await flushPromises()
+
+    expect(apiService.createStudent).toHaveBeenCalledWith({
+      name: 'Ana Reyes',
+      course: 'BS Nursing',
+      year: '1',
+      email: 'ana.reyes@student.edu.ph',
+      phone: '+639170001111',
+      website: '',
+      studentNumber: '2024-00002-MN-0'
+    })
+    expect(apiService.updateStudent).not.toHaveBeenCalled()
+    expect(wrapper.find('.summary-counts').text()).toContain('1 created')
+    expect(wrapper.find('.summary-counts').text()).toContain('1 skipped')
+    expect(wrapper.find('.summary-counts').text()).toContain('1 not imported because of errors')
+  })
+
+  it('updates matched students and lists rows the backend refused', async () => {
+    apiService.createStudent.mockResolvedValue({ error: true, message: 'Email already exists' })
+    apiService.updateStudent.mockResolvedValue({ ...directory[0], year: '2' })
+
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, csv)
+    await wrapper.find('.import-button').trigger('click')
+    await flushPromises()
+
+    expect(apiService.updateStudent).toHaveBeenCalledWith(1, { year: '2' }, { partial: true })
+    expect(wrapper.find('.summary-counts').text()).toContain('1 updated')
+    expect(wrapper.find('.import-summary .error').text()).toContain('Row 2: Email already exists')
+  })
+
+  /**
+   * Unit Test: Filipino Import Page
+   *
+   * This test verifies that the import page, including the validation
+   * errors of rejected rows, is shown in the chosen language.
+   */
+  it('shows the page and row errors in Filipino', async () => {
+    useI18n().locale.value = 'fil'
+    try {
+      const wrapper = await mountPage()
+      await chooseFile(wrapper, csv)
+
+      expect(wrapper.find('h2').text()).toBe('Mag-import ng mga Estudyante')
+      expect(wrapper.find('.preview-counts').text()).toBe('1 bago, 1 ia-update, 0 walang pagbabago, 1 may error')
+      const rows = wrapper.findAll('.preview-row')
+      expect(rows[1].find('.row-status').text()).toContain('Tugma kay José Peña; babaguhin ang antas ng taon')
+      expect(rows[2].findAll('.row-errors li').map(item => item.text())).toEqual([
+        'Dapat isa sa mga iniaalok na kurso ang Kurso',
+        'Dapat gumamit ng domain ng paaralan ang Email (@edu.ph)',
+        'Dapat numero ng mobile o landline sa Pilipinas ang Telepono (hal. 0917 123 4567 o (02) 8123 4567)'
+      ])
+      expect(wrapper.find('.import-button').text()).toBe('I-import ang 2 estudyante')
+    } finally {
+      useI18n().locale.value = 'en'
+    }
+  })
+
+  it('reports a file without student rows', async () => {
+    const wrapper = await mountPage()
+    await chooseFile(wrapper, 'Name,Email\r\n', 'empty.csv')
+
+    expect(wrapper.find('.error').text()).toBe('empty.csv has no student rows below the heading row')
+    expect(wrapper.find('.import-preview').exists()).toBe(false)
+  })
+})
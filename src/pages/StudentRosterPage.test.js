@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import StudentRosterPage from './StudentRosterPage.vue'
+import PrintHeader from '../components/PrintHeader.vue'
+import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { useI18n } from '../composables/useI18n.js'
+import { downloadFile } from '../utils/studentExport.js'
+
+// Mock the apiService
+vi.mock('../services/apiService.js', () => ({
+  apiService: {
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {})
+  }
+}))
+
+// Keep the real file builders but capture downloads
+vi.mock('../utils/studentExport.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  downloadFile: vi.fn()
+}))
+
+// Create a mock router for testing
+const createMockRouter = () => {
+  return createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: { template: '<div>Home</div>' } },
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/students/print', component: StudentRosterPage }
+    ]
+  })
+}
+
+const directory = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '+63 917 123 4567', website: '' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '+63 918 555 0101', website: '' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '2', email: 'juan.cruz@student.edu.ph', phone: '+63 920 777 8888', website: '' }
+]
+
+const mountRoster = async (path) => {
+  const router = createMockRouter()
+  await router.push(path)
+  const wrapper = mount(StudentRosterPage, {
+    global: {
+      plugins: [router]
+    }
+  })
+  await flushPromises()
+  return wrapper
+}
+
+describe('StudentRosterPage', () => {
+  beforeEach(() => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
+    apiService.fetchStudents.mockResolvedValue(directory)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  /**
+   * Unit Test: Class Roster
+   *
+   * This test verifies that the roster lists every student matching the
+   * Students page query, in its sort order and without paging, under a
+   * header naming the filters and the number of students.
+   */
+  it('lists the filtered and sorted students under a print header', async () => {
+    const wrapper = await mountRoster('/students/print?course=BS%20Nursing&sort=-name&limit=10&page=2')
+
+    const header = wrapper.findComponent(PrintHeader)
+    expect(header.find('h2').text()).toBe('Class Roster')
+    expect(header.find('.print-school').text()).toBe('Student Info App')
+    expect(header.find('.print-subtitle').text()).toBe('BS Nursing · 2 students')
+    expect(header.find('.print-generated').text()).toMatch(/^Generated /)
+
+    const rows = wrapper.findAll('.roster-table tbody tr')
+    expect(rows.map(row => row.findAll('td')[2].text())).toEqual(['José Peña', 'Juan Dela Cruz'])
+    expect(rows[0].findAll('td')[0].text()).toBe('1')
+    expect(wrapper.find('a.back-link').attributes('href')).toBe('/students?course=BS+Nursing&sort=-name&limit=10&page=2')
+  })
+
+  it('says when no students match', async () => {
+    const wrapper = await mountRoster('/students/print?q=nobody')
+
+    expect(wrapper.find('.roster-table').exists()).toBe(false)
+    expect(wrapper.find('.roster-empty').text()).toBe('No students match these filters.')
+  })
+
+  it('opens the browser print dialog', async () => {
+    const print = vi.spyOn(window, 'print').mockImplementation(() => {})
+    const wrapper = await mountRoster('/students/print')
+
+    await wrapper.find('.print-button').trigger('click')
+
+    expect(print).toHaveBeenCalledTimes(1)
+  })
+
+  it('downloads the same roster as a PDF', async () => {
+    const wrapper = await mountRoster('/students/print?year=2')
+
+    await wrapper.find('.pdf-button').trigger('click')
+
+    expect(downloadFile).toHaveBeenCalledWith(expect.anything(), expect.stringMatching(/^students-\d{4}-\d{2}-\d{2}\.pdf$/), 'application/pdf')
+    const pdf = new TextDecoder().decode(downloadFile.mock.calls[0][0])
+    expect(pdf).toContain('(Year 2 \\267 2 students)')
+    expect(pdf).toContain('(Maria Santos)')
+    expect(pdf).not.toContain('(Jos\\351 Pe\\361a)')
+  })
+
+  /**
+   * Unit Test: Filipino Roster
+   *
+   * This test verifies that the filters a roster was printed with and its
+   * PDF are described in the chosen language.
+   */
+  it('describes the roster and its PDF in Filipino', async () => {
+    useI18n().locale.value = 'fil'
+    try {
+      const wrapper = await mountRoster('/students/print?year=2&q=a')
+
+      expect(wrapper.find('.print-subtitle').text()).toBe('Taon 2 · Hanap: “a” · 2 estudyante')
+
+      await wrapper.find('.pdf-button').trigger('click')
+
+      const pdf = new TextDecoder().decode(downloadFile.mock.calls[0][0])
+      expect(pdf).toContain('(Listahan ng Klase)')
+      expect(pdf).toContain('(Pahina 1 ng 1)')
+    } finally {
+      useI18n().locale.value = 'en'
+    }
+  })
+})
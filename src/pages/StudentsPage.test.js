@@ -1,34 +1,71 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { mount, flushPromises } from '@vue/test-utils'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises, enableAutoUnmount } from '@vue/test-utils'
 import { createRouter, createMemoryHistory } from 'vue-router'
 import * as fc from 'fast-check'
 import StudentsPage from './StudentsPage.vue'
 import HeaderComponent from '../components/HeaderComponent.vue'
 import StudentComponent from '../components/StudentComponent.vue'
 import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
+import { useI18n } from '../composables/useI18n.js'
+import { authService } from '../services/authService.js'
+import { downloadFile } from '../utils/studentExport.js'
 
 // Mock the apiService
 vi.mock('../services/apiService.js', () => ({
   apiService: {
-    fetchStudents: vi.fn()
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {}),
+    deleteStudent: vi.fn(),
+    // Left unanswered unless a test answers it, so the whole list decides what is shown
+    fetchStudentsPage: vi.fn(() => new Promise(() => {}))
   }
 }))
 
+// Keep the real file builders but capture downloads
+vi.mock('../utils/studentExport.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  downloadFile: vi.fn()
+}))
+
 // Create a mock router for testing
 const createMockRouter = () => {
   return createRouter({
     history: createMemoryHistory(),
     routes: [
       { path: '/', component: { template: '<div>Home</div>' } },
-      { path: '/students', component: { template: '<div>Students</div>' } }
+      { path: '/students', component: { template: '<div>Students</div>' } },
+      { path: '/courses', component: { template: '<div>Courses</div>' } },
+      { path: '/students/new', component: { template: '<div>New Student</div>' } },
+      { path: '/students/import', component: { template: '<div>Import Students</div>' } },
+      { path: '/students/print', component: { template: '<div>Roster</div>' } },
+      { path: '/students/:id', component: { template: '<div>Student</div>' } },
+      { path: '/students/:id/edit', component: { template: '<div>Edit Student</div>' } }
     ]
   })
 }
 
+const directory = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '+63 917 123 4567', website: 'jose-pena.edu.ph' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '+63 918 555 0101', website: 'maria-santos.edu.ph' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '2', email: 'juan.cruz@student.edu.ph', phone: '+63 920 777 8888', website: 'juan-cruz.edu.ph' }
+]
+
 describe('StudentsPage', () => {
-  beforeEach(() => {
+  // Pages left mounted would re-render on shared changes such as the language
+  enableAutoUnmount(afterEach)
+
+  beforeEach(async () => {
     // Clear all mocks before each test
     vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
+    // and without saved display preferences
+    localStorage.clear()
+    // Signed in as an administrator, who sees every control
+    await authService.login('admin', 'password')
   })
 
   it('renders with HeaderComponent', () => {
@@ -78,6 +115,7 @@ describe('StudentsPage', () => {
         // Generate random delay times (10ms to 100ms for faster tests)
         fc.integer({ min: 10, max: 100 }),
         async (delayMs) => {
+          resetStudents()
           // Mock API with delayed response
           apiService.fetchStudents.mockImplementation(() => 
             new Promise(resolve => setTimeout(() => resolve([]), delayMs))
@@ -142,6 +180,7 @@ describe('StudentsPage', () => {
           { minLength: 1, maxLength: 20 }
         ),
         async (students) => {
+          resetStudents()
           // Mock API to return generated students
           apiService.fetchStudents.mockResolvedValue(students)
 
@@ -202,6 +241,7 @@ describe('StudentsPage', () => {
           .filter(s => s.trim().length > 0)
           .map(s => s.trim()),
         async (errorMessage) => {
+          resetStudents()
           // Mock API to return error
           apiService.fetchStudents.mockResolvedValue({
             error: true,
@@ -261,6 +301,7 @@ describe('StudentsPage', () => {
           { minLength: 2, maxLength: 15 } // At least 2 to compare consistency
         ),
         async (students) => {
+          resetStudents()
           // Mock API to return generated students
           apiService.fetchStudents.mockResolvedValue(students)
 
@@ -303,7 +344,7 @@ describe('StudentsPage', () => {
       ),
       { numRuns: 100 }
     )
-  })
+  }, 15000)
 
   /**
    * Unit Test: Empty Students Array
@@ -386,6 +427,34 @@ describe('StudentsPage', () => {
     expect(studentComponents[0].props('website')).toBe('johndoe.edu.ph')
   })
 
+  /**
+   * Unit Test: Cards Link to Student Detail
+   * 
+   * This test verifies that each student card links to its /students/:id
+   * detail route so a single record has a shareable URL.
+   */
+  it('links each student card to its detail page', async () => {
+    apiService.fetchStudents.mockResolvedValue([
+      { id: 1, name: 'John Doe', course: 'BS Computer Science', year: '3', email: 'john@example.com', phone: '+63 123 456 7890', website: 'johndoe.edu.ph' },
+      { id: 7, name: 'Jane Cruz', course: 'BS Nursing', year: '1', email: 'jane@example.com', phone: '+63 987 654 3210', website: 'janecruz.edu.ph' }
+    ])
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const links = wrapper.findAll('a.student-link')
+    expect(links.length).toBe(2)
+    expect(links[0].attributes('href')).toBe('/students/1')
+    expect(links[1].attributes('href')).toBe('/students/7')
+    expect(links[1].findComponent(StudentComponent).props('name')).toBe('Jane Cruz')
+  })
+
   /**
    * Unit Test: Initial State
    * 
@@ -417,4 +486,587 @@ describe('StudentsPage', () => {
     resolvePromise([])
     await flushPromises()
   })
+
+  /**
+   * Unit Test: Filters Read From the URL
+   * 
+   * This test verifies that search text and facet selections in the route
+   * query narrow the list, so a bookmarked or shared URL restores the view.
+   */
+  it('filters students from the route query', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    await router.push('/students?course=BS%20Nursing&year=2')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const studentComponents = wrapper.findAllComponents(StudentComponent)
+    expect(studentComponents.map(component => component.props('name'))).toEqual(['Juan Dela Cruz'])
+    expect(wrapper.find('.subtitle').text()).toBe('1 student found')
+  })
+
+  /**
+   * Unit Test: Filters Written to the URL
+   * 
+   * This test verifies that typing a search and picking a facet updates the
+   * route query and the displayed list.
+   */
+  it('writes search and facet changes to the route query', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    await router.push('/students')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    expect(wrapper.findAllComponents(StudentComponent).length).toBe(3)
+
+    await wrapper.find('input[type="search"]').setValue('santos')
+    await flushPromises()
+
+    expect(router.currentRoute.value.path).toBe('/students')
+    expect(router.currentRoute.value.query).toEqual({ q: 'santos' })
+    expect(wrapper.findAllComponents(StudentComponent).length).toBe(1)
+
+    await wrapper.find('.clear-button').trigger('click')
+    await flushPromises()
+
+    const yearTwo = wrapper.findAll('.facet-option').find(option => option.text().includes('Year 2'))
+    expect(yearTwo.find('.facet-count').text()).toBe('2')
+    await yearTwo.find('input').trigger('change')
+    await flushPromises()
+
+    expect(router.currentRoute.value.query).toEqual({ year: '2' })
+    expect(wrapper.find('.subtitle').text()).toBe('2 students found')
+  })
+
+  /**
+   * Unit Test: Sort State in the URL
+   * 
+   * This test verifies that the sort keys in the route query order the list
+   * and that changing the sort keeps the other list state in the URL.
+   */
+  it('sorts students from the route query and keeps filters when re-sorting', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    await router.push('/students?year=2&sort=-name')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const names = () => wrapper.findAllComponents(StudentComponent).map(component => component.props('name'))
+    expect(names()).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+    expect(wrapper.find('.subtitle').text()).toBe('2 students found')
+
+    await wrapper.find('.sort-direction').trigger('click')
+    await flushPromises()
+
+    expect(router.currentRoute.value.query).toEqual({ year: '2', sort: 'name' })
+    expect(names()).toEqual(['Juan Dela Cruz', 'Maria Santos'])
+  })
+
+  /**
+   * Unit Test: Pagination State in the URL
+   * 
+   * This test verifies that the page and page size come from the route query
+   * and that the pager writes page changes back to it.
+   */
+  it('paginates the list from the route query', async () => {
+    const roster = Array.from({ length: 23 }, (_, index) => ({
+      id: index + 1,
+      name: `Student ${index + 1}`,
+      course: 'BS Accountancy',
+      year: '1',
+      email: `student${index + 1}@student.edu.ph`,
+      phone: '+63 917 000 0000',
+      website: 'student.edu.ph'
+    }))
+    apiService.fetchStudents.mockResolvedValue(roster)
+
+    const router = createMockRouter()
+    await router.push('/students?limit=10&page=3')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const names = () => wrapper.findAllComponents(StudentComponent).map(component => component.props('name'))
+    expect(names()).toEqual(['Student 21', 'Student 22', 'Student 23'])
+    expect(wrapper.find('.subtitle').text()).toBe('23 students found')
+    expect(wrapper.find('.pagination .range').text()).toBe('Showing 21–23 of 23')
+
+    await wrapper.find('button[aria-label="Page 1"]').trigger('click')
+    await flushPromises()
+
+    expect(router.currentRoute.value.query).toEqual({ limit: '10' })
+    expect(names().length).toBe(10)
+
+    // Changing a filter returns to the first page
+    await router.replace('/students?limit=10&page=2')
+    await flushPromises()
+    await wrapper.find('input[type="search"]').setValue('Student 2')
+    await flushPromises()
+
+    expect(router.currentRoute.value.query).toEqual({ q: 'Student 2', limit: '10' })
+  })
+
+  /**
+   * Unit Test: Backend Page While Loading
+   *
+   * This test verifies that the page named in the route is requested from
+   * the backend and shown, with the backend's total, while the whole list
+   * is still loading, and that the whole list takes over once it arrives.
+   */
+  it('shows the backend page while the whole list loads', async () => {
+    let finishLoad
+    apiService.fetchStudents.mockReturnValue(new Promise(resolve => { finishLoad = resolve }))
+    apiService.fetchStudentsPage.mockResolvedValueOnce({ students: [directory[2]], total: 1203, page: 3, limit: 10 })
+
+    const router = createMockRouter()
+    await router.push('/students?limit=10&page=3')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+
+    expect(apiService.fetchStudentsPage).toHaveBeenCalledWith(expect.objectContaining({ page: 3, limit: 10 }))
+    expect(wrapper.find('.loading').exists()).toBe(false)
+    expect(wrapper.findAllComponents(StudentComponent).map(component => component.props('name'))).toEqual(['Juan Dela Cruz'])
+    expect(wrapper.find('.subtitle').text()).toBe('1,203 students found')
+    expect(wrapper.find('.pagination .range').text()).toBe('Showing 21–21 of 1,203')
+
+    finishLoad(directory)
+    await flushPromises()
+
+    expect(wrapper.find('.subtitle').text()).toBe('3 students found')
+    expect(wrapper.findAllComponents(StudentComponent)).toHaveLength(3)
+  })
+
+  /**
+   * Unit Test: Whole Roster on One Page
+   * 
+   * This test verifies that showing all students of a large roster renders
+   * only a window of cards instead of one card per student.
+   */
+  it('virtualizes the list when every student is shown on one page', async () => {
+    const roster = Array.from({ length: 20000 }, (_, index) => ({
+      id: index + 1,
+      name: `Student ${index + 1}`,
+      course: 'BS Accountancy',
+      year: '1',
+      email: `student${index + 1}@student.edu.ph`,
+      phone: '+63 917 000 0000',
+      website: 'student.edu.ph'
+    }))
+    apiService.fetchStudents.mockResolvedValue(roster)
+
+    const router = createMockRouter()
+    await router.push('/students?limit=all')
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('.subtitle').text()).toBe('20,000 students found')
+    const rendered = wrapper.findAllComponents(StudentComponent)
+    expect(rendered.length).toBeGreaterThan(0)
+    expect(rendered.length).toBeLessThan(50)
+    expect(wrapper.find('.students-list').attributes('role')).toBe('list')
+  })
+
+  it('links to the add form and to each student edit form', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('a.add-link').attributes('href')).toBe('/students/new')
+    expect(wrapper.findAll('a.edit-link').map(link => link.attributes('href'))).toEqual([
+      '/students/1/edit',
+      '/students/2/edit',
+      '/students/3/edit'
+    ])
+  })
+
+  it('hides the add, import, print, edit and delete controls from roles that cannot use them', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+    await authService.login('viewer', 'password')
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.findAllComponents(StudentComponent)).toHaveLength(3)
+    expect(wrapper.find('a.add-link').exists()).toBe(false)
+    expect(wrapper.find('a.import-link').exists()).toBe(false)
+    expect(wrapper.find('a.print-link').exists()).toBe(false)
+    expect(wrapper.find('a.edit-link').exists()).toBe(false)
+    expect(wrapper.find('.delete-button').exists()).toBe(false)
+
+    // Faculty may print the roster but not change students
+    await authService.login('faculty', 'password')
+    await flushPromises()
+    expect(wrapper.find('a.print-link').exists()).toBe(true)
+    expect(wrapper.find('a.add-link').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Optimistic Delete With Rollback
+   * 
+   * This test verifies that a confirmed delete removes the card immediately
+   * and puts it back in place when the server rejects the delete.
+   */
+  it('removes a deleted student immediately and restores it on failure', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+    let resolveDelete
+    apiService.deleteStudent.mockImplementation(() => new Promise(resolve => { resolveDelete = resolve }))
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const names = () => wrapper.findAllComponents(StudentComponent).map(component => component.props('name'))
+
+    await wrapper.findAll('.card-actions .delete-button')[1].trigger('click')
+    expect(wrapper.find('[role="alertdialog"]').text()).toContain('Maria Santos')
+    await wrapper.find('.confirm-button').trigger('click')
+
+    expect(apiService.deleteStudent).toHaveBeenCalledWith(2)
+    expect(names()).toEqual(['José Peña', 'Juan Dela Cruz'])
+    expect(wrapper.find('.subtitle').text()).toBe('2 students found')
+
+    resolveDelete({ error: true, message: 'Server error: 500' })
+    await flushPromises()
+
+    expect(names()).toEqual(['José Peña', 'Maria Santos', 'Juan Dela Cruz'])
+    expect(wrapper.find('.error').text()).toBe('Could not delete Maria Santos: Server error: 500')
+  })
+
+  it('keeps a deleted student out of the list when the server accepts', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+    apiService.deleteStudent.mockResolvedValue({ deleted: true, id: 1 })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    await wrapper.findAll('.card-actions .delete-button')[0].trigger('click')
+    await wrapper.find('.confirm-button').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.findAllComponents(StudentComponent).length).toBe(2)
+    expect(wrapper.find('.error').exists()).toBe(false)
+  })
+
+  /**
+   * Unit Test: Last Updated and Manual Refresh
+   * 
+   * This test verifies that the page shows when the list was loaded and that
+   * Refresh bypasses the cache while keeping the current list on screen.
+   */
+  it('shows when the list was loaded and refreshes it on demand', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+    apiService.lastUpdated.mockReturnValue(new Date('2026-10-19T08:30:00'))
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    expect(apiService.fetchStudents).toHaveBeenCalledWith(expect.objectContaining({ force: false }))
+    expect(wrapper.find('.last-updated time').attributes('datetime')).toBe(new Date('2026-10-19T08:30:00').toISOString())
+
+    let resolveRefresh
+    apiService.fetchStudents.mockImplementation(() => new Promise(resolve => { resolveRefresh = resolve }))
+    await wrapper.find('.refresh-button').trigger('click')
+
+    expect(apiService.fetchStudents).toHaveBeenLastCalledWith(expect.objectContaining({ force: true }))
+    expect(wrapper.find('.refresh-button').attributes('disabled')).toBeDefined()
+    expect(wrapper.findAllComponents(StudentComponent).length).toBe(3)
+
+    resolveRefresh({ error: true, message: 'Network error - please check your connection' })
+    await flushPromises()
+
+    expect(wrapper.findAllComponents(StudentComponent).length).toBe(3)
+    expect(wrapper.find('.error').text()).toBe('Could not refresh students: Network error - please check your connection')
+  })
+
+  it('replaces cached students when the background refresh arrives', async () => {
+    let revalidate
+    apiService.fetchStudents.mockImplementation(({ onRevalidate }) => {
+      revalidate = onRevalidate
+      return Promise.resolve(directory)
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    expect(wrapper.find('.subtitle').text()).toBe('3 students found')
+
+    revalidate(directory.slice(0, 2))
+    await flushPromises()
+
+    expect(wrapper.find('.subtitle').text()).toBe('2 students found')
+  })
+
+  /**
+   * Unit Test: Offline Banner
+   * 
+   * This test verifies that the page says when it is offline, how old the
+   * saved students are and how many changes are waiting, and reloads the
+   * list once the connection comes back.
+   */
+  it('shows an offline banner and reloads when the connection returns', async () => {
+    let notify
+    apiService.fetchStudents.mockResolvedValue(directory)
+    apiService.syncStatus.mockReturnValueOnce({
+      online: false,
+      savedAt: new Date('2026-10-18T16:45:00'),
+      pending: 2,
+      failed: []
+    })
+    apiService.onSyncStatusChange.mockImplementationOnce(listener => {
+      notify = listener
+      return () => {}
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const banner = wrapper.find('.offline-banner')
+    expect(banner.text()).toContain('You are offline.')
+    expect(banner.text()).toContain('they may be out of date')
+    expect(banner.find('.pending-writes').text()).toBe('2 changes are waiting to be sent.')
+    expect(apiService.fetchStudents).toHaveBeenCalledTimes(1)
+
+    notify({ online: true, savedAt: new Date(), pending: 0, failed: [{ type: 'update', id: 1, code: 'server', status: 422, message: 'Server error: 422' }] })
+    await flushPromises()
+
+    expect(wrapper.find('.offline-banner').exists()).toBe(false)
+    expect(wrapper.find('.error').text()).toContain('Server error: 422')
+    expect(apiService.fetchStudents).toHaveBeenCalledTimes(2)
+    expect(apiService.fetchStudents).toHaveBeenLastCalledWith(expect.objectContaining({ force: true }))
+  })
+
+  it('cancels loading students when the page is left', async () => {
+    let signal
+    apiService.fetchStudents.mockImplementationOnce(options => {
+      signal = options.signal
+      return new Promise(() => {})
+    })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    expect(signal.aborted).toBe(false)
+    wrapper.unmount()
+    expect(signal.aborted).toBe(true)
+  })
+
+  it('selects students and clears the selection', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+    expect(wrapper.find('.selection-bar').exists()).toBe(false)
+
+    await wrapper.find('input[aria-label="Select Maria Santos"]').setValue(true)
+    await wrapper.find('input[aria-label="Select Juan Dela Cruz"]').setValue(true)
+    expect(wrapper.find('.selection-bar').text()).toContain('2 students selected')
+
+    await wrapper.find('.clear-selection').trigger('click')
+    expect(wrapper.find('.selection-bar').exists()).toBe(false)
+    expect(wrapper.find('input[aria-label="Select Maria Santos"]').element.checked).toBe(false)
+  })
+
+  /**
+   * Unit Test: Export
+   *
+   * This test verifies that the export holds every row matching the filters,
+   * in the shown order and across pages, with the chosen columns.
+   */
+  it('exports the filtered and sorted students', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    router.push('/students?course=BS%20Nursing&sort=-name&limit=10&page=1')
+    await router.isReady()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    await flushPromises()
+
+    const boxes = wrapper.findAll('.export-column input')
+    for (const box of boxes.filter(box => !['name', 'year'].includes(box.element.value))) {
+      await box.setValue(false)
+    }
+    await wrapper.find('.export-csv').trigger('click')
+
+    const [contents, fileName, type] = downloadFile.mock.calls[0]
+    expect(contents.slice(1).split('\r\n')).toEqual(['Name,Year level', 'José Peña,1', 'Juan Dela Cruz,2', ''])
+    expect(fileName).toMatch(/^students-\d{4}-\d{2}-\d{2}\.csv$/)
+    expect(type).toBe('text/csv;charset=utf-8')
+
+    await wrapper.find('.export-xlsx').trigger('click')
+    expect(downloadFile.mock.calls[1][1]).toMatch(/\.xlsx$/)
+    expect(downloadFile.mock.calls[1][0]).toBeInstanceOf(Uint8Array)
+
+    // The printable roster is opened with the same search, filters and sort
+    expect(wrapper.find('a.print-link').attributes('href')).toBe('/students/print?course=BS+Nursing&sort=-name&limit=10&page=1')
+  })
+
+  /**
+   * Unit Test: Table view
+   *
+   * This test verifies that the table view shows the chosen columns and that
+   * the view and columns are remembered the next time the page opens.
+   */
+  it('switches to a table view and remembers the view and columns', async () => {
+    apiService.fetchStudents.mockResolvedValue(directory)
+
+    const router = createMockRouter()
+    const mountPage = () => mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+
+    const wrapper = mountPage()
+    await flushPromises()
+    expect(wrapper.find('.view-cards').attributes('aria-pressed')).toBe('true')
+    expect(wrapper.find('.student-table').exists()).toBe(false)
+
+    await wrapper.find('.view-table').trigger('click')
+    expect(wrapper.find('.view-table').attributes('aria-pressed')).toBe('true')
+    expect(wrapper.findAllComponents(StudentComponent)).toHaveLength(0)
+    expect(wrapper.findAll('.student-table tbody tr')).toHaveLength(3)
+    expect(wrapper.findAll('thead .column-label').map(label => label.text()))
+      .toEqual(['Student ID', 'Student number', 'Name', 'Course', 'Year level', 'Email', 'Phone'])
+
+    // Row actions work as they do on the cards
+    await wrapper.find('input[aria-label="Select Maria Santos"]').setValue(true)
+    expect(wrapper.find('.selection-bar').text()).toContain('1 student selected')
+    expect(wrapper.find('.cell-actions .edit-link').attributes('href')).toBe('/students/1/edit')
+
+    await wrapper.find('.column-picker input[type="checkbox"]').setValue(false)
+    expect(wrapper.findAll('thead .column-label').map(label => label.text()))
+      .toEqual(['Student number', 'Name', 'Course', 'Year level', 'Email', 'Phone'])
+    wrapper.unmount()
+
+    const reopened = mountPage()
+    await flushPromises()
+    expect(reopened.find('.view-table').attributes('aria-pressed')).toBe('true')
+    expect(reopened.findAll('thead .column-label').map(label => label.text()))
+      .toEqual(['Student number', 'Name', 'Course', 'Year level', 'Email', 'Phone'])
+  })
+
+  /**
+   * Unit Test: Language
+   *
+   * This test verifies that choosing Filipino in the header translates the
+   * page, including the student count and errors from the service.
+   */
+  it('switches the page to Filipino, including service errors', async () => {
+    apiService.fetchStudents.mockResolvedValue({ error: true, code: 'server', status: 503, message: 'Server error: 503' })
+
+    const router = createMockRouter()
+    const wrapper = mount(StudentsPage, {
+      global: {
+        plugins: [router]
+      }
+    })
+    await flushPromises()
+    expect(wrapper.find('.error').text()).toBe('Server error: 503')
+
+    try {
+      await wrapper.find('.language-picker select').setValue('fil')
+      expect(document.documentElement.lang).toBe('fil')
+      expect(wrapper.find('h2').text()).toBe('Direktoryo ng mga Estudyante')
+      expect(wrapper.find('.error').text()).toBe('Error sa server: 503')
+
+      apiService.fetchStudents.mockResolvedValue(directory)
+      resetStudents()
+      const reloaded = mount(StudentsPage, {
+        global: {
+          plugins: [router]
+        }
+      })
+      await flushPromises()
+      expect(reloaded.find('.subtitle').text()).toBe('3 estudyante ang nahanap')
+      expect(reloaded.find('.year-badge').text()).toBe('Taon 1')
+    } finally {
+      useI18n().locale.value = 'en'
+    }
+  })
 })
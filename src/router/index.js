@@ -1,23 +1,134 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import HomePage from '../pages/HomePage.vue'
-import StudentsPage from '../pages/StudentsPage.vue'
+import NotFoundPage from '../pages/NotFoundPage.vue'
+import { authService, hasRole, PERMISSIONS } from '../services/authService.js'
+import { trackRouteStatus } from './routeStatus.js'
 
+// Pages other than Home and NotFound are separate chunks, loaded when their
+// route is first opened; see routeStatus.js for loading and load failures
+const LoginPage = () => import('../pages/LoginPage.vue')
+const StudentsPage = () => import('../pages/StudentsPage.vue')
+const StudentDetailPage = () => import('../pages/StudentDetailPage.vue')
+const StudentFormPage = () => import('../pages/StudentFormPage.vue')
+const StudentImportPage = () => import('../pages/StudentImportPage.vue')
+const StudentRosterPage = () => import('../pages/StudentRosterPage.vue')
+const CoursesPage = () => import('../pages/CoursesPage.vue')
+const CourseDetailPage = () => import('../pages/CourseDetailPage.vue')
+
+// meta.title is the message key of the page title. Routes with meta.roles
+// need a signed-in user with one of those roles.
 const routes = [
   {
     path: '/',
     name: 'Home',
-    component: HomePage
+    component: HomePage,
+    meta: { title: 'titles.home' }
+  },
+  {
+    path: '/login',
+    name: 'Login',
+    component: LoginPage,
+    meta: { title: 'titles.login' }
   },
   {
     path: '/students',
     name: 'Students',
-    component: StudentsPage
+    component: StudentsPage,
+    meta: { title: 'titles.students', roles: PERMISSIONS.viewStudents }
+  },
+  {
+    path: '/students/new',
+    name: 'StudentCreate',
+    component: StudentFormPage,
+    meta: { title: 'titles.studentCreate', roles: PERMISSIONS.editStudents }
+  },
+  {
+    path: '/students/import',
+    name: 'StudentImport',
+    component: StudentImportPage,
+    meta: { title: 'titles.studentImport', roles: PERMISSIONS.editStudents }
+  },
+  {
+    path: '/students/print',
+    name: 'StudentRoster',
+    component: StudentRosterPage,
+    meta: { title: 'titles.studentRoster', roles: PERMISSIONS.printRoster }
+  },
+  {
+    path: '/students/:id',
+    name: 'StudentDetail',
+    component: StudentDetailPage,
+    props: true,
+    meta: { title: 'titles.studentDetail', roles: PERMISSIONS.viewStudents }
+  },
+  {
+    path: '/students/:id/edit',
+    name: 'StudentEdit',
+    component: StudentFormPage,
+    props: true,
+    meta: { title: 'titles.studentEdit', roles: PERMISSIONS.editStudents }
+  },
+  {
+    path: '/courses',
+    name: 'Courses',
+    component: CoursesPage,
+    meta: { title: 'titles.courses', roles: PERMISSIONS.viewStudents }
+  },
+  {
+    path: '/courses/:code',
+    name: 'CourseDetail',
+    component: CourseDetailPage,
+    props: true,
+    meta: { title: 'titles.courseDetail', roles: PERMISSIONS.viewStudents }
+  },
+  {
+    // Any other address
+    path: '/:pathMatch(.*)*',
+    name: 'NotFound',
+    component: NotFoundPage,
+    meta: { title: 'titles.notFound' }
   }
 ]
 
+/**
+ * Decides whether a route may be opened. Signed-out users are sent to the
+ * login page, and back to the route once they sign in; users without a
+ * required role are sent there too, to sign in with another account.
+ * @param {import('vue-router').RouteLocationNormalized} to
+ * @param {import('../services/authService.js').Session|null} session
+ * @returns {true|import('vue-router').RouteLocationRaw}
+ */
+export function routeAccess(to, session) {
+  const roles = to.meta.roles
+  if (!roles || hasRole(session, roles)) {
+    return true
+  }
+  return {
+    name: 'Login',
+    query: session ? { redirect: to.fullPath, reason: 'denied' } : { redirect: to.fullPath }
+  }
+}
+
 const router = createRouter({
   history: createWebHistory(),
   routes
 })
 
+router.beforeEach(to => routeAccess(to, authService.session()))
+
+// Installed here so the first navigation is tracked too
+trackRouteStatus(router)
+
+// A session that ends on a protected page (sign-out, expiry or a 401 from
+// the backend) leads to the login page, which returns here afterwards
+authService.onSessionChange((session, reason) => {
+  const route = router.currentRoute.value
+  if (!session && route.meta.roles) {
+    router.replace({
+      name: 'Login',
+      query: reason === 'logout' ? { redirect: route.fullPath } : { redirect: route.fullPath, reason }
+    })
+  }
+})
+
 export default router
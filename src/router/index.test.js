@@ -1,17 +1,34 @@
-import { describe, it, expect } from 'vitest'
-import router from './index.js'
+import { describe, it, expect, beforeEach } from 'vitest'
+import router, { routeAccess } from './index.js'
+import { authService, PERMISSIONS } from '../services/authService.js'
+import { translate } from '../i18n/index.js'
+
+// Name of the page component a URL opens, loading its chunk if needed
+const pageName = async (url) => {
+  const component = router.resolve(url).matched[0].components.default
+  return typeof component === 'function' ? (await component()).default.__name : component.__name
+}
 
 describe('Router Configuration', () => {
-  it('defines both routes', () => {
+  it('defines all routes', () => {
     const routes = router.getRoutes()
     
-    // Check that we have exactly 2 routes
-    expect(routes.length).toBe(2)
+    // Check that we have exactly 11 routes
+    expect(routes.length).toBe(11)
     
-    // Check that both paths are defined
+    // Check that all paths are defined
     const paths = routes.map(route => route.path)
     expect(paths).toContain('/')
+    expect(paths).toContain('/login')
     expect(paths).toContain('/students')
+    expect(paths).toContain('/students/new')
+    expect(paths).toContain('/students/import')
+    expect(paths).toContain('/students/print')
+    expect(paths).toContain('/students/:id')
+    expect(paths).toContain('/students/:id/edit')
+    expect(paths).toContain('/courses')
+    expect(paths).toContain('/courses/:code')
+    expect(paths).toContain('/:pathMatch(.*)*')
   })
 
   it('route names match expected values', () => {
@@ -35,7 +52,7 @@ describe('Router Configuration', () => {
     expect(router.options.history.base).toBeDefined()
   })
 
-  it('routes point to correct components', () => {
+  it('routes point to correct components', async () => {
     const routes = router.getRoutes()
     
     const homeRoute = routes.find(route => route.path === '/')
@@ -45,8 +62,132 @@ describe('Router Configuration', () => {
     expect(homeRoute.components.default).toBeDefined()
     expect(studentsRoute.components.default).toBeDefined()
     
-    // Check component names (Vue components have a __name property)
+    // Check component names (Vue components have a __name property); the
+    // Students page is loaded on demand
     expect(homeRoute.components.default.__name).toBe('HomePage')
-    expect(studentsRoute.components.default.__name).toBe('StudentsPage')
+    expect(await pageName('/students')).toBe('StudentsPage')
+  })
+
+  it('student detail route passes the ID as a prop', async () => {
+    const detailRoute = router.getRoutes().find(route => route.path === '/students/:id')
+
+    expect(detailRoute).toBeDefined()
+    expect(detailRoute.name).toBe('StudentDetail')
+    expect(detailRoute.props.default).toBe(true)
+    expect(await pageName('/students/42')).toBe('StudentDetailPage')
+
+    // Resolving a concrete URL matches the detail route
+    const resolved = router.resolve('/students/42')
+    expect(resolved.name).toBe('StudentDetail')
+    expect(resolved.params.id).toBe('42')
+  })
+
+  it('add and edit routes use the student form page', async () => {
+    const createRoute = router.resolve('/students/new')
+    const editRoute = router.resolve('/students/7/edit')
+
+    // /students/new must not be captured by the :id route
+    expect(createRoute.name).toBe('StudentCreate')
+    expect(editRoute.name).toBe('StudentEdit')
+    expect(editRoute.params.id).toBe('7')
+    expect(await pageName('/students/new')).toBe('StudentFormPage')
+    expect(await pageName('/students/7/edit')).toBe('StudentFormPage')
+  })
+
+  it('import and print routes are not captured by the :id route', async () => {
+    const importRoute = router.resolve('/students/import')
+    const rosterRoute = router.resolve('/students/print?course=BS%20Nursing')
+
+    expect(importRoute.name).toBe('StudentImport')
+    expect(await pageName('/students/import')).toBe('StudentImportPage')
+    expect(rosterRoute.name).toBe('StudentRoster')
+    expect(await pageName('/students/print')).toBe('StudentRosterPage')
+  })
+
+  it('course routes open the course pages', async () => {
+    const detailRoute = router.resolve('/courses/BSCS')
+
+    expect(router.resolve('/courses').name).toBe('Courses')
+    expect(await pageName('/courses')).toBe('CoursesPage')
+    expect(detailRoute.name).toBe('CourseDetail')
+    expect(detailRoute.params.code).toBe('BSCS')
+    expect(await pageName('/courses/BSCS')).toBe('CourseDetailPage')
+  })
+
+  it('sends unknown addresses to the NotFound page', () => {
+    for (const url of ['/studnets', '/students/3/edit/extra', '/a/b?c=d']) {
+      const resolved = router.resolve(url)
+      expect(resolved.name).toBe('NotFound')
+      expect(resolved.matched[0].components.default.__name).toBe('NotFoundPage')
+    }
+    expect(router.resolve('/studnets/x').params.pathMatch).toEqual(['studnets', 'x'])
+  })
+
+  it('gives every route a page title', () => {
+    for (const route of router.getRoutes()) {
+      expect(route.meta.title).toMatch(/^titles\./)
+      expect(translate('en', route.meta.title)).not.toBe(route.meta.title)
+    }
+  })
+
+  it('lists the roles each student route requires', () => {
+    const roles = (path) => router.resolve(path).meta.roles
+
+    expect(roles('/')).toBeUndefined()
+    expect(roles('/login')).toBeUndefined()
+    expect(roles('/students')).toEqual(PERMISSIONS.viewStudents)
+    expect(roles('/students/7')).toEqual(PERMISSIONS.viewStudents)
+    expect(roles('/students/print')).toEqual(PERMISSIONS.printRoster)
+    expect(roles('/students/new')).toEqual(PERMISSIONS.editStudents)
+    expect(roles('/students/import')).toEqual(PERMISSIONS.editStudents)
+    expect(roles('/students/7/edit')).toEqual(PERMISSIONS.editStudents)
+    expect(roles('/courses')).toEqual(PERMISSIONS.viewStudents)
+    expect(roles('/courses/BSN')).toEqual(PERMISSIONS.viewStudents)
+  })
+})
+
+describe('Route guards', () => {
+  const session = (role) => ({ token: 't', expiresAt: Date.now() + 60000, user: { id: 'u', username: role, name: role, role } })
+
+  beforeEach(async () => {
+    await authService.logout()
+    await router.replace('/')
+  })
+
+  it('decides access from the route roles and the session', () => {
+    const edit = router.resolve('/students/7/edit')
+
+    expect(routeAccess(router.resolve('/'), null)).toBe(true)
+    expect(routeAccess(edit, session('registrar'))).toBe(true)
+    expect(routeAccess(edit, null)).toEqual({ name: 'Login', query: { redirect: '/students/7/edit' } })
+    expect(routeAccess(edit, session('faculty'))).toEqual({
+      name: 'Login',
+      query: { redirect: '/students/7/edit', reason: 'denied' }
+    })
+  })
+
+  it('sends signed-out users to the login page and lets signed-in users through', async () => {
+    await router.push('/students?course=BS%20Nursing')
+    expect(router.currentRoute.value.name).toBe('Login')
+    expect(router.currentRoute.value.query.redirect).toBe('/students?course=BS%20Nursing')
+
+    await authService.login('viewer', 'password')
+    await router.push('/students')
+    expect(router.currentRoute.value.name).toBe('Students')
+
+    await router.push('/students/new')
+    expect(router.currentRoute.value.name).toBe('Login')
+    expect(router.currentRoute.value.query.reason).toBe('denied')
+  })
+
+  it('leaves a protected page for the login page when the session ends', async () => {
+    await authService.login('admin', 'password')
+    await router.push('/students/3')
+
+    authService.rejectToken()
+    await new Promise(resolve => setTimeout(resolve))
+
+    expect(router.currentRoute.value.name).toBe('Login')
+    expect(router.currentRoute.value.query).toEqual({ redirect: '/students/3', reason: 'unauthorized' })
   })
 })
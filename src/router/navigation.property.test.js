@@ -6,11 +6,16 @@ import App from '../App.vue'
 import HomePage from '../pages/HomePage.vue'
 import StudentsPage from '../pages/StudentsPage.vue'
 import { apiService } from '../services/apiService.js'
+import { resetStudents } from '../composables/useStudents.js'
 
 // Mock the apiService to prevent actual API calls during tests
 vi.mock('../services/apiService.js', () => ({
   apiService: {
-    fetchStudents: vi.fn()
+    fetchStudents: vi.fn(),
+    lastUpdated: vi.fn(),
+    syncStatus: vi.fn(() => ({ online: true, savedAt: null, pending: 0, failed: [] })),
+    onSyncStatusChange: vi.fn(() => () => {}),
+    fetchStudentsPage: vi.fn(async ({ page, limit }) => ({ students: [], total: 0, page, limit }))
   }
 }))
 
@@ -24,10 +29,35 @@ const createTestRouter = () => {
         name: 'Home',
         component: HomePage
       },
+      {
+        path: '/login',
+        name: 'Login',
+        component: { template: '<div>Sign in</div>' }
+      },
       {
         path: '/students',
         name: 'Students',
         component: StudentsPage
+      },
+      {
+        path: '/courses',
+        name: 'Courses',
+        component: { template: '<div>Courses</div>' }
+      },
+      {
+        path: '/students/new',
+        name: 'StudentCreate',
+        component: { template: '<div>New Student</div>' }
+      },
+      {
+        path: '/students/:id',
+        name: 'StudentDetail',
+        component: { template: '<div>Student</div>' }
+      },
+      {
+        path: '/students/:id/edit',
+        name: 'StudentEdit',
+        component: { template: '<div>Edit Student</div>' }
       }
     ]
   })
@@ -37,6 +67,8 @@ describe('Navigation Property Tests', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     vi.clearAllMocks()
+    // Start each test with an empty student store
+    resetStudents()
     // Mock API to return empty array to avoid loading states
     apiService.fetchStudents.mockResolvedValue([])
   })
@@ -130,7 +162,7 @@ describe('Navigation Property Tests', () => {
             if (targetRoute === 'home') {
               // HomePage should be rendered
               expect(wrapper.text()).toContain('Welcome to the Student Info App!')
-              expect(wrapper.text()).toContain('Click Me!')
+              expect(wrapper.text()).toContain('Enrollment Dashboard')
             } else {
               // StudentsPage should be rendered
               expect(wrapper.text()).toContain('Students Directory')
@@ -252,7 +284,7 @@ describe('Navigation Property Tests', () => {
    * 
    * For each route, we verify specific content that uniquely identifies
    * the page component:
-   * - Home route (/): "Welcome to the Student Info App!" and "Click Me!" button
+   * - Home route (/): "Welcome to the Student Info App!" and the "Enrollment Dashboard" heading
    * - Students route (/students): "Students List" heading
    * 
    * This ensures the router correctly maps routes to components and
@@ -302,13 +334,8 @@ describe('Navigation Property Tests', () => {
               // Check for the welcome message (unique to HomePage)
               expect(wrapper.text()).toContain('Welcome to the Student Info App!')
               
-              // Check for the button (unique to HomePage)
-              expect(wrapper.text()).toContain('Click Me!')
-              
-              // Verify the button element exists
-              const button = wrapper.find('button')
-              expect(button.exists()).toBe(true)
-              expect(button.text()).toBe('Click Me!')
+              // Check for the dashboard heading (unique to HomePage)
+              expect(wrapper.find('h2').text()).toBe('Enrollment Dashboard')
               
               // Verify HomePage component is actually mounted
               const homePage = wrapper.findComponent(HomePage)
@@ -332,7 +359,7 @@ describe('Navigation Property Tests', () => {
               expect(homePage.exists()).toBe(false)
               
               // Verify we don't see HomePage-specific content
-              expect(wrapper.text()).not.toContain('Click Me!')
+              expect(wrapper.text()).not.toContain('Enrollment Dashboard')
             }
 
             // Verify the header is present on all pages (consistent across routes)
@@ -0,0 +1,140 @@
+import { ref } from 'vue'
+import { useRouter } from 'vue-router'
+
+/**
+ * Route loading state
+ *
+ * Most pages are separate chunks, loaded the first time their route is
+ * opened. While a page takes a moment to load, `loading` is on so the app
+ * can show an indicator. A chunk that fails to load has usually been
+ * replaced by a newer deployment, so the app reloads once at the address
+ * being opened to pick up the current build. If that does not help, for
+ * example because the network is down, `failedPath` is set and the app
+ * offers to try again.
+ */
+
+/**
+ * sessionStorage key of the path last reloaded after a failed chunk load
+ */
+export const CHUNK_RELOAD_KEY = 'student-info-app:chunk-reload'
+
+const CHUNK_ERROR = /Failed to fetch dynamically imported module|error loading dynamically imported module|Importing a module script failed|Unable to preload CSS|Loading (CSS )?chunk .* failed/i
+
+/**
+ * Checks whether an error comes from a page chunk that could not be loaded
+ * @param {*} error - Error passed to router.onError
+ * @returns {boolean}
+ */
+export function isChunkLoadError(error) {
+  return Boolean(error) && (error.name === 'ChunkLoadError' || CHUNK_ERROR.test(String(error.message ?? '')))
+}
+
+const sessionStore = () => (typeof sessionStorage === 'undefined' ? null : sessionStorage)
+
+const readReloaded = (storage) => {
+  try {
+    return storage?.getItem(CHUNK_RELOAD_KEY) ?? null
+  } catch (error) {
+    return null
+  }
+}
+
+const writeReloaded = (storage, path) => {
+  try {
+    if (path) {
+      storage?.setItem(CHUNK_RELOAD_KEY, path)
+    } else {
+      storage?.removeItem(CHUNK_RELOAD_KEY)
+    }
+  } catch (error) {
+    // Without storage the page is not reloaded, so it cannot reload in a loop
+  }
+}
+
+const statuses = new WeakMap()
+
+/**
+ * Tracks page loading for a router. Called once per router, before its
+ * first navigation; later calls return the same state.
+ * @param {import('vue-router').Router} router
+ * @param {{delay?: number, reload?: (href: string) => void, storage?: Storage|null}} [options] - delay is how
+ *   long a navigation runs before it counts as loading, in milliseconds; reload and storage are for tests
+ * @returns {{loading: import('vue').Ref<boolean>, failedPath: import('vue').Ref<string|null>, retry: () => Promise<void>}}
+ */
+export function trackRouteStatus(router, {
+  delay = 200,
+  reload = (href) => window.location.assign(href),
+  storage = sessionStore()
+} = {}) {
+  if (statuses.has(router)) {
+    return statuses.get(router)
+  }
+
+  const loading = ref(false)
+  const failedPath = ref(null)
+  let timer = null
+
+  const stopLoading = () => {
+    clearTimeout(timer)
+    timer = null
+    loading.value = false
+  }
+
+  router.beforeEach(() => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      loading.value = true
+    }, delay)
+  })
+
+  router.afterEach((to, from, failure) => {
+    stopLoading()
+    if (!failure) {
+      failedPath.value = null
+      writeReloaded(storage, null)
+    }
+  })
+
+  router.onError((error, to) => {
+    stopLoading()
+    if (!isChunkLoadError(error)) {
+      return
+    }
+
+    const path = to.fullPath
+    if (storage && readReloaded(storage) !== path) {
+      writeReloaded(storage, path)
+      reload(router.resolve(path).href)
+    } else {
+      failedPath.value = path
+    }
+  })
+
+  const status = {
+    loading,
+    failedPath,
+
+    /**
+     * Opens the page that failed to load again
+     * @returns {Promise<void>}
+     */
+    async retry() {
+      const path = failedPath.value
+      failedPath.value = null
+      if (path) {
+        await router.push(path).catch(() => {})
+      }
+    }
+  }
+
+  statuses.set(router, status)
+  return status
+}
+
+/**
+ * Returns the loading state of the app's router, for use in components
+ * @returns {ReturnType<typeof trackRouteStatus>}
+ */
+export function useRouteStatus() {
+  return trackRouteStatus(useRouter())
+}
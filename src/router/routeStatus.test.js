@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import { trackRouteStatus, isChunkLoadError, CHUNK_RELOAD_KEY } from './routeStatus.js'
+
+const Page = { template: '<div>Page</div>' }
+
+const chunkError = () => new TypeError('Failed to fetch dynamically imported module: https://app.example/assets/StudentsPage-1a2b3c.js')
+
+// Router whose /slow page loads when the test resolves it and whose
+// /broken page fails with the given error
+const createTestRouter = ({ brokenError = chunkError } = {}) => {
+  const pending = {}
+  const router = createRouter({
+    history: createMemoryHistory(),
+    routes: [
+      { path: '/', component: Page },
+      { path: '/other', component: Page },
+      { path: '/slow', component: () => new Promise(resolve => { pending.resolve = () => resolve(Page) }) },
+      { path: '/broken', component: () => Promise.reject(brokenError()) }
+    ]
+  })
+  return { router, pending }
+}
+
+describe('routeStatus', () => {
+  beforeEach(() => {
+    sessionStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('recognises chunk load errors', () => {
+    expect(isChunkLoadError(chunkError())).toBe(true)
+    expect(isChunkLoadError(new TypeError('error loading dynamically imported module'))).toBe(true)
+    expect(isChunkLoadError(new TypeError('Importing a module script failed.'))).toBe(true)
+    expect(isChunkLoadError(Object.assign(new Error('Loading chunk 7 failed.'), { name: 'ChunkLoadError' }))).toBe(true)
+    expect(isChunkLoadError(new Error('Cannot read properties of undefined'))).toBe(false)
+    expect(isChunkLoadError(null)).toBe(false)
+  })
+
+  it('shows loading only for pages that take longer than the delay', async () => {
+    vi.useFakeTimers()
+    const { router, pending } = createTestRouter()
+    const status = trackRouteStatus(router, { delay: 200 })
+    expect(trackRouteStatus(router)).toBe(status)
+
+    await router.push('/')
+    expect(status.loading.value).toBe(false)
+
+    const navigation = router.push('/slow')
+    await vi.advanceTimersByTimeAsync(199)
+    expect(status.loading.value).toBe(false)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(status.loading.value).toBe(true)
+
+    pending.resolve()
+    await navigation
+    expect(status.loading.value).toBe(false)
+    expect(router.currentRoute.value.path).toBe('/slow')
+  })
+
+  /**
+   * Unit Test: Chunk Load Recovery
+   *
+   * This test verifies that a page chunk that fails to load reloads the app
+   * once at the page's address, and that a second failure for the same page
+   * is reported so the user can try again.
+   */
+  it('reloads once when a page chunk fails, then offers a retry', async () => {
+    const reload = vi.fn()
+    const { router } = createTestRouter()
+    const status = trackRouteStatus(router, { reload, storage: sessionStorage })
+    await router.push('/')
+
+    await router.push('/broken?page=2').catch(() => {})
+    expect(reload).toHaveBeenCalledWith('/broken?page=2')
+    expect(sessionStorage.getItem(CHUNK_RELOAD_KEY)).toBe('/broken?page=2')
+    expect(status.failedPath.value).toBeNull()
+
+    // After the reload the same page fails again
+    await router.push('/broken?page=2').catch(() => {})
+    expect(reload).toHaveBeenCalledTimes(1)
+    expect(status.failedPath.value).toBe('/broken?page=2')
+    expect(status.loading.value).toBe(false)
+    expect(router.currentRoute.value.path).toBe('/')
+
+    await status.retry()
+    expect(status.failedPath.value).toBe('/broken?page=2')
+
+    // A page that loads clears the failure and allows another reload later
+    await router.push('/other')
+    expect(status.failedPath.value).toBeNull()
+    expect(sessionStorage.getItem(CHUNK_RELOAD_KEY)).toBeNull()
+  })
+
+  it('leaves other navigation errors alone', async () => {
+    const reload = vi.fn()
+    const { router } = createTestRouter({ brokenError: () => new Error('Page setup failed') })
+    const status = trackRouteStatus(router, { reload, storage: sessionStorage })
+    await router.push('/')
+
+    await expect(router.push('/broken')).rejects.toThrow('Page setup failed')
+    expect(reload).not.toHaveBeenCalled()
+    expect(status.failedPath.value).toBeNull()
+  })
+})
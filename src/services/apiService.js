@@ -1,85 +1,416 @@
-import axios from 'axios'
+import { validateStudent } from '../models/student.js'
+import { config } from '../config.js'
+import { createDataSource, createOfflineDataSource } from './dataSources/index.js'
+import { isCancelled } from './dataSources/errors.js'
+import { toStudent } from './studentMapper.js'
+import { createCache } from './cache.js'
+import { createOfflineStore } from './offlineStore.js'
+import { authService } from './authService.js'
 
 /**
- * API Service for fetching student data
+ * How long cached reads stay fresh, in milliseconds, per resource. Stale
+ * results are still returned at once and refreshed in the background.
  */
-export const apiService = {
-  /**
-   * Fetches students from JSONPlaceholder API and transforms to Student model
-   * @returns {Promise<Array<{id: number, name: string, course: string, year: string, email: string, phone: string, website: string}>>} Array of student objects
-   * @returns {Promise<{error: boolean, message: string}>} Error object if fetch fails
-   */
-  async fetchStudents() {
-    try {
-      // Configure Axios instance with 10-second timeout
-      const axiosInstance = axios.create({
-        timeout: 10000 // 10 seconds
+export const DEFAULT_CACHE_TTL = {
+  students: 60 * 1000,
+  student: 5 * 60 * 1000
+}
+
+/**
+ * Validates a transformed student. Records without a usable ID or name cannot
+ * be listed or linked to, so they are rejected (null); other problems are
+ * flagged on the record as `validationErrors` so the UI can point them out.
+ * @param {Object} student - Transformed student
+ * @returns {Object|null} The student, flagged if invalid, or null if rejected
+ */
+function checkStudent(student) {
+  const { valid, errors } = validateStudent(student, { requireId: true })
+
+  if (valid) {
+    return student
+  }
+  if (errors.id || errors.name) {
+    return null
+  }
+  return { ...student, validationErrors: errors }
+}
+
+// Offline state reported for data sources that do not work offline
+const ALWAYS_ONLINE = { online: true, savedAt: null, pending: 0, failed: [] }
+
+// Result for a caller that aborted its signal; pages ignore it
+const CANCELLED = { error: true, code: 'cancelled', cancelled: true, message: 'Request cancelled' }
+
+/**
+ * Converts a data source error to the structured error object returned by the service.
+ * The code names the cause so pages can show the message in the user's
+ * language; message is the English text for logs and callers without translations.
+ * @param {Error} error - Error thrown by the data source (Axios-style)
+ * @param {string} fallbackCode - Code used when the error has no known cause, e.g. 'deleteFailed'
+ * @param {string} fallbackMessage - Message used when the error has no known cause
+ * @returns {{error: boolean, code: string, status?: number, message: string, attempts: number, cancelled?: boolean}}
+ *   code is 'timeout', 'server' (with the HTTP status), 'network', 'cancelled' or fallbackCode;
+ *   attempts is how many times the request was sent, counting retries
+ */
+function toErrorResult(error, fallbackCode, fallbackMessage) {
+  const attempts = error.attempts ?? 1
+
+  if (isCancelled(error)) {
+    return { ...CANCELLED, attempts }
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return { error: true, code: 'timeout', message: 'Request timeout - please try again', attempts }
+  } else if (error.response) {
+    // Server responded with error status
+    const { status } = error.response
+    return { error: true, code: 'server', status, message: `Server error: ${status}`, attempts }
+  } else if (error.request) {
+    // Request made but no response received
+    return { error: true, code: 'network', message: 'Network error - please check your connection', attempts }
+  }
+
+  return {
+    error: true,
+    code: fallbackCode,
+    message: fallbackMessage,
+    attempts
+  }
+}
+
+/**
+ * Creates the API service on top of a data source adapter
+ * @param {import('./dataSources/index.js').DataSource} dataSource - Where student records are read from and saved to
+ * @param {{mapStudent?: Function, cache?: Object, cacheTtl?: Object<string, number>}} [options]
+ *   mapStudent - Turns a raw record into a Student, see createStudentMapper; defaults to the standard field mappings
+ *   cache - Cache for read results, see createCache
+ *   cacheTtl - Freshness per resource ('students', 'student'), merged over DEFAULT_CACHE_TTL
+ * @returns {Object} API service
+ */
+export function createApiService(dataSource, { mapStudent = toStudent, cache = createCache(), cacheTtl: ttlOverrides = {} } = {}) {
+  const cacheTtl = { ...DEFAULT_CACHE_TTL, ...ttlOverrides }
+
+  // Loads in flight by cache key, so concurrent reads of one resource share a
+  // request: { request, controller, callers, kept }
+  const pending = new Map()
+
+  // Map a raw record and validate the result
+  const readStudent = (record) => checkStudent(mapStudent(record))
+
+  // Waits for a shared load on behalf of one caller. A caller whose signal
+  // aborts gets the cancelled result at once; the load itself is aborted only
+  // when every caller has left, and never when a caller passed no signal.
+  const follow = (load, signal) => {
+    if (!signal) {
+      load.kept = true
+      return load.request
+    }
+    if (signal.aborted) {
+      return Promise.resolve(CANCELLED)
+    }
+
+    load.callers++
+    return new Promise(resolve => {
+      const onAbort = () => {
+        load.callers--
+        if (load.callers === 0 && !load.kept) {
+          load.controller.abort()
+        }
+        resolve(CANCELLED)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      load.request.then(result => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(result)
       })
-      
-      const response = await axiosInstance.get('https://jsonplaceholder.typicode.com/users')
-      
-      // Philippine course names
-      const courses = [
-        'BS Computer Science',
-        'BS Information Technology',
-        'BS Business Administration',
-        'BS Accountancy',
-        'BS Nursing',
-        'BS Psychology',
-        'BS Civil Engineering',
-        'BS Electrical Engineering',
-        'BS Architecture',
-        'AB Communication'
-      ]
-      
-      // Transform API response to Student model with Philippine context
-      const students = response.data.map((user, index) => {
-        // Format phone number to Philippine format (+63)
-        const phoneDigits = user.phone.replace(/\D/g, '').slice(0, 10)
-        const formattedPhone = `+63 ${phoneDigits.slice(0, 3)} ${phoneDigits.slice(3, 6)} ${phoneDigits.slice(6, 10)}`
-        
-        // Generate email from name (firstname.lastname@student.edu.ph)
-        const nameParts = user.name.toLowerCase().split(' ')
-        const firstName = nameParts[0] || 'student'
-        const lastName = nameParts[nameParts.length - 1] || 'user'
-        const studentEmail = `${firstName}.${lastName}@student.edu.ph`
-        
-        // Generate website from name (firstname-lastname.edu.ph)
-        const phWebsite = `${firstName}-${lastName}.edu.ph`
-        
-        // Assign year level (1-4)
-        const yearLevel = ((index % 4) + 1).toString()
-        
-        return {
-          id: user.id,
-          name: user.name,
-          course: courses[index % courses.length],
-          year: yearLevel,
-          email: studentEmail,
-          phone: formattedPhone,
-          website: phWebsite
+    })
+  }
+
+  // Loads a resource and caches the result unless it is an error object or
+  // the resource was invalidated while the load was in flight
+  const refresh = (key, load, signal) => {
+    if (!pending.has(key)) {
+      const controller = new AbortController()
+      const entry = { controller, callers: 0, kept: false }
+      entry.request = load(controller.signal).then(result => {
+        if (pending.get(key) === entry) {
+          pending.delete(key)
+          if (!result.error) {
+            cache.set(key, result)
+          }
+        }
+        return result
+      })
+      pending.set(key, entry)
+    }
+    return follow(pending.get(key), signal)
+  }
+
+  // Stale-while-revalidate read: fresh entries are returned as they are; stale
+  // entries are returned at once and refreshed in the background, with
+  // onRevalidate receiving the new result; force skips the cache. The signal
+  // cancels the caller's wait, not background refreshes.
+  const cachedRead = async (key, ttl, load, { force, onRevalidate, signal }) => {
+    const entry = cache.get(key)
+
+    if (!entry || force) {
+      return refresh(key, load, signal)
+    }
+    if (!cache.isFresh(entry, ttl)) {
+      refresh(key, load).then(result => {
+        if (!result.error && onRevalidate) {
+          onRevalidate(result)
         }
       })
-      
-      return students
-    } catch (error) {
-      // Handle errors and return structured error object
-      let errorMessage = 'Failed to fetch students'
-      
-      if (error.code === 'ECONNABORTED') {
-        errorMessage = 'Request timeout - please try again'
-      } else if (error.response) {
-        // Server responded with error status
-        errorMessage = `Server error: ${error.response.status}`
-      } else if (error.request) {
-        // Request made but no response received
-        errorMessage = 'Network error - please check your connection'
+    }
+    return entry.value
+  }
+
+  // Drops cached results after a change so the next read goes to the backend
+  const invalidate = (...resources) => {
+    resources.forEach(resource => {
+      cache.invalidate(resource)
+      Array.from(pending.keys())
+        .filter(key => key === resource || key.startsWith(`${resource}:`))
+        .forEach(key => pending.delete(key))
+    })
+  }
+
+  return {
+    /**
+     * Fetches all students and transforms them to the Student model.
+     * Records that fail validation carry a `validationErrors` object; records
+     * without an ID or name are left out. Results are cached, see cachedRead.
+     * @param {{force?: boolean, onRevalidate?: Function, signal?: AbortSignal}} [options] - force bypasses the cache;
+     *   onRevalidate receives the refreshed list when a stale cached list was returned;
+     *   aborting signal resolves the call with a cancelled error object
+     * @returns {Promise<Array<{id: number, name: string, course: string, year: string, email: string, phone: string, website: string}>>} Array of student objects
+     * @returns {Promise<{error: boolean, code: string, message: string, attempts?: number, cancelled?: boolean}>} Error object if fetch fails or is cancelled
+     */
+    fetchStudents({ force = false, onRevalidate, signal } = {}) {
+      return cachedRead('students', cacheTtl.students, async (loadSignal) => {
+        try {
+          const { records } = await dataSource.list({ signal: loadSignal })
+
+          // Transform records to Student model, dropping records that are too malformed to show
+          return records.map(readStudent).filter(Boolean)
+        } catch (error) {
+          // Handle errors and return structured error object
+          return toErrorResult(error, 'fetchStudentsFailed', 'Failed to fetch students')
+        }
+      }, { force, onRevalidate, signal })
+    },
+
+    /**
+     * Fetches one page of students
+     * @param {{page?: number, limit?: number, force?: boolean, onRevalidate?: Function, signal?: AbortSignal}} [options] - 1-based page number
+     *   and page size, plus the cache and cancellation options of fetchStudents
+     * @returns {Promise<{students: Array<Object>, total: number, page: number, limit: number}>} Students on the page and the total number of students
+     * @returns {Promise<{error: boolean, code: string, message: string, attempts?: number, cancelled?: boolean}>} Error object if fetch fails or is cancelled
+     */
+    fetchStudentsPage({ page = 1, limit = 25, force = false, onRevalidate, signal } = {}) {
+      return cachedRead(`students:page:${page}:${limit}`, cacheTtl.students, async (loadSignal) => {
+        try {
+          const { records, total } = await dataSource.list({ page, limit, signal: loadSignal })
+          const students = records.map(readStudent).filter(Boolean)
+
+          // Without a reported total, assume nothing exists past the page that was returned
+          return {
+            students,
+            total: total ?? (page - 1) * limit + students.length,
+            page,
+            limit
+          }
+        } catch (error) {
+          return toErrorResult(error, 'fetchStudentsFailed', 'Failed to fetch students')
+        }
+      }, { force, onRevalidate, signal })
+    },
+
+    /**
+     * Fetches a single student by ID and transforms it to the Student model
+     * @param {number|string} id - Student ID
+     * @param {{force?: boolean, onRevalidate?: Function, signal?: AbortSignal}} [options] - Cache and cancellation options, as for fetchStudents
+     * @returns {Promise<{id: number, name: string, course: string, year: string, email: string, phone: string, website: string}>} Student object
+     * @returns {Promise<{error: boolean, code: string, notFound?: boolean, message: string, attempts?: number, cancelled?: boolean}>} Error object if fetch fails,
+     *   the ID is unknown or the call is cancelled
+     */
+    fetchStudent(id, { force = false, onRevalidate, signal } = {}) {
+      return cachedRead(`student:${id}`, cacheTtl.student, async (loadSignal) => {
+        try {
+          const student = readStudent(await dataSource.get(id, { signal: loadSignal }))
+
+          if (!student) {
+            return {
+              error: true,
+              code: 'invalidRecord',
+              message: 'Invalid student record'
+            }
+          }
+          return student
+        } catch (error) {
+          if (error.response && error.response.status === 404) {
+            return {
+              error: true,
+              code: 'notFound',
+              notFound: true,
+              message: 'Student not found',
+              attempts: error.attempts ?? 1
+            }
+          }
+
+          return toErrorResult(error, 'fetchStudentFailed', 'Failed to fetch student')
+        }
+      }, { force, onRevalidate, signal })
+    },
+
+    /**
+     * Creates a student on the backend
+     * @param {{name: string, course: string, year: string, email: string, phone: string, website: string}} student - Student fields without an ID
+     * @param {{signal?: AbortSignal}} [options] - Aborting signal cancels the request
+     * @returns {Promise<{id: number, name: string, course: string, year: string, email: string, phone: string, website: string}>} The created student with its new ID
+     * @returns {Promise<{error: boolean, code: string, message: string, attempts: number, cancelled?: boolean}>} Error object if the server rejects the student
+     */
+    async createStudent(student, { signal } = {}) {
+      try {
+        const { id, ...fields } = student
+        const saved = await dataSource.create(fields, { signal })
+        invalidate('students')
+
+        return { ...fields, ...saved }
+      } catch (error) {
+        return toErrorResult(error, 'createFailed', 'Failed to create student')
+      }
+    },
+
+    /**
+     * Updates a student on the backend. A full update (PUT) replaces the record;
+     * a partial update (PATCH) sends only the changed fields.
+     * @param {number|string} id - Student ID
+     * @param {Object} changes - Student fields to save
+     * @param {{partial?: boolean, signal?: AbortSignal}} [options] - Set partial to send a PATCH instead of a PUT;
+     *   aborting signal cancels the request
+     * @returns {Promise<Object>} The saved student fields as returned by the server
+     * @returns {Promise<{error: boolean, code: string, message: string, attempts: number, cancelled?: boolean}>} Error object if the server rejects the change
+     */
+    async updateStudent(id, changes, { partial = false, signal } = {}) {
+      try {
+        const saved = partial
+          ? await dataSource.update(id, changes, { partial: true, signal })
+          : await dataSource.update(id, { ...changes, id }, { signal })
+        invalidate('students', `student:${id}`)
+
+        return { ...changes, ...saved, id }
+      } catch (error) {
+        return toErrorResult(error, 'updateFailed', 'Failed to update student')
+      }
+    },
+
+    /**
+     * Deletes a student on the backend
+     * @param {number|string} id - Student ID
+     * @param {{signal?: AbortSignal}} [options] - Aborting signal cancels the request
+     * @returns {Promise<{deleted: boolean, id: number|string}>} Confirmation of the deleted ID
+     * @returns {Promise<{error: boolean, code: string, message: string, attempts: number, cancelled?: boolean}>} Error object if the server rejects the deletion
+     */
+    async deleteStudent(id, { signal } = {}) {
+      try {
+        await dataSource.remove(id, { signal })
+        invalidate('students', `student:${id}`)
+
+        return { deleted: true, id }
+      } catch (error) {
+        return toErrorResult(error, 'deleteFailed', 'Failed to delete student')
       }
-      
-      return {
-        error: true,
-        message: errorMessage
+    },
+
+    /**
+     * Returns when a cached result was loaded from the backend
+     * @param {string} [key] - 'students' for the full list or 'student:ID' for one student
+     * @returns {Date|null} Load time, or null when nothing is cached
+     */
+    lastUpdated(key = 'students') {
+      const entry = cache.get(key)
+      return entry ? new Date(entry.storedAt) : null
+    },
+
+    /**
+     * Returns whether the backend is reachable, when the saved student list
+     * was last loaded and how many changes are waiting to be sent
+     * @returns {{online: boolean, savedAt: Date|null, pending: number, failed: Array<{type: string, id: number|string, code: string, status?: number, message: string}>}}
+     */
+    syncStatus() {
+      return dataSource.status ? dataSource.status() : ALWAYS_ONLINE
+    },
+
+    /**
+     * Calls the listener with the new sync status whenever it changes
+     * @param {Function} listener
+     * @returns {Function} Unsubscribes the listener
+     */
+    onSyncStatusChange(listener) {
+      return dataSource.subscribe ? dataSource.subscribe(listener) : () => {}
+    },
+
+    /**
+     * Sends changes made offline to the backend
+     * @returns {Promise<{replayed: number, failed: Array<Object>, pending: number}>} What was sent and what the backend rejected
+     */
+    async syncPendingWrites() {
+      if (!dataSource.replay) {
+        return { replayed: 0, failed: [], pending: 0 }
       }
+
+      const result = await dataSource.replay()
+      if (result.replayed > 0 || result.failed.length > 0) {
+        invalidate('students', 'student')
+      }
+      return result
+    },
+
+    /**
+     * Forgets everything loaded for the signed-in user: cached results, loads
+     * in flight, the saved student list and changes still waiting to be sent.
+     * Queued changes are discarded rather than sent later, when they would go
+     * out with the next user's token.
+     * @returns {Promise<{discarded: number}>} How many queued changes were discarded
+     */
+    async clear() {
+      pending.forEach(load => load.controller.abort())
+      pending.clear()
+      cache.clear()
+      return dataSource.clear ? dataSource.clear() : { discarded: 0 }
     }
   }
 }
+
+/**
+ * API Service for fetching and changing student data, backed by the data
+ * source selected with VITE_DATA_SOURCE. The last student list and changes
+ * made offline are kept in IndexedDB so the app keeps working without a network.
+ * REST requests are sent with the signed-in user's token.
+ */
+export const apiService = createApiService(
+  createOfflineDataSource(createDataSource(config, {
+    auth: {
+      token: () => authService.token(),
+      onUnauthorized: () => authService.rejectToken()
+    }
+  }), { store: createOfflineStore() })
+)
+
+// Student data belongs to the user who loaded it. It is cleared when their
+// session ends or another user signs in over it, and at startup when no
+// session survived the last visit, since that one may have ended while the
+// app was closed.
+let dataOwner = authService.session()?.user.id ?? null
+authService.onSessionChange((session) => {
+  const user = session?.user.id ?? null
+  if (dataOwner !== null && user !== dataOwner) {
+    apiService.clear()
+  }
+  dataOwner = user
+})
+if (dataOwner === null) {
+  apiService.clear()
+}
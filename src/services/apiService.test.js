@@ -1,11 +1,30 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import * as fc from 'fast-check'
 import axios from 'axios'
-import { apiService } from './apiService.js'
+import { createApiService, apiService as appApiService } from './apiService.js'
+import { authService } from './authService.js'
+import { createDataSource, createMemoryDataSource, createOfflineDataSource, createRetryingDataSource } from './dataSources/index.js'
+import { cancelledError, httpError } from './dataSources/errors.js'
+import { createMemoryStore } from './offlineStore.js'
+import { loadConfig } from '../config.js'
+import { createCache } from './cache.js'
+import { isSchoolEmail } from '../models/student.js'
 
 // Mock axios
 vi.mock('axios')
 
+let apiService
+
+// Creates a service on the default REST data source whose Axios instance is
+// the given mock; retries are off so each failure is a single attempt
+const mockService = (instance) => {
+  axios.create = vi.fn().mockReturnValue(instance)
+  return createApiService(createDataSource(loadConfig({ VITE_API_RETRIES: '0' })))
+}
+
+// Reads pass the signal that cancels them to Axios
+const cancellable = { signal: expect.any(AbortSignal) }
+
 describe('apiService', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -41,10 +60,10 @@ describe('apiService', () => {
           { minLength: 1, maxLength: 20 }
         ),
         async (users) => {
-          // Mock axios.create to return a mock instance with get method
+          // Mock the shared Axios instance with a get method
           const mockGet = vi.fn().mockResolvedValue({ data: users })
           const mockAxiosInstance = { get: mockGet }
-          axios.create = vi.fn().mockReturnValue(mockAxiosInstance)
+          apiService = mockService(mockAxiosInstance)
 
           // Call fetchStudents
           const result = await apiService.fetchStudents()
@@ -69,9 +88,17 @@ describe('apiService', () => {
             expect(student.name.trim().length).toBeGreaterThan(0)
             expect(student.course.trim().length).toBeGreaterThan(0)
             expect(student.year).toMatch(/^[1-4]$/) // Year should be 1-4
-            expect(student.email).toContain('@')
-            expect(student.phone).toContain('+63') // Philippine phone format
-            expect(student.website).toContain('.edu.ph') // Philippine domain
+            // Supplied addresses are kept; ones that are not school addresses are flagged
+            expect(student.email).toBe(users[index].email)
+            if (!isSchoolEmail(student.email)) {
+              expect(student.validationErrors.email).toBeDefined()
+            }
+            // Philippine numbers in E.164 form; anything else is kept as written and flagged
+            if (!/^\+63\d{9,10}(;ext=\d+)?$/.test(student.phone)) {
+              expect(student.phone).toBe(users[index].phone.trim())
+              expect(student.validationErrors.phone).toBeDefined()
+            }
+            expect(student.website).toBe(users[index].website)
           })
         }
       ),
@@ -94,7 +121,7 @@ describe('apiService', () => {
     
     const mockGet = vi.fn().mockRejectedValue(networkError)
     const mockAxiosInstance = { get: mockGet }
-    axios.create = vi.fn().mockReturnValue(mockAxiosInstance)
+    apiService = mockService(mockAxiosInstance)
 
     const result = await apiService.fetchStudents()
 
@@ -120,7 +147,7 @@ describe('apiService', () => {
     
     const mockGet = vi.fn().mockRejectedValue(timeoutError)
     const mockAxiosInstance = { get: mockGet }
-    axios.create = vi.fn().mockReturnValue(mockAxiosInstance)
+    apiService = mockService(mockAxiosInstance)
 
     const result = await apiService.fetchStudents()
 
@@ -149,7 +176,7 @@ describe('apiService', () => {
     
     const mockGet = vi.fn().mockRejectedValue(serverError)
     const mockAxiosInstance = { get: mockGet }
-    axios.create = vi.fn().mockReturnValue(mockAxiosInstance)
+    apiService = mockService(mockAxiosInstance)
 
     const result = await apiService.fetchStudents()
 
@@ -195,7 +222,7 @@ describe('apiService', () => {
 
     const mockGet = vi.fn().mockResolvedValue({ data: mockUsers })
     const mockAxiosInstance = { get: mockGet }
-    axios.create = vi.fn().mockReturnValue(mockAxiosInstance)
+    apiService = mockService(mockAxiosInstance)
 
     const result = await apiService.fetchStudents()
 
@@ -208,20 +235,554 @@ describe('apiService', () => {
     expect(result[0].name).toBe('Leanne Graham')
     expect(result[0].course).toBe('BS Computer Science')
     expect(result[0].year).toBe('1')
-    expect(result[0].email).toBe('leanne.graham@student.edu.ph')
-    expect(result[0].phone).toContain('+63')
-    expect(result[0].website).toBe('leanne-graham.edu.ph')
+    expect(result[0].email).toBe('Sincere@april.biz')
+    expect(result[0].phone).toBe('1-770-736-8031 x56442')
+    expect(Object.keys(result[0].validationErrors)).toEqual(['email', 'phone'])
+    expect(result[0].website).toBe('hildegard.org')
 
     // Verify second student has Philippine-accurate data
     expect(result[1].id).toBe(2)
     expect(result[1].name).toBe('Ervin Howell')
     expect(result[1].course).toBe('BS Information Technology')
     expect(result[1].year).toBe('2')
-    expect(result[1].email).toBe('ervin.howell@student.edu.ph')
-    expect(result[1].phone).toContain('+63')
-    expect(result[1].website).toBe('ervin-howell.edu.ph')
+    expect(result[1].email).toBe('Shanna@melissa.tv')
+    expect(result[1].phone).toBe('010-692-6593 x09125')
+    expect(result[1].website).toBe('anastasia.net')
 
     // Verify axios was called with correct URL
-    expect(mockGet).toHaveBeenCalledWith('https://jsonplaceholder.typicode.com/users')
+    expect(mockGet).toHaveBeenCalledWith('/users', cancellable)
+  })
+
+  /**
+   * Unit Test: Fetch Single Student
+   * 
+   * This test verifies that fetchStudent requests /users/:id and transforms
+   * the record exactly as it appears in the fetchStudents list.
+   */
+  it('fetches and transforms a single student by ID', async () => {
+    const mockGet = vi.fn().mockResolvedValue({
+      data: {
+        id: 2,
+        name: 'Ervin Howell',
+        email: 'Shanna@melissa.tv',
+        phone: '010-692-6593 x09125',
+        website: 'anastasia.net',
+        company: {
+          name: 'Deckow-Crist'
+        }
+      }
+    })
+    apiService = mockService({ get: mockGet })
+
+    const result = await apiService.fetchStudent(2)
+
+    expect(mockGet).toHaveBeenCalledWith('/users/2', cancellable)
+    expect(result.id).toBe(2)
+    expect(result.name).toBe('Ervin Howell')
+    expect(result.course).toBe('BS Information Technology')
+    expect(result.year).toBe('2')
+    expect(result.email).toBe('Shanna@melissa.tv')
+    expect(result.website).toBe('anastasia.net')
+  })
+
+  /**
+   * Unit Test: Malformed Records
+   * 
+   * This test verifies that records failing validation are flagged with
+   * field errors and records without an ID or name are left out.
+   */
+  it('flags invalid records and drops records without an ID or name', async () => {
+    const mockGet = vi.fn().mockResolvedValue({
+      data: [
+        { id: 1, name: 'Leanne Graham', email: 'Sincere@april.biz', phone: '1-770-736-8031 x56442', website: 'hildegard.org' },
+        { id: 2, name: '', email: 'Shanna@melissa.tv', phone: '010-692-6593', website: 'anastasia.net' },
+        { name: 'No Id', email: 'no.id@example.com', phone: '010-692-6593', website: 'example.com' }
+      ]
+    })
+    apiService = mockService({ get: mockGet })
+
+    const result = await apiService.fetchStudents()
+
+    expect(result.map(student => student.id)).toEqual([1])
+    expect(result[0].validationErrors).toEqual({
+      email: { code: 'schoolEmail', field: 'email', domains: '@edu.ph' },
+      phone: { code: 'invalidPhone', field: 'phone' }
+    })
+  })
+
+  it('returns an error object for a single record without a name', async () => {
+    apiService = mockService({
+      get: vi.fn().mockResolvedValue({ data: { id: 4, email: 'x@example.com' } })
+    })
+
+    const result = await apiService.fetchStudent(4)
+
+    expect(result.error).toBe(true)
+    expect(result.message).toBe('Invalid student record')
+  })
+
+  /**
+   * Unit Test: Data Source Adapters
+   * 
+   * This test verifies that the service works the same on the in-memory
+   * data source, including not-found errors for unknown IDs.
+   */
+  it('reads and changes students through an in-memory data source', async () => {
+    const service = createApiService(createMemoryDataSource([
+      { id: 1, name: 'Maria Santos', phone: '917-123-4567' }
+    ]))
+
+    const created = await service.createStudent({ name: 'Juan Dela Cruz', course: 'BS Nursing' })
+    expect(created.id).toBe(2)
+
+    const students = await service.fetchStudents()
+    expect(students.map(student => student.name)).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+    expect(students[0].phone).toBe('+639171234567')
+
+    expect(await service.deleteStudent(1)).toEqual({ deleted: true, id: 1 })
+    expect(await service.fetchStudent(1)).toEqual({ error: true, code: 'notFound', notFound: true, message: 'Student not found', attempts: 1 })
+  })
+
+  it('keeps each student\'s course when the backend reorders records', async () => {
+    const users = [
+      { id: 1, name: 'Leanne Graham', phone: '917-123-4567' },
+      { id: 2, name: 'Ervin Howell', phone: '917-123-4568' },
+      { id: 3, name: 'Clementine Bauch', phone: '917-123-4569' }
+    ]
+
+    const inOrder = await createApiService(createMemoryDataSource(users)).fetchStudents()
+    const reversed = await createApiService(createMemoryDataSource([...users].reverse())).fetchStudents()
+
+    expect([...reversed].reverse()).toEqual(inOrder)
+  })
+
+  /**
+   * Unit Test: Stale-While-Revalidate Cache
+   * 
+   * This test verifies that fresh reads come from the cache, stale reads are
+   * answered from the cache and refreshed in the background, and force
+   * bypasses the cache.
+   */
+  it('serves cached reads and revalidates them once they are stale', async () => {
+    let time = 0
+    const dataSource = createMemoryDataSource([{ id: 1, name: 'Maria Santos', phone: '917-123-4567' }])
+    const list = vi.spyOn(dataSource, 'list')
+    const service = createApiService(dataSource, {
+      cache: createCache({ now: () => time }),
+      cacheTtl: { students: 1000 }
+    })
+
+    const first = await service.fetchStudents()
+    expect(await service.fetchStudents()).toBe(first)
+    expect(list).toHaveBeenCalledTimes(1)
+    expect(service.lastUpdated()).toEqual(new Date(0))
+
+    await dataSource.create({ name: 'Juan Dela Cruz', phone: '920-777-8888' })
+    time = 1500
+    const onRevalidate = vi.fn()
+
+    expect(await service.fetchStudents({ onRevalidate })).toBe(first)
+    await vi.waitFor(() => expect(onRevalidate).toHaveBeenCalled())
+    expect(onRevalidate.mock.calls[0][0].map(student => student.name)).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+    expect(service.lastUpdated()).toEqual(new Date(1500))
+
+    await service.fetchStudents({ force: true })
+    expect(list).toHaveBeenCalledTimes(3)
+  })
+
+  it('shares one request between concurrent reads and does not cache errors', async () => {
+    const dataSource = createMemoryDataSource([{ id: 1, name: 'Maria Santos' }])
+    const get = vi.spyOn(dataSource, 'get')
+    const service = createApiService(dataSource)
+
+    const [first, second] = await Promise.all([service.fetchStudent(1), service.fetchStudent('1')])
+    expect(first).toBe(second)
+    expect(get).toHaveBeenCalledTimes(1)
+
+    expect((await service.fetchStudent(2)).notFound).toBe(true)
+    await service.fetchStudent(2)
+    expect(get).toHaveBeenCalledTimes(3)
+    expect(service.lastUpdated('student:2')).toBeNull()
+  })
+
+  it('invalidates cached reads after a change', async () => {
+    const dataSource = createMemoryDataSource([{ id: 1, name: 'Maria Santos' }])
+    const list = vi.spyOn(dataSource, 'list')
+    const get = vi.spyOn(dataSource, 'get')
+    const service = createApiService(dataSource)
+
+    await service.fetchStudents()
+    await service.fetchStudent(1)
+    await service.updateStudent(1, { name: 'Maria Clara Santos' }, { partial: true })
+
+    expect((await service.fetchStudent(1)).name).toBe('Maria Clara Santos')
+    expect((await service.fetchStudents())[0].name).toBe('Maria Clara Santos')
+    expect(list).toHaveBeenCalledTimes(2)
+    expect(get).toHaveBeenCalledTimes(2)
+
+    await service.createStudent({ name: 'Juan Dela Cruz' })
+    expect(await service.fetchStudents()).toHaveLength(2)
+
+    await service.deleteStudent(1)
+    expect(await service.fetchStudents()).toHaveLength(1)
+    expect((await service.fetchStudent(1)).notFound).toBe(true)
+  })
+
+  it('reports data sources without offline support as always online', async () => {
+    const service = createApiService(createMemoryDataSource())
+
+    expect(service.syncStatus()).toEqual({ online: true, savedAt: null, pending: 0, failed: [] })
+    expect(await service.syncPendingWrites()).toEqual({ replayed: 0, failed: [], pending: 0 })
+  })
+
+  /**
+   * Unit Test: Offline Writes Through the Service
+   * 
+   * This test verifies that a delete made offline succeeds for the page,
+   * is counted as pending and is sent by syncPendingWrites.
+   */
+  it('queues changes made offline and sends them on sync', async () => {
+    const backend = createMemoryDataSource([{ id: 1, name: 'Maria Santos', phone: '917-123-4567' }])
+    let down = false
+    const dataSource = createOfflineDataSource({
+      ...backend,
+      remove: (id) => (down ? Promise.reject(Object.assign(new Error('Network Error'), { request: {} })) : backend.remove(id))
+    }, { store: createMemoryStore(), events: null })
+    const service = createApiService(dataSource)
+
+    await service.fetchStudents()
+    down = true
+
+    expect(await service.deleteStudent(1)).toEqual({ deleted: true, id: 1 })
+    expect(service.syncStatus()).toMatchObject({ online: false, pending: 1 })
+
+    down = false
+    expect(await service.syncPendingWrites()).toEqual({ replayed: 1, failed: [], pending: 0 })
+    expect(await service.fetchStudents()).toEqual([])
+  })
+
+  /**
+   * Unit Test: Clearing User Data
+   *
+   * This test verifies that clearing the service drops cached reads, the
+   * saved student list and changes still waiting to be sent, so none of
+   * them reach the next user.
+   */
+  it('forgets cached reads, the saved list and queued changes when cleared', async () => {
+    const backend = createMemoryDataSource([{ id: 1, name: 'Maria Santos' }, { id: 2, name: 'Juan Dela Cruz' }])
+    const network = { down: false }
+    const dataSource = createOfflineDataSource(Object.fromEntries(Object.entries(backend).map(([name, method]) => [name, (...args) => (
+      network.down ? Promise.reject(Object.assign(new Error('Network Error'), { request: {} })) : method(...args)
+    )])), { store: createMemoryStore(), events: null })
+    const service = createApiService(dataSource)
+
+    await service.fetchStudents()
+    network.down = true
+    await service.deleteStudent(2)
+
+    expect(await service.clear()).toEqual({ discarded: 1 })
+    expect(service.lastUpdated()).toBeNull()
+    expect(service.syncStatus()).toMatchObject({ savedAt: null, pending: 0 })
+    expect(await service.fetchStudents()).toMatchObject({ error: true, code: 'network' })
+
+    network.down = false
+    expect((await service.fetchStudents()).map(student => student.id)).toEqual([1, 2])
+    expect(await createApiService(createMemoryDataSource()).clear()).toEqual({ discarded: 0 })
+  })
+
+  it('clears the app\'s student data when the session ends', async () => {
+    axios.create = vi.fn().mockReturnValue({
+      get: vi.fn().mockResolvedValue({ data: [{ id: 1, name: 'Maria Santos' }] }),
+      interceptors: { request: { use: vi.fn() }, response: { use: vi.fn() } }
+    })
+    await authService.login('admin', 'password')
+
+    await appApiService.fetchStudents()
+    expect(appApiService.lastUpdated()).not.toBeNull()
+
+    await authService.logout()
+    expect(appApiService.lastUpdated()).toBeNull()
+  })
+
+  it('clears the student data when another user signs in over the session', async () => {
+    axios.create = vi.fn().mockReturnValue({
+      get: vi.fn().mockResolvedValue({ data: [{ id: 1, name: 'Maria Santos' }] }),
+      interceptors: { request: { use: vi.fn() }, response: { use: vi.fn() } }
+    })
+    await authService.login('admin', 'password')
+    await appApiService.fetchStudents()
+    const cleared = vi.spyOn(appApiService, 'clear')
+
+    // Signing in again as the same user keeps the data
+    await authService.login('admin', 'password')
+    expect(cleared).not.toHaveBeenCalled()
+    expect(appApiService.lastUpdated()).not.toBeNull()
+
+    await authService.login('registrar', 'password')
+    expect(cleared).toHaveBeenCalledTimes(1)
+    expect(appApiService.lastUpdated()).toBeNull()
+
+    cleared.mockRestore()
+    await authService.logout()
+  })
+
+  it('throws for an unknown data source', () => {
+    expect(() => createDataSource({ dataSource: 'graphql' })).toThrow('Unknown data source: graphql')
+  })
+
+  /**
+   * Unit Test: Unknown Student ID
+   * 
+   * This test verifies that a 404 response is reported as a not-found error
+   * so the detail page can distinguish it from other failures.
+   */
+  it('returns a not-found error object for an unknown ID', async () => {
+    const notFoundError = new Error('Request failed with status code 404')
+    notFoundError.response = {
+      status: 404,
+      data: {}
+    }
+    apiService = mockService({ get: vi.fn().mockRejectedValue(notFoundError) })
+
+    const result = await apiService.fetchStudent(999)
+
+    expect(result.error).toBe(true)
+    expect(result.notFound).toBe(true)
+    expect(result.message).toBe('Student not found')
+  })
+
+  it('returns structured error object when fetching a single student fails', async () => {
+    const serverError = new Error('Request failed with status code 500')
+    serverError.response = {
+      status: 500,
+      data: {}
+    }
+    apiService = mockService({ get: vi.fn().mockRejectedValue(serverError) })
+
+    const result = await apiService.fetchStudent(1)
+
+    expect(result.error).toBe(true)
+    expect(result.notFound).toBeUndefined()
+    expect(result.message).toBe('Server error: 500')
+  })
+
+  /**
+   * Unit Test: Server-Side Pagination
+   * 
+   * This test verifies that fetchStudentsPage sends JSON-Server style
+   * _page/_limit params and reads the total from X-Total-Count.
+   */
+  it('fetches one page of students with the total count', async () => {
+    const mockGet = vi.fn().mockResolvedValue({
+      data: [
+        { id: 3, name: 'Clementine Bauch', phone: '1-463-123-4447' },
+        { id: 4, name: 'Patricia Lebsack', phone: '493-170-9623 x156' }
+      ],
+      headers: { 'x-total-count': '10' }
+    })
+    apiService = mockService({ get: mockGet })
+
+    const result = await apiService.fetchStudentsPage({ page: 2, limit: 2 })
+
+    expect(mockGet).toHaveBeenCalledWith('/users', {
+      params: { _page: 2, _limit: 2 },
+      ...cancellable
+    })
+    expect(result.total).toBe(10)
+    expect(result.page).toBe(2)
+    expect(result.limit).toBe(2)
+    expect(result.students.map(student => student.id)).toEqual([3, 4])
+
+    // Records keep the course and year level they have in the full list
+    expect(result.students[0].course).toBe('BS Business Administration')
+    expect(result.students[0].year).toBe('3')
+  })
+
+  it('estimates the total when X-Total-Count is missing', async () => {
+    const mockGet = vi.fn().mockResolvedValue({
+      data: [{ id: 11, name: 'Last Student', phone: '0917 000 0000' }],
+      headers: {}
+    })
+    apiService = mockService({ get: mockGet })
+
+    const result = await apiService.fetchStudentsPage({ page: 3, limit: 5 })
+
+    expect(result.total).toBe(11)
+  })
+
+  it('returns structured error object when a page fails to load', async () => {
+    const timeoutError = new Error('timeout of 10000ms exceeded')
+    timeoutError.code = 'ECONNABORTED'
+    apiService = mockService({ get: vi.fn().mockRejectedValue(timeoutError) })
+
+    const result = await apiService.fetchStudentsPage()
+
+    expect(result).toEqual({ error: true, code: 'timeout', message: 'Request timeout - please try again', attempts: 1 })
+  })
+
+  /**
+   * Unit Test: Create Student
+   * 
+   * This test verifies that createStudent POSTs the student fields without
+   * an ID and returns the student with the ID assigned by the server.
+   */
+  it('creates a student with POST', async () => {
+    const mockPost = vi.fn().mockResolvedValue({ data: { id: 11 } })
+    apiService = mockService({ post: mockPost })
+
+    const student = {
+      name: 'Maria Santos',
+      course: 'BS Nursing',
+      year: '1',
+      email: 'maria.santos@student.edu.ph',
+      phone: '+63 917 123 4567',
+      website: 'maria-santos.edu.ph'
+    }
+    const result = await apiService.createStudent({ id: 'ignored', ...student })
+
+    expect(mockPost).toHaveBeenCalledWith('/users', student)
+    expect(result).toEqual({ id: 11, ...student })
+  })
+
+  it('replaces a student with PUT by default', async () => {
+    const mockPut = vi.fn().mockResolvedValue({ data: { id: 3, name: 'Juan Dela Cruz', year: '2' } })
+    apiService = mockService({ put: mockPut })
+
+    const result = await apiService.updateStudent(3, { name: 'Juan Dela Cruz', year: '2' })
+
+    expect(mockPut).toHaveBeenCalledWith('/users/3', { name: 'Juan Dela Cruz', year: '2', id: 3 })
+    expect(result).toEqual({ id: 3, name: 'Juan Dela Cruz', year: '2' })
+  })
+
+  it('sends only the changes with PATCH for a partial update', async () => {
+    const mockPatch = vi.fn().mockResolvedValue({ data: { id: 3, year: '3' } })
+    apiService = mockService({ patch: mockPatch })
+
+    const result = await apiService.updateStudent(3, { year: '3' }, { partial: true })
+
+    expect(mockPatch).toHaveBeenCalledWith('/users/3', { year: '3' })
+    expect(result).toEqual({ id: 3, year: '3' })
+  })
+
+  it('deletes a student with DELETE', async () => {
+    const mockDelete = vi.fn().mockResolvedValue({ data: {} })
+    apiService = mockService({ delete: mockDelete })
+
+    const result = await apiService.deleteStudent(4)
+
+    expect(mockDelete).toHaveBeenCalledWith('/users/4')
+    expect(result).toEqual({ deleted: true, id: 4 })
+  })
+
+  /**
+   * Unit Test: Rejected Changes
+   * 
+   * This test verifies that every mutation returns the structured error
+   * object when the server rejects the change.
+   */
+  it('returns structured error objects when the server rejects a change', async () => {
+    const serverError = new Error('Request failed with status code 422')
+    serverError.response = {
+      status: 422,
+      data: {}
+    }
+    const reject = vi.fn().mockRejectedValue(serverError)
+    apiService = mockService({ post: reject, put: reject, patch: reject, delete: reject })
+
+    const expected = { error: true, code: 'server', status: 422, message: 'Server error: 422', attempts: 1 }
+    expect(await apiService.createStudent({ name: 'Ana Reyes' })).toEqual(expected)
+    expect(await apiService.updateStudent(1, { name: 'Ana Reyes' })).toEqual(expected)
+    expect(await apiService.updateStudent(1, { name: 'Ana Reyes' }, { partial: true })).toEqual(expected)
+    expect(await apiService.deleteStudent(1)).toEqual(expected)
+  })
+
+  /**
+   * Unit Test: Retries and Attempt Counts
+   *
+   * This test verifies that idempotent reads are retried on retryable
+   * statuses, and that error objects report how many attempts were made.
+   */
+  it('retries failed reads and reports the attempts made', async () => {
+    const backend = createMemoryDataSource([{ id: 1, name: 'Maria Santos' }])
+    const list = vi.fn()
+      .mockRejectedValueOnce(httpError(503, 'Service Unavailable'))
+      .mockImplementationOnce(backend.list)
+      .mockRejectedValue(httpError(503, 'Service Unavailable'))
+    const service = createApiService(createRetryingDataSource({ ...backend, list }, {
+      policy: { retries: 2 },
+      sleep: async () => {}
+    }))
+
+    const students = await service.fetchStudents()
+    expect(students.map(student => student.name)).toEqual(['Maria Santos'])
+    expect(list).toHaveBeenCalledTimes(2)
+
+    expect(await service.fetchStudents({ force: true })).toEqual({ error: true, code: 'server', status: 503, message: 'Server error: 503', attempts: 3 })
+    expect(list).toHaveBeenCalledTimes(5)
+  })
+
+  /**
+   * Unit Test: Cancellation
+   *
+   * This test verifies that a caller aborting its signal gets a cancelled
+   * error object at once, and that a shared load is only aborted once every
+   * caller waiting for it has aborted.
+   */
+  it('cancels a shared load once every caller has aborted', async () => {
+    let loadSignal
+    const dataSource = {
+      list: ({ signal }) => new Promise((resolve, reject) => {
+        loadSignal = signal
+        signal.addEventListener('abort', () => reject(cancelledError()))
+      })
+    }
+    const service = createApiService(dataSource)
+    const first = new AbortController()
+    const second = new AbortController()
+
+    const firstResult = service.fetchStudents({ signal: first.signal })
+    const secondResult = service.fetchStudents({ signal: second.signal })
+
+    first.abort()
+    expect(await firstResult).toEqual({ error: true, code: 'cancelled', cancelled: true, message: 'Request cancelled' })
+    expect(loadSignal.aborted).toBe(false)
+
+    second.abort()
+    expect(await secondResult).toMatchObject({ cancelled: true })
+    expect(loadSignal.aborted).toBe(true)
+    expect(service.lastUpdated()).toBeNull()
+  })
+
+  it('keeps a shared load going while a caller without a signal waits for it', async () => {
+    let finish
+    let loadSignal
+    const dataSource = {
+      list: ({ signal }) => new Promise(resolve => {
+        loadSignal = signal
+        finish = () => resolve({ records: [{ id: 1, name: 'Maria Santos' }], total: 1 })
+      })
+    }
+    const service = createApiService(dataSource)
+    const controller = new AbortController()
+
+    const cancelled = service.fetchStudents({ signal: controller.signal })
+    const kept = service.fetchStudents()
+    controller.abort()
+
+    expect(await cancelled).toMatchObject({ cancelled: true })
+    expect(loadSignal.aborted).toBe(false)
+    finish()
+    expect((await kept).map(student => student.name)).toEqual(['Maria Santos'])
+  })
+
+  it('returns a cancelled error object when a mutation is aborted', async () => {
+    const mockDelete = vi.fn().mockRejectedValue(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', name: 'CanceledError' }))
+    apiService = mockService({ delete: mockDelete })
+    const controller = new AbortController()
+
+    const result = await apiService.deleteStudent(4, { signal: controller.signal })
+
+    expect(mockDelete).toHaveBeenCalledWith('/users/4', { signal: controller.signal })
+    expect(result).toEqual({ error: true, code: 'cancelled', cancelled: true, message: 'Request cancelled', attempts: 1 })
   })
 })
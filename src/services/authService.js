@@ -0,0 +1,265 @@
+import { config } from '../config.js'
+import { createRestAuthProvider } from './restAuthProvider.js'
+
+/**
+ * Authentication
+ *
+ * Users sign in through an auth provider, which checks their credentials and
+ * issues a token that expires. The session (token, expiry and user) is kept
+ * in localStorage so it survives reloads, and ends when the user signs out,
+ * when the token expires or when the backend rejects the token.
+ */
+
+/**
+ * Roles a user can have, from most to least access
+ */
+export const ROLES = ['admin', 'registrar', 'faculty', 'viewer']
+
+/**
+ * Roles allowed to do each thing in the app; routes list them in meta.roles
+ */
+export const PERMISSIONS = {
+  viewStudents: ROLES,
+  printRoster: ['admin', 'registrar', 'faculty'],
+  editStudents: ['admin', 'registrar']
+}
+
+/**
+ * localStorage key of the signed-in session
+ */
+export const SESSION_STORAGE_KEY = 'student-info-app:session'
+
+/**
+ * Checks credentials and issues tokens. Providers reject with an error that
+ * carries `response.status` 401 when the credentials are wrong.
+ * @typedef {Object} AuthProvider
+ * @property {(username: string, password: string) => Promise<Session>} login
+ * @property {(token: string) => Promise<void>} [logout] - Revokes a token
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token - Sent to the backend as a bearer token
+ * @property {number} expiresAt - When the token expires, in epoch milliseconds
+ * @property {{id: string, username: string, name: string, role: string}} user
+ */
+
+/**
+ * Checks whether a session's user has one of the given roles
+ * @param {Session|null} session
+ * @param {Array<string>} [roles] - No roles means any signed-in user
+ * @returns {boolean}
+ */
+export function hasRole(session, roles) {
+  if (!session) {
+    return false
+  }
+  return !roles || roles.length === 0 || roles.includes(session.user.role)
+}
+
+const isSession = (value) =>
+  Boolean(value) && typeof value.token === 'string' && Number.isFinite(value.expiresAt) &&
+  Boolean(value.user) && ROLES.includes(value.user.role)
+
+/**
+ * Creates the authentication service
+ * @param {{provider: AuthProvider, storage?: Storage|null, now?: () => number}} options - storage
+ *   defaults to localStorage; now is the clock, for tests
+ * @returns {Object}
+ */
+export function createAuthService({
+  provider,
+  storage = typeof localStorage === 'undefined' ? null : localStorage,
+  now = () => Date.now()
+}) {
+  const listeners = new Set()
+  let current = null
+  let expiryTimer = null
+
+  const save = (session) => {
+    try {
+      if (session) {
+        storage?.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+      } else {
+        storage?.removeItem(SESSION_STORAGE_KEY)
+      }
+    } catch (error) {
+      // Full or disabled storage: the session lasts until the page is reloaded
+    }
+  }
+
+  const restore = () => {
+    try {
+      const saved = JSON.parse(storage?.getItem(SESSION_STORAGE_KEY) ?? 'null')
+      return isSession(saved) && saved.expiresAt > now() ? saved : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Replaces the session and tells the listeners why
+   * @param {Session|null} session
+   * @param {'login'|'logout'|'expired'|'unauthorized'} reason
+   */
+  const setSession = (session, reason) => {
+    clearTimeout(expiryTimer)
+    expiryTimer = null
+    current = session
+    save(session)
+
+    if (session) {
+      // Ends the session when the token runs out, even if nothing is requested
+      expiryTimer = setTimeout(() => endSession('expired'), Math.max(0, session.expiresAt - now()))
+    }
+    listeners.forEach(listener => listener(session, reason))
+  }
+
+  const endSession = (reason) => {
+    if (current) {
+      setSession(null, reason)
+    }
+  }
+
+  const restored = restore()
+  if (restored) {
+    setSession(restored, 'login')
+  } else {
+    save(null)
+  }
+
+  return {
+    /**
+     * Returns the signed-in session, ending it first if its token has expired
+     * @returns {Session|null}
+     */
+    session() {
+      if (current && current.expiresAt <= now()) {
+        endSession('expired')
+      }
+      return current
+    },
+
+    /**
+     * Returns the token to send with API requests
+     * @returns {string|null}
+     */
+    token() {
+      return this.session()?.token ?? null
+    },
+
+    /**
+     * Checks whether the signed-in user has one of the given roles
+     * @param {Array<string>} [roles] - No roles means any signed-in user
+     * @returns {boolean}
+     */
+    hasRole(roles) {
+      return hasRole(this.session(), roles)
+    },
+
+    /**
+     * Signs a user in, replacing any current session
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<Session>} The new session
+     * @returns {Promise<{error: boolean, code: string, message: string}>} Error object if the credentials are wrong or the provider fails
+     */
+    async login(username, password) {
+      try {
+        const session = await provider.login(String(username ?? '').trim(), String(password ?? ''))
+        setSession(session, 'login')
+        return session
+      } catch (error) {
+        if (error.response?.status === 401) {
+          return { error: true, code: 'invalidCredentials', message: 'Incorrect username or password' }
+        }
+        return { error: true, code: 'loginFailed', message: 'Could not sign in - please try again' }
+      }
+    },
+
+    /**
+     * Signs the user out and revokes the token with the provider
+     * @returns {Promise<void>}
+     */
+    async logout() {
+      const token = current?.token
+      endSession('logout')
+      if (token && provider.logout) {
+        try {
+          await provider.logout(token)
+        } catch (error) {
+          // The token expires on its own; the user is signed out either way
+        }
+      }
+    },
+
+    /**
+     * Ends the session because the backend rejected its token (HTTP 401)
+     */
+    rejectToken() {
+      endSession('unauthorized')
+    },
+
+    /**
+     * Subscribes to sign-ins and sign-outs
+     * @param {(session: Session|null, reason: string) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    onSessionChange(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+/**
+ * Wraps a provider that is loaded on first use
+ * @param {() => Promise<AuthProvider>} load
+ * @returns {AuthProvider}
+ */
+const lazyAuthProvider = (load) => {
+  let loading = null
+  // A failed load (say, the chunk could not be fetched) is tried again next time
+  const provider = () => (loading ??= load().catch((error) => {
+    loading = null
+    throw error
+  }))
+
+  return {
+    async login(username, password) {
+      return (await provider()).login(username, password)
+    },
+    async logout(token) {
+      await (await provider()).logout?.(token)
+    }
+  }
+}
+
+/**
+ * Creates the auth provider selected in the configuration
+ * @param {{authProvider: string, apiBaseUrl: string, apiTimeout: number, sessionMinutes: number}} config
+ * @returns {AuthProvider}
+ */
+export function createAuthProvider(config) {
+  switch (config.authProvider) {
+    case 'rest':
+      return createRestAuthProvider({ baseUrl: config.apiBaseUrl, timeout: config.apiTimeout })
+    case 'mock':
+      // Imported dynamically behind a condition the build can see, so
+      // production builds only include the demo accounts when
+      // VITE_AUTH_PROVIDER is set
+      if (import.meta.env.DEV || import.meta.env.VITE_AUTH_PROVIDER) {
+        return lazyAuthProvider(() => import('./mockAuthProvider.js')
+          .then(({ createMockAuthProvider }) => createMockAuthProvider({ sessionMinutes: config.sessionMinutes })))
+      }
+  }
+  throw new Error(`Unknown auth provider: ${config.authProvider}`)
+}
+
+/**
+ * Authentication service for the app, signing users in through the
+ * provider selected with VITE_AUTH_PROVIDER
+ */
+export const authService = createAuthService({
+  provider: createAuthProvider(config)
+})
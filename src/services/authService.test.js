@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import axios from 'axios'
+import { createAuthService, createAuthProvider, hasRole, SESSION_STORAGE_KEY } from './authService.js'
+import { createMockAuthProvider } from './mockAuthProvider.js'
+import { loadConfig } from '../config.js'
+
+// Mock axios
+vi.mock('axios')
+
+describe('authService', () => {
+  let time
+  const now = () => time
+  const createService = () =>
+    createAuthService({ provider: createMockAuthProvider({ sessionMinutes: 30, now }), now })
+
+  beforeEach(() => {
+    time = Date.UTC(2024, 7, 1, 8, 0)
+    localStorage.clear()
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('signs in with the mock provider and keeps the session across reloads', async () => {
+    const auth = createService()
+    const listener = vi.fn()
+    auth.onSessionChange(listener)
+
+    expect(auth.session()).toBeNull()
+    const session = await auth.login(' Registrar ', 'password')
+
+    expect(session.user).toMatchObject({ username: 'registrar', role: 'registrar' })
+    expect(session.expiresAt).toBe(time + 30 * 60 * 1000)
+    expect(auth.token()).toBe(session.token)
+    expect(auth.hasRole(['admin', 'registrar'])).toBe(true)
+    expect(auth.hasRole(['admin'])).toBe(false)
+    expect(listener).toHaveBeenCalledWith(session, 'login')
+
+    // A new service, as after a page reload, restores the saved session
+    expect(JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))).toEqual(session)
+    expect(createService().session()).toEqual(session)
+  })
+
+  it('rejects wrong credentials with an error object', async () => {
+    const auth = createService()
+
+    expect(await auth.login('admin', 'wrong')).toEqual({
+      error: true,
+      code: 'invalidCredentials',
+      message: 'Incorrect username or password'
+    })
+    expect(await auth.login('nobody', 'password')).toMatchObject({ code: 'invalidCredentials' })
+
+    const failing = createAuthService({ provider: { login: vi.fn().mockRejectedValue(new Error('offline')) } })
+    expect(await failing.login('admin', 'password')).toMatchObject({ code: 'loginFailed' })
+    expect(auth.session()).toBeNull()
+  })
+
+  /**
+   * Unit Test: Session Expiry
+   *
+   * This test verifies that a session ends when its token expires, both on
+   * its own and when it is read after the expiry time, and that an expired
+   * saved session is not restored.
+   */
+  it('ends the session when the token expires', async () => {
+    const auth = createService()
+    const listener = vi.fn()
+    auth.onSessionChange(listener)
+    await auth.login('faculty', 'password')
+
+    time += 30 * 60 * 1000
+    vi.advanceTimersByTime(30 * 60 * 1000)
+
+    expect(listener).toHaveBeenLastCalledWith(null, 'expired')
+    expect(auth.session()).toBeNull()
+    expect(localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull()
+
+    // Read after expiry before the timer fires, e.g. when the tab was asleep
+    await auth.login('faculty', 'password')
+    time += 31 * 60 * 1000
+    expect(auth.token()).toBeNull()
+    expect(listener).toHaveBeenLastCalledWith(null, 'expired')
+
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      token: 'old',
+      expiresAt: time - 1,
+      user: { id: 'u-admin', username: 'admin', name: 'Maria Santos', role: 'admin' }
+    }))
+    expect(createService().session()).toBeNull()
+  })
+
+  it('signs out and ends the session when the backend rejects the token', async () => {
+    const logout = vi.fn().mockResolvedValue()
+    const provider = { ...createMockAuthProvider({ now }), logout }
+    const auth = createAuthService({ provider, now })
+    const listener = vi.fn()
+    auth.onSessionChange(listener)
+
+    const { token } = await auth.login('admin', 'password')
+    await auth.logout()
+    expect(listener).toHaveBeenLastCalledWith(null, 'logout')
+    expect(logout).toHaveBeenCalledWith(token)
+
+    await auth.login('admin', 'password')
+    auth.rejectToken()
+    expect(listener).toHaveBeenLastCalledWith(null, 'unauthorized')
+
+    // Nothing to end once signed out
+    listener.mockClear()
+    auth.rejectToken()
+    await auth.logout()
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('ignores saved sessions that are unreadable or have an unknown role', () => {
+    localStorage.setItem(SESSION_STORAGE_KEY, '{not json')
+    expect(createService().session()).toBeNull()
+
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      token: 't',
+      expiresAt: time + 60000,
+      user: { id: 'x', username: 'x', name: 'X', role: 'superuser' }
+    }))
+    expect(createService().session()).toBeNull()
+  })
+
+  it('checks roles of a session', () => {
+    const session = { token: 't', expiresAt: time + 1, user: { role: 'viewer' } }
+
+    expect(hasRole(null, ['viewer'])).toBe(false)
+    expect(hasRole(session, ['viewer', 'faculty'])).toBe(true)
+    expect(hasRole(session, ['admin'])).toBe(false)
+    expect(hasRole(session)).toBe(true)
+  })
+  /**
+   * Unit Test: Provider Selection
+   *
+   * This test verifies that the demo accounts only work with the mock
+   * provider, and that the REST provider signs in through the identity
+   * service at the backend URL.
+   */
+  it('signs in through the provider chosen in the configuration', async () => {
+    const client = { post: vi.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } })) }
+    axios.create = vi.fn().mockReturnValue(client)
+
+    const mock = createAuthService({ provider: createAuthProvider(loadConfig({ VITE_AUTH_PROVIDER: 'mock' })), now })
+    expect((await mock.login('admin', 'password')).user.role).toBe('admin')
+
+    const rest = createAuthService({ provider: createAuthProvider(loadConfig({ PROD: true })), storage: null, now })
+    expect(await rest.login('admin', 'password')).toMatchObject({ code: 'invalidCredentials' })
+    expect(axios.create).toHaveBeenCalledWith({ baseURL: 'https://jsonplaceholder.typicode.com', timeout: 10000 })
+
+    expect(() => createAuthProvider({ authProvider: 'ldap' })).toThrow('Unknown auth provider: ldap')
+  })
+})
@@ -0,0 +1,48 @@
+/**
+ * Response cache
+ *
+ * Keeps the results of read requests with the time they were stored, so the
+ * API service can answer from memory while they are fresh and revalidate them
+ * once they are stale. Keys are resource names such as 'students' or
+ * 'student:3'; invalidating a resource also drops its sub-keys.
+ */
+
+/**
+ * Creates an empty cache
+ * @param {{now?: () => number}} [options] - Clock used for timestamps, for tests
+ * @returns {{
+ *   get: (key: string) => ({value: *, storedAt: number}|undefined),
+ *   set: (key: string, value: *) => void,
+ *   isFresh: (entry: {storedAt: number}, ttl: number) => boolean,
+ *   invalidate: (resource: string) => void,
+ *   clear: () => void
+ * }}
+ */
+export function createCache({ now = Date.now } = {}) {
+  const entries = new Map()
+
+  return {
+    get(key) {
+      return entries.get(key)
+    },
+
+    set(key, value) {
+      entries.set(key, { value, storedAt: now() })
+    },
+
+    isFresh(entry, ttl) {
+      return now() - entry.storedAt < ttl
+    },
+
+    // Drops the resource and every key below it, e.g. 'students' drops 'students:page:2:25'
+    invalidate(resource) {
+      Array.from(entries.keys())
+        .filter(key => key === resource || key.startsWith(`${resource}:`))
+        .forEach(key => entries.delete(key))
+    },
+
+    clear() {
+      entries.clear()
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { createCache } from './cache.js'
+
+describe('cache', () => {
+  it('stores values with the time they were stored', () => {
+    let time = 1000
+    const cache = createCache({ now: () => time })
+
+    expect(cache.get('students')).toBeUndefined()
+    cache.set('students', [1, 2])
+    time = 1500
+
+    const entry = cache.get('students')
+    expect(entry).toEqual({ value: [1, 2], storedAt: 1000 })
+    expect(cache.isFresh(entry, 1000)).toBe(true)
+    expect(cache.isFresh(entry, 500)).toBe(false)
+  })
+
+  it('invalidates a resource together with its sub-keys', () => {
+    const cache = createCache()
+    cache.set('students', [])
+    cache.set('students:page:2:25', {})
+    cache.set('student:3', {})
+
+    cache.invalidate('students')
+
+    expect(cache.get('students')).toBeUndefined()
+    expect(cache.get('students:page:2:25')).toBeUndefined()
+    expect(cache.get('student:3')).toBeDefined()
+
+    cache.clear()
+    expect(cache.get('student:3')).toBeUndefined()
+  })
+})
@@ -0,0 +1,93 @@
+import { COURSE_CATALOG } from '../data/courses.js'
+import { sortStudents } from '../utils/studentQuery.js'
+
+/**
+ * Course catalog
+ *
+ * Looks up the courses offered. Courses come from the bundled catalog in
+ * src/data/courses.js; reads return promises and error objects like the API
+ * service, so a catalog served by the backend can take its place without
+ * changing the pages. Students refer to their course by its title.
+ */
+
+/**
+ * @typedef {Object} Course
+ * @property {string} code - Short code used in addresses, e.g. 'BSCS'
+ * @property {string} title - Course name, as in a student's `course`
+ * @property {string} college - College or department offering the course
+ * @property {number} years - Number of year levels, e.g. 5 for BS Architecture
+ */
+
+const normalizeCode = (code) => String(code ?? '').trim().toUpperCase()
+
+/**
+ * Groups a course's students by year level. Every year level of the course
+ * is listed, even without students; students at a level the course does not
+ * have (records needing review) follow in levels of their own.
+ * @param {Course} course
+ * @param {Array<Object>} students - Students of any course
+ * @returns {Array<{year: string, students: Array<Object>, extra: boolean}>} Year levels in order, students
+ *   sorted by surname; extra marks levels the course does not have
+ */
+export function studentsByYear(course, students) {
+  const courseLevels = Array.from({ length: course.years }, (_, index) => String(index + 1))
+  const levels = new Map(courseLevels.map(year => [year, []]))
+
+  sortStudents(students.filter(student => student.course === course.title), [{ field: 'name', direction: 'asc' }])
+    .forEach(student => {
+      const year = String(student.year)
+      if (!levels.has(year)) {
+        levels.set(year, [])
+      }
+      levels.get(year).push(student)
+    })
+
+  return Array.from(levels, ([year, members]) => ({ year, students: members, extra: !courseLevels.includes(year) }))
+    .sort((a, b) => a.year.localeCompare(b.year, undefined, { numeric: true }))
+}
+
+/**
+ * Creates the course service
+ * @param {{catalog?: Array<Course>}} [options] - Courses offered; defaults to COURSE_CATALOG
+ * @returns {Object} Course service
+ */
+export function createCourseService({ catalog = COURSE_CATALOG } = {}) {
+  return {
+    /**
+     * Fetches every course offered, in catalog order
+     * @returns {Promise<Array<Course>>}
+     */
+    async fetchCourses() {
+      return catalog.map(course => ({ ...course }))
+    },
+
+    /**
+     * Fetches a course by its code, ignoring case
+     * @param {string} code - e.g. 'BSCS'
+     * @returns {Promise<Course>} The course
+     * @returns {Promise<{error: boolean, code: string, notFound: boolean, message: string}>} Error object if no course has the code
+     */
+    async fetchCourse(code) {
+      const course = catalog.find(entry => entry.code === normalizeCode(code))
+
+      if (!course) {
+        return { error: true, code: 'courseNotFound', notFound: true, message: 'Course not found' }
+      }
+      return { ...course }
+    },
+
+    /**
+     * Finds the course a student is enrolled in
+     * @param {string} title - A student's `course`
+     * @returns {Course|null} null for courses not in the catalog
+     */
+    findCourse(title) {
+      return catalog.find(course => course.title === title) ?? null
+    }
+  }
+}
+
+/**
+ * Course service backed by the bundled catalog
+ */
+export const courseService = createCourseService()
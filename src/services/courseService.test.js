@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { createCourseService, courseService, studentsByYear } from './courseService.js'
+import { COURSE_CATALOG, COURSES, FIVE_YEAR_COURSES, courseYears } from '../data/courses.js'
+
+const students = [
+  { id: 1, name: 'José Peña', course: 'BS Architecture', year: '1' },
+  { id: 2, name: 'Maria Santos', course: 'BS Architecture', year: '5' },
+  { id: 3, name: 'Ana Abad', course: 'BS Architecture', year: '1' },
+  { id: 4, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '1' },
+  { id: 5, name: 'Paolo Garcia', course: 'BS Architecture', year: '7', validationErrors: { year: 'Year level must be from 1 to 5' } }
+]
+
+describe('courseService', () => {
+  it('catalogs each course once with its college and years', () => {
+    expect(new Set(COURSE_CATALOG.map(course => course.code)).size).toBe(COURSE_CATALOG.length)
+    expect(COURSES).toHaveLength(COURSE_CATALOG.length)
+    expect(FIVE_YEAR_COURSES).toEqual(['BS Civil Engineering', 'BS Electrical Engineering', 'BS Architecture'])
+    expect(courseYears('BS Architecture')).toBe(5)
+    expect(courseYears('BS Astrology')).toBe(4)
+    COURSE_CATALOG.forEach(course => {
+      expect(course.code).toMatch(/^[A-Z]+$/)
+      expect(course.college).toMatch(/^College of /)
+    })
+  })
+
+  it('fetches every course in catalog order', async () => {
+    const courses = await courseService.fetchCourses()
+
+    expect(courses.map(course => course.code)).toEqual(COURSE_CATALOG.map(course => course.code))
+    // Callers get copies they cannot use to change the catalog
+    courses[0].title = 'Changed'
+    expect(COURSE_CATALOG[0].title).toBe('BS Computer Science')
+  })
+
+  it('fetches a course by code, ignoring case', async () => {
+    expect(await courseService.fetchCourse('bsarch')).toEqual({
+      code: 'BSARCH',
+      title: 'BS Architecture',
+      college: 'College of Engineering and Architecture',
+      years: 5
+    })
+    expect(await courseService.fetchCourse('BSXX')).toEqual({
+      error: true,
+      code: 'courseNotFound',
+      notFound: true,
+      message: 'Course not found'
+    })
+  })
+
+  it('finds the course a student is enrolled in', () => {
+    const service = createCourseService({
+      catalog: [{ code: 'BSMT', title: 'BS Medical Technology', college: 'College of Allied Health', years: 4 }]
+    })
+
+    expect(service.findCourse('BS Medical Technology').code).toBe('BSMT')
+    expect(service.findCourse('BS Nursing')).toBeNull()
+    expect(courseService.findCourse('BS Nursing').code).toBe('BSN')
+  })
+
+  /**
+   * Unit Test: Students per Year Level
+   *
+   * This test verifies that a course lists every one of its year levels,
+   * students sorted by surname, and that students at a level the course
+   * does not have are listed after them and marked.
+   */
+  it('groups a course\'s students by year level', async () => {
+    const course = await courseService.fetchCourse('BSARCH')
+    const levels = studentsByYear(course, students)
+
+    expect(levels.map(level => [level.year, level.students.map(student => student.id), level.extra])).toEqual([
+      ['1', [3, 1], false],
+      ['2', [], false],
+      ['3', [], false],
+      ['4', [], false],
+      ['5', [2], false],
+      ['7', [5], true]
+    ])
+  })
+})
@@ -0,0 +1,40 @@
+/**
+ * Creates an error shaped like an Axios HTTP error, so the API service
+ * reports failures from every data source the same way
+ * @param {number} status - HTTP status code
+ * @param {string} message
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+  return Object.assign(new Error(message), {
+    response: { status, data: {} }
+  })
+}
+
+/**
+ * Checks whether a request was cancelled through its AbortSignal
+ * @param {Error} error - Error thrown by a data source
+ * @returns {boolean}
+ */
+export function isCancelled(error) {
+  return Boolean(error) && (error.code === 'ERR_CANCELED' || error.name === 'CanceledError' || error.name === 'AbortError')
+}
+
+/**
+ * Creates the error a data source rejects with when its signal is aborted
+ * @returns {Error}
+ */
+export function cancelledError() {
+  return Object.assign(new Error('Request cancelled'), { name: 'AbortError', code: 'ERR_CANCELED' })
+}
+
+/**
+ * Checks whether a request failed without reaching the backend: no response
+ * arrived, the connection dropped or the request timed out
+ * @param {Error} error - Error thrown by a data source
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return Boolean(error) && !error.response && !isCancelled(error) &&
+    (Boolean(error.request) || error.code === 'ECONNABORTED' || error.code === 'ERR_NETWORK')
+}
@@ -0,0 +1,52 @@
+import { createRestDataSource } from './restDataSource.js'
+import { createLocalDataSource } from './localDataSource.js'
+import { createMemoryDataSource } from './memoryDataSource.js'
+import { createOfflineDataSource } from './offlineDataSource.js'
+import { createRetryingDataSource } from './retryDataSource.js'
+
+/**
+ * Data source adapter used by the API service. Adapters return raw records
+ * in the backend's shape and signal failures by rejecting with an error that
+ * carries `response.status` (HTTP errors) or `request` (no response).
+ * Every method takes an optional AbortSignal; aborting it rejects the request
+ * with an error that isCancelled (errors.js) recognises.
+ * @typedef {Object} DataSource
+ * @property {(options?: {page?: number, limit?: number, signal?: AbortSignal}) => Promise<{records: Array<Object>, total: number|null}>} list
+ *   Lists records, one page of them when page and limit are given; total is null when unknown
+ * @property {(id: number|string, options?: {signal?: AbortSignal}) => Promise<Object>} get - Fetches one record
+ * @property {(fields: Object, options?: {signal?: AbortSignal}) => Promise<Object>} create - Creates a record and returns it with its ID
+ * @property {(id: number|string, changes: Object, options?: {partial?: boolean, signal?: AbortSignal}) => Promise<Object>} update
+ *   Replaces a record, or merges the changes into it with partial
+ * @property {(id: number|string, options?: {signal?: AbortSignal}) => Promise<void>} remove - Deletes a record
+ * @property {() => Object} [status] - Offline state, for data sources that work offline
+ * @property {(listener: Function) => Function} [subscribe] - Listens for offline state changes
+ * @property {() => Promise<Object>} [replay] - Sends writes queued while offline
+ * @property {() => Promise<{discarded: number}>} [clear] - Forgets data saved for offline use and discards queued writes
+ */
+
+/**
+ * Creates the data source selected in the configuration. REST requests that
+ * fail on the way are retried up to apiRetries times.
+ * @param {{dataSource: string, apiBaseUrl: string, studentsPath: string, apiTimeout: number, apiRetries: number}} config
+ * @param {{auth?: {token: () => string|null, onUnauthorized: () => void}}} [options] - Credentials for REST requests
+ * @returns {DataSource}
+ */
+export function createDataSource(config, { auth } = {}) {
+  switch (config.dataSource) {
+    case 'rest':
+      return createRetryingDataSource(createRestDataSource({
+        baseUrl: config.apiBaseUrl,
+        studentsPath: config.studentsPath,
+        timeout: config.apiTimeout,
+        auth
+      }), { policy: { retries: config.apiRetries } })
+    case 'local':
+      return createLocalDataSource()
+    case 'memory':
+      return createMemoryDataSource()
+    default:
+      throw new Error(`Unknown data source: ${config.dataSource}`)
+  }
+}
+
+export { createRestDataSource, createLocalDataSource, createMemoryDataSource, createOfflineDataSource, createRetryingDataSource }
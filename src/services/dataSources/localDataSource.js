@@ -0,0 +1,12 @@
+import bundledStudents from '../../data/students.json'
+import { createMemoryDataSource } from './memoryDataSource.js'
+
+/**
+ * Data source that reads the student records bundled with the app in
+ * src/data/students.json. Changes are kept in memory on top of the file.
+ * @param {Array<Object>} [records] - Records to use instead of the bundled file
+ * @returns {import('./index.js').DataSource}
+ */
+export function createLocalDataSource(records = bundledStudents) {
+  return createMemoryDataSource(records)
+}
@@ -0,0 +1,63 @@
+import { httpError } from './errors.js'
+
+/**
+ * Data source that keeps records in memory, for demos, tests and offline
+ * development. Changes last until the page is reloaded.
+ * @param {Array<Object>} [records] - Initial records; copied, never modified
+ * @returns {import('./index.js').DataSource}
+ */
+export function createMemoryDataSource(records = []) {
+  let rows = records.map(record => ({ ...record }))
+
+  const findIndex = (id) => rows.findIndex(row => String(row.id) === String(id))
+
+  const nextId = () => rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1
+
+  return {
+    async list({ page, limit } = {}) {
+      const selected = page === undefined
+        ? rows
+        : rows.slice((page - 1) * limit, page * limit)
+
+      return {
+        records: selected.map(row => ({ ...row })),
+        total: rows.length
+      }
+    },
+
+    async get(id) {
+      const index = findIndex(id)
+      if (index === -1) {
+        throw httpError(404, `Student ${id} not found`)
+      }
+      return { ...rows[index] }
+    },
+
+    async create(fields) {
+      const record = { ...fields, id: nextId() }
+      rows = [...rows, record]
+      return { ...record }
+    },
+
+    async update(id, changes, { partial = false } = {}) {
+      const index = findIndex(id)
+      if (index === -1) {
+        throw httpError(404, `Student ${id} not found`)
+      }
+
+      const record = partial
+        ? { ...rows[index], ...changes, id: rows[index].id }
+        : { ...changes, id: rows[index].id }
+      rows = rows.map((row, position) => (position === index ? record : row))
+      return { ...record }
+    },
+
+    async remove(id) {
+      const index = findIndex(id)
+      if (index === -1) {
+        throw httpError(404, `Student ${id} not found`)
+      }
+      rows = rows.filter((_, position) => position !== index)
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { createMemoryDataSource } from './memoryDataSource.js'
+import { createLocalDataSource } from './localDataSource.js'
+import bundledStudents from '../../data/students.json'
+
+const records = [
+  { id: 1, name: 'Maria Santos' },
+  { id: 2, name: 'Juan Dela Cruz' },
+  { id: 3, name: 'José Peña' }
+]
+
+describe('memoryDataSource', () => {
+  it('lists all records or one page with the total', async () => {
+    const dataSource = createMemoryDataSource(records)
+
+    expect(await dataSource.list()).toEqual({ records, total: 3 })
+    expect(await dataSource.list({ page: 2, limit: 2 })).toEqual({ records: [records[2]], total: 3 })
+  })
+
+  /**
+   * Unit Test: In-Memory Changes
+   *
+   * This test verifies that creates, updates and deletes change the stored
+   * records without touching the records the data source was seeded with.
+   */
+  it('creates, updates and deletes records without changing the seed', async () => {
+    const dataSource = createMemoryDataSource(records)
+
+    expect(await dataSource.create({ name: 'Ana Reyes' })).toEqual({ id: 4, name: 'Ana Reyes' })
+    expect(await dataSource.update('2', { year: '3' }, { partial: true })).toEqual({ id: 2, name: 'Juan Dela Cruz', year: '3' })
+    expect(await dataSource.update(1, { name: 'Maria Clara Santos' })).toEqual({ id: 1, name: 'Maria Clara Santos' })
+    await dataSource.remove(3)
+
+    const { records: stored } = await dataSource.list()
+    expect(stored.map(record => record.id)).toEqual([1, 2, 4])
+    expect(await dataSource.get(2)).toEqual({ id: 2, name: 'Juan Dela Cruz', year: '3' })
+    expect(records[1]).toEqual({ id: 2, name: 'Juan Dela Cruz' })
+  })
+
+  it('rejects unknown IDs with a 404 like the REST backend', async () => {
+    const dataSource = createMemoryDataSource(records)
+
+    await expect(dataSource.get(99)).rejects.toMatchObject({ response: { status: 404 } })
+    await expect(dataSource.update(99, {})).rejects.toMatchObject({ response: { status: 404 } })
+    await expect(dataSource.remove(99)).rejects.toMatchObject({ response: { status: 404 } })
+  })
+
+  it('reads the bundled student records for the local data source', async () => {
+    const { records: stored, total } = await createLocalDataSource().list()
+
+    expect(total).toBe(bundledStudents.length)
+    expect(stored[0]).toEqual(bundledStudents[0])
+  })
+})
@@ -0,0 +1,342 @@
+import { httpError, isNetworkError } from './errors.js'
+
+const SNAPSHOT_KEY = 'students'
+const QUEUE_KEY = 'pendingWrites'
+const TEMPORARY_ID_PREFIX = 'offline-'
+
+/**
+ * Checks whether an ID was given to a student created offline, before the
+ * backend assigned a real one
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isTemporaryId = (id) => String(id).startsWith(TEMPORARY_ID_PREFIX)
+
+const sameId = (a, b) => String(a) === String(b)
+
+const FAILED_WRITE_CODES = { create: 'createFailed', update: 'updateFailed', remove: 'deleteFailed' }
+
+// A write the backend rejected, with the error codes of the API service's
+// error objects so the app can translate the reason
+const failedWrite = (write, error) => ({
+  type: write.type,
+  id: write.id,
+  ...(error.response
+    ? { code: 'server', status: error.response.status, message: `Server error: ${error.response.status}` }
+    : { code: FAILED_WRITE_CODES[write.type], message: error.message })
+})
+
+/**
+ * Applies queued writes to a list of records, so reads include changes that
+ * have not reached the backend yet
+ * @param {Array<Object>} records
+ * @param {Array<Object>} queue - Queued writes, oldest first
+ * @returns {Array<Object>}
+ */
+function applyPendingWrites(records, queue) {
+  return queue.reduce((rows, write) => {
+    switch (write.type) {
+      case 'create':
+        return [...rows, { ...write.fields, id: write.id }]
+      case 'update':
+        return rows.map(row => {
+          if (!sameId(row.id, write.id)) {
+            return row
+          }
+          return write.partial ? { ...row, ...write.changes, id: row.id } : { ...write.changes, id: row.id }
+        })
+      case 'remove':
+        return rows.filter(row => !sameId(row.id, write.id))
+      default:
+        return rows
+    }
+  }, records)
+}
+
+/**
+ * Wraps a data source so the app keeps working when the network drops. The
+ * last full student list is saved; when a request fails without reaching the
+ * backend, reads are answered from the saved list and writes are queued. The
+ * queue is saved too and replayed in order once the backend is reachable
+ * again: before the next list request, or when the browser reports that it
+ * is back online.
+ * @param {import('./index.js').DataSource} dataSource - Data source to wrap
+ * @param {{store: Object, now?: () => number, events?: EventTarget|null}} options
+ *   store - Key-value store for the saved list and queue, see offlineStore.js
+ *   now - Clock used for timestamps and temporary IDs, for tests
+ *   events - Target of the browser's online/offline events, normally window
+ * @returns {import('./index.js').DataSource & {status: Function, subscribe: Function, replay: Function, clear: Function}}
+ */
+export function createOfflineDataSource(dataSource, { store, now = Date.now, events = typeof window !== 'undefined' ? window : null }) {
+  // Last full list from the backend: { records, savedAt }
+  let snapshot = null
+  // Writes made offline, oldest first: { type, id, fields | changes, partial }
+  let queue = []
+  let online = true
+  // Queued writes the backend rejected during the last replay
+  let failed = []
+  let replaying = null
+  // Bumped by clear, so a replay under way stops instead of saving the old queue back
+  let generation = 0
+  let temporaryCount = 0
+  const listeners = new Set()
+
+  // Saved data is read once, before the first request; without storage the app still works online
+  let loading = null
+  const ready = () => {
+    loading = loading || Promise.all([store.get(SNAPSHOT_KEY), store.get(QUEUE_KEY)])
+      .then(([savedSnapshot, savedQueue]) => {
+        snapshot = savedSnapshot || null
+        queue = savedQueue || []
+      })
+      .catch(() => {})
+    return loading
+  }
+
+  // Storage failures (full quota, private browsing) must not fail the request being made
+  const save = (key, value) => store.set(key, value).catch(() => {})
+
+  const status = () => ({
+    online,
+    savedAt: snapshot ? new Date(snapshot.savedAt) : null,
+    pending: queue.length,
+    failed
+  })
+
+  const notify = () => {
+    const current = status()
+    listeners.forEach(listener => listener(current))
+  }
+
+  const setOnline = (value) => {
+    if (online !== value) {
+      online = value
+      notify()
+    }
+  }
+
+  const setQueue = async (writes) => {
+    queue = writes
+    await save(QUEUE_KEY, queue)
+    notify()
+  }
+
+  const localRecords = () => applyPendingWrites(snapshot ? snapshot.records : [], queue)
+
+  const findLocal = (id) => localRecords().find(record => sameId(record.id, id))
+
+  // Sends a request to the backend; when it cannot reach the backend, marks
+  // the app offline and falls back to the offline handler. Cancelled requests
+  // are not network failures and are rethrown.
+  const attempt = async (request, offline) => {
+    try {
+      const result = await request()
+      setOnline(true)
+      return result
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error
+      }
+      setOnline(false)
+      return offline(error)
+    }
+  }
+
+  // Sends queued writes in order. Students created offline get their real ID
+  // from the backend, and later writes to them use it. Writes the backend
+  // rejects are dropped and reported; a network failure stops the replay.
+  const replayQueue = async () => {
+    const backendIds = new Map()
+    const started = generation
+    let replayed = 0
+    failed = []
+
+    while (queue.length > 0 && generation === started) {
+      const [write, ...rest] = queue
+      const id = backendIds.get(write.id) ?? write.id
+
+      try {
+        if (write.type === 'create') {
+          const saved = await dataSource.create(write.fields)
+          backendIds.set(write.id, saved.id)
+        } else if (write.type === 'update') {
+          await dataSource.update(id, write.changes, { partial: write.partial })
+        } else {
+          await dataSource.remove(id)
+        }
+        replayed++
+        setOnline(true)
+      } catch (error) {
+        if (isNetworkError(error)) {
+          setOnline(false)
+          break
+        }
+        failed = [...failed, failedWrite(write, error)]
+      }
+      if (generation !== started) {
+        break
+      }
+      await setQueue(rest)
+    }
+
+    return { replayed, failed, pending: queue.length }
+  }
+
+  const replay = async () => {
+    await ready()
+    if (!replaying) {
+      replaying = replayQueue().finally(() => {
+        replaying = null
+      })
+    }
+    return replaying
+  }
+
+  if (events) {
+    events.addEventListener('online', () => {
+      setOnline(true)
+      if (queue.length > 0) {
+        replay()
+      }
+    })
+    events.addEventListener('offline', () => setOnline(false))
+  }
+
+  return {
+    async list(options = {}) {
+      await ready()
+      if (queue.length > 0) {
+        await replay()
+      }
+
+      const fullList = options.page === undefined
+      return attempt(async () => {
+        const result = await dataSource.list(options)
+        if (!fullList) {
+          return result
+        }
+
+        snapshot = { records: result.records, savedAt: now() }
+        await save(SNAPSHOT_KEY, snapshot)
+        notify()
+        return { ...result, records: applyPendingWrites(result.records, queue) }
+      }, (error) => {
+        if (!snapshot) {
+          throw error
+        }
+
+        const records = localRecords()
+        const { page, limit } = options
+        return {
+          records: fullList ? records : records.slice((page - 1) * limit, page * limit),
+          total: records.length
+        }
+      })
+    },
+
+    async get(id, { signal } = {}) {
+      await ready()
+      if (isTemporaryId(id)) {
+        const record = findLocal(id)
+        if (!record) {
+          throw httpError(404, `Student ${id} not found`)
+        }
+        return record
+      }
+
+      return attempt(async () => {
+        const record = await dataSource.get(id, { signal })
+        // Show edits still waiting in the queue
+        return applyPendingWrites([record], queue.filter(write => write.type === 'update'))[0]
+      }, (error) => {
+        const record = findLocal(id)
+        if (!record) {
+          throw error
+        }
+        return record
+      })
+    },
+
+    async create(fields, { signal } = {}) {
+      await ready()
+      return attempt(() => dataSource.create(fields, { signal }), async () => {
+        const id = `${TEMPORARY_ID_PREFIX}${now()}-${temporaryCount++}`
+        await setQueue([...queue, { type: 'create', id, fields }])
+        return { ...fields, id }
+      })
+    },
+
+    async update(id, changes, { partial = false, signal } = {}) {
+      await ready()
+      if (isTemporaryId(id)) {
+        // Not on the backend yet, so the changes go into the queued create
+        if (!findLocal(id)) {
+          throw httpError(404, `Student ${id} not found`)
+        }
+        const { id: _, ...fields } = changes
+        await setQueue(queue.map(write => (write.type === 'create' && sameId(write.id, id)
+          ? { ...write, fields: partial ? { ...write.fields, ...fields } : fields }
+          : write)))
+        return findLocal(id)
+      }
+
+      return attempt(() => dataSource.update(id, changes, { partial, signal }), async () => {
+        await setQueue([...queue, { type: 'update', id, changes, partial }])
+        return findLocal(id) ?? { ...changes, id }
+      })
+    },
+
+    async remove(id, { signal } = {}) {
+      await ready()
+      if (isTemporaryId(id)) {
+        // Never reached the backend, so dropping its queued writes removes it
+        await setQueue(queue.filter(write => !sameId(write.id, id)))
+        return
+      }
+
+      await attempt(() => dataSource.remove(id, { signal }), async () => {
+        await setQueue([...queue, { type: 'remove', id }])
+      })
+    },
+
+    /**
+     * Returns the offline state
+     * @returns {{online: boolean, savedAt: Date|null, pending: number, failed: Array<{type: string, id: number|string, code: string, status?: number, message: string}>}}
+     */
+    status,
+
+    /**
+     * Calls the listener with the new state whenever it changes
+     * @param {Function} listener
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    /**
+     * Sends the queued writes now
+     * @returns {Promise<{replayed: number, failed: Array<Object>, pending: number}>}
+     */
+    replay,
+
+    /**
+     * Forgets the saved list and discards the queued writes, in memory and in
+     * the store, so nothing is shown to or sent for the next user. A replay
+     * under way stops after the write it is sending.
+     * @returns {Promise<{discarded: number}>} How many queued writes were discarded
+     */
+    async clear() {
+      await ready()
+      const discarded = queue.length
+      generation++
+      snapshot = null
+      queue = []
+      failed = []
+      await Promise.all([SNAPSHOT_KEY, QUEUE_KEY].map(key => store.delete(key).catch(() => {})))
+      notify()
+      return { discarded }
+    }
+  }
+}
@@ -0,0 +1,228 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createOfflineDataSource, isTemporaryId } from './offlineDataSource.js'
+import { createMemoryDataSource } from './memoryDataSource.js'
+import { httpError } from './errors.js'
+import { createMemoryStore } from '../offlineStore.js'
+
+const records = [
+  { id: 1, name: 'Maria Santos' },
+  { id: 2, name: 'Juan Dela Cruz' }
+]
+
+// Memory backend whose requests fail like a dropped connection while `network.down` is set
+const createFlakyBackend = () => {
+  const backend = createMemoryDataSource(records)
+  const network = { down: false }
+  const flaky = Object.fromEntries(Object.entries(backend).map(([name, method]) => [name, (...args) => {
+    if (network.down) {
+      return Promise.reject(Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK', request: {} }))
+    }
+    return method(...args)
+  }]))
+  return { backend, flaky, network }
+}
+
+const names = (result) => result.records.map(record => record.name)
+
+describe('offlineDataSource', () => {
+  /**
+   * Unit Test: Offline Reads
+   *
+   * This test verifies that the last full list is saved and served when the
+   * backend cannot be reached, with the status reporting when it was saved.
+   */
+  it('serves the saved list while offline', async () => {
+    const { flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource(flaky, { store: createMemoryStore(), now: () => 5000, events: null })
+    const listener = vi.fn()
+    dataSource.subscribe(listener)
+
+    await dataSource.list()
+    network.down = true
+
+    expect(names(await dataSource.list())).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+    expect(await dataSource.get(2)).toEqual(records[1])
+    expect(dataSource.status()).toEqual({ online: false, savedAt: new Date(5000), pending: 0, failed: [] })
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ online: false }))
+    await expect(dataSource.get(99)).rejects.toMatchObject({ code: 'ERR_NETWORK' })
+  })
+
+  it('fails offline when no list has been saved yet, and passes HTTP errors through', async () => {
+    const { flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource(flaky, { store: createMemoryStore(), events: null })
+
+    await expect(dataSource.get(99)).rejects.toMatchObject({ response: { status: 404 } })
+    expect(dataSource.status().online).toBe(true)
+
+    network.down = true
+    await expect(dataSource.list()).rejects.toMatchObject({ code: 'ERR_NETWORK' })
+  })
+
+  it('keeps the saved list and queue across reloads', async () => {
+    const store = createMemoryStore()
+    const { flaky, network } = createFlakyBackend()
+
+    const first = createOfflineDataSource(flaky, { store, events: null })
+    await first.list()
+    network.down = true
+    await first.update(1, { name: 'Maria Clara Santos' }, { partial: true })
+
+    const reloaded = createOfflineDataSource(flaky, { store, events: null })
+    expect(names(await reloaded.list())).toEqual(['Maria Clara Santos', 'Juan Dela Cruz'])
+    expect(reloaded.status().pending).toBe(1)
+  })
+
+  /**
+   * Unit Test: Queued Writes
+   *
+   * This test verifies that writes made offline show up in reads right away
+   * and are replayed in order, with students created offline getting their
+   * backend ID before later writes to them are sent.
+   */
+  it('queues writes while offline and replays them in order', async () => {
+    const { backend, flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource(flaky, { store: createMemoryStore(), events: null })
+
+    await dataSource.list()
+    network.down = true
+
+    const created = await dataSource.create({ name: 'Ana Reyes' })
+    expect(isTemporaryId(created.id)).toBe(true)
+    await dataSource.update(created.id, { year: '2' }, { partial: true })
+    await dataSource.update(2, { name: 'Juan D. Cruz' }, { partial: true })
+    await dataSource.remove(1)
+
+    expect(names(await dataSource.list())).toEqual(['Juan D. Cruz', 'Ana Reyes'])
+    expect(await dataSource.get(created.id)).toEqual({ name: 'Ana Reyes', year: '2', id: created.id })
+    expect(dataSource.status().pending).toBe(3)
+    expect(names(await backend.list())).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+
+    network.down = false
+    expect(await dataSource.replay()).toEqual({ replayed: 3, failed: [], pending: 0 })
+
+    const { records: stored } = await backend.list()
+    expect(stored).toEqual([
+      { id: 2, name: 'Juan D. Cruz' },
+      { id: 3, name: 'Ana Reyes', year: '2' }
+    ])
+    expect(dataSource.status()).toMatchObject({ online: true, pending: 0 })
+  })
+
+  it('drops queued writes for a student created and deleted offline', async () => {
+    const { flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource(flaky, { store: createMemoryStore(), events: null })
+
+    await dataSource.list()
+    network.down = true
+    const created = await dataSource.create({ name: 'Ana Reyes' })
+    await dataSource.remove(created.id)
+
+    expect(dataSource.status().pending).toBe(0)
+    await expect(dataSource.get(created.id)).rejects.toMatchObject({ response: { status: 404 } })
+  })
+
+  it('reports writes the backend rejects and replays before the next list', async () => {
+    const { flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource({
+      ...flaky,
+      update: (id, ...args) => (id === 1 && !network.down ? Promise.reject(httpError(422, 'Invalid year level')) : flaky.update(id, ...args))
+    }, { store: createMemoryStore(), events: null })
+
+    await dataSource.list()
+    network.down = true
+    await dataSource.update(1, { year: '9' }, { partial: true })
+    await dataSource.update(2, { year: '3' }, { partial: true })
+
+    network.down = false
+    const result = await dataSource.list()
+
+    expect(result.records[1]).toEqual({ id: 2, name: 'Juan Dela Cruz', year: '3' })
+    expect(dataSource.status().failed).toEqual([{ type: 'update', id: 1, code: 'server', status: 422, message: 'Server error: 422' }])
+  })
+
+  it('replays the queue when the browser comes back online', async () => {
+    const { backend, flaky, network } = createFlakyBackend()
+    const events = new EventTarget()
+    const dataSource = createOfflineDataSource(flaky, { store: createMemoryStore(), events })
+
+    await dataSource.list()
+    network.down = true
+    events.dispatchEvent(new Event('offline'))
+    expect(dataSource.status().online).toBe(false)
+    await dataSource.remove(2)
+
+    network.down = false
+    events.dispatchEvent(new Event('online'))
+
+    await vi.waitFor(() => expect(dataSource.status().pending).toBe(0))
+    expect(names(await backend.list())).toEqual(['Maria Santos'])
+  })
+
+  /**
+   * Unit Test: Clearing Offline Data
+   *
+   * This test verifies that clearing forgets the saved list and discards
+   * the queued writes, in memory and in the store, so none of them are sent
+   * later or read back after a reload.
+   */
+  it('forgets the saved list and discards queued writes when cleared', async () => {
+    const store = createMemoryStore()
+    const { backend, flaky, network } = createFlakyBackend()
+    const dataSource = createOfflineDataSource(flaky, { store, events: null })
+
+    await dataSource.list()
+    network.down = true
+    await dataSource.update(1, { name: 'Maria Clara Santos' }, { partial: true })
+    await dataSource.remove(2)
+
+    expect(await dataSource.clear()).toEqual({ discarded: 2 })
+    expect(dataSource.status()).toMatchObject({ savedAt: null, pending: 0, failed: [] })
+    await expect(dataSource.list()).rejects.toMatchObject({ code: 'ERR_NETWORK' })
+    expect(await store.get('students')).toBeUndefined()
+    expect(await store.get('pendingWrites')).toBeUndefined()
+
+    network.down = false
+    expect(await dataSource.replay()).toEqual({ replayed: 0, failed: [], pending: 0 })
+    expect(names(await backend.list())).toEqual(['Maria Santos', 'Juan Dela Cruz'])
+  })
+
+  it('stops a replay under way when cleared', async () => {
+    const { backend, flaky, network } = createFlakyBackend()
+    let release
+    const dataSource = createOfflineDataSource({
+      ...flaky,
+      // Once back online, the replayed delete waits until the test releases it
+      remove: (id) => (network.down ? flaky.remove(id) : new Promise(resolve => {
+        release = () => resolve(flaky.remove(id))
+      }))
+    }, { store: createMemoryStore(), events: null })
+
+    await dataSource.list()
+    network.down = true
+    await dataSource.remove(1)
+    await dataSource.update(2, { name: 'Juan D. Cruz' }, { partial: true })
+    network.down = false
+
+    const replay = dataSource.replay()
+    await vi.waitFor(() => expect(release).toBeDefined())
+    const cleared = dataSource.clear()
+    release()
+
+    expect(await replay).toMatchObject({ replayed: 1, pending: 0 })
+    await cleared
+    expect(dataSource.status().pending).toBe(0)
+    expect(names(await backend.list())).toEqual(['Juan Dela Cruz'])
+  })
+
+  it('rethrows cancelled requests instead of answering them offline', async () => {
+    const { flaky } = createFlakyBackend()
+    const dataSource = createOfflineDataSource({
+      ...flaky,
+      get: () => Promise.reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', request: {} }))
+    }, { store: createMemoryStore(), events: null })
+
+    await dataSource.list()
+    await expect(dataSource.get(1)).rejects.toMatchObject({ code: 'ERR_CANCELED' })
+    expect(dataSource.status().online).toBe(true)
+  })
+})
@@ -0,0 +1,88 @@
+import axios from 'axios'
+
+/**
+ * Data source backed by a REST API such as JSON Server or the school SIS.
+ * One Axios instance is shared by every request the data source makes.
+ * With auth, every request carries the signed-in user's token as a bearer
+ * token, and a 401 response tells auth that the token was rejected.
+ * @param {{baseUrl: string, studentsPath: string, timeout: number, auth?: {token: () => string|null, onUnauthorized: () => void}}} options
+ * @returns {import('./index.js').DataSource}
+ */
+export function createRestDataSource({ baseUrl, studentsPath, timeout, auth }) {
+  let client = null
+
+  // Created on first use so importing the service does not touch Axios
+  const getClient = () => {
+    if (!client) {
+      client = axios.create({
+        baseURL: baseUrl,
+        timeout
+      })
+
+      if (auth) {
+        client.interceptors.request.use((request) => {
+          const token = auth.token()
+          if (token) {
+            request.headers.Authorization = `Bearer ${token}`
+          }
+          return request
+        })
+        client.interceptors.response.use(undefined, (error) => {
+          if (error.response?.status === 401) {
+            auth.onUnauthorized()
+          }
+          return Promise.reject(error)
+        })
+      }
+    }
+    return client
+  }
+
+  const recordUrl = (id) => `${studentsPath}/${encodeURIComponent(id)}`
+
+  // Request config arguments for Axios, with the AbortSignal that cancels the request
+  const requestConfig = (signal, config) => {
+    if (signal) {
+      return [{ ...config, signal }]
+    }
+    return config ? [config] : []
+  }
+
+  return {
+    async list({ page, limit, signal } = {}) {
+      // JSON-Server style paging params; omitted to fetch the whole collection
+      const response = page === undefined
+        ? await getClient().get(studentsPath, ...requestConfig(signal))
+        : await getClient().get(studentsPath, ...requestConfig(signal, { params: { _page: page, _limit: limit } }))
+
+      // The backend reports the collection size in X-Total-Count
+      const totalHeader = Number.parseInt(response.headers?.['x-total-count'], 10)
+
+      return {
+        records: response.data,
+        total: Number.isNaN(totalHeader) ? null : totalHeader
+      }
+    },
+
+    async get(id, { signal } = {}) {
+      const response = await getClient().get(recordUrl(id), ...requestConfig(signal))
+      return response.data
+    },
+
+    async create(fields, { signal } = {}) {
+      const response = await getClient().post(studentsPath, fields, ...requestConfig(signal))
+      return response.data
+    },
+
+    async update(id, changes, { partial = false, signal } = {}) {
+      const response = partial
+        ? await getClient().patch(recordUrl(id), changes, ...requestConfig(signal))
+        : await getClient().put(recordUrl(id), changes, ...requestConfig(signal))
+      return response.data
+    },
+
+    async remove(id, { signal } = {}) {
+      await getClient().delete(recordUrl(id), ...requestConfig(signal))
+    }
+  }
+}
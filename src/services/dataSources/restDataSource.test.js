@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import axios from 'axios'
+import { createRestDataSource } from './restDataSource.js'
+
+// Mock axios
+vi.mock('axios')
+
+const options = {
+  baseUrl: 'https://sis.school.edu.ph/api',
+  studentsPath: '/students',
+  timeout: 5000
+}
+
+describe('restDataSource', () => {
+  beforeEach(() => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+  })
+
+  /**
+   * Unit Test: Shared Axios Instance
+   *
+   * This test verifies that the data source creates a single Axios instance
+   * with the configured base URL and timeout and reuses it for every request.
+   */
+  it('creates one Axios instance with the configured base URL and timeout', async () => {
+    const client = {
+      get: vi.fn().mockResolvedValue({ data: { id: 1 } }),
+      delete: vi.fn().mockResolvedValue({ data: {} })
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+
+    const dataSource = createRestDataSource(options)
+    expect(axios.create).not.toHaveBeenCalled()
+
+    await dataSource.get(1)
+    await dataSource.get(2)
+    await dataSource.remove('a/b')
+
+    expect(axios.create).toHaveBeenCalledTimes(1)
+    expect(axios.create).toHaveBeenCalledWith({ baseURL: 'https://sis.school.edu.ph/api', timeout: 5000 })
+    expect(client.get).toHaveBeenCalledWith('/students/2')
+    expect(client.delete).toHaveBeenCalledWith('/students/a%2Fb')
+  })
+
+  it('lists records with the total from X-Total-Count when paging', async () => {
+    const client = {
+      get: vi.fn()
+        .mockResolvedValueOnce({ data: [{ id: 3 }], headers: { 'x-total-count': '42' } })
+        .mockResolvedValueOnce({ data: [{ id: 1 }, { id: 2 }], headers: {} })
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+    const dataSource = createRestDataSource(options)
+
+    expect(await dataSource.list({ page: 2, limit: 2 })).toEqual({ records: [{ id: 3 }], total: 42 })
+    expect(client.get).toHaveBeenCalledWith('/students', { params: { _page: 2, _limit: 2 } })
+
+    expect(await dataSource.list()).toEqual({ records: [{ id: 1 }, { id: 2 }], total: null })
+    expect(client.get).toHaveBeenLastCalledWith('/students')
+  })
+
+  it('replaces with PUT and merges with PATCH', async () => {
+    const client = {
+      put: vi.fn().mockResolvedValue({ data: { id: 3, name: 'Juan' } }),
+      patch: vi.fn().mockResolvedValue({ data: { year: '3' } })
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+    const dataSource = createRestDataSource(options)
+
+    await dataSource.update(3, { id: 3, name: 'Juan' })
+    await dataSource.update(3, { year: '3' }, { partial: true })
+
+    expect(client.put).toHaveBeenCalledWith('/students/3', { id: 3, name: 'Juan' })
+    expect(client.patch).toHaveBeenCalledWith('/students/3', { year: '3' })
+  })
+
+  it('passes the AbortSignal to Axios', async () => {
+    const client = {
+      get: vi.fn().mockResolvedValue({ data: [], headers: {} }),
+      delete: vi.fn().mockResolvedValue({ data: {} })
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+    const dataSource = createRestDataSource(options)
+    const { signal } = new AbortController()
+
+    await dataSource.list({ page: 1, limit: 10, signal })
+    await dataSource.remove(4, { signal })
+
+    expect(client.get).toHaveBeenCalledWith('/students', { params: { _page: 1, _limit: 10 }, signal })
+    expect(client.delete).toHaveBeenCalledWith('/students/4', { signal })
+  })
+
+  /**
+   * Unit Test: Credentials Interceptors
+   *
+   * This test verifies that with auth every request carries the bearer
+   * token and a 401 response reports the token as rejected.
+   */
+  it('attaches the bearer token and reports 401 responses to auth', async () => {
+    const handlers = {}
+    const client = {
+      get: vi.fn().mockResolvedValue({ data: { id: 1 } }),
+      interceptors: {
+        request: { use: vi.fn((onFulfilled) => { handlers.request = onFulfilled }) },
+        response: { use: vi.fn((onFulfilled, onRejected) => { handlers.responseError = onRejected }) }
+      }
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+    const auth = { token: vi.fn(() => 'abc123'), onUnauthorized: vi.fn() }
+    const dataSource = createRestDataSource({ ...options, auth })
+
+    await dataSource.get(1)
+
+    expect(handlers.request({ headers: {} }).headers.Authorization).toBe('Bearer abc123')
+    auth.token.mockReturnValue(null)
+    expect(handlers.request({ headers: {} }).headers.Authorization).toBeUndefined()
+
+    const serverError = Object.assign(new Error('Server error'), { response: { status: 500 } })
+    await expect(handlers.responseError(serverError)).rejects.toBe(serverError)
+    expect(auth.onUnauthorized).not.toHaveBeenCalled()
+
+    const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } })
+    await expect(handlers.responseError(unauthorized)).rejects.toBe(unauthorized)
+    expect(auth.onUnauthorized).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,158 @@
+import { cancelledError, isCancelled, isNetworkError } from './errors.js'
+
+/**
+ * Retry policy used unless configured otherwise
+ * - retries: retries after the first attempt
+ * - baseDelay, factor, maxDelay: exponential backoff in milliseconds; the
+ *   actual wait is a random time up to the backoff ("full jitter") so clients
+ *   that failed together do not retry together
+ * - retryableStatuses: HTTP statuses worth retrying; other statuses fail at once
+ * - maxRetryAfter: longest Retry-After wait honoured; longer waits give up
+ */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 300,
+  factor: 2,
+  maxDelay: 5000,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  maxRetryAfter: 30000
+}
+
+/**
+ * Checks whether a failed request may succeed if sent again: network errors,
+ * timeouts and the policy's retryable statuses
+ * @param {Error} error - Error thrown by the data source
+ * @param {Object} policy - Retry policy
+ * @returns {boolean}
+ */
+export function isRetryable(error, policy) {
+  if (isCancelled(error)) {
+    return false
+  }
+  if (error.response) {
+    return policy.retryableStatuses.includes(error.response.status)
+  }
+  return isNetworkError(error)
+}
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Error} error - Error thrown by the data source
+ * @param {() => number} now - Clock for HTTP dates
+ * @returns {number|null} Wait in milliseconds, or null without a usable header
+ */
+function retryAfter(error, now) {
+  const value = error.response?.headers?.['retry-after']
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now())
+}
+
+/**
+ * Returns how long to wait before the next attempt
+ * @param {number} attempt - Number of the attempt that just failed, from 1
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Error of the failed attempt
+ * @param {{random?: () => number, now?: () => number}} [options] - Randomness and clock, for tests
+ * @returns {number|null} Wait in milliseconds, or null when the server asks for a longer wait than the policy allows
+ */
+export function retryDelay(attempt, policy, error, { random = Math.random, now = Date.now } = {}) {
+  const requested = retryAfter(error, now)
+  if (requested !== null) {
+    return requested <= policy.maxRetryAfter ? requested : null
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1))
+  return Math.round(random() * backoff)
+}
+
+/**
+ * Waits for the given time, rejecting early when the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(cancelledError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Wraps a data source so idempotent requests (list, get, full update with
+ * PUT and remove) are retried with exponential backoff. Creates (POST) and
+ * partial updates (PATCH) are sent once, since repeating them could apply
+ * them twice. Errors carry `attempts`, the number of attempts made.
+ * @param {import('./index.js').DataSource} dataSource - Data source to wrap
+ * @param {{policy?: Object, sleep?: Function, random?: () => number, now?: () => number}} [options]
+ *   policy - Retry policy, merged over DEFAULT_RETRY_POLICY
+ *   sleep, random, now - Timer, randomness and clock, for tests
+ * @returns {import('./index.js').DataSource}
+ */
+export function createRetryingDataSource(dataSource, { policy: overrides = {}, sleep: wait = sleep, random, now } = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...overrides }
+
+  const withRetry = async (request, { idempotent, signal }) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request()
+      } catch (error) {
+        const delay = idempotent && attempt <= policy.retries && isRetryable(error, policy)
+          ? retryDelay(attempt, policy, error, { random, now })
+          : null
+        if (delay === null) {
+          error.attempts = attempt
+          throw error
+        }
+
+        try {
+          await wait(delay, signal)
+        } catch (cancelled) {
+          cancelled.attempts = attempt
+          throw cancelled
+        }
+      }
+    }
+  }
+
+  return {
+    ...dataSource,
+
+    list(options = {}) {
+      return withRetry(() => dataSource.list(options), { idempotent: true, signal: options.signal })
+    },
+
+    get(id, options = {}) {
+      return withRetry(() => dataSource.get(id, options), { idempotent: true, signal: options.signal })
+    },
+
+    create(fields, options = {}) {
+      return withRetry(() => dataSource.create(fields, options), { idempotent: false, signal: options.signal })
+    },
+
+    update(id, changes, options = {}) {
+      return withRetry(() => dataSource.update(id, changes, options), { idempotent: !options.partial, signal: options.signal })
+    },
+
+    remove(id, options = {}) {
+      return withRetry(() => dataSource.remove(id, options), { idempotent: true, signal: options.signal })
+    }
+  }
+}
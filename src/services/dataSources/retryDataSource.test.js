@@ -0,0 +1,155 @@
+import { describe, it, expect, vi } from 'vitest'
+import * as fc from 'fast-check'
+import { createRetryingDataSource, retryDelay, isRetryable, DEFAULT_RETRY_POLICY } from './retryDataSource.js'
+import { httpError, isCancelled } from './errors.js'
+
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK', request: {} })
+
+// Data source whose methods all fail with the given errors in turn, then succeed
+const createFailingSource = (...errors) => {
+  const call = vi.fn()
+  errors.forEach(error => call.mockRejectedValueOnce(error))
+  call.mockResolvedValue({ records: [], total: 0 })
+  return {
+    call,
+    dataSource: { list: call, get: call, create: call, update: call, remove: call }
+  }
+}
+
+describe('retryDataSource', () => {
+  /**
+   * Unit Test: Exponential Backoff
+   *
+   * This test verifies that failed reads are retried after waits that double
+   * each time, scaled by the jitter, up to the policy's maximum.
+   */
+  it('retries with exponential backoff and jitter', async () => {
+    const { call, dataSource } = createFailingSource(networkError(), httpError(503, 'Unavailable'), httpError(502, 'Bad Gateway'))
+    const sleep = vi.fn().mockResolvedValue()
+    const retrying = createRetryingDataSource(dataSource, {
+      policy: { baseDelay: 100, maxDelay: 300 },
+      sleep,
+      random: () => 0.5
+    })
+
+    expect(await retrying.list()).toEqual({ records: [], total: 0 })
+    expect(call).toHaveBeenCalledTimes(4)
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([50, 100, 150])
+  })
+
+  it('gives up after the configured retries and reports the attempts', async () => {
+    const { call, dataSource } = createFailingSource(...Array.from({ length: 5 }, () => httpError(500, 'Server Error')))
+    const retrying = createRetryingDataSource(dataSource, { policy: { retries: 2 }, sleep: async () => {} })
+
+    await expect(retrying.get(1)).rejects.toMatchObject({ response: { status: 500 }, attempts: 3 })
+    expect(call).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry errors that will not go away', async () => {
+    const { call, dataSource } = createFailingSource(httpError(404, 'Not Found'))
+    const retrying = createRetryingDataSource(dataSource, { sleep: async () => {} })
+
+    await expect(retrying.get(99)).rejects.toMatchObject({ response: { status: 404 }, attempts: 1 })
+    expect(call).toHaveBeenCalledTimes(1)
+  })
+
+  /**
+   * Unit Test: Idempotent Requests Only
+   *
+   * This test verifies that creates and partial updates, which could be
+   * applied twice, are sent once, while full updates and deletes are retried.
+   */
+  it('retries only idempotent requests', async () => {
+    const sleep = vi.fn().mockResolvedValue()
+
+    const create = createFailingSource(networkError())
+    await expect(createRetryingDataSource(create.dataSource, { sleep }).create({ name: 'Ana Reyes' }))
+      .rejects.toMatchObject({ attempts: 1 })
+
+    const patch = createFailingSource(networkError())
+    await expect(createRetryingDataSource(patch.dataSource, { sleep }).update(1, { year: '2' }, { partial: true }))
+      .rejects.toMatchObject({ attempts: 1 })
+
+    const put = createFailingSource(networkError())
+    await createRetryingDataSource(put.dataSource, { sleep }).update(1, { name: 'Ana Reyes' })
+    const remove = createFailingSource(networkError())
+    await createRetryingDataSource(remove.dataSource, { sleep }).remove(1)
+
+    expect(put.call).toHaveBeenCalledTimes(2)
+    expect(remove.call).toHaveBeenCalledTimes(2)
+    expect(sleep).toHaveBeenCalledTimes(2)
+  })
+
+  it('honours Retry-After in seconds or as a date, within the limit', () => {
+    const error = (value) => Object.assign(httpError(429, 'Too Many Requests'), {
+      response: { status: 429, headers: { 'retry-after': value } }
+    })
+    const now = () => Date.parse('2024-06-01T08:00:00Z')
+
+    expect(retryDelay(1, DEFAULT_RETRY_POLICY, error('2'), { now })).toBe(2000)
+    expect(retryDelay(1, DEFAULT_RETRY_POLICY, error('Sat, 01 Jun 2024 08:00:05 GMT'), { now })).toBe(5000)
+    expect(retryDelay(1, DEFAULT_RETRY_POLICY, error('3600'), { now })).toBeNull()
+    expect(retryDelay(1, DEFAULT_RETRY_POLICY, error('soon'), { now, random: () => 1 })).toBe(DEFAULT_RETRY_POLICY.baseDelay)
+  })
+
+  it('never retries cancelled requests', () => {
+    const cancelled = Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', request: {} })
+
+    expect(isRetryable(cancelled, DEFAULT_RETRY_POLICY)).toBe(false)
+    expect(isRetryable(networkError(), DEFAULT_RETRY_POLICY)).toBe(true)
+    expect(isRetryable(httpError(422, 'Invalid'), DEFAULT_RETRY_POLICY)).toBe(false)
+  })
+
+  /**
+   * Unit Test: Cancellation During Backoff
+   *
+   * This test verifies that aborting the signal while waiting to retry stops
+   * the retries and rejects with a cancelled error carrying the attempts.
+   */
+  it('stops waiting when the signal is aborted', async () => {
+    vi.useFakeTimers()
+    try {
+      const { call, dataSource } = createFailingSource(networkError(), networkError())
+      const retrying = createRetryingDataSource(dataSource, { random: () => 1 })
+      const controller = new AbortController()
+
+      const result = retrying.list({ signal: controller.signal })
+      const rejected = expect(result).rejects.toSatisfy(error => isCancelled(error) && error.attempts === 1)
+      await vi.advanceTimersByTimeAsync(100)
+      controller.abort()
+      await rejected
+
+      await vi.advanceTimersByTimeAsync(DEFAULT_RETRY_POLICY.maxDelay)
+      expect(call).toHaveBeenCalledTimes(1)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  /**
+   * Property 16: Backoff Stays Within Bounds
+   *
+   * **Feature: student-info-app, Property 16: Retry waits never exceed the backoff for the attempt or the policy maximum**
+   *
+   * This property test verifies that for any attempt number and jitter, the
+   * wait is between zero and the capped exponential backoff.
+   */
+  it('Property 16: retry delays stay between zero and the capped backoff', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 30 }),
+        fc.double({ min: 0, max: 1, maxExcluded: true, noNaN: true }),
+        fc.integer({ min: 1, max: 2000 }),
+        fc.integer({ min: 1, max: 60000 }),
+        (attempt, jitter, baseDelay, maxDelay) => {
+          const policy = { ...DEFAULT_RETRY_POLICY, baseDelay, maxDelay }
+          const delay = retryDelay(attempt, policy, networkError(), { random: () => jitter })
+
+          expect(delay).toBeGreaterThanOrEqual(0)
+          expect(delay).toBeLessThanOrEqual(Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)))
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+})
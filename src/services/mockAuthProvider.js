@@ -0,0 +1,52 @@
+import { httpError } from './dataSources/errors.js'
+
+/**
+ * Demo accounts, one per role, for development and tests. Every account
+ * uses the password "password".
+ */
+export const DEMO_USERS = [
+  { id: 'u-admin', username: 'admin', name: 'Maria Santos', role: 'admin' },
+  { id: 'u-registrar', username: 'registrar', name: 'Jose Reyes', role: 'registrar' },
+  { id: 'u-faculty', username: 'faculty', name: 'Ana Cruz', role: 'faculty' },
+  { id: 'u-viewer', username: 'viewer', name: 'Paolo Garcia', role: 'viewer' }
+]
+
+const DEMO_PASSWORD = 'password'
+
+/**
+ * Auth provider that checks credentials against a fixed list of users in
+ * the browser. It stands in for the school's identity service; its tokens
+ * mean nothing to a real backend.
+ * @param {{users?: Array<Object>, password?: string, sessionMinutes?: number, now?: () => number}} [options] - users
+ *   and their shared password default to the demo accounts; sessionMinutes is how long a token lasts
+ * @returns {import('./authService.js').AuthProvider}
+ */
+export function createMockAuthProvider({
+  users = DEMO_USERS,
+  password = DEMO_PASSWORD,
+  sessionMinutes = 60,
+  now = () => Date.now()
+} = {}) {
+  let issued = 0
+
+  return {
+    async login(username, givenPassword) {
+      const user = users.find(candidate => candidate.username === username.toLowerCase())
+      if (!user || givenPassword !== password) {
+        throw httpError(401, 'Incorrect username or password')
+      }
+
+      issued += 1
+      const issuedAt = now()
+      return {
+        token: `mock.${user.id}.${issuedAt.toString(36)}.${issued}`,
+        expiresAt: issuedAt + sessionMinutes * 60 * 1000,
+        user: { ...user }
+      }
+    },
+
+    async logout() {
+      // Nothing to revoke: mock tokens are not recorded anywhere
+    }
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Offline store
+ *
+ * Small async key-value stores used to keep student data across reloads.
+ * IndexedDB is used in the browser; the in-memory store stands in where
+ * IndexedDB is unavailable (tests, private browsing in some browsers).
+ */
+
+const STORE_NAME = 'keyval'
+
+// Values are stored as plain JSON data, which also strips Vue proxies that
+// IndexedDB cannot clone
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+/**
+ * Opens (and on first use creates) the IndexedDB database
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Creates a key-value store backed by IndexedDB
+ * @param {string} [name] - Database name
+ * @returns {{get: (key: string) => Promise<*>, set: (key: string, value: *) => Promise<void>, delete: (key: string) => Promise<void>}}
+ */
+export function createIndexedDbStore(name = 'student-info-app') {
+  let database = null
+
+  // Runs one request in its own transaction and resolves with its result once committed
+  const run = async (mode, action) => {
+    database = database || openDatabase(name)
+    const db = await database
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = action(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  return {
+    get: (key) => run('readonly', store => store.get(key)),
+    set: async (key, value) => {
+      await run('readwrite', store => store.put(copy(value), key))
+    },
+    delete: async (key) => {
+      await run('readwrite', store => store.delete(key))
+    }
+  }
+}
+
+/**
+ * Creates a key-value store that lives in memory. Values are copied on the
+ * way in and out, like IndexedDB does.
+ * @returns {{get: (key: string) => Promise<*>, set: (key: string, value: *) => Promise<void>, delete: (key: string) => Promise<void>}}
+ */
+export function createMemoryStore() {
+  const values = new Map()
+
+  return {
+    get: async (key) => copy(values.get(key)),
+    set: async (key, value) => {
+      values.set(key, copy(value))
+    },
+    delete: async (key) => {
+      values.delete(key)
+    }
+  }
+}
+
+/**
+ * Creates the store used for offline data: IndexedDB when the browser has it
+ * @returns {ReturnType<typeof createMemoryStore>}
+ */
+export function createOfflineStore() {
+  return typeof indexedDB !== 'undefined' ? createIndexedDbStore() : createMemoryStore()
+}
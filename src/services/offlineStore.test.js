@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { reactive } from 'vue'
+import { createMemoryStore, createOfflineStore } from './offlineStore.js'
+
+describe('offlineStore', () => {
+  it('stores copies of plain data, including reactive objects', async () => {
+    const store = createMemoryStore()
+    const student = reactive({ id: 1, name: 'Maria Santos' })
+
+    await store.set('student', student)
+    student.name = 'Changed'
+
+    const saved = await store.get('student')
+    expect(saved).toEqual({ id: 1, name: 'Maria Santos' })
+    saved.name = 'Changed again'
+    expect(await store.get('student')).toEqual({ id: 1, name: 'Maria Santos' })
+
+    await store.delete('student')
+    expect(await store.get('student')).toBeUndefined()
+  })
+
+  it('falls back to memory where IndexedDB is unavailable', async () => {
+    const store = createOfflineStore()
+
+    await store.set('key', [1, 2])
+    expect(await store.get('key')).toEqual([1, 2])
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * User preferences
+ *
+ * Small display settings, such as the chosen list view, kept in
+ * localStorage under the signed-in user's name so people sharing a
+ * computer each get their own. Until someone signs in they are stored for
+ * an anonymous user. Storage that is full or turned off (some private
+ * browsing modes) is ignored, so preferences then last for the visit only.
+ */
+
+const PREFIX = 'student-info-app'
+
+const ANONYMOUS = 'anonymous'
+
+let currentUser = ANONYMOUS
+const listeners = new Set()
+
+const storage = () => (typeof localStorage === 'undefined' ? null : localStorage)
+
+/**
+ * Builds the storage key of a preference for a user
+ * @param {string} key - Preference name
+ * @param {string} [user] - Defaults to the current user
+ * @returns {string} e.g. "student-info-app:anonymous:studentsView"
+ */
+export function preferenceKey(key, user = currentUser) {
+  return `${PREFIX}:${user}:${key}`
+}
+
+/**
+ * Returns whose preferences are read and written
+ * @returns {string}
+ */
+export function preferenceUser() {
+  return currentUser
+}
+
+/**
+ * Switches preferences to another user, e.g. after signing in or out
+ * @param {string|number|null} userId - null for the anonymous user
+ */
+export function setPreferenceUser(userId) {
+  const user = userId === null || userId === undefined || userId === '' ? ANONYMOUS : String(userId)
+  if (user === currentUser) {
+    return
+  }
+  currentUser = user
+  listeners.forEach(listener => listener(user))
+}
+
+/**
+ * Subscribes to preference user changes
+ * @param {(user: string) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onPreferenceUserChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Reads a preference of the current user
+ * @param {string} key - Preference name
+ * @param {*} fallback - Returned when the preference is unset or unreadable
+ * @returns {*}
+ */
+export function readPreference(key, fallback) {
+  try {
+    const saved = storage()?.getItem(preferenceKey(key))
+    return saved === null || saved === undefined ? fallback : JSON.parse(saved)
+  } catch (error) {
+    return fallback
+  }
+}
+
+/**
+ * Saves a preference of the current user
+ * @param {string} key - Preference name
+ * @param {*} value - Any JSON value
+ */
+export function writePreference(key, value) {
+  try {
+    storage()?.setItem(preferenceKey(key), JSON.stringify(value))
+  } catch (error) {
+    // Full or disabled storage: the preference lasts for this visit only
+  }
+}
+
+/**
+ * Forgets a preference of the current user, so its default applies again
+ * @param {string} key - Preference name
+ */
+export function removePreference(key) {
+  try {
+    storage()?.removeItem(preferenceKey(key))
+  } catch (error) {
+    // Nothing was saved
+  }
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { effectScope, nextTick } from 'vue'
+import {
+  preferenceKey,
+  preferenceUser,
+  setPreferenceUser,
+  onPreferenceUserChange,
+  readPreference,
+  writePreference,
+  removePreference
+} from './preferences.js'
+import { usePreference } from '../composables/usePreference.js'
+
+describe('preferences', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setPreferenceUser(null)
+  })
+
+  it('stores preferences as JSON under the current user', () => {
+    expect(preferenceUser()).toBe('anonymous')
+    expect(readPreference('studentsView', 'cards')).toBe('cards')
+
+    writePreference('studentsView', 'table')
+    expect(localStorage.getItem('student-info-app:anonymous:studentsView')).toBe('"table"')
+    expect(readPreference('studentsView', 'cards')).toBe('table')
+
+    removePreference('studentsView')
+    expect(readPreference('studentsView', 'cards')).toBe('cards')
+  })
+
+  it('keeps each user their own preferences', () => {
+    const listener = vi.fn()
+    const stop = onPreferenceUserChange(listener)
+    writePreference('studentsView', 'table')
+
+    setPreferenceUser(42)
+    expect(listener).toHaveBeenCalledWith('42')
+    expect(preferenceKey('studentsView')).toBe('student-info-app:42:studentsView')
+    expect(readPreference('studentsView', 'cards')).toBe('cards')
+
+    setPreferenceUser(42)
+    expect(listener).toHaveBeenCalledTimes(1)
+
+    stop()
+    setPreferenceUser(null)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(readPreference('studentsView', 'cards')).toBe('table')
+  })
+
+  it('falls back when a saved value cannot be read or storage is unavailable', () => {
+    localStorage.setItem(preferenceKey('studentsView'), '{not json')
+    expect(readPreference('studentsView', 'cards')).toBe('cards')
+
+    const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError')
+    })
+    expect(() => writePreference('studentsView', 'table')).not.toThrow()
+    setItem.mockRestore()
+  })
+
+  /**
+   * Unit Test: usePreference
+   *
+   * This test verifies that the ref saves its changes, normalizes what it
+   * reads and reloads when another user signs in.
+   */
+  it('usePreference saves changes and reloads for another user', async () => {
+    writePreference('studentsView', 'list')
+    const scope = effectScope()
+    const view = scope.run(() => usePreference('studentsView', 'cards', saved => (saved === 'table' ? 'table' : 'cards')))
+    expect(view.value).toBe('cards')
+
+    view.value = 'table'
+    await nextTick()
+    expect(readPreference('studentsView')).toBe('table')
+
+    setPreferenceUser('registrar')
+    expect(view.value).toBe('cards')
+
+    scope.stop()
+    setPreferenceUser(null)
+    expect(view.value).toBe('cards')
+  })
+})
@@ -0,0 +1,41 @@
+import axios from 'axios'
+
+/**
+ * Auth provider backed by the school's identity service. Credentials are
+ * posted to the login endpoint, which answers with the session; tokens are
+ * revoked through the logout endpoint. Axios errors are passed on as they
+ * are, so a 401 response reads as wrong credentials.
+ * @param {{baseUrl: string, timeout: number, loginPath?: string, logoutPath?: string}} options
+ * @returns {import('./authService.js').AuthProvider}
+ */
+export function createRestAuthProvider({ baseUrl, timeout, loginPath = '/auth/login', logoutPath = '/auth/logout' }) {
+  let client = null
+
+  // Created on first use so importing the service does not touch Axios
+  const getClient = () => {
+    if (!client) {
+      client = axios.create({
+        baseURL: baseUrl,
+        timeout
+      })
+    }
+    return client
+  }
+
+  return {
+    async login(username, password) {
+      const response = await getClient().post(loginPath, { username, password })
+      const { token, expiresAt, user } = response.data ?? {}
+      // Expiry may be sent as epoch milliseconds or as an ISO date
+      return {
+        token,
+        expiresAt: typeof expiresAt === 'string' ? Date.parse(expiresAt) : expiresAt,
+        user
+      }
+    },
+
+    async logout(token) {
+      await getClient().post(logoutPath, null, { headers: { Authorization: `Bearer ${token}` } })
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import axios from 'axios'
+import { createRestAuthProvider } from './restAuthProvider.js'
+
+// Mock axios
+vi.mock('axios')
+
+const user = { id: 'u-17', username: 'mreyes', name: 'Marites Reyes', role: 'registrar' }
+
+describe('restAuthProvider', () => {
+  beforeEach(() => {
+    // Clear all mocks before each test
+    vi.clearAllMocks()
+  })
+
+  /**
+   * Unit Test: Identity Service Sign-In
+   *
+   * This test verifies that credentials are posted to the login endpoint,
+   * that an ISO expiry date is read as epoch milliseconds, and that the
+   * token is revoked through the logout endpoint.
+   */
+  it('signs in and out through the identity service', async () => {
+    const client = {
+      post: vi.fn()
+        .mockResolvedValueOnce({ data: { token: 'abc', expiresAt: '2024-08-01T09:00:00Z', user } })
+        .mockResolvedValueOnce({ data: null })
+    }
+    axios.create = vi.fn().mockReturnValue(client)
+    const provider = createRestAuthProvider({ baseUrl: 'https://sis.school.edu.ph/api', timeout: 5000 })
+
+    expect(await provider.login('mreyes', 'secret')).toEqual({
+      token: 'abc',
+      expiresAt: Date.UTC(2024, 7, 1, 9, 0),
+      user
+    })
+    expect(axios.create).toHaveBeenCalledWith({ baseURL: 'https://sis.school.edu.ph/api', timeout: 5000 })
+    expect(client.post).toHaveBeenCalledWith('/auth/login', { username: 'mreyes', password: 'secret' })
+
+    await provider.logout('abc')
+    expect(client.post).toHaveBeenLastCalledWith('/auth/logout', null, { headers: { Authorization: 'Bearer abc' } })
+  })
+
+  it('passes wrong credentials on as a 401 error', async () => {
+    const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401 } })
+    axios.create = vi.fn().mockReturnValue({ post: vi.fn().mockRejectedValue(unauthorized) })
+    const provider = createRestAuthProvider({ baseUrl: '/api', timeout: 5000, loginPath: '/sessions' })
+
+    await expect(provider.login('mreyes', 'wrong')).rejects.toMatchObject({ response: { status: 401 } })
+  })
+})
@@ -0,0 +1,131 @@
+import { COURSES } from '../data/courses.js'
+import { normalizePhone } from '../models/phone.js'
+
+/**
+ * Student mapper
+ *
+ * Turns raw backend records into the Student model using declarative field
+ * mappings. Values the backend supplies are used as they are; only missing
+ * fields are synthesized, so a real SIS record passes through untouched while
+ * a JSONPlaceholder user gets a course and year level. Supplied values that
+ * do not fit the Student model are left for validation to flag.
+ */
+
+/**
+ * Number used to spread synthesized courses and year levels across records.
+ * It comes from the record ID rather than the record's position in the
+ * response, so a record keeps its course when the backend reorders records.
+ * @param {{id: number|string}} record - Record or mapped student
+ * @returns {number} ID - 1 for positive integer IDs, otherwise a hash of the ID
+ */
+export function recordSeed(record) {
+  const id = Number(record.id)
+  if (Number.isInteger(id) && id > 0) {
+    return id - 1
+  }
+  return [...String(record.id ?? '')].reduce((hash, char) => (hash * 31 + char.codePointAt(0)) >>> 0, 0)
+}
+
+/**
+ * Reads a value from a record by property name or dotted path
+ * @param {Object} record
+ * @param {string} path - e.g. 'course' or 'program.name'
+ * @returns {*} The value, or undefined when any part of the path is missing
+ */
+function readPath(record, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record)
+}
+
+const isMissing = (value) => value === undefined || value === null || value === ''
+
+// First and last name in lower case, used to synthesize addresses
+const nameParts = (student) => {
+  const parts = String(student.name ?? '').toLowerCase().split(' ')
+  return {
+    first: parts[0] || 'student',
+    last: parts[parts.length - 1] || 'user'
+  }
+}
+
+/**
+ * Field mappings for the Student model. Each mapping has:
+ * - from: source property name or dotted path, or a list tried in order
+ * - transform: optional conversion applied to a supplied value
+ * - fallback: optional function synthesizing the value when none is
+ *   supplied; it receives the raw record and the fields mapped so far, in
+ *   the order listed here, so it can build on the mapped ID and name
+ */
+export const DEFAULT_FIELD_MAPPINGS = {
+  id: {
+    from: 'id'
+  },
+  name: {
+    from: 'name'
+  },
+  course: {
+    from: 'course',
+    fallback: (record, student) => COURSES[recordSeed(student) % COURSES.length]
+  },
+  year: {
+    from: ['year', 'yearLevel'],
+    transform: (value) => String(value).trim(),
+    fallback: (record, student) => String((recordSeed(student) % 4) + 1)
+  },
+  studentNumber: {
+    // Kept as the backend writes it, in capitals, and checked by validation.
+    // Records without one are left without one: the number identifies the
+    // student and appears in addresses, so it is never made up here.
+    from: ['studentNumber', 'student_number', 'studentNo'],
+    transform: (value) => String(value).trim().toUpperCase()
+  },
+  email: {
+    // Personal addresses, such as the ones JSONPlaceholder returns, are kept
+    // so validation flags them for review; only a missing address is made up
+    from: 'email',
+    fallback: (record, student) => {
+      const { first, last } = nameParts(student)
+      return `${first}.${last}@student.edu.ph`
+    }
+  },
+  phone: {
+    // Stored in E.164 form. Numbers that are not Philippine numbers, such as
+    // the US ones JSONPlaceholder returns, are kept as written so validation
+    // flags them for review instead of inventing a number.
+    from: 'phone',
+    transform: (value) => normalizePhone(value) ?? String(value).trim()
+  },
+  website: {
+    from: 'website',
+    fallback: (record, student) => {
+      const { first, last } = nameParts(student)
+      return `${first}-${last}.edu.ph`
+    }
+  }
+}
+
+/**
+ * Creates a function that maps raw backend records to the Student model
+ * @param {Object<string, {from: string|Array<string>, transform?: Function, fallback?: Function}>} [mappings]
+ *   Mappings replacing the defaults for the fields they name, e.g.
+ *   `{ course: { from: 'program.name' } }` for a backend with nested programs
+ * @returns {(record: Object) => {id: number, name: string, course: string, year: string, email: string, phone: string, website: string}}
+ */
+export function createStudentMapper(mappings = {}) {
+  const fields = Object.entries({ ...DEFAULT_FIELD_MAPPINGS, ...mappings })
+
+  return (record) => fields.reduce((student, [field, mapping]) => {
+    const sources = [].concat(mapping.from)
+    const supplied = sources.map(path => readPath(record, path)).find(value => !isMissing(value))
+    if (!isMissing(supplied)) {
+      student[field] = mapping.transform ? mapping.transform(supplied, record) : supplied
+    } else {
+      student[field] = mapping.fallback ? mapping.fallback(record, student) : supplied
+    }
+    return student
+  }, {})
+}
+
+/**
+ * Maps a raw backend record to the Student model with the default mappings
+ */
+export const toStudent = createStudentMapper()
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import { toStudent, createStudentMapper, recordSeed } from './studentMapper.js'
+
+const jsonPlaceholderUser = {
+  id: 1,
+  name: 'Leanne Graham',
+  username: 'Bret',
+  email: 'Sincere@april.biz',
+  phone: '1-770-736-8031 x56442',
+  website: 'hildegard.org',
+  company: {
+    name: 'Romaguera-Crona'
+  }
+}
+
+describe('studentMapper', () => {
+  /**
+   * Unit Test: Synthesized Fields
+   *
+   * This test verifies that a JSONPlaceholder user, which has no course or
+   * year level, gets them synthesized, while its personal email, website and
+   * US phone number are kept as written for validation to flag and it is
+   * left without a student number.
+   */
+  it('synthesizes the fields a JSONPlaceholder user lacks', () => {
+    const student = toStudent(jsonPlaceholderUser)
+
+    expect(student).toEqual({
+      id: 1,
+      name: 'Leanne Graham',
+      course: 'BS Computer Science',
+      year: '1',
+      email: 'Sincere@april.biz',
+      phone: '1-770-736-8031 x56442',
+      website: 'hildegard.org'
+    })
+    expect(student.studentNumber).toBeUndefined()
+  })
+
+  /**
+   * Unit Test: Supplied Fields
+   *
+   * This test verifies that course, year level, student number, school email,
+   * website and Philippine phone numbers supplied by the backend are used,
+   * with phone numbers stored in E.164 form.
+   */
+  it('uses the fields the backend supplies', () => {
+    expect(toStudent({
+      id: 7,
+      student_number: ' 2023-00042-mn-7 ',
+      name: 'Maria Clara Santos',
+      course: 'BS Nursing',
+      year: 2,
+      email: 'mcsantos@up.edu.ph',
+      phone: '0917 123 4567',
+      website: 'https://mcsantos.up.edu.ph'
+    })).toEqual({
+      id: 7,
+      studentNumber: '2023-00042-MN-7',
+      name: 'Maria Clara Santos',
+      course: 'BS Nursing',
+      year: '2',
+      email: 'mcsantos@up.edu.ph',
+      phone: '+639171234567',
+      website: 'https://mcsantos.up.edu.ph'
+    })
+    expect(toStudent({ id: 8, name: 'Juan', phone: '+63 920 777 8888' }).phone).toBe('+639207778888')
+    expect(toStudent({ id: 8, name: 'Juan', phone: '(032) 234-5678 loc. 12' }).phone).toBe('+63322345678;ext=12')
+    expect(toStudent({ id: 9, name: 'Ana', yearLevel: '3' }).year).toBe('3')
+  })
+
+  it('leaves missing required fields empty for validation to report', () => {
+    const student = toStudent({ id: 3 })
+
+    expect(student.name).toBeUndefined()
+    expect(student.phone).toBeUndefined()
+    expect(student.email).toBe('student.user@student.edu.ph')
+    expect(toStudent({ id: 4, name: 'Ana Reyes', email: '' }).email).toBe('ana.reyes@student.edu.ph')
+    expect(toStudent({ id: 4, name: 'Ana Reyes', website: null }).website).toBe('ana-reyes.edu.ph')
+  })
+
+  it('derives a stable seed from numeric and text IDs', () => {
+    expect(recordSeed({ id: 1 })).toBe(0)
+    expect(recordSeed({ id: '12' })).toBe(11)
+    expect(recordSeed({ id: 'S-2024-001' })).toBe(recordSeed({ id: 'S-2024-001' }))
+    expect(recordSeed({ id: 'S-2024-001' })).not.toBe(recordSeed({ id: 'S-2024-002' }))
+  })
+
+  /**
+   * Unit Test: Custom Field Mappings
+   *
+   * This test verifies that mappings can read other property names and
+   * nested paths, replacing only the fields they name.
+   */
+  it('accepts custom field mappings for other backends', () => {
+    const mapStudent = createStudentMapper({
+      id: { from: 'studentNo' },
+      name: { from: ['fullName', 'name'] },
+      course: { from: 'program.title' }
+    })
+
+    expect(mapStudent({
+      studentNo: '2024-00123',
+      fullName: 'Paolo Villanueva',
+      program: { title: 'BS Information Technology' },
+      year: '2',
+      phone: '09276789012'
+    })).toMatchObject({
+      id: '2024-00123',
+      name: 'Paolo Villanueva',
+      course: 'BS Information Technology',
+      year: '2',
+      email: 'paolo.villanueva@student.edu.ph',
+      phone: '+639276789012'
+    })
+  })
+
+  /**
+   * Property 15: Mapping Ignores Record Order
+   *
+   * **Feature: student-info-app, Property 15: A record maps to the same student wherever it appears in the response**
+   *
+   * This property test verifies that shuffling the records returned by the
+   * backend does not change the course or year level synthesized for any record.
+   */
+  it('Property 15: records map to the same student regardless of their order', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(
+          fc.record({
+            id: fc.oneof(fc.integer({ min: 1, max: 10000 }), fc.string({ minLength: 1, maxLength: 12 })),
+            name: fc.string({ minLength: 1, maxLength: 40 })
+          }),
+          { selector: record => String(record.id), minLength: 1, maxLength: 20 }
+        ).chain(records => fc.tuple(fc.constant(records), fc.shuffledSubarray(records, { minLength: records.length }))),
+        ([records, shuffled]) => {
+          const byId = new Map(records.map(record => [String(record.id), toStudent(record)]))
+
+          shuffled.map(toStudent).forEach(student => {
+            expect(student).toEqual(byId.get(String(student.id)))
+          })
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * CSV helpers
+ *
+ * Reading and writing comma-separated values as described in RFC 4180:
+ * fields with commas, quotes or line breaks are quoted, and quotes inside
+ * quoted fields are doubled.
+ */
+
+const BOM = '\uFEFF'
+
+// Delimiters spreadsheets use when saving CSV; semicolons are common where the decimal mark is a comma
+const DELIMITERS = [',', ';', '\t']
+
+/**
+ * Picks the delimiter of a CSV file from its first line: the candidate that
+ * occurs most often outside quotes, or a comma
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]))
+  let quoted = false
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1)
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best), ',')
+}
+
+/**
+ * Parses CSV text into rows of fields. A leading byte order mark is dropped,
+ * CRLF and LF line endings are accepted, and blank lines are skipped.
+ * @param {string} text
+ * @param {{delimiter?: string}} [options] - Field delimiter; detected from the first line when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text
+  const separator = delimiter ?? detectDelimiter(input)
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    // A line with nothing on it is not a row
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row)
+    }
+    row = []
+  }
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index]
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === separator) {
+      endField()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++
+      }
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow()
+  }
+  return rows
+}
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break
+ * @param {string} text
+ * @returns {string}
+ */
+function formatField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Writes rows of fields as CSV with CRLF line endings
+ * @param {Array<Array<string>>} rows
+ * @param {{bom?: boolean}} [options] - bom starts the text with a UTF-8 byte order mark, which Excel needs to read accented names
+ * @returns {string}
+ */
+export function formatCsv(rows, { bom = false } = {}) {
+  const body = rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n'
+  return bom ? BOM + body : body
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import { parseCsv, formatCsv, detectDelimiter } from './csv.js'
+
+describe('csv', () => {
+  /**
+   * Unit Test: Parsing
+   *
+   * This test verifies that quoted fields keep their commas, doubled quotes
+   * and line breaks, that CRLF and LF rows both end a row, and that a byte
+   * order mark and blank lines are dropped.
+   */
+  it('parses quoted fields, mixed line endings and a byte order mark', () => {
+    const text = '\uFEFFName,Email\r\n"Santos, Maria ""Mia""",maria@student.edu.ph\n\n"Line\none",x\r\n'
+
+    expect(parseCsv(text)).toEqual([
+      ['Name', 'Email'],
+      ['Santos, Maria "Mia"', 'maria@student.edu.ph'],
+      ['Line\none', 'x']
+    ])
+  })
+
+  it('keeps empty fields and a last row without a line break', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']])
+  })
+
+  it('detects semicolon and tab delimiters from the first line', () => {
+    expect(detectDelimiter('Name;Email;Phone\nJosé;a,b;1')).toBe(';')
+    expect(detectDelimiter('Name\tEmail\n')).toBe('\t')
+    expect(detectDelimiter('"a;b",c')).toBe(',')
+    expect(detectDelimiter('Name')).toBe(',')
+
+    expect(parseCsv('Name;Course\nJosé Peña;BS Nursing')).toEqual([['Name', 'Course'], ['José Peña', 'BS Nursing']])
+  })
+
+  it('formats rows with CRLF endings and an optional byte order mark', () => {
+    expect(formatCsv([['a', 'b,c'], ['"q"', '']])).toBe('a,"b,c"\r\n"""q""",\r\n')
+    expect(formatCsv([['a']], { bom: true })).toBe('\uFEFFa\r\n')
+  })
+
+  /**
+   * Property 17: CSV Round Trip
+   *
+   * **Feature: student-info-app, Property 17: Parsing formatted CSV returns the original rows**
+   *
+   * This property test verifies that for any rows of text, including commas,
+   * quotes and line breaks, formatting them as CSV and parsing the result
+   * gives the same rows back.
+   */
+  it('Property 17: formatted CSV parses back to the same rows', () => {
+    const field = fc.string({ unit: fc.constantFrom('a', 'ñ', ' ', ',', '"', '\n', '\r\n', ';', '1') })
+    // A row whose only field is empty is a blank line, which the parser skips
+    const row = fc.array(field, { minLength: 1, maxLength: 6 }).filter(cells => cells.length > 1 || cells[0] !== '')
+
+    fc.assert(
+      fc.property(fc.array(row, { maxLength: 10 }), (rows) => {
+        expect(parseCsv(formatCsv(rows), { delimiter: ',' })).toEqual(rows)
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
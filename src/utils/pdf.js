@@ -0,0 +1,195 @@
+/**
+ * PDF writer
+ *
+ * Builds simple text-and-line PDF documents in the browser, enough for the
+ * printable roster and profile. Text uses the standard Helvetica fonts,
+ * which every PDF reader has, so no font files are embedded; characters
+ * outside Windows-1252 (WinAnsiEncoding) are written as "?".
+ */
+
+/**
+ * Page sizes in points (1/72 inch), portrait
+ */
+export const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+}
+
+// Advance widths of the printable ASCII characters (space to ~) in 1/1000 em, from the Helvetica AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+
+// Windows-1252 codes of the characters it places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+}
+
+// Widths of the few non-ASCII characters that do not share a base letter's width
+const EXTRA_WIDTHS = { '…': 1000, '—': 1000, '–': 556, '•': 350, '€': 556, '‘': 222, '’': 222, '“': 333, '”': 333 }
+
+// Spaces Windows-1252 lacks, such as the narrow space some locales put before "PM"
+const OTHER_SPACES = /[\u2000-\u200a\u202f\u205f]/
+
+// Windows-1252 code of a character, or the code of "?" when it has none
+function winAnsiCode(char) {
+  const code = char.codePointAt(0)
+  if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+    return code
+  }
+  if (OTHER_SPACES.test(char)) {
+    return 0x20
+  }
+  return WIN_ANSI_EXTRAS[char] ?? 0x3f
+}
+
+/**
+ * Measures text set in Helvetica
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {{bold?: boolean}} [options]
+ * @returns {number} Width in points
+ */
+export function textWidth(text, size, { bold = false } = {}) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const char of String(text)) {
+    // Accented letters are as wide as the letter without the accent
+    const code = winAnsiCode(char.normalize('NFD')[0])
+    total += code <= 0x7e ? widths[code - 0x20] : EXTRA_WIDTHS[char] ?? 556
+  }
+  return (total * size) / 1000
+}
+
+/**
+ * Shortens text with an ellipsis so it fits in a width
+ * @param {string} text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size in points
+ * @param {{bold?: boolean}} [options]
+ * @returns {string}
+ */
+export function fitText(text, width, size, options = {}) {
+  const value = String(text)
+  if (textWidth(value, size, options) <= width) {
+    return value
+  }
+  const chars = [...value]
+  while (chars.length > 0 && textWidth(`${chars.join('')}…`, size, options) > width) {
+    chars.pop()
+  }
+  return chars.length > 0 ? `${chars.join('').trimEnd()}…` : ''
+}
+
+// Writes text as a PDF string literal in WinAnsiEncoding; bytes above 0x7E are octal escapes so the file stays ASCII
+function pdfString(text) {
+  let literal = ''
+  for (const char of String(text)) {
+    const code = winAnsiCode(char)
+    if (char === '(' || char === ')' || char === '\\') {
+      literal += `\\${char}`
+    } else if (code > 0x7e) {
+      literal += `\\${code.toString(8)}`
+    } else {
+      literal += String.fromCharCode(code)
+    }
+  }
+  return `(${literal})`
+}
+
+const number = (value) => String(Math.round(value * 100) / 100)
+
+/**
+ * Writes the drawing operators of one page. Positions are measured in
+ * points from the top left corner; the y of text is its baseline.
+ * @param {Array<Object>} items - See createPdf
+ * @param {number} height - Page height in points
+ * @returns {string}
+ */
+function pageContent(items, height) {
+  return items.map(item => {
+    if (item.type === 'line') {
+      return `${number(item.width ?? 0.5)} w ${number(item.gray ?? 0)} G ` +
+        `${number(item.x1)} ${number(height - item.y1)} m ${number(item.x2)} ${number(height - item.y2)} l S`
+    }
+    if (item.type === 'rect') {
+      return `${number(item.gray ?? 0.9)} g ${number(item.x)} ${number(height - item.y - item.height)} ` +
+        `${number(item.width)} ${number(item.height)} re f 0 g`
+    }
+
+    const size = item.size ?? 10
+    const font = item.bold ? 'F2' : 'F1'
+    let x = item.x
+    if (item.align === 'right') {
+      x -= textWidth(item.text, size, item)
+    } else if (item.align === 'center') {
+      x -= textWidth(item.text, size, item) / 2
+    }
+    return `BT /${font} ${number(size)} Tf ${number(x)} ${number(height - item.y)} Td ${pdfString(item.text)} Tj ET`
+  }).join('\n')
+}
+
+/**
+ * Writes a PDF document
+ * @param {Array<Array<Object>>} pages - Items drawn on each page:
+ *   `{type: 'text', x, y, text, size?, bold?, align?}` (align is 'left', 'center' or 'right' of x),
+ *   `{type: 'line', x1, y1, x2, y2, width?, gray?}` and `{type: 'rect', x, y, width, height, gray?}`;
+ *   gray runs from 0 (black) to 1 (white)
+ * @param {{pageSize?: {width: number, height: number}, title?: string, created?: Date}} [options] - Page size, document title and creation time
+ * @returns {Uint8Array} The PDF file
+ */
+export function createPdf(pages, { pageSize = PAGE_SIZES.a4, title = '', created = new Date() } = {}) {
+  const { width, height } = pageSize
+  const pad = (value) => String(value).padStart(2, '0')
+  const timestamp = `${created.getFullYear()}${pad(created.getMonth() + 1)}${pad(created.getDate())}` +
+    `${pad(created.getHours())}${pad(created.getMinutes())}${pad(created.getSeconds())}`
+
+  // Objects 1-5 are fixed; each page then takes a page object and a content stream
+  const pageIds = pages.map((_, index) => 6 + index * 2)
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${pdfString(title)} /Producer (Student Info App) /CreationDate (D:${timestamp}) >>`
+  ]
+  pages.forEach((items, index) => {
+    const content = pageContent(items, height)
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    )
+  })
+
+  // The file is plain ASCII, so string lengths are byte offsets
+  let file = '%PDF-1.4\n'
+  const offsets = objects.map((body, index) => {
+    const offset = file.length
+    file += `${index + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+  const xref = file.length
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+  return new TextEncoder().encode(file)
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { createPdf, textWidth, fitText, PAGE_SIZES } from './pdf.js'
+
+const pdfText = (file) => new TextDecoder().decode(file)
+
+describe('pdf', () => {
+  /**
+   * Unit Test: PDF Structure
+   *
+   * This test verifies that the file has a header, one page object per page,
+   * and a cross-reference table whose offsets point at each object.
+   */
+  it('writes pages with a valid cross-reference table', () => {
+    const text = pdfText(createPdf([
+      [{ type: 'text', x: 36, y: 50, text: 'Page one', bold: true }],
+      [{ type: 'line', x1: 36, y1: 60, x2: 200, y2: 60 }, { type: 'rect', x: 36, y: 70, width: 100, height: 15 }]
+    ], { title: 'Roster', created: new Date(2026, 9, 19, 16, 30, 5) }))
+
+    expect(text.startsWith('%PDF-1.4\n')).toBe(true)
+    expect(text.endsWith('%%EOF\n')).toBe(true)
+    expect(text).toContain('/Count 2')
+    expect(text.match(/\/Type \/Page /g)).toHaveLength(2)
+    expect(text).toContain('/Title (Roster)')
+    expect(text).toContain('/CreationDate (D:20261019163005)')
+
+    const xrefStart = Number(text.match(/startxref\n(\d+)/)[1])
+    expect(text.slice(xrefStart, xrefStart + 4)).toBe('xref')
+    const offsets = [...text.slice(xrefStart).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]))
+    expect(offsets).toHaveLength(9)
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true)
+    })
+
+    // Stream lengths match their contents
+    for (const [, length, content] of text.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)) {
+      expect(content.length).toBe(Number(length))
+    }
+  })
+
+  it('places text from the top of the page and escapes it in Windows-1252', () => {
+    const text = pdfText(createPdf([[
+      { type: 'text', x: 36, y: 50, text: 'José Peña (BS) \\ “Mia” 漢', size: 12 }
+    ]]))
+
+    const top = PAGE_SIZES.a4.height - 50
+    expect(text).toContain(`BT /F1 12 Tf 36 ${Math.round(top * 100) / 100} Td (Jos\\351 Pe\\361a \\(BS\\) \\\\ \\223Mia\\224 ?) Tj ET`)
+    // The file itself is plain ASCII
+    expect(/^[\x00-\x7f]*$/.test(text)).toBe(true)
+  })
+
+  it('measures Helvetica text and shortens it to fit', () => {
+    expect(textWidth('Hello', 10)).toBeCloseTo(22.78)
+    expect(textWidth('Hello', 10, { bold: true })).toBeCloseTo(24.45)
+    // Accented letters are as wide as their base letter
+    expect(textWidth('Peña', 10)).toBe(textWidth('Pena', 10))
+
+    expect(fitText('Short', 100, 10)).toBe('Short')
+    const fitted = fitText('A very long course name that does not fit', 80, 10)
+    expect(fitted.endsWith('…')).toBe(true)
+    expect(textWidth(fitted, 10)).toBeLessThanOrEqual(80)
+  })
+})
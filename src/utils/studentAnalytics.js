@@ -0,0 +1,103 @@
+import { facetCounts, toRouteQuery } from './studentQuery.js'
+
+/**
+ * Enrollment analytics
+ *
+ * Pure functions summarising the student list for the dashboard. Every
+ * slice carries the list filters that select its students, so a chart can
+ * link to the Students page showing exactly the students it counted.
+ */
+
+/**
+ * Month the school year starts in (0-based; 5 is June)
+ */
+export const SCHOOL_YEAR_START_MONTH = 5
+
+/**
+ * Returns the school year a date falls in, named by the calendar year it
+ * starts in: 2024 for SY 2024–2025
+ * @param {Date} date
+ * @returns {number}
+ */
+export function schoolYearOf(date) {
+  const year = date.getFullYear()
+  return date.getMonth() >= SCHOOL_YEAR_START_MONTH ? year : year - 1
+}
+
+/**
+ * Works out the school year a student entered from their current year
+ * level: first years entered this school year, second years the one before
+ * @param {Object} student
+ * @param {number} schoolYear - Current school year, see schoolYearOf
+ * @returns {number|null} null when the year level is not a whole number from 1
+ */
+export function entryYearOf(student, schoolYear) {
+  const level = Number(student.year)
+  return Number.isInteger(level) && level >= 1 ? schoolYear - level + 1 : null
+}
+
+/**
+ * Relative change between two counts
+ * @param {number} count
+ * @param {number|null|undefined} previous
+ * @returns {number|null} e.g. 0.25 for a 25% rise; null without a previous count to compare with
+ */
+export function relativeChange(count, previous) {
+  return previous ? (count - previous) / previous : null
+}
+
+// A chart slice for the students matching filters
+const slice = (value, count, filters) => ({ value, count, filters, query: toRouteQuery(filters) })
+
+/**
+ * Summarises the student list for the dashboard
+ * @param {Array<Object>} students
+ * @param {{schoolYear: number}} options - Current school year, see schoolYearOf
+ * @returns {{
+ *   total: number,
+ *   needsReview: number,
+ *   byCourse: Array<{value: string, count: number, filters: Object, query: Object}>,
+ *   byYear: Array<{value: string, count: number, filters: Object, query: Object}>,
+ *   byEntryYear: Array<{value: number, count: number, change: number|null, filters: Object, query: Object}>
+ * }} byCourse is sorted by count, most students first; byYear by year level;
+ *   byEntryYear by school year, oldest first, with no gaps, and change relative to the year before
+ */
+export function enrollmentSummary(students, { schoolYear }) {
+  const byCourse = facetCounts(students, {}, 'course')
+    .sort((a, b) => b.count - a.count)
+    .map(({ value, count }) => slice(value, count, { course: [value] }))
+
+  const byYear = facetCounts(students, {}, 'year')
+    .map(({ value, count }) => slice(value, count, { year: [value] }))
+
+  const entryCounts = new Map()
+  students.forEach(student => {
+    const entryYear = entryYearOf(student, schoolYear)
+    if (entryYear !== null) {
+      entryCounts.set(entryYear, (entryCounts.get(entryYear) ?? 0) + 1)
+    }
+  })
+
+  const byEntryYear = []
+  if (entryCounts.size > 0) {
+    const first = Math.min(...entryCounts.keys())
+    const last = Math.max(...entryCounts.keys())
+    for (let entryYear = first; entryYear <= last; entryYear++) {
+      const count = entryCounts.get(entryYear) ?? 0
+      // Students who entered that year are the ones now at this year level
+      const level = String(schoolYear - entryYear + 1)
+      byEntryYear.push({
+        ...slice(entryYear, count, { year: [level] }),
+        change: relativeChange(count, byEntryYear[byEntryYear.length - 1]?.count)
+      })
+    }
+  }
+
+  return {
+    total: students.length,
+    needsReview: students.filter(student => student.validationErrors).length,
+    byCourse,
+    byYear,
+    byEntryYear
+  }
+}
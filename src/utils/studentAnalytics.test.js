@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import {
+  schoolYearOf,
+  entryYearOf,
+  relativeChange,
+  enrollmentSummary
+} from './studentAnalytics.js'
+import { filterStudents } from './studentQuery.js'
+
+const students = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '4' },
+  { id: 4, name: 'Ana Reyes', course: 'BS Computer Science', year: '1', validationErrors: { email: 'Invalid email' } },
+  { id: 5, name: 'Paolo Garcia', course: 'BS Nursing', year: '1' }
+]
+
+describe('studentAnalytics', () => {
+  it('names the school year by the year it starts in June', () => {
+    expect(schoolYearOf(new Date(2024, 5, 1))).toBe(2024)
+    expect(schoolYearOf(new Date(2024, 11, 31))).toBe(2024)
+    expect(schoolYearOf(new Date(2025, 4, 31))).toBe(2024)
+  })
+
+  it('works out the entry year from the year level', () => {
+    expect(entryYearOf({ year: '1' }, 2024)).toBe(2024)
+    expect(entryYearOf({ year: 3 }, 2024)).toBe(2022)
+    expect(entryYearOf({ year: '0' }, 2024)).toBeNull()
+    expect(entryYearOf({ year: 'Irregular' }, 2024)).toBeNull()
+    expect(entryYearOf({}, 2024)).toBeNull()
+  })
+
+  it('gives the relative change only when there is something to compare with', () => {
+    expect(relativeChange(15, 10)).toBe(0.5)
+    expect(relativeChange(5, 10)).toBe(-0.5)
+    expect(relativeChange(5, 0)).toBeNull()
+    expect(relativeChange(5, undefined)).toBeNull()
+  })
+
+  it('counts students per course, most first, and per year level', () => {
+    const summary = enrollmentSummary(students, { schoolYear: 2024 })
+
+    expect(summary.total).toBe(5)
+    expect(summary.needsReview).toBe(1)
+    expect(summary.byCourse.map(({ value, count }) => [value, count])).toEqual([
+      ['BS Nursing', 3],
+      ['BS Computer Science', 2]
+    ])
+    expect(summary.byCourse[0].query).toEqual({ course: 'BS Nursing' })
+    expect(summary.byYear.map(({ value, count }) => [value, count])).toEqual([
+      ['1', 3],
+      ['2', 1],
+      ['4', 1]
+    ])
+  })
+
+  /**
+   * Unit Test: Entry Year Trend
+   *
+   * This test verifies that entry years run without gaps from the oldest to
+   * the newest, that each carries the change from the year before and that
+   * each links to the year level those students are at now.
+   */
+  it('builds the entry year trend without gaps', () => {
+    const { byEntryYear } = enrollmentSummary(students, { schoolYear: 2024 })
+
+    expect(byEntryYear.map(({ value, count, change }) => [value, count, change])).toEqual([
+      [2021, 1, null],
+      [2022, 0, -1],
+      [2023, 1, null],
+      [2024, 3, 2]
+    ])
+    expect(byEntryYear.map(slice => slice.query)).toEqual([
+      { year: '4' },
+      { year: '3' },
+      { year: '2' },
+      { year: '1' }
+    ])
+    expect(enrollmentSummary([], { schoolYear: 2024 }).byEntryYear).toEqual([])
+  })
+
+  /**
+   * Property 20: Dashboard Slices Match the List
+   *
+   * **Feature: student-info-app, Property 20: Every dashboard slice filters the list to exactly the students it counts**
+   *
+   * This property test verifies that for any students, the course and year
+   * level counts add up to the total, and that filtering the list with a
+   * slice's filters returns as many students as the slice shows.
+   */
+  it('Property 20: dashboard slices filter the list to the students they count', () => {
+    const student = fc.record({
+      name: fc.string(),
+      course: fc.constantFrom('BS Nursing', 'BS Computer Science', 'BS Accountancy'),
+      year: fc.constantFrom('1', '2', '3', '4', '5', 'Irregular')
+    })
+
+    fc.assert(
+      fc.property(fc.array(student, { maxLength: 40 }), fc.integer({ min: 2000, max: 2100 }), (list, schoolYear) => {
+        const summary = enrollmentSummary(list, { schoolYear })
+        const sum = slices => slices.reduce((total, slice) => total + slice.count, 0)
+
+        expect(sum(summary.byCourse)).toBe(summary.total)
+        expect(sum(summary.byYear)).toBe(summary.total)
+        expect(sum(summary.byEntryYear)).toBe(list.filter(s => entryYearOf(s, schoolYear) !== null).length)
+
+        for (const slice of [...summary.byCourse, ...summary.byYear, ...summary.byEntryYear]) {
+          expect(filterStudents(list, slice.filters)).toHaveLength(slice.count)
+        }
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,193 @@
+import { STUDENT_FIELDS, FIELD_LABELS, fieldText } from '../models/student.js'
+import { createZip } from './zip.js'
+import { formatCsv } from './csv.js'
+
+/**
+ * Student export helpers
+ *
+ * Turn a list of students into CSV and Excel (.xlsx) files with a chosen set
+ * of columns, and hand files to the browser as downloads.
+ */
+
+/**
+ * Columns that can be exported, in file order
+ */
+export const EXPORT_FIELDS = STUDENT_FIELDS
+
+export const CSV_MIME_TYPE = 'text/csv;charset=utf-8'
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+// Cell text a spreadsheet would run as a formula; numbers such as "+63 917 123 4567" or
+// "+63 2 8123 4567 loc. 12" are harmless
+const FORMULA_START = /^[=+\-@\t\r]/
+const PLAIN_NUMBER = /^[+-]?[\d\s().-]+(?: loc\. \d+)?$/
+
+/**
+ * Returns the text of a student field for a spreadsheet cell, as shown in
+ * the app. Text that a spreadsheet would treat as a formula gets a leading apostrophe.
+ * @param {Object} student
+ * @param {string} field
+ * @returns {string}
+ */
+function cellText(student, field) {
+  const text = fieldText(student, field)
+  return FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text
+}
+
+/**
+ * Keeps the known fields, in file order
+ * @param {Array<string>} fields
+ * @returns {Array<string>}
+ */
+function exportColumns(fields) {
+  return EXPORT_FIELDS.filter(field => fields.includes(field))
+}
+
+/**
+ * Writes students as CSV: a header row of field labels, then one row per
+ * student, with CRLF line endings and a UTF-8 byte order mark so Excel keeps
+ * names such as "Peña" intact
+ * @param {Array<Object>} students - Rows, in the order they should appear
+ * @param {Array<string>} [fields] - Student fields to include
+ * @returns {string}
+ */
+export function toCsv(students, fields = EXPORT_FIELDS) {
+  const columns = exportColumns(fields)
+  const rows = [
+    columns.map(field => FIELD_LABELS[field]),
+    ...students.map(student => columns.map(field => cellText(student, field)))
+  ]
+  return formatCsv(rows, { bom: true })
+}
+
+// Characters XML 1.0 does not allow, such as most control characters
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+const escapeXml = (text) => text
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Spreadsheet column name of a 0-based index: A, B, ... Z, AA, AB, ...
+function columnName(index) {
+  let name = ''
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name
+  }
+  return name
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>'
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>'
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>'
+
+// Two cell formats: 0 is the default, 1 is bold for the header row
+const STYLES = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>'
+
+const workbook = (sheetName) => `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  '</workbook>'
+
+/**
+ * Writes the worksheet XML: a bold, frozen header row and one row per
+ * student, every cell stored as text so IDs and phone numbers keep their format
+ * @param {Array<Array<string>>} rows - Header row first
+ * @returns {string}
+ */
+function worksheet(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.min(60, rows.reduce((width, row) => Math.max(width, row[column].length), 0) + 2)
+  )
+  const cols = widths.map((width, column) => `<col min="${column + 1}" max="${column + 1}" width="${width}" customWidth="1"/>`).join('')
+  const sheetRows = rows.map((row, rowIndex) => {
+    const style = rowIndex === 0 ? ' s="1"' : ''
+    const cells = row.map((text, column) =>
+      `<c r="${columnName(column)}${rowIndex + 1}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+    ).join('')
+    return `<row r="${rowIndex + 1}">${cells}</row>`
+  }).join('')
+
+  return `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${sheetRows}</sheetData>` +
+    '</worksheet>'
+}
+
+/**
+ * Writes students as an Excel workbook (.xlsx) with one sheet
+ * @param {Array<Object>} students - Rows, in the order they should appear
+ * @param {Array<string>} [fields] - Student fields to include
+ * @param {{sheetName?: string, modified?: Date}} [options] - Sheet name and file time
+ * @returns {Uint8Array} The .xlsx file
+ */
+export function toXlsx(students, fields = EXPORT_FIELDS, { sheetName = 'Students', modified } = {}) {
+  const columns = exportColumns(fields)
+  const rows = [
+    columns.map(field => FIELD_LABELS[field]),
+    ...students.map(student => columns.map(field => fieldText(student, field)))
+  ]
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'xl/workbook.xml', data: workbook(sheetName) },
+    { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELS },
+    { name: 'xl/styles.xml', data: STYLES },
+    { name: 'xl/worksheets/sheet1.xml', data: worksheet(rows) }
+  ], { modified })
+}
+
+/**
+ * Builds a dated export file name, e.g. students-2026-10-19.csv
+ * @param {string} extension - File extension without the dot
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function exportFileName(extension, date = new Date()) {
+  const pad = (number) => String(number).padStart(2, '0')
+  return `students-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.${extension}`
+}
+
+/**
+ * Offers a file to the user as a download
+ * @param {BlobPart} contents - File contents
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, fileName, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
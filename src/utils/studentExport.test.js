@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { toCsv, toXlsx, exportFileName, downloadFile, EXPORT_FIELDS, CSV_MIME_TYPE } from './studentExport.js'
+
+const students = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '+639171234567', website: 'jose-pena.edu.ph' },
+  { id: 2, name: 'Santos, Maria "Mia"', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '+63 918 555 0101', website: null }
+]
+
+// Stored archives keep their XML as plain text
+const archiveText = (archive) => new TextDecoder().decode(archive)
+
+describe('studentExport', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  /**
+   * Unit Test: CSV Export
+   *
+   * This test verifies that the CSV starts with a UTF-8 byte order mark, has
+   * a header row of labels, quotes values with commas or quotes, keeps
+   * accented names intact and writes phone numbers as shown in the app.
+   */
+  it('writes quoted CSV with a UTF-8 byte order mark', () => {
+    const csv = toCsv(students, ['name', 'course', 'phone', 'website'])
+
+    expect(csv.startsWith('\uFEFF')).toBe(true)
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'Name,Course,Phone,Website',
+      'José Peña,BS Nursing,+63 917 123 4567,jose-pena.edu.ph',
+      '"Santos, Maria ""Mia""",BS Computer Science,+63 918 555 0101,',
+      ''
+    ])
+  })
+
+  it('keeps columns in model order and guards against spreadsheet formulas', () => {
+    const csv = toCsv([
+      { id: 3, name: '=HYPERLINK("http://evil.example")', email: '@SUM(A1)', phone: '+63281234567;ext=12' },
+      { id: 4, name: 'Ana Reyes', phone: '+1 770 736 8031' }
+    ], ['email', 'phone', 'name', 'id'])
+
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'Student ID,Name,Email,Phone',
+      '3,"\'=HYPERLINK(""http://evil.example"")",\'@SUM(A1),+63 2 8123 4567 loc. 12',
+      '4,Ana Reyes,,+1 770 736 8031',
+      ''
+    ])
+  })
+
+  /**
+   * Unit Test: Excel Export
+   *
+   * This test verifies that the .xlsx file is a ZIP archive holding a
+   * workbook whose sheet has the header row and the students as text cells.
+   */
+  it('writes an Excel workbook with the chosen columns', () => {
+    const archive = toXlsx(students, ['id', 'name'])
+    const text = archiveText(archive)
+
+    expect(Array.from(archive.subarray(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04])
+    expect(text).toContain('xl/worksheets/sheet1.xml')
+    expect(text).toContain('<sheet name="Students" sheetId="1" r:id="rId1"/>')
+    expect(text).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Student ID</t></is></c>')
+    expect(text).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">José Peña</t></is></c>')
+    expect(text).toContain('<t xml:space="preserve">Santos, Maria &quot;Mia&quot;</t>')
+    expect(text).not.toContain('BS Nursing')
+  })
+
+  it('names files after the export date', () => {
+    expect(exportFileName('csv', new Date(2026, 9, 5))).toBe('students-2026-10-05.csv')
+    expect(EXPORT_FIELDS).toEqual(['id', 'studentNumber', 'name', 'course', 'year', 'email', 'phone', 'website'])
+  })
+
+  it('downloads files through a temporary link', () => {
+    let blob
+    URL.createObjectURL = vi.fn(value => {
+      blob = value
+      return 'blob:students'
+    })
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('students.csv')
+      expect(this.href).toBe('blob:students')
+    })
+
+    downloadFile('Name\r\n', 'students.csv', CSV_MIME_TYPE)
+
+    expect(click).toHaveBeenCalledTimes(1)
+    expect(blob.type).toBe(CSV_MIME_TYPE)
+    expect(blob.size).toBe(6)
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:students')
+    expect(document.querySelector('a[download]')).toBeNull()
+  })
+})
@@ -0,0 +1,228 @@
+import { STUDENT_FIELDS, validateStudent } from '../models/student.js'
+import { COURSES } from '../data/courses.js'
+import { normalizeText } from './studentQuery.js'
+import { normalizePhone } from '../models/phone.js'
+
+/**
+ * Student import helpers
+ *
+ * Pure functions behind the CSV import: matching file columns to Student
+ * fields, checking each row, finding students that already exist, and
+ * sending the accepted rows to the API service.
+ */
+
+/**
+ * Fields a file column can be mapped to
+ */
+export const IMPORT_FIELDS = STUDENT_FIELDS
+
+/**
+ * Fields that find a student who already exists, in the order they are tried
+ */
+export const MATCH_FIELDS = ['id', 'studentNumber', 'email']
+
+// Column headings recognised for each field, compared without case, accents, spaces or punctuation
+const HEADER_ALIASES = {
+  id: ['id', 'studentid', 'idno', 'idnumber'],
+  studentNumber: ['studentnumber', 'studentno', 'studentnum', 'studno'],
+  name: ['name', 'fullname', 'studentname', 'pangalan'],
+  course: ['course', 'program', 'degree', 'degreeprogram', 'kurso'],
+  year: ['year', 'yearlevel', 'level', 'yr', 'taon'],
+  email: ['email', 'emailaddress', 'schoolemail', 'mail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'mobileno', 'contact', 'contactnumber', 'contactno', 'cellphone'],
+  website: ['website', 'homepage', 'url', 'site']
+}
+
+const headerKey = (header) => normalizeText(header).replace(/[^a-z0-9]/g, '')
+
+/**
+ * Guesses which Student field each file column holds from its heading.
+ * Each field is given to the first column that matches it.
+ * @param {Array<string>} headers - Column headings
+ * @returns {Array<string>} Field per column, '' for columns left out
+ */
+export function guessMapping(headers) {
+  const used = new Set()
+  return headers.map(header => {
+    const key = headerKey(header)
+    const field = IMPORT_FIELDS.find(name => !used.has(name) && HEADER_ALIASES[name].includes(key))
+    if (!field) {
+      return ''
+    }
+    used.add(field)
+    return field
+  })
+}
+
+// Course names are matched without case or accents, so "bs nursing" becomes "BS Nursing"
+const canonicalCourse = (value) => COURSES.find(course => normalizeText(course) === normalizeText(value)) ?? value
+
+// "2", "Year 2", "2nd" and "2nd year" all mean year level 2
+const YEAR_PATTERN = /^(?:year\s*)?(\d+)(?:st|nd|rd|th)?(?:\s*year)?$/i
+
+/**
+ * Reads the mapped fields of a file row, trimmed, with course names, year
+ * levels, student numbers and phone numbers written the way the app stores them
+ * @param {Array<string>} cells - Fields of one file row
+ * @param {Array<string>} mapping - Field per column, see guessMapping
+ * @returns {Object<string, string>} Value per mapped field
+ */
+export function readRow(cells, mapping) {
+  const values = {}
+  mapping.forEach((field, column) => {
+    if (field) {
+      values[field] = String(cells[column] ?? '').trim()
+    }
+  })
+
+  if (values.course) {
+    values.course = canonicalCourse(values.course)
+  }
+  if (values.year) {
+    values.year = values.year.replace(YEAR_PATTERN, '$1')
+  }
+  if (values.studentNumber) {
+    values.studentNumber = values.studentNumber.toUpperCase()
+  }
+  // Numbers that cannot be read are kept as written for validation to report
+  if (values.phone) {
+    values.phone = normalizePhone(values.phone) ?? values.phone
+  }
+  return values
+}
+
+// Fields of an existing student that the row would change; blank cells keep the current value
+// and emails that differ only in case are the same address
+function changedFields(values, student) {
+  const same = (field, value) => {
+    const current = String(student[field] ?? '')
+    return field === 'email' ? value.toLowerCase() === current.toLowerCase() : value === current
+  }
+  return Object.fromEntries(
+    Object.entries(values).filter(([field, value]) => field !== 'id' && value !== '' && !same(field, value))
+  )
+}
+
+/**
+ * Checks every row of a file before anything is saved. Rows are matched to
+ * existing students by ID, then by student number, then by email (ignoring
+ * case): matched rows
+ * update the student with their non-blank cells, other rows create new
+ * students (an ID in the file is not kept; the backend assigns one). Rows
+ * that fail validation, that match two different students, or that repeat
+ * an earlier row of the file are marked invalid.
+ * @param {Array<Array<string>>} rows - File rows without the heading row
+ * @param {Array<string>} mapping - Field per column, see guessMapping
+ * @param {Array<Object>} existing - Students already on the backend
+ * @param {{emailDomains?: Array<string>}} [options] - Passed to validateStudent
+ * @returns {Array<{row: number, values: Object, action: string, match: Object|null, changes: Object, errors: Array<Object>}>}
+ *   One entry per row; row is the spreadsheet row number (the heading is row 1), action is
+ *   'create', 'update', 'unchanged' or 'invalid', and errors are issues with a code like the
+ *   ones validateStudent returns
+ */
+export function planImport(rows, mapping, existing, { emailDomains } = {}) {
+  const byId = new Map(existing.map(student => [String(student.id), student]))
+  const byNumber = new Map(existing.filter(student => student.studentNumber).map(student => [student.studentNumber, student]))
+  const byEmail = new Map(existing.filter(student => student.email).map(student => [student.email.toLowerCase(), student]))
+  // Rows already seen in the file, by ID, student number and email
+  const seenIds = new Map()
+  const seenNumbers = new Map()
+  const seenEmails = new Map()
+
+  return rows.map((cells, index) => {
+    const row = index + 2
+    const values = readRow(cells, mapping)
+    const email = values.email?.toLowerCase()
+    const errors = []
+
+    const number = values.studentNumber
+    // Existing students the row points to, with the field that found them
+    const matches = [
+      { field: 'id', student: values.id ? byId.get(values.id) : undefined },
+      { field: 'studentNumber', student: number ? byNumber.get(number) : undefined },
+      { field: 'email', student: email ? byEmail.get(email) : undefined }
+    ].filter(({ student }) => student)
+    const conflict = matches.find(({ student }) => student !== matches[0].student)
+    if (conflict) {
+      errors.push({
+        code: 'matchConflict',
+        field: matches[0].field,
+        value: values[matches[0].field],
+        name: matches[0].student.name,
+        otherField: conflict.field,
+        otherValue: values[conflict.field],
+        otherName: conflict.student.name
+      })
+    }
+
+    const earlierRow = (values.id && seenIds.get(values.id)) ||
+      (number && seenNumbers.get(number)) ||
+      (email && seenEmails.get(email))
+    if (earlierRow) {
+      errors.push({ code: 'duplicateRow', row: earlierRow })
+    } else {
+      if (values.id) seenIds.set(values.id, row)
+      if (number) seenNumbers.set(number, row)
+      if (email) seenEmails.set(email, row)
+    }
+
+    const match = matches[0]?.student ?? null
+    const changes = match ? changedFields(values, match) : {}
+    const { id, ...fields } = values
+    const candidate = match ? { ...match, ...changes } : fields
+    const { errors: fieldErrors } = validateStudent(candidate, { emailDomains })
+    errors.push(...Object.values(fieldErrors))
+
+    let action = 'create'
+    if (errors.length > 0) {
+      action = 'invalid'
+    } else if (match) {
+      action = Object.keys(changes).length > 0 ? 'update' : 'unchanged'
+    }
+
+    return { row, values, action, match, changes, errors }
+  })
+}
+
+/**
+ * Saves planned rows one at a time: creates new students and sends matched
+ * ones a partial update with the changed fields. Rows whose action is
+ * anything else are counted but not sent.
+ * @param {Array<Object>} entries - Rows from planImport; set action to 'skip' to leave a match alone
+ * @param {{createStudent: Function, updateStudent: Function}} service - API service or student store
+ * @param {{onProgress?: (done: number, total: number) => void}} [options] - Called after each saved row
+ * @returns {Promise<{created: number, updated: number, skipped: number, invalid: number, failed: Array<{row: number, error: Object}>}>}
+ *   failed holds the error object the service returned for each row it refused
+ */
+export async function importStudents(entries, service, { onProgress } = {}) {
+  const summary = { created: 0, updated: 0, skipped: 0, invalid: 0, failed: [] }
+  const toSave = entries.filter(entry => entry.action === 'create' || entry.action === 'update')
+
+  summary.invalid = entries.filter(entry => entry.action === 'invalid').length
+  summary.skipped = entries.length - toSave.length - summary.invalid
+
+  for (const [index, entry] of toSave.entries()) {
+    let result
+    try {
+      if (entry.action === 'create') {
+        const { id, ...fields } = entry.values
+        result = await service.createStudent({ website: '', ...fields })
+      } else {
+        result = await service.updateStudent(entry.match.id, entry.changes, { partial: true })
+      }
+    } catch (error) {
+      result = { error: true, code: 'unexpected', message: 'An unexpected error occurred' }
+    }
+
+    if (result.error) {
+      summary.failed.push({ row: entry.row, error: result })
+    } else if (entry.action === 'create') {
+      summary.created++
+    } else {
+      summary.updated++
+    }
+    onProgress?.(index + 1, toSave.length)
+  }
+
+  return summary
+}
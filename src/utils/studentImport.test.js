@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest'
+import { guessMapping, readRow, planImport, importStudents } from './studentImport.js'
+
+const existing = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '09171234567', website: '' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '09185550101', website: '' }
+]
+
+const mapping = ['id', 'name', 'course', 'year', 'email', 'phone']
+
+describe('studentImport', () => {
+  it('guesses fields from common column headings', () => {
+    expect(guessMapping(['Student No.', 'Full Name', 'Program', 'Year Level', 'E-mail Address', 'Mobile Number', 'Notes']))
+      .toEqual(['studentNumber', 'name', 'course', 'year', 'email', 'phone', ''])
+    expect(guessMapping(['ID', 'Student Number'])).toEqual(['id', 'studentNumber'])
+
+    // A field is only given to the first matching column
+    expect(guessMapping(['Email', 'Email'])).toEqual(['email', ''])
+  })
+
+  it('trims values and writes courses and year levels the way the app stores them', () => {
+    expect(readRow(['  7 ', 'Ana Reyes ', 'bs nursing', '2nd Year'], ['id', 'name', 'course', 'year']))
+      .toEqual({ id: '7', name: 'Ana Reyes', course: 'BS Nursing', year: '2' })
+    expect(readRow(['x', 'Year 3'], ['', 'year'])).toEqual({ year: '3' })
+    expect(readRow([' 2024-00001-mn-2'], ['studentNumber'])).toEqual({ studentNumber: '2024-00001-MN-2' })
+  })
+
+  /**
+   * Unit Test: Import Plan
+   *
+   * This test verifies that rows are matched to existing students by ID or
+   * email, that only changed non-blank cells become updates, and that rows
+   * with invalid fields, conflicting matches or repeats are marked invalid.
+   */
+  it('plans creates, updates and invalid rows', () => {
+    const rows = [
+      ['', 'Ana Reyes', 'BS Nursing', '1', 'ana.reyes@student.edu.ph', '0917 000 1111'],
+      ['1', '', '', '2', '', ''],
+      ['', '', '', '', 'MARIA.SANTOS@student.edu.ph', ''],
+      ['1', '', '', '', 'maria.santos@student.edu.ph', ''],
+      ['', 'Ana R.', 'BS Nursing', '1', 'ana.reyes@student.edu.ph', '0917 000 1111'],
+      ['', 'Ben Cruz', 'BS Magic', '1', 'ben@gmail.com', '12345']
+    ]
+
+    const plan = planImport(rows, mapping, existing)
+
+    expect(plan.map(entry => entry.row)).toEqual([2, 3, 4, 5, 6, 7])
+    expect(plan.map(entry => entry.action)).toEqual(['create', 'update', 'unchanged', 'invalid', 'invalid', 'invalid'])
+    expect(plan[1].match).toBe(existing[0])
+    expect(plan[1].changes).toEqual({ year: '2' })
+    expect(plan[2].match).toBe(existing[1])
+    expect(plan[3].errors[0]).toEqual({
+      code: 'matchConflict',
+      field: 'id',
+      value: '1',
+      name: 'José Peña',
+      otherField: 'email',
+      otherValue: 'maria.santos@student.edu.ph',
+      otherName: 'Maria Santos'
+    })
+    expect(plan[4].errors).toEqual([{ code: 'duplicateRow', row: 2 }])
+    expect(plan[5].errors).toHaveLength(3)
+  })
+
+  it('matches rows by student number', () => {
+    const numbered = [{ ...existing[0], studentNumber: '2024-00001-MN-2' }, existing[1]]
+    const columns = ['studentNumber', 'year', 'email']
+    const plan = planImport([
+      ['2024-00001-mn-2', '2', ''],
+      ['2024-00001-MN-2', '3', ''],
+      ['2024-00001-MN-2', '', 'maria.santos@student.edu.ph'],
+      ['2024-00002-MN-1', '1', '']
+    ], columns, numbered)
+
+    expect(plan.map(entry => entry.action)).toEqual(['update', 'invalid', 'invalid', 'invalid'])
+    expect(plan[0].match).toBe(numbered[0])
+    expect(plan[1].errors).toEqual([{ code: 'duplicateRow', row: 2 }])
+    expect(plan[2].errors[0]).toMatchObject({ code: 'matchConflict', field: 'studentNumber', value: '2024-00001-MN-2', otherField: 'email' })
+    expect(plan[3].errors).toContainEqual({ code: 'checkDigit', field: 'studentNumber' })
+  })
+
+  it('validates updates against the merged record', () => {
+    const [entry] = planImport([['2', '', '', '5', '', '']], mapping, existing)
+
+    expect(entry.action).toBe('invalid')
+    expect(entry.errors).toEqual([{ code: 'yearRange', field: 'year', max: 4 }])
+  })
+
+  it('creates and updates rows one at a time and reports the outcome', async () => {
+    const service = {
+      createStudent: vi.fn()
+        .mockResolvedValueOnce({ id: 3 })
+        .mockResolvedValueOnce({ error: true, message: 'Email already exists' }),
+      updateStudent: vi.fn().mockResolvedValue({ id: 1 })
+    }
+    const onProgress = vi.fn()
+    const entries = [
+      { row: 2, action: 'create', values: { id: '99', name: 'Ana Reyes' }, match: null, changes: {} },
+      { row: 3, action: 'update', values: { id: '1', year: '2' }, match: existing[0], changes: { year: '2' } },
+      { row: 4, action: 'skip', values: {}, match: existing[1], changes: { year: '3' } },
+      { row: 5, action: 'unchanged', values: {}, match: existing[1], changes: {} },
+      { row: 6, action: 'invalid', values: {}, match: null, changes: {} },
+      { row: 7, action: 'create', values: { name: 'Ben Cruz' }, match: null, changes: {} }
+    ]
+
+    const summary = await importStudents(entries, service, { onProgress })
+
+    expect(summary).toEqual({
+      created: 1,
+      updated: 1,
+      skipped: 2,
+      invalid: 1,
+      failed: [{ row: 7, error: { error: true, message: 'Email already exists' } }]
+    })
+    // The backend assigns IDs to new students
+    expect(service.createStudent).toHaveBeenNthCalledWith(1, { name: 'Ana Reyes', website: '' })
+    expect(service.updateStudent).toHaveBeenCalledWith(1, { year: '2' }, { partial: true })
+    expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]])
+  })
+})
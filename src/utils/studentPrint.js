@@ -0,0 +1,180 @@
+import { fieldText } from '../models/student.js'
+import { DEFAULT_LOCALE, translate, formatDate } from '../i18n/index.js'
+import { PAGE_SIZES, createPdf, fitText } from './pdf.js'
+
+/**
+ * Student print helpers
+ *
+ * Text and PDF layouts for the printable class roster and student profile.
+ * The PDFs follow the print views: a school header on every page, the
+ * generated date and "Page N of M" in the footer. Their text is in the
+ * locale they are given, English by default.
+ */
+
+/**
+ * Columns of the printed roster, after the row number
+ */
+export const ROSTER_FIELDS = ['id', 'name', 'course', 'year', 'email', 'phone']
+
+/**
+ * Formats the time a printout was made, e.g. "October 19, 2026 at 4:30 PM"
+ * @param {Date} date
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatGenerated(date, locale = DEFAULT_LOCALE) {
+  return formatDate(locale, date, { dateStyle: 'long', timeStyle: 'short' })
+}
+
+/**
+ * Describes the search and filters a roster was printed with
+ * @param {{q?: string, course?: Array<string>, year?: Array<string>}} filters - List state, see parseListQuery
+ * @param {string} [locale]
+ * @returns {string} e.g. "BS Nursing · Year 1, 2 · Search: “cruz”", or "All students"
+ */
+export function describeFilters(filters, locale = DEFAULT_LOCALE) {
+  const parts = []
+  if (filters.course?.length > 0) {
+    parts.push(filters.course.join(', '))
+  }
+  if (filters.year?.length > 0) {
+    parts.push(translate(locale, 'common.year', { year: filters.year.join(', ') }))
+  }
+  if (filters.q?.trim()) {
+    parts.push(translate(locale, 'roster.searchFilter', { q: filters.q.trim() }))
+  }
+  return parts.length > 0 ? parts.join(' · ') : translate(locale, 'roster.allStudents')
+}
+
+const MARGIN = 36
+const FOOTER_HEIGHT = 48
+
+// The school name and title at the top of every page; returns where the body starts
+function pageHeader(items, { school, title, subtitle, width }) {
+  items.push(
+    { type: 'text', x: MARGIN, y: MARGIN + 14, text: fitText(school, width - MARGIN * 2, 14, { bold: true }), size: 14, bold: true },
+    { type: 'text', x: MARGIN, y: MARGIN + 32, text: title, size: 11, bold: true }
+  )
+  let y = MARGIN + 32
+  if (subtitle) {
+    y += 14
+    items.push({ type: 'text', x: MARGIN, y, text: fitText(subtitle, width - MARGIN * 2, 9), size: 9 })
+  }
+  items.push({ type: 'line', x1: MARGIN, y1: y + 8, x2: width - MARGIN, y2: y + 8, width: 1 })
+  return y + 8
+}
+
+// The generated date and page number at the bottom of every page
+function pageFooter(items, { generated, page, pageCount, width, height, locale }) {
+  const y = height - FOOTER_HEIGHT + 20
+  items.push(
+    { type: 'line', x1: MARGIN, y1: y - 12, x2: width - MARGIN, y2: y - 12, gray: 0.6 },
+    { type: 'text', x: MARGIN, y, text: `${translate(locale, 'print.generated')} ${formatGenerated(generated, locale)}`, size: 8 },
+    { type: 'text', x: width - MARGIN, y, text: translate(locale, 'print.pageOf', { page, pages: pageCount }), size: 8, align: 'right' }
+  )
+}
+
+// Share of the table width given to each roster column
+const ROSTER_SHARES = { id: 0.08, name: 0.2, course: 0.2, year: 0.05, email: 0.27, phone: 0.16 }
+
+const rosterColumns = (locale) => [
+  { label: translate(locale, 'roster.number'), share: 0.04 },
+  ...ROSTER_FIELDS.map(field => ({
+    field,
+    // The year column is too narrow for the full label
+    label: translate(locale, field === 'year' ? 'roster.yearColumn' : `fields.${field}`),
+    share: ROSTER_SHARES[field]
+  }))
+]
+
+const ROW_HEIGHT = 15
+
+/**
+ * Lays out students as a printed class roster on landscape A4 pages, with
+ * the column headings repeated on every page
+ * @param {Array<Object>} students - Rows, in the order they should appear
+ * @param {{school: string, title?: string, subtitle?: string, generated?: Date, locale?: string}} options
+ *   school - Name printed at the top of each page; subtitle - Usually describeFilters of the list
+ * @returns {Uint8Array} The PDF file
+ */
+export function rosterPdf(students, {
+  school,
+  locale = DEFAULT_LOCALE,
+  title = translate(locale, 'roster.title'),
+  subtitle = '',
+  generated = new Date()
+}) {
+  // A4 turned sideways so every column fits
+  const { width: height, height: width } = PAGE_SIZES.a4
+  const tableWidth = width - MARGIN * 2
+  const columns = rosterColumns(locale).reduce((placed, column) => {
+    const x = placed.length > 0 ? placed[placed.length - 1].x + placed[placed.length - 1].width : MARGIN
+    return [...placed, { ...column, x, width: column.share * tableWidth }]
+  }, [])
+  const count = translate(locale, 'roster.count', { count: students.length })
+  const headerOptions = { school, title, subtitle: subtitle ? `${subtitle} · ${count}` : count, width }
+
+  // Every page has the same header, so the rows that fit are known up front
+  const bodyTop = pageHeader([], headerOptions) + 20
+  const rowsPerPage = Math.floor((height - FOOTER_HEIGHT - bodyTop) / ROW_HEIGHT)
+  const pageCount = Math.max(1, Math.ceil(students.length / rowsPerPage))
+
+  const pages = Array.from({ length: pageCount }, (_, pageIndex) => {
+    const items = []
+    const top = pageHeader(items, headerOptions)
+    const headingY = top + 16
+    columns.forEach(column => {
+      items.push({ type: 'text', x: column.x + 2, y: headingY, text: fitText(column.label, column.width - 4, 9, { bold: true }), size: 9, bold: true })
+    })
+    items.push({ type: 'line', x1: MARGIN, y1: headingY + 5, x2: width - MARGIN, y2: headingY + 5 })
+
+    const first = pageIndex * rowsPerPage
+    students.slice(first, first + rowsPerPage).forEach((student, index) => {
+      const y = bodyTop + (index + 1) * ROW_HEIGHT - 4
+      if (index % 2 === 1) {
+        items.push({ type: 'rect', x: MARGIN, y: y - ROW_HEIGHT + 4, width: tableWidth, height: ROW_HEIGHT, gray: 0.94 })
+      }
+      columns.forEach(column => {
+        const value = column.field ? fieldText(student, column.field) : first + index + 1
+        items.push({ type: 'text', x: column.x + 2, y, text: fitText(value, column.width - 4, 9), size: 9 })
+      })
+    })
+    if (students.length === 0) {
+      items.push({ type: 'text', x: MARGIN, y: bodyTop + ROW_HEIGHT, text: translate(locale, 'roster.empty'), size: 10 })
+    }
+
+    pageFooter(items, { generated, page: pageIndex + 1, pageCount, width, height, locale })
+    return items
+  })
+
+  return createPdf(pages, { pageSize: { width, height }, title: `${title} – ${school}`, created: generated })
+}
+
+// Profile fields, in print order
+const PROFILE_FIELDS = ['id', 'studentNumber', 'course', 'year', 'email', 'phone', 'website']
+
+/**
+ * Lays out one student's profile on a portrait A4 page
+ * @param {Object} student
+ * @param {{school: string, generated?: Date, locale?: string}} options - school is printed at the top of the page
+ * @returns {Uint8Array} The PDF file
+ */
+export function profilePdf(student, { school, generated = new Date(), locale = DEFAULT_LOCALE }) {
+  const { width, height } = PAGE_SIZES.a4
+  const items = []
+  const top = pageHeader(items, { school, title: translate(locale, 'detail.profileTitle'), width })
+
+  items.push({ type: 'text', x: MARGIN, y: top + 36, text: fitText(student.name ?? '', width - MARGIN * 2, 20, { bold: true }), size: 20, bold: true })
+
+  PROFILE_FIELDS.forEach((field, index) => {
+    const y = top + 76 + index * 26
+    items.push(
+      { type: 'text', x: MARGIN, y, text: translate(locale, `fields.${field}`), size: 10, bold: true },
+      { type: 'text', x: MARGIN + 120, y, text: fitText(fieldText(student, field), width - MARGIN * 2 - 120, 11), size: 11 },
+      { type: 'line', x1: MARGIN, y1: y + 9, x2: width - MARGIN, y2: y + 9, gray: 0.8 }
+    )
+  })
+
+  pageFooter(items, { generated, page: 1, pageCount: 1, width, height, locale })
+  return createPdf([items], { title: `${student.name} – ${school}`, created: generated })
+}
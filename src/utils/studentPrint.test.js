@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { rosterPdf, profilePdf, describeFilters, formatGenerated } from './studentPrint.js'
+
+const pdfText = (file) => new TextDecoder().decode(file)
+
+// Text drawn on each page of a PDF, in drawing order
+const pageTexts = (file) => [...pdfText(file).matchAll(/\nstream\n([\s\S]*?)\nendstream/g)]
+  .map(([, stream]) => [...stream.matchAll(/\((.*?)\) Tj/g)].map(match => match[1]))
+
+const makeStudents = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  name: `Student ${index + 1}`,
+  course: 'BS Nursing',
+  year: '1',
+  email: `student${index + 1}@student.edu.ph`,
+  phone: '0917 123 4567'
+}))
+
+const generated = new Date(2026, 9, 19, 16, 30)
+
+describe('studentPrint', () => {
+  it('describes the search and filters of a roster', () => {
+    expect(describeFilters({ q: '', course: [], year: [] })).toBe('All students')
+    expect(describeFilters({ q: ' cruz ', course: ['BS Nursing'], year: ['1', '2'] }))
+      .toBe('BS Nursing · Year 1, 2 · Search: “cruz”')
+    expect(describeFilters({ q: '', course: [], year: [] }, 'fil')).toBe('Lahat ng estudyante')
+    expect(describeFilters({ q: 'cruz', course: [], year: ['3'] }, 'fil')).toBe('Taon 3 · Hanap: “cruz”')
+  })
+
+  /**
+   * Unit Test: Roster PDF
+   *
+   * This test verifies that a long roster is split across pages, each with
+   * the school header, column headings, generated date and page number, and
+   * that rows are numbered across pages.
+   */
+  it('repeats the header and numbers pages on a multi-page roster', () => {
+    const pages = pageTexts(rosterPdf(makeStudents(60), {
+      school: 'Pamantasan ng Lungsod ng Maynila',
+      subtitle: 'BS Nursing',
+      generated
+    }))
+
+    expect(pages.length).toBeGreaterThan(1)
+    pages.forEach((texts, index) => {
+      expect(texts[0]).toBe('Pamantasan ng Lungsod ng Maynila')
+      expect(texts).toContain('Class Roster')
+      expect(texts).toContain('BS Nursing \\267 60 students')
+      expect(texts).toContain('Student ID')
+      expect(texts).toContain(`Page ${index + 1} of ${pages.length}`)
+      // The PDF writes narrow spaces some locales use in times as plain spaces
+      expect(texts).toContain(`Generated ${formatGenerated(generated)}`.replace(/[\u2000-\u200a\u202f\u205f]/g, ' '))
+    })
+
+    const names = pages.flat().filter(text => text.startsWith('Student ') && text !== 'Student ID')
+    expect(names).toHaveLength(60)
+    expect(names[59]).toBe('Student 60')
+    expect(pages[1]).toContain(String(pages[0].filter(text => text.startsWith('Student ') && text !== 'Student ID').length + 1))
+  })
+
+  it('prints one page saying no students match an empty roster', () => {
+    const pages = pageTexts(rosterPdf([], { school: 'School', generated }))
+
+    expect(pages).toHaveLength(1)
+    expect(pages[0]).toContain('No students match these filters.')
+    expect(pages[0]).toContain('Page 1 of 1')
+  })
+
+  it('prints a student profile on one page', () => {
+    const [texts] = pageTexts(profilePdf({
+      id: 7,
+      name: 'José Peña',
+      course: 'BS Nursing',
+      year: '2',
+      email: 'jose.pena@student.edu.ph',
+      phone: '0917 123 4567',
+      website: ''
+    }, { school: 'School', generated }))
+
+    expect(texts.slice(0, 3)).toEqual(['School', 'Student Profile', 'Jos\\351 Pe\\361a'])
+    expect(texts).toContain('Year level')
+    expect(texts).toContain('jose.pena@student.edu.ph')
+    expect(texts).toContain('Page 1 of 1')
+  })
+
+  it('prints in the locale it is given', () => {
+    const [roster] = pageTexts(rosterPdf(makeStudents(2), { school: 'School', generated, locale: 'fil' }))
+
+    expect(roster).toContain('Listahan ng Klase')
+    expect(roster).toContain('2 estudyante')
+    expect(roster).toContain('Blg.')
+    expect(roster).toContain('Pangalan')
+    expect(roster).toContain('Pahina 1 ng 1')
+    expect(roster).toContain(`Ginawa noong ${formatGenerated(generated, 'fil')}`.replace(/[\u2000-\u200a\u202f\u205f]/g, ' '))
+
+    const [profile] = pageTexts(profilePdf({ id: 7, name: 'Ana Cruz' }, { school: 'School', generated, locale: 'fil' }))
+    expect(profile).toContain('Profile ng Estudyante')
+    expect(profile).toContain('Antas ng taon')
+  })
+})
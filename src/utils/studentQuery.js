@@ -0,0 +1,344 @@
+import { normalizePhone } from '../models/phone.js'
+
+/**
+ * Student list query helpers
+ *
+ * Pure functions for searching, faceting, sorting and paginating the student
+ * list and for reading/writing the list state from/to the route query string.
+ */
+
+/**
+ * Facets the student list can be narrowed by, keyed by Student field
+ */
+export const FACETS = ['course', 'year']
+
+/**
+ * Fields the student list can be sorted by
+ */
+export const SORT_FIELDS = ['name', 'course', 'year', 'id']
+
+/**
+ * Page size that shows every student on one page (`?limit=all`)
+ */
+export const ALL_ROWS = 0
+
+/**
+ * Page sizes offered by the pager
+ */
+export const PAGE_SIZES = [10, 25, 50, 100, ALL_ROWS]
+
+export const DEFAULT_PAGE_SIZE = 25
+
+// Lowercase particles that start Filipino and Spanish compound surnames ("Dela Cruz", "de los Santos")
+const SURNAME_PARTICLES = ['de', 'del', 'dela', 'della', 'delos', 'de los', 'de la', 'san', 'sta', 'sta.', 'santa', 'van', 'von']
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true })
+
+/**
+ * Lowercases text and strips diacritics so "Peña" matches "pena"
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+}
+
+/**
+ * Reads a route query value as a list of non-empty strings
+ * @param {string|Array<string>|null|undefined} value
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value]
+  return values.filter(item => typeof item === 'string' && item.trim() !== '')
+}
+
+/**
+ * Checks whether a student matches a free-text search on name, student
+ * number, email and phone. A search that reads as a whole phone number, in
+ * any way phone numbers are written (0917 123 4567, +63 917 123 4567), finds
+ * the student with that number. Otherwise every whitespace-separated term
+ * must match one of the fields; terms made only of digits also match the
+ * phone number and the student number with their formatting removed, and a
+ * leading trunk 0 matches the country code of the stored phone number.
+ * @param {Object} student
+ * @param {string} search
+ * @returns {boolean}
+ */
+export function matchesSearch(student, search) {
+  const terms = normalizeText(search).split(/\s+/).filter(Boolean)
+  if (terms.length === 0) {
+    return true
+  }
+
+  const searchedPhone = normalizePhone(search)
+  if (searchedPhone && searchedPhone === normalizePhone(student.phone)) {
+    return true
+  }
+
+  const haystack = [student.name, student.studentNumber, student.email, student.phone].map(normalizeText).join(' ')
+  const phoneDigits = String(student.phone ?? '').replace(/\D/g, '')
+  const numberDigits = String(student.studentNumber ?? '').replace(/\D/g, '')
+
+  return terms.every(term => {
+    if (haystack.includes(term)) {
+      return true
+    }
+    const termDigits = term.replace(/[\s\-+()]/g, '')
+    if (!/^\d+$/.test(termDigits)) {
+      return false
+    }
+    const phoneTerm = termDigits.startsWith('0') ? `63${termDigits.slice(1)}` : termDigits
+    return phoneDigits.includes(termDigits) || phoneDigits.includes(phoneTerm) || numberDigits.includes(termDigits)
+  })
+}
+
+/**
+ * Checks whether a student matches every active facet filter
+ * @param {Object} student
+ * @param {{course?: Array<string>, year?: Array<string>}} filters
+ * @param {string} [skipFacet] - Facet to ignore, used when counting that facet
+ * @returns {boolean}
+ */
+function matchesFacets(student, filters, skipFacet) {
+  return FACETS.every(facet => {
+    const selected = filters[facet] || []
+    return facet === skipFacet || selected.length === 0 || selected.includes(String(student[facet]))
+  })
+}
+
+/**
+ * Filters students by search text and facet selections
+ * @param {Array<Object>} students
+ * @param {{q?: string, course?: Array<string>, year?: Array<string>}} filters
+ * @returns {Array<Object>} Matching students in their original order
+ */
+export function filterStudents(students, filters) {
+  return students.filter(student =>
+    matchesSearch(student, filters.q) && matchesFacets(student, filters)
+  )
+}
+
+/**
+ * Counts students per value of a facet, applying the search and every other
+ * facet, so each count is the number of results that value would match.
+ * Selected values are always listed, even when their count drops to zero.
+ * @param {Array<Object>} students
+ * @param {{q?: string, course?: Array<string>, year?: Array<string>}} filters
+ * @param {string} facet - One of FACETS
+ * @returns {Array<{value: string, count: number}>} Values sorted naturally
+ */
+export function facetCounts(students, filters, facet) {
+  const counts = new Map()
+
+  students.forEach(student => {
+    counts.set(String(student[facet]), 0)
+  })
+  ;(filters[facet] || []).forEach(value => {
+    counts.set(value, 0)
+  })
+
+  students.forEach(student => {
+    if (matchesSearch(student, filters.q) && matchesFacets(student, filters, facet)) {
+      const value = String(student[facet])
+      counts.set(value, counts.get(value) + 1)
+    }
+  })
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }))
+}
+
+/**
+ * Splits a full name into the surname and the given names before it.
+ * Surname particles ("Dela Cruz", "de los Santos") stay with the surname.
+ * @param {string} name
+ * @returns {{surname: string, givenNames: string}}
+ */
+export function splitName(name) {
+  const words = String(name ?? '').trim().split(/\s+/).filter(Boolean)
+  if (words.length <= 1) {
+    return { surname: words[0] || '', givenNames: '' }
+  }
+
+  let start = words.length - 1
+  while (start > 1) {
+    const particle = words.slice(start - 1, start).join(' ').toLowerCase()
+    const pair = words.slice(start - 2, start).join(' ').toLowerCase()
+    if (SURNAME_PARTICLES.includes(pair) && start > 2) {
+      start -= 2
+    } else if (SURNAME_PARTICLES.includes(particle)) {
+      start -= 1
+    } else {
+      break
+    }
+  }
+
+  return {
+    surname: words.slice(start).join(' '),
+    givenNames: words.slice(0, start).join(' ')
+  }
+}
+
+/**
+ * Compares two students on a single field
+ * @param {Object} a
+ * @param {Object} b
+ * @param {string} field - One of SORT_FIELDS
+ * @returns {number}
+ */
+function compareField(a, b, field) {
+  if (field === 'name') {
+    const nameA = splitName(a.name)
+    const nameB = splitName(b.name)
+    return collator.compare(nameA.surname, nameB.surname) ||
+      collator.compare(nameA.givenNames, nameB.givenNames)
+  }
+  return collator.compare(String(a[field] ?? ''), String(b[field] ?? ''))
+}
+
+/**
+ * Sorts students by one or more keys. Later keys break ties in earlier ones
+ * and students that tie on every key keep their original order.
+ * @param {Array<Object>} students
+ * @param {Array<{field: string, direction: string}>} sortKeys - Direction is 'asc' or 'desc'
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortStudents(students, sortKeys) {
+  if (!sortKeys || sortKeys.length === 0) {
+    return students
+  }
+
+  // Array.prototype.sort is stable, so equal students keep their relative order
+  return [...students].sort((a, b) => {
+    for (const { field, direction } of sortKeys) {
+      const result = compareField(a, b, field)
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result
+      }
+    }
+    return 0
+  })
+}
+
+/**
+ * Parses a sort query value such as "course,-name" (a leading "-" sorts descending).
+ * Unknown and repeated fields are dropped.
+ * @param {string} [value]
+ * @returns {Array<{field: string, direction: string}>}
+ */
+export function parseSort(value) {
+  const sortKeys = []
+
+  String(value ?? '').split(',').forEach(part => {
+    const token = part.trim()
+    const field = token.replace(/^-/, '')
+    if (SORT_FIELDS.includes(field) && !sortKeys.some(key => key.field === field)) {
+      sortKeys.push({ field, direction: token.startsWith('-') ? 'desc' : 'asc' })
+    }
+  })
+
+  return sortKeys
+}
+
+/**
+ * Formats sort keys as a sort query value
+ * @param {Array<{field: string, direction: string}>} sortKeys
+ * @returns {string}
+ */
+export function formatSort(sortKeys) {
+  return sortKeys
+    .map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field))
+    .join(',')
+}
+
+/**
+ * Slices one page out of a list, clamping the page number to the pages that exist
+ * @param {Array<Object>} items
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Page size, or ALL_ROWS for a single page
+ * @returns {{items: Array<Object>, page: number, pageCount: number, total: number, start: number, end: number}}
+ *   `start` and `end` are 1-based positions of the first and last item shown (0 when empty)
+ */
+export function paginate(items, page, limit) {
+  const total = items.length
+  const pageSize = limit === ALL_ROWS ? Math.max(1, total) : limit
+  const pageCount = Math.max(1, Math.ceil(total / pageSize))
+  const currentPage = Math.min(Math.max(1, page), pageCount)
+  const offset = (currentPage - 1) * pageSize
+  const pageItems = items.slice(offset, offset + pageSize)
+
+  return {
+    items: pageItems,
+    page: currentPage,
+    pageCount,
+    total,
+    start: pageItems.length > 0 ? offset + 1 : 0,
+    end: offset + pageItems.length
+  }
+}
+
+/**
+ * Reads a positive integer from a route query value
+ * @param {string|Array<string>} value
+ * @returns {number|null}
+ */
+function toPositiveInteger(value) {
+  const number = Number(toList(value)[0])
+  return Number.isInteger(number) && number > 0 ? number : null
+}
+
+/**
+ * Parses the student list state from a route query
+ * @param {Object} query - Route query (`?q=&course=&year=&sort=&page=&limit=`)
+ * @returns {{q: string, course: Array<string>, year: Array<string>, sort: Array<{field: string, direction: string}>, page: number, limit: number}}
+ */
+export function parseListQuery(query = {}) {
+  const limit = toList(query.limit)[0] === 'all' ? ALL_ROWS : toPositiveInteger(query.limit)
+
+  return {
+    q: toList(query.q)[0] || '',
+    course: toList(query.course),
+    year: toList(query.year),
+    sort: parseSort(toList(query.sort)[0]),
+    page: toPositiveInteger(query.page) || 1,
+    limit: PAGE_SIZES.includes(limit) ? limit : DEFAULT_PAGE_SIZE
+  }
+}
+
+/**
+ * Serializes list state to a route query, omitting empty values so the
+ * default view keeps a clean URL
+ * @param {{q?: string, course?: Array<string>, year?: Array<string>, sort?: Array<{field: string, direction: string}>, page?: number, limit?: number}} state
+ * @returns {Object} Route query
+ */
+export function toRouteQuery(state) {
+  const query = {}
+
+  if (state.q && state.q.trim()) {
+    query.q = state.q
+  }
+  FACETS.forEach(facet => {
+    const values = state[facet] || []
+    if (values.length > 0) {
+      query[facet] = values.length === 1 ? values[0] : [...values]
+    }
+  })
+  if (state.sort && state.sort.length > 0) {
+    query.sort = formatSort(state.sort)
+  }
+  if (state.page > 1) {
+    query.page = String(state.page)
+  }
+  if (state.limit === ALL_ROWS) {
+    query.limit = 'all'
+  } else if (state.limit && state.limit !== DEFAULT_PAGE_SIZE) {
+    query.limit = String(state.limit)
+  }
+
+  return query
+}
@@ -0,0 +1,311 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import {
+  normalizeText,
+  matchesSearch,
+  filterStudents,
+  facetCounts,
+  splitName,
+  sortStudents,
+  parseSort,
+  formatSort,
+  paginate,
+  ALL_ROWS,
+  parseListQuery,
+  toRouteQuery
+} from './studentQuery.js'
+
+const students = [
+  { id: 1, name: 'José Peña', course: 'BS Nursing', year: '1', email: 'jose.pena@student.edu.ph', phone: '+63 917 123 4567' },
+  { id: 2, name: 'Maria Santos', course: 'BS Computer Science', year: '2', email: 'maria.santos@student.edu.ph', phone: '+63 918 555 0101' },
+  { id: 3, name: 'Juan Dela Cruz', course: 'BS Nursing', year: '2', email: 'juan.cruz@student.edu.ph', phone: '+63 920 777 8888' },
+  { id: 4, name: 'Ana Reyes', course: 'BS Computer Science', year: '10', email: 'ana.reyes@student.edu.ph', phone: '+63 921 000 1111' }
+]
+
+describe('studentQuery', () => {
+  it('normalizes case and diacritics', () => {
+    expect(normalizeText('  José PEÑA ')).toBe('jose pena')
+    expect(normalizeText(undefined)).toBe('')
+  })
+
+  /**
+   * Unit Test: Search Fields
+   * 
+   * This test verifies that search matches name, email and phone,
+   * ignores accents and requires every search term to match.
+   */
+  it('searches name, email and phone', () => {
+    expect(matchesSearch(students[0], 'pena')).toBe(true)
+    expect(matchesSearch(students[1], 'maria.santos@')).toBe(true)
+    expect(matchesSearch(students[2], '9207778888')).toBe(true)
+    expect(matchesSearch(students[2], '0920-777')).toBe(true)
+    expect(matchesSearch(students[2], '0921-777')).toBe(false)
+    expect(matchesSearch(students[2], '920-777')).toBe(true)
+    expect(matchesSearch(students[2], 'juan cruz')).toBe(true)
+    expect(matchesSearch(students[2], 'juan santos')).toBe(false)
+    expect(matchesSearch(students[3], '   ')).toBe(true)
+  })
+
+  /**
+   * Unit Test: Phone Search
+   *
+   * This test verifies that a phone number stored in E.164 form is found
+   * however the number is typed into the search box.
+   */
+  it('finds stored phone numbers written in local or international form', () => {
+    const student = { ...students[0], phone: '+639171234567' }
+    const landline = { ...students[1], phone: '+63281234567;ext=12' }
+
+    ;['09171234567', '0917 123 4567', '0917-123-4567', '+63 917 123 4567', '917 123 4567', '0917-123'].forEach(search => {
+      expect(matchesSearch(student, search)).toBe(true)
+      expect(matchesSearch(landline, search)).toBe(false)
+    })
+    expect(matchesSearch(landline, '(02) 8123 4567 loc. 12')).toBe(true)
+    expect(matchesSearch(landline, '02 8123-4567')).toBe(true)
+    expect(matchesSearch(student, '0918 123 4567')).toBe(false)
+  })
+
+  it('searches student numbers with or without dashes', () => {
+    const student = { ...students[0], studentNumber: '2024-00123-MN-4' }
+
+    expect(matchesSearch(student, '2024-00123-mn-4')).toBe(true)
+    expect(matchesSearch(student, '202400123')).toBe(true)
+    expect(matchesSearch(student, '00123')).toBe(true)
+    expect(matchesSearch(student, '2024-00124')).toBe(false)
+  })
+
+  it('combines search with course and year facets', () => {
+    expect(filterStudents(students, { q: '', course: ['BS Nursing'], year: [] }).map(s => s.id)).toEqual([1, 3])
+    expect(filterStudents(students, { q: '', course: ['BS Nursing'], year: ['2'] }).map(s => s.id)).toEqual([3])
+    expect(filterStudents(students, { q: 'ana', course: [], year: ['2', '10'] }).map(s => s.id)).toEqual([4])
+    expect(filterStudents(students, { q: '', course: [], year: [] })).toEqual(students)
+  })
+
+  /**
+   * Unit Test: Live Facet Counts
+   * 
+   * This test verifies that each facet is counted against the search and
+   * the other facets but not against its own selection.
+   */
+  it('counts facet values against the other active filters', () => {
+    const filters = { q: '', course: ['BS Nursing'], year: ['2'] }
+
+    expect(facetCounts(students, filters, 'course')).toEqual([
+      { value: 'BS Computer Science', count: 1 },
+      { value: 'BS Nursing', count: 1 }
+    ])
+    expect(facetCounts(students, filters, 'year')).toEqual([
+      { value: '1', count: 1 },
+      { value: '2', count: 1 },
+      { value: '10', count: 0 }
+    ])
+  })
+
+  it('keeps selected facet values listed when nothing matches them', () => {
+    const counts = facetCounts(students, { q: '', course: ['AB Communication'], year: [] }, 'course')
+    expect(counts).toContainEqual({ value: 'AB Communication', count: 0 })
+  })
+
+  it('parses single and repeated query values', () => {
+    expect(parseListQuery({})).toEqual({ q: '', course: [], year: [], sort: [], page: 1, limit: 25 })
+    expect(parseListQuery({ q: 'cruz', course: 'BS Nursing', year: ['1', '2'], sort: '-year', page: '3', limit: '50' })).toEqual({
+      q: 'cruz',
+      course: ['BS Nursing'],
+      year: ['1', '2'],
+      sort: [{ field: 'year', direction: 'desc' }],
+      page: 3,
+      limit: 50
+    })
+    expect(parseListQuery({ q: ['a', 'b'], year: [null, ''] })).toEqual({ q: 'a', course: [], year: [], sort: [], page: 1, limit: 25 })
+  })
+
+  it('omits empty values from the route query', () => {
+    expect(toRouteQuery({ q: ' ', course: [], year: [], sort: [], page: 1, limit: 25 })).toEqual({})
+    expect(toRouteQuery({
+      q: 'cruz',
+      course: ['BS Nursing'],
+      year: ['1', '2'],
+      sort: [{ field: 'course', direction: 'asc' }, { field: 'name', direction: 'desc' }],
+      page: 2,
+      limit: 10
+    })).toEqual({
+      q: 'cruz',
+      course: 'BS Nursing',
+      year: ['1', '2'],
+      sort: 'course,-name',
+      page: '2',
+      limit: '10'
+    })
+  })
+
+  /**
+   * Property 11: List State Survives the URL
+   * 
+   * **Feature: student-info-app, Property 11: List state round-trips through the route query**
+   * 
+   * This property test verifies that for any search text, facet selection, sort and page,
+   * writing the state to the route query and reading it back yields the same state.
+   */
+  it('Property 11: list state round-trips through the route query', () => {
+    fc.assert(
+      fc.property(
+        fc.string({ maxLength: 30 }).filter(s => s.trim().length > 0),
+        fc.uniqueArray(fc.string({ minLength: 1, maxLength: 20 }).filter(s => s.trim().length > 0), { maxLength: 4 }),
+        fc.uniqueArray(fc.integer({ min: 1, max: 5 }).map(String), { maxLength: 4 }),
+        fc.uniqueArray(
+          fc.record({ field: fc.constantFrom('name', 'course', 'year', 'id'), direction: fc.constantFrom('asc', 'desc') }),
+          { maxLength: 4, selector: key => key.field }
+        ),
+        fc.integer({ min: 1, max: 500 }),
+        fc.constantFrom(10, 25, 50, 100, ALL_ROWS),
+        (q, course, year, sort, page, limit) => {
+          const state = { q, course, year, sort, page, limit }
+          expect(parseListQuery(toRouteQuery(state))).toEqual(state)
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+
+  it('splits surnames including Filipino and Spanish particles', () => {
+    expect(splitName('Juan Dela Cruz')).toEqual({ surname: 'Dela Cruz', givenNames: 'Juan' })
+    expect(splitName('Maria Clara de los Santos')).toEqual({ surname: 'de los Santos', givenNames: 'Maria Clara' })
+    expect(splitName('Jose Protasio Rizal')).toEqual({ surname: 'Rizal', givenNames: 'Jose Protasio' })
+    expect(splitName('Cher')).toEqual({ surname: 'Cher', givenNames: '' })
+  })
+
+  /**
+   * Unit Test: Surname-Aware Multi-Key Sort
+   * 
+   * This test verifies that names sort by surname, that secondary keys break
+   * ties and that each key can be reversed independently.
+   */
+  it('sorts by surname and secondary keys', () => {
+    const byName = sortStudents(students, [{ field: 'name', direction: 'asc' }])
+    expect(byName.map(s => s.id)).toEqual([3, 1, 4, 2])
+
+    const byCourseThenName = sortStudents(students, [
+      { field: 'course', direction: 'asc' },
+      { field: 'name', direction: 'desc' }
+    ])
+    expect(byCourseThenName.map(s => s.id)).toEqual([2, 4, 1, 3])
+
+    // Year levels compare numerically, so "10" sorts after "2"
+    expect(sortStudents(students, [{ field: 'year', direction: 'desc' }]).map(s => s.id)).toEqual([4, 2, 3, 1])
+  })
+
+  it('returns the list unchanged without sort keys and never mutates it', () => {
+    const original = [...students]
+    expect(sortStudents(students, [])).toBe(students)
+    sortStudents(students, [{ field: 'id', direction: 'desc' }])
+    expect(students).toEqual(original)
+  })
+
+  it('parses and formats sort query values', () => {
+    expect(parseSort('course,-name')).toEqual([
+      { field: 'course', direction: 'asc' },
+      { field: 'name', direction: 'desc' }
+    ])
+    expect(parseSort('bogus,-year,year')).toEqual([{ field: 'year', direction: 'desc' }])
+    expect(parseSort(undefined)).toEqual([])
+    expect(formatSort([{ field: 'id', direction: 'desc' }, { field: 'name', direction: 'asc' }])).toBe('-id,name')
+  })
+
+  /**
+   * Property 12: Stable Sort
+   * 
+   * **Feature: student-info-app, Property 12: Sorting is stable**
+   * 
+   * This property test verifies that for any list of students and any sort key,
+   * students that compare equal keep the order they had before sorting.
+   */
+  it('Property 12: students that tie on every key keep their original order', () => {
+    fc.assert(
+      fc.property(
+        fc.array(
+          fc.record({
+            course: fc.constantFrom('BS Nursing', 'BS Accountancy'),
+            year: fc.constantFrom('1', '2', '3')
+          }),
+          { maxLength: 30 }
+        ),
+        fc.constantFrom('course', 'year'),
+        fc.constantFrom('asc', 'desc'),
+        (records, field, direction) => {
+          const list = records.map((record, index) => ({ ...record, id: index }))
+          const sorted = sortStudents(list, [{ field, direction }])
+
+          expect(sorted.length).toBe(list.length)
+          for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i - 1][field] === sorted[i][field]) {
+              expect(sorted[i - 1].id).toBeLessThan(sorted[i].id)
+            }
+          }
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+
+  it('reads and writes the all-rows page size', () => {
+    expect(parseListQuery({ limit: 'all' }).limit).toBe(ALL_ROWS)
+    expect(toRouteQuery({ limit: ALL_ROWS })).toEqual({ limit: 'all' })
+    expect(paginate([1, 2, 3], 2, ALL_ROWS)).toEqual({ items: [1, 2, 3], page: 1, pageCount: 1, total: 3, start: 1, end: 3 })
+  })
+
+  it('ignores invalid page numbers and unsupported page sizes', () => {
+    expect(parseListQuery({ page: '0', limit: '7' })).toMatchObject({ page: 1, limit: 25 })
+    expect(parseListQuery({ page: 'abc', limit: '-10' })).toMatchObject({ page: 1, limit: 25 })
+    expect(parseListQuery({ page: '2.5' })).toMatchObject({ page: 1 })
+  })
+
+  /**
+   * Unit Test: Pagination
+   * 
+   * This test verifies that paginate slices the requested page, reports
+   * the visible range and clamps out-of-range page numbers.
+   */
+  it('slices a page and reports the visible range', () => {
+    const items = Array.from({ length: 23 }, (_, index) => index + 1)
+
+    expect(paginate(items, 2, 10)).toEqual({
+      items: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+      page: 2,
+      pageCount: 3,
+      total: 23,
+      start: 11,
+      end: 20
+    })
+    expect(paginate(items, 3, 10)).toMatchObject({ items: [21, 22, 23], start: 21, end: 23 })
+
+    // Pages past the end show the last page
+    expect(paginate(items, 9, 10)).toMatchObject({ page: 3, start: 21 })
+    expect(paginate([], 4, 10)).toEqual({ items: [], page: 1, pageCount: 1, total: 0, start: 0, end: 0 })
+  })
+
+  /**
+   * Property 13: Pages Cover the List
+   * 
+   * **Feature: student-info-app, Property 13: Pages partition the list**
+   * 
+   * This property test verifies that for any list and page size, walking every
+   * page yields each item exactly once, in order.
+   */
+  it('Property 13: walking every page yields each item exactly once', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer(), { maxLength: 120 }),
+        fc.constantFrom(10, 25, 50, 100, ALL_ROWS),
+        (items, limit) => {
+          const { pageCount } = paginate(items, 1, limit)
+          const walked = []
+          for (let page = 1; page <= pageCount; page++) {
+            walked.push(...paginate(items, page, limit).items)
+          }
+          expect(walked).toEqual(items)
+        }
+      ),
+      { numRuns: 100 }
+    )
+  })
+})
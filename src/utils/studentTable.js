@@ -0,0 +1,133 @@
+import { STUDENT_FIELDS } from '../models/student.js'
+
+/**
+ * Student table helpers
+ *
+ * The column layout of the table view: which Student fields are shown, in
+ * what order and how wide. Layouts are plain objects so they can be saved
+ * as a user preference.
+ */
+
+/**
+ * Columns the table can show
+ */
+export const TABLE_COLUMNS = STUDENT_FIELDS
+
+/**
+ * The name links to the student's profile, so it cannot be hidden
+ */
+export const REQUIRED_COLUMNS = ['name']
+
+export const MIN_COLUMN_WIDTH = 60
+
+export const MAX_COLUMN_WIDTH = 600
+
+/**
+ * Default column widths in pixels
+ */
+export const DEFAULT_COLUMN_WIDTHS = {
+  id: 90,
+  studentNumber: 160,
+  name: 200,
+  course: 200,
+  year: 80,
+  email: 250,
+  phone: 150,
+  website: 180
+}
+
+/**
+ * Layout used until the user changes it: every column but the website
+ */
+export const DEFAULT_TABLE_LAYOUT = {
+  order: [...TABLE_COLUMNS],
+  hidden: ['website'],
+  widths: { ...DEFAULT_COLUMN_WIDTHS }
+}
+
+/**
+ * Keeps a width within the allowed range, in whole pixels
+ * @param {number} width
+ * @returns {number}
+ */
+export function clampColumnWidth(width) {
+  return Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, width)))
+}
+
+/**
+ * Turns a saved layout into a valid one: unknown columns are dropped,
+ * columns added since it was saved are appended, required columns are
+ * shown and widths are kept within range
+ * @param {*} saved - Layout read from storage, possibly from an older version or edited by hand
+ * @returns {{order: Array<string>, hidden: Array<string>, widths: Object<string, number>}}
+ */
+export function normalizeTableLayout(saved) {
+  const layout = saved && typeof saved === 'object' ? saved : {}
+  const savedOrder = Array.isArray(layout.order) ? layout.order : []
+  const order = [...new Set(savedOrder.filter(field => TABLE_COLUMNS.includes(field)))]
+  TABLE_COLUMNS.forEach(field => {
+    if (!order.includes(field)) {
+      order.push(field)
+    }
+  })
+
+  const hidden = Array.isArray(layout.hidden)
+    ? TABLE_COLUMNS.filter(field => layout.hidden.includes(field) && !REQUIRED_COLUMNS.includes(field))
+    : [...DEFAULT_TABLE_LAYOUT.hidden]
+
+  const savedWidths = layout.widths && typeof layout.widths === 'object' ? layout.widths : {}
+  const widths = Object.fromEntries(TABLE_COLUMNS.map(field => {
+    const width = Number(savedWidths[field])
+    return [field, Number.isFinite(width) ? clampColumnWidth(width) : DEFAULT_COLUMN_WIDTHS[field]]
+  }))
+
+  return { order, hidden, widths }
+}
+
+/**
+ * Lists the shown columns in display order
+ * @param {{order: Array<string>, hidden: Array<string>}} layout
+ * @returns {Array<string>}
+ */
+export function visibleColumns(layout) {
+  return layout.order.filter(field => !layout.hidden.includes(field))
+}
+
+/**
+ * Moves a column to another position
+ * @param {Object} layout
+ * @param {string} field - Column to move
+ * @param {number} index - Its new position in layout.order, clamped to the ends
+ * @returns {Object} New layout
+ */
+export function moveColumn(layout, field, index) {
+  const order = layout.order.filter(item => item !== field)
+  order.splice(Math.min(Math.max(0, index), order.length), 0, field)
+  return { ...layout, order }
+}
+
+/**
+ * Shows or hides a column; required columns stay shown
+ * @param {Object} layout
+ * @param {string} field
+ * @param {boolean} visible
+ * @returns {Object} New layout
+ */
+export function setColumnVisible(layout, field, visible) {
+  if (REQUIRED_COLUMNS.includes(field)) {
+    return layout
+  }
+  const hidden = layout.hidden.filter(item => item !== field)
+  return { ...layout, hidden: visible ? hidden : [...hidden, field] }
+}
+
+/**
+ * Sets the width of a column
+ * @param {Object} layout
+ * @param {string} field
+ * @param {number} width - Pixels, clamped to the allowed range
+ * @returns {Object} New layout
+ */
+export function setColumnWidth(layout, field, width) {
+  return { ...layout, widths: { ...layout.widths, [field]: clampColumnWidth(width) } }
+}
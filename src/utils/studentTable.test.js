@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import * as fc from 'fast-check'
+import {
+  TABLE_COLUMNS,
+  DEFAULT_TABLE_LAYOUT,
+  MIN_COLUMN_WIDTH,
+  MAX_COLUMN_WIDTH,
+  normalizeTableLayout,
+  visibleColumns,
+  moveColumn,
+  setColumnVisible,
+  setColumnWidth
+} from './studentTable.js'
+
+describe('studentTable', () => {
+  it('uses the default layout when nothing valid was saved', () => {
+    expect(normalizeTableLayout(undefined)).toEqual(DEFAULT_TABLE_LAYOUT)
+    expect(normalizeTableLayout('cards')).toEqual(DEFAULT_TABLE_LAYOUT)
+    expect(visibleColumns(DEFAULT_TABLE_LAYOUT)).toEqual(['id', 'studentNumber', 'name', 'course', 'year', 'email', 'phone'])
+  })
+
+  /**
+   * Unit Test: Saved Layouts
+   *
+   * This test verifies that a layout saved by an older version or edited by
+   * hand is repaired: unknown and repeated columns are dropped, missing ones
+   * are appended, the name is shown and widths are kept within range.
+   */
+  it('repairs a saved layout', () => {
+    const layout = normalizeTableLayout({
+      order: ['email', 'nickname', 'name', 'email'],
+      hidden: ['name', 'phone', 'nickname'],
+      widths: { email: 5000, name: 12, year: 'wide', phone: 151.6 }
+    })
+
+    expect(layout.order).toEqual(['email', 'name', 'id', 'studentNumber', 'course', 'year', 'phone', 'website'])
+    expect(layout.hidden).toEqual(['phone'])
+    expect(layout.widths).toEqual({
+      id: 90,
+      studentNumber: 160,
+      name: MIN_COLUMN_WIDTH,
+      course: 200,
+      year: 80,
+      email: MAX_COLUMN_WIDTH,
+      phone: 152,
+      website: 180
+    })
+  })
+
+  it('moves columns, clamping the position to the ends', () => {
+    expect(moveColumn(DEFAULT_TABLE_LAYOUT, 'email', 0).order)
+      .toEqual(['email', 'id', 'studentNumber', 'name', 'course', 'year', 'phone', 'website'])
+    expect(moveColumn(DEFAULT_TABLE_LAYOUT, 'id', 99).order)
+      .toEqual(['studentNumber', 'name', 'course', 'year', 'email', 'phone', 'website', 'id'])
+    expect(moveColumn(DEFAULT_TABLE_LAYOUT, 'year', -1).order[0]).toBe('year')
+  })
+
+  it('shows and hides columns but keeps the name shown', () => {
+    const layout = setColumnVisible(setColumnVisible(DEFAULT_TABLE_LAYOUT, 'website', true), 'id', false)
+    expect(visibleColumns(layout)).toEqual(['studentNumber', 'name', 'course', 'year', 'email', 'phone', 'website'])
+    expect(setColumnVisible(layout, 'name', false)).toBe(layout)
+  })
+
+  it('sets widths within range without changing the given layout', () => {
+    expect(setColumnWidth(DEFAULT_TABLE_LAYOUT, 'email', 320.4).widths.email).toBe(320)
+    expect(setColumnWidth(DEFAULT_TABLE_LAYOUT, 'email', 10).widths.email).toBe(MIN_COLUMN_WIDTH)
+    expect(DEFAULT_TABLE_LAYOUT.widths.email).toBe(250)
+  })
+
+  /**
+   * Property 18: Table Layouts Stay Valid
+   *
+   * **Feature: student-info-app, Property 18: Moving, hiding and resizing columns keeps a valid layout**
+   *
+   * This property test verifies that for any sequence of column moves,
+   * visibility changes and resizes, every column appears exactly once, the
+   * name stays shown and the layout is unchanged by normalizing it again.
+   */
+  it('Property 18: column changes always leave a valid layout', () => {
+    const field = fc.constantFrom(...TABLE_COLUMNS)
+    const change = fc.oneof(
+      fc.tuple(fc.constant('move'), field, fc.integer({ min: -2, max: 10 })),
+      fc.tuple(fc.constant('visible'), field, fc.boolean()),
+      fc.tuple(fc.constant('width'), field, fc.double({ min: -100, max: 2000, noNaN: true }))
+    )
+    const apply = { move: moveColumn, visible: setColumnVisible, width: setColumnWidth }
+
+    fc.assert(
+      fc.property(fc.array(change, { maxLength: 20 }), (changes) => {
+        const layout = changes.reduce(
+          (current, [type, column, value]) => apply[type](current, column, value),
+          DEFAULT_TABLE_LAYOUT
+        )
+
+        expect([...layout.order].sort()).toEqual([...TABLE_COLUMNS].sort())
+        expect(visibleColumns(layout)).toContain('name')
+        const normalized = normalizeTableLayout(layout)
+        expect(normalized.order).toEqual(layout.order)
+        expect(normalized.widths).toEqual(layout.widths)
+        expect([...normalized.hidden].sort()).toEqual([...layout.hidden].sort())
+      }),
+      { numRuns: 100 }
+    )
+  })
+})
@@ -0,0 +1,106 @@
+/**
+ * ZIP archive writer
+ *
+ * Builds uncompressed ("stored") ZIP archives in the browser, enough for the
+ * Office Open XML files the app exports. File names are stored as UTF-8.
+ */
+
+const encoder = new TextEncoder()
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
+  }
+  return value >>> 0
+})
+
+/**
+ * Computes the CRC-32 checksum ZIP uses to verify file contents
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time of a Date, as stored in ZIP headers
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Writes a ZIP archive with the given files, uncompressed
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Paths inside the archive and their contents; strings are encoded as UTF-8
+ * @param {{modified?: Date}} [options] - Modification time recorded for every file
+ * @returns {Uint8Array} The archive
+ */
+export function createZip(files, { modified = new Date() } = {}) {
+  const { time, date } = dosDateTime(modified)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const checksum = crc32(data)
+
+    // Local file header; bit 11 of the flags marks the name as UTF-8
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true)
+    local.setUint16(8, 0, true)
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, checksum, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+    localParts.push(new Uint8Array(local.buffer), name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, checksum, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centralParts.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const archive = new Uint8Array(offset + centralSize + 22)
+  parts.reduce((position, part) => {
+    archive.set(part, position)
+    return position + part.length
+  }, 0)
+  return archive
+}
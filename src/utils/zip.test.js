@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { createZip, crc32 } from './zip.js'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+// Reads the files of a stored (uncompressed) archive back by walking its local headers
+const readZip = (archive) => {
+  const view = new DataView(archive.buffer)
+  const files = {}
+  let offset = 0
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const name = decoder.decode(archive.subarray(offset + 30, offset + 30 + nameLength))
+    const start = offset + 30 + nameLength
+    files[name] = { data: archive.subarray(start, start + size), crc: view.getUint32(offset + 14, true) }
+    offset = start + size
+  }
+  return files
+}
+
+describe('zip', () => {
+  it('computes the standard CRC-32 checksum', () => {
+    expect(crc32(encoder.encode('123456789'))).toBe(0xcbf43926)
+    expect(crc32(new Uint8Array())).toBe(0)
+  })
+
+  /**
+   * Unit Test: ZIP Archive Layout
+   *
+   * This test verifies that every file can be read back from the archive
+   * with its checksum, and that the end record points at the central directory.
+   */
+  it('writes files that can be read back, with UTF-8 names', () => {
+    const archive = createZip([
+      { name: 'hello.txt', data: 'Kumusta, Peña!' },
+      { name: 'data/ñ.bin', data: new Uint8Array([1, 2, 3]) }
+    ], { modified: new Date(2026, 9, 19, 8, 30) })
+
+    const files = readZip(archive)
+    expect(decoder.decode(files['hello.txt'].data)).toBe('Kumusta, Peña!')
+    expect(Array.from(files['data/ñ.bin'].data)).toEqual([1, 2, 3])
+    expect(files['hello.txt'].crc).toBe(crc32(encoder.encode('Kumusta, Peña!')))
+
+    const view = new DataView(archive.buffer)
+    const end = archive.length - 22
+    expect(view.getUint32(end, true)).toBe(0x06054b50)
+    expect(view.getUint16(end + 10, true)).toBe(2)
+    const centralOffset = view.getUint32(end + 16, true)
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50)
+    expect(centralOffset + view.getUint32(end + 12, true)).toBe(end)
+  })
+})